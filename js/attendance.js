@@ -0,0 +1,84 @@
+/**
+ * Hill Country Sentinel — Attendance Component
+ *
+ * The "Attendance" section on council profiles, from data/roll-calls.json:
+ * attendance rate, meetings missed, recusals and abstentions. The member's
+ * votes themselves are on the profile Timeline (profile-timeline.js).
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global escapeHtml, fetchRollCalls, getMemberAttendance */
+
+// escapeHtml, fetchRollCalls and getMemberAttendance are browser globals (feed-renderer.js, roll-calls.js);
+// require them under Node
+const _attendanceDeps = (typeof module !== 'undefined' && module.exports)
+    ? Object.assign({}, require('./feed-renderer.js'), require('./roll-calls.js'))
+    : {};
+const _escapeAttendanceText = typeof escapeHtml === 'function' ? escapeHtml : _attendanceDeps.escapeHtml;
+
+/**
+ * Render a member's attendance: rate, absences and recusals.
+ * @param {object} attendance - From getMemberAttendance()
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @returns {string} The rendered HTML
+ */
+function renderAttendance(attendance, containerEl) {
+    let html;
+    if (!attendance || !attendance.meetings) {
+        html = '<p class="vr-empty">No attendance recorded for this period.</p>';
+    } else {
+        const rate = `${Math.round(attendance.rate * 100)}%`;
+        const absences = attendance.absences
+            .map(a => `<li>${_escapeAttendanceText(a.date)}</li>`)
+            .join('');
+        const recusals = attendance.recusals
+            .map(r => `<li>${_escapeAttendanceText(r.date)} &middot; ${_escapeAttendanceText(r.itemTitle)}</li>`)
+            .join('');
+        html = `<div class="vr-attendance">
+            <div class="analytics-stats">
+                <div class="analytics-stat"><span class="stat-value">${rate}</span><span class="stat-label">Attendance (${attendance.present} of ${attendance.meetings} meetings)</span></div>
+                <div class="analytics-stat"><span class="stat-value">${attendance.absent}</span><span class="stat-label">Meetings missed</span></div>
+                <div class="analytics-stat"><span class="stat-value">${attendance.recusals.length}</span><span class="stat-label">Recusals</span></div>
+                <div class="analytics-stat"><span class="stat-value">${attendance.abstentions}</span><span class="stat-label">Abstentions</span></div>
+            </div>
+            ${absences ? `<h4>Absences</h4><ul class="vr-attendance-list">${absences}</ul>` : ''}
+            ${recusals ? `<h4>Recusals</h4><ul class="vr-attendance-list">${recusals}</ul>` : ''}
+        </div>`;
+    }
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+/**
+ * Load a member's attendance and render it into the page.
+ * @param {object} [options] - { slug, containerId, url }
+ *   slug defaults to <body data-candidate-slug>, containerId to 'attendance-summary',
+ *   url to '../data/roll-calls.json'
+ * @returns {Promise<void>}
+ */
+function initAttendance(options) {
+    const opts = options || {};
+    const slug = opts.slug || document.body.getAttribute('data-candidate-slug');
+    const container = document.getElementById(opts.containerId || 'attendance-summary');
+    if (!container || !slug) return Promise.resolve();
+    const fetcher = typeof fetchRollCalls === 'function' ? fetchRollCalls : _attendanceDeps.fetchRollCalls;
+    const memberAttendance = typeof getMemberAttendance === 'function' ? getMemberAttendance : _attendanceDeps.getMemberAttendance;
+
+    return fetcher(opts.url || '../data/roll-calls.json')
+        .then(store => {
+            renderAttendance(memberAttendance(store, slug), container);
+        })
+        .catch(() => {
+            container.innerHTML = '<p class="vr-empty">Unable to load attendance.</p>';
+        });
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        renderAttendance,
+        initAttendance
+    };
+}
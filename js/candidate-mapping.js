@@ -1,32 +1,28 @@
 /* ══════════════════════════════════════════
    Hill Country Sentinel — Candidate Mapping
    Maps candidate names to their profile pages
+   (names and aliases come from data/people.json)
    ══════════════════════════════════════════ */
 
+/* global fetchPeople, buildNameIndex */
+
 (function () {
     'use strict';
 
-    // Mapping of candidate names (as they appear in text) to their profile file
-    window.CANDIDATE_PROFILES = {
-        // Current candidates with profiles
-        'Angela Allen': 'angela-allen.html',
-        'April Ryan': 'april-ryan.html',
-        'Bradley Porter': 'bradley-porter.html',
-        'Carrie Isaac': 'carrie-isaac.html',
-        'Donna Campbell': 'donna-campbell.html',
-        'D. Lee Edwards': 'd-lee-edwards.html',
-        'Doug Leecock': 'doug-leecock.html',
-        'Jen Crownover': 'jen-crownover.html',
-        'Jonathon Frazier': 'jonathon-frazier.html',
-        'Kevin Webb': 'kevin-webb.html',
-        'Lawrence Spradley': 'lawrence-spradley.html',
-        'Mary Ann Labowski': 'mary-ann-labowski.html',
-        'Michael Capizzi': 'michael-capizzi.html',
-        'Michael French': 'michael-french.html',
-        'Neal Linnartz': 'neal-linnartz.html',
-        'Scott Haag': 'scott-haag.html',
-        'Toni Carter': 'toni-carter.html'
-    };
+    // Mapping of candidate names (as they appear in text) to their profile file,
+    // filled from data/people.json by loadCandidateProfiles()
+    var CANDIDATE_PROFILES = {};
+    if (typeof window !== 'undefined') {
+        window.CANDIDATE_PROFILES = CANDIDATE_PROFILES;
+    }
+
+    // Build the name -> profile file map from the people registry (js/people.js)
+    function loadCandidateProfiles(people) {
+        buildNameIndex(people).forEach(function (entry) {
+            CANDIDATE_PROFILES[entry.name] = entry.slug + '.html';
+        });
+        return CANDIDATE_PROFILES;
+    }
 
     // Function to get the base path based on current page location
     function getBasePath() {
@@ -42,7 +38,13 @@
     // Function to auto-link candidate names in text content
     function autoLinkCandidateNames() {
         var basePath = getBasePath();
-        var candidates = Object.keys(window.CANDIDATE_PROFILES);
+        var candidates = Object.keys(CANDIDATE_PROFILES).sort(function(a, b) {
+            return b.length - a.length;
+        });
+        if (candidates.length === 0) return;
+        var namePattern = new RegExp('\\b(?:' + candidates.map(function(name) {
+            return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('|') + ')\\b', 'g');
         
         // Find all text nodes that might contain candidate names
         var walker = document.createTreeWalker(
@@ -72,15 +74,10 @@
             var hasChanges = false;
             var newHTML = text;
 
-            // Replace each candidate name with a link
-            candidates.forEach(function(candidateName) {
-                var profileFile = window.CANDIDATE_PROFILES[candidateName];
-                var regex = new RegExp('\\b' + candidateName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'g');
-                if (regex.test(newHTML)) {
-                    var linkHTML = '<a href="' + basePath + profileFile + '" class="candidate-auto-link">' + candidateName + '</a>';
-                    newHTML = newHTML.replace(regex, linkHTML);
-                    hasChanges = true;
-                }
+            // Single pass (longest name first) so an alias never re-links inside an earlier link
+            newHTML = newHTML.replace(namePattern, function(candidateName) {
+                hasChanges = true;
+                return '<a href="' + basePath + CANDIDATE_PROFILES[candidateName] + '" class="candidate-auto-link">' + candidateName + '</a>';
             });
 
             // If we made changes, replace the text node with HTML
@@ -98,20 +95,32 @@
         });
     }
 
+    function init() {
+        fetchPeople(getBasePath().replace(/profiles\/$/, '') + 'data/people.json')
+            .then(function (people) {
+                loadCandidateProfiles(people);
+                autoLinkCandidateNames();
+            })
+            .catch(function (err) {
+                console.warn('Auto-linking failed:', err);
+            });
+    }
+
     // Auto-init on DOMContentLoaded in browser
     if (typeof document !== 'undefined') {
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', autoLinkCandidateNames);
+            document.addEventListener('DOMContentLoaded', init);
         } else {
-            autoLinkCandidateNames();
+            init();
         }
     }
 
     // Export for Node.js testing
     if (typeof module !== 'undefined' && module.exports) {
         module.exports = { 
-            CANDIDATE_PROFILES: window.CANDIDATE_PROFILES, 
-            autoLinkCandidateNames: autoLinkCandidateNames 
+            CANDIDATE_PROFILES: CANDIDATE_PROFILES,
+            loadCandidateProfiles: loadCandidateProfiles,
+            autoLinkCandidateNames: autoLinkCandidateNames
         };
     }
 })();
\ No newline at end of file
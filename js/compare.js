@@ -0,0 +1,212 @@
+/**
+ * Hill Country Sentinel — Compare Officials Module
+ *
+ * Side-by-side comparison of two or more officials for compare.html: their
+ * votes on the same agenda items (from data/roll-calls.json), where they
+ * split, and the news entries that mention all of them.
+ * The selection lives in the query string (compare.html?a=toni-carter&b=april-ryan)
+ * so comparisons can be linked from articles.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global escapeHtml, renderFeedCard, listRollCalls, getPersonNames */
+
+// Browser globals from feed-renderer.js, roll-calls.js and people.js; require them under Node
+const _compareDeps = (typeof module !== 'undefined' && module.exports)
+    ? Object.assign({}, require('./feed-renderer.js'), require('./roll-calls.js'), require('./people.js'))
+    : {};
+const _compareListRollCalls = typeof listRollCalls === 'function' ? listRollCalls : _compareDeps.listRollCalls;
+const _compareGetPersonNames = typeof getPersonNames === 'function' ? getPersonNames : _compareDeps.getPersonNames;
+const _escapeCompareText = typeof escapeHtml === 'function' ? escapeHtml : _compareDeps.escapeHtml;
+const _compareRenderFeedCard = typeof renderFeedCard === 'function' ? renderFeedCard : _compareDeps.renderFeedCard;
+
+// Query parameters that hold the selection, in display order
+const COMPARE_PARAMS = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+/**
+ * Read the selected slugs from a query string. Unknown parameters, blanks and
+ * repeats are ignored.
+ * @param {string} search - e.g. "?a=toni-carter&b=april-ryan"
+ * @returns {Array<string>} Slugs in a, b, c… order
+ */
+function parseCompareQuery(search) {
+    const params = new URLSearchParams(search || '');
+    const slugs = [];
+    COMPARE_PARAMS.forEach(key => {
+        const slug = (params.get(key) || '').trim().toLowerCase();
+        if (/^[a-z0-9-]+$/.test(slug) && !slugs.includes(slug)) slugs.push(slug);
+    });
+    return slugs;
+}
+
+/**
+ * Build the query string for a selection.
+ * @param {Array<string>} slugs - Selected slugs
+ * @returns {string} e.g. "?a=toni-carter&b=april-ryan"
+ */
+function buildCompareQuery(slugs) {
+    const parts = (slugs || []).filter(Boolean).slice(0, COMPARE_PARAMS.length)
+        .map((slug, i) => `${COMPARE_PARAMS[i]}=${encodeURIComponent(slug)}`);
+    return parts.length ? `?${parts.join('&')}` : '';
+}
+
+/**
+ * Officials that can be compared: everyone in the registry with a profile page.
+ * @param {Array} people - data/people.json
+ * @returns {Array<{ slug: string, name: string, office: string }>} Sorted by name
+ */
+function getComparableOfficials(people) {
+    return (people || [])
+        .filter(p => p.profile)
+        .map(p => {
+            const current = (p.offices || []).find(o => o.current) || (p.offices || [])[0];
+            return { slug: p.slug, name: p.name, office: current ? current.title : '' };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Line up the selected officials' votes on every agenda item at least two of
+ * them voted on.
+ * @param {object} store - roll-calls.json
+ * @param {Array<string>} slugs - Selected slugs
+ * @returns {object} { items, shared, splits }
+ *   items[] = { date, body, meetingId, itemId, title, outcome, votes: { slug: vote|null }, split }
+ *   split is true when at least one of them voted Yea and another Nay.
+ */
+function buildComparison(store, slugs) {
+    const items = [];
+    _compareListRollCalls(store).forEach(rc => {
+        const votes = {};
+        slugs.forEach(slug => {
+            votes[slug] = rc.votes && Object.prototype.hasOwnProperty.call(rc.votes, slug) ? rc.votes[slug] : null;
+        });
+        const cast = Object.values(votes).filter(v => v !== null);
+        if (cast.length < 2) return;
+        items.push({
+            date: rc.date,
+            body: rc.body,
+            meetingId: rc.meetingId,
+            itemId: rc.id,
+            title: rc.title,
+            outcome: rc.outcome,
+            votes,
+            split: cast.includes('Yea') && cast.includes('Nay')
+        });
+    });
+    return {
+        items,
+        shared: items.length,
+        splits: items.filter(item => item.split).length
+    };
+}
+
+/**
+ * Does a feed entry mention this person, by relatedCandidate(s) or by name?
+ * @param {object} entry - Feed entry
+ * @param {object} person - Registry entry
+ * @returns {boolean}
+ */
+function entryMentions(entry, person) {
+    if (entry.relatedCandidate === person.slug || (entry.relatedCandidates || []).includes(person.slug)) return true;
+    const text = [entry.title, entry.summary, entry.content].filter(Boolean).join(' ');
+    return _compareGetPersonNames(person).some(name => {
+        const pattern = new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+        return pattern.test(text);
+    });
+}
+
+/**
+ * News entries that mention every selected official, newest first, one per id.
+ * @param {Array} entries - Entries from every feed
+ * @param {Array} people - data/people.json
+ * @param {Array<string>} slugs - Selected slugs
+ * @returns {Array} Entries
+ */
+function findSharedNews(entries, people, slugs) {
+    const selected = slugs.map(slug => (people || []).find(p => p.slug === slug)).filter(Boolean);
+    if (selected.length < 2 || selected.length !== slugs.length) return [];
+    const seen = new Set();
+    return (entries || [])
+        .filter(entry => {
+            if (seen.has(entry.id)) return false;
+            seen.add(entry.id);
+            return selected.every(person => entryMentions(entry, person));
+        })
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+function _voteBadge(vote) {
+    if (!vote) return '<span class="compare-vote none">—</span>';
+    return `<span class="compare-vote ${_escapeCompareText(vote.toLowerCase())}">${_escapeCompareText(vote)}</span>`;
+}
+
+/**
+ * Render the side-by-side vote table, split items highlighted.
+ * @param {object} comparison - From buildComparison()
+ * @param {Array<string>} slugs - Selected slugs, in column order
+ * @param {object} names - { slug: name }
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @param {object} [options] - { splitsOnly: boolean }
+ * @returns {string} The rendered HTML
+ */
+function renderComparison(comparison, slugs, names, containerEl, options) {
+    const opts = options || {};
+    const items = opts.splitsOnly ? comparison.items.filter(item => item.split) : comparison.items;
+    let html;
+    if (!items.length) {
+        html = `<p class="compare-empty">${opts.splitsOnly && comparison.shared
+            ? 'They voted the same way on every shared item.'
+            : 'These officials have not voted on the same agenda items.'}</p>`;
+    } else {
+        const header = slugs.map(slug => `<th>${_escapeCompareText(names[slug] || slug)}</th>`).join('');
+        const rows = items.map(item => {
+            const cells = slugs.map(slug => `<td>${_voteBadge(item.votes[slug])}</td>`).join('');
+            return `<tr class="${item.split ? 'compare-split' : ''}" data-item="${_escapeCompareText(item.itemId)}">
+            <td><div class="compare-item-title">${_escapeCompareText(item.title)}</div><div class="compare-item-meta">${_escapeCompareText(item.date)} &middot; ${_escapeCompareText(item.outcome || '')}${item.split ? ' &middot; <strong>Split</strong>' : ''}</div></td>
+            ${cells}
+        </tr>`;
+        }).join('\n        ');
+        html = `<table class="compare-table">
+        <thead><tr><th>Agenda item</th>${header}</tr></thead>
+        <tbody>
+        ${rows}
+        </tbody>
+    </table>`;
+    }
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+/**
+ * Render the shared news entries as feed cards.
+ * @param {Array} entries - From findSharedNews()
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @returns {string} The rendered HTML
+ */
+function renderSharedNews(entries, containerEl) {
+    const html = entries && entries.length
+        ? entries.map(entry => _compareRenderFeedCard(entry)).join('\n')
+        : '<p class="compare-empty">No news entries mention all of these officials.</p>';
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMPARE_PARAMS,
+        parseCompareQuery,
+        buildCompareQuery,
+        getComparableOfficials,
+        buildComparison,
+        entryMentions,
+        findSharedNews,
+        renderComparison,
+        renderSharedNews
+    };
+}
@@ -0,0 +1,487 @@
+/**
+ * Hill Country Sentinel — Council Analytics Module
+ *
+ * Voting analytics over the roll calls in data/roll-calls.json: pairwise
+ * agreement, dissent from the majority, swing votes on close decisions and
+ * a per-topic breakdown. Renders the Council Scorecard page and the
+ * "Voting Analytics" section on council profiles.
+ * Works in browser (globals) and Node.js (CommonJS).
+ *
+ * Dissent and swing votes count Yea and Nay only. Agreement also counts
+ * abstentions: a member who abstains while a colleague votes Yea did not
+ * vote with them. Absences and recusals are left out of every rate and
+ * tallied separately as participation. The majority side and the margin
+ * come from the count in each outcome, since many roll calls record only
+ * some members' votes.
+ */
+
+/* global escapeHtml, listRollCalls, parseOutcome, tagTopics, listTopics */
+
+// escapeHtml and the roll-call helpers are browser globals (feed-renderer.js, roll-calls.js); require them under Node
+const _analyticsDeps = (typeof module !== 'undefined' && module.exports)
+    ? Object.assign({}, require('./feed-renderer.js'), require('./roll-calls.js'))
+    : {};
+const _analyticsListRollCalls = typeof listRollCalls === 'function' ? listRollCalls : _analyticsDeps.listRollCalls;
+const _escapeAnalyticsText = typeof escapeHtml === 'function' ? escapeHtml : _analyticsDeps.escapeHtml;
+const _analyticsParseOutcome = typeof parseOutcome === 'function' ? parseOutcome : _analyticsDeps.parseOutcome;
+const _analyticsTagTopics = typeof tagTopics === 'function' ? tagTopics : _analyticsDeps.tagTopics;
+const _analyticsListTopics = typeof listTopics === 'function' ? listTopics : _analyticsDeps.listTopics;
+
+const COUNCIL_BODY = 'nb-city-council';
+
+/**
+ * City council roll calls from the store, newest first.
+ * @param {object} store - roll-calls.json
+ * @param {string} [body='nb-city-council'] - Body id
+ * @returns {Array<object>}
+ */
+function getCouncilRollCalls(store, body) {
+    const id = body || COUNCIL_BODY;
+    return _analyticsListRollCalls(store).filter(rc => rc.body === id);
+}
+
+/**
+ * Yea/Nay votes only.
+ * @param {object} rollCall - Roll call
+ * @returns {object} { slug: 'Yea'|'Nay' }
+ */
+function _castVotes(rollCall) {
+    const cast = {};
+    Object.entries(rollCall.votes || {}).forEach(([slug, vote]) => {
+        if (vote === 'Yea' || vote === 'Nay') cast[slug] = vote;
+    });
+    return cast;
+}
+
+/**
+ * Votes by members in the room: Yea, Nay or Abstain.
+ * @param {object} rollCall - Roll call
+ * @returns {object} { slug: 'Yea'|'Nay'|'Abstain' }
+ */
+function _presentVotes(rollCall) {
+    const present = {};
+    Object.entries(rollCall.votes || {}).forEach(([slug, vote]) => {
+        if (vote === 'Yea' || vote === 'Nay' || vote === 'Abstain') present[slug] = vote;
+    });
+    return present;
+}
+
+/**
+ * Yea and Nay counts. Most roll calls record only some members' votes, so
+ * the count comes from the outcome in the minutes ("Failed 3-4") when it
+ * has one. An outcome with a result but no count ("Passed unanimously")
+ * gives null; only an outcome that says neither falls back to the
+ * recorded votes.
+ * @param {object} rollCall - Roll call
+ * @returns {{ yea: number, nay: number }|null}
+ */
+function getVoteTally(rollCall) {
+    const outcome = _analyticsParseOutcome(rollCall.outcome);
+    if (outcome.tally) return outcome.tally;
+    if (outcome.result) return null;
+    const cast = Object.values(_castVotes(rollCall));
+    const yea = cast.filter(v => v === 'Yea').length;
+    return { yea, nay: cast.length - yea };
+}
+
+/**
+ * The side most members took, or null on a tie, a motion that died
+ * without a vote, or when nobody voted.
+ * @param {object} rollCall - Roll call
+ * @returns {'Yea'|'Nay'|null}
+ */
+function getMajorityPosition(rollCall) {
+    const tally = getVoteTally(rollCall);
+    if (!tally) {
+        // No count: a motion passes only with more Yea than Nay
+        const outcome = _analyticsParseOutcome(rollCall.outcome);
+        if (outcome.died) return null;
+        return outcome.result === 'passed' ? 'Yea' : 'Nay';
+    }
+    if (tally.yea === tally.nay) return null;
+    return tally.yea > tally.nay ? 'Yea' : 'Nay';
+}
+
+/**
+ * A close vote is one a single member changing sides would tie or reverse:
+ * a margin of one or two (4-3, 5-3, 4-2). An outcome without a count was
+ * not close.
+ * @param {object} rollCall - Roll call
+ * @returns {boolean}
+ */
+function isCloseVote(rollCall) {
+    const tally = getVoteTally(rollCall);
+    if (!tally) return false;
+    const margin = Math.abs(tally.yea - tally.nay);
+    return margin > 0 && margin <= 2;
+}
+
+/**
+ * numerator / denominator, or null when there is nothing to divide.
+ * @returns {number|null}
+ */
+function _rate(numerator, denominator) {
+    return denominator ? numerator / denominator : null;
+}
+
+/**
+ * Every member with at least one Yea/Nay vote, alphabetical.
+ * @param {Array<object>} rollCalls
+ * @returns {Array<string>}
+ */
+function getVotingMembers(rollCalls) {
+    const seen = new Set();
+    rollCalls.forEach(rc => Object.keys(_castVotes(rc)).forEach(slug => seen.add(slug)));
+    return Array.from(seen).sort();
+}
+
+/**
+ * Dissent counts for the given roll calls.
+ * @param {Array<object>} rollCalls
+ * @param {Array<string>} members
+ * @returns {object} { slug: { votes, dissents, lone, rate } }
+ */
+function _dissentFor(rollCalls, members) {
+    const result = {};
+    members.forEach(slug => { result[slug] = { votes: 0, dissents: 0, lone: 0, rate: null }; });
+    rollCalls.forEach(rc => {
+        const majority = getMajorityPosition(rc);
+        if (!majority) return;
+        const cast = _castVotes(rc);
+        const dissenters = Object.keys(cast).filter(slug => cast[slug] !== majority);
+        Object.keys(cast).forEach(slug => {
+            if (!result[slug]) return;
+            result[slug].votes++;
+            if (cast[slug] !== majority) {
+                result[slug].dissents++;
+                if (dissenters.length === 1) result[slug].lone++;
+            }
+        });
+    });
+    members.forEach(slug => { result[slug].rate = _rate(result[slug].dissents, result[slug].votes); });
+    return result;
+}
+
+/**
+ * Compute the council scorecard.
+ * @param {Array<object>} rollCalls - From getCouncilRollCalls()
+ * @param {Array<string>} [members] - Member slugs, in display order (default: everyone who voted)
+ * @returns {object} { members, rollCalls, contested, fullyRecorded, agreement, dissent, swing, participation, topics }
+ *   contested       — roll calls with at least one vote on each side, by the outcome's count
+ *   fullyRecorded   — roll calls with a recorded vote for every seat; on the rest only
+ *                     the recorded members' votes count toward agreement and dissent
+ *   agreement[a][b] = { agree, shared, rate }  — share of roll calls both were present for where they voted alike
+ *   dissent[slug]   = { votes, dissents, lone, rate } — votes against the majority (lone: sole dissenter)
+ *   swing[slug]     = { close, swing, rate } — close votes cast, and how many on the winning side
+ *   participation[slug] = { rollCalls, abstain, absent, recused } — roll calls with any recorded vote
+ *   topics[id]      = { label, rollCalls, dissent } — dissent restricted to that topic
+ */
+function buildScorecard(rollCalls, members) {
+    const list = rollCalls || [];
+    const slugs = members && members.length ? members.slice() : getVotingMembers(list);
+
+    const agreement = {};
+    slugs.forEach(a => {
+        agreement[a] = {};
+        slugs.forEach(b => { agreement[a][b] = { agree: 0, shared: 0, rate: null }; });
+    });
+    const swing = {};
+    slugs.forEach(slug => { swing[slug] = { close: 0, swing: 0, rate: null }; });
+    const participation = {};
+    slugs.forEach(slug => { participation[slug] = { rollCalls: 0, abstain: 0, absent: 0, recused: 0 }; });
+
+    // Seats on the body: the most votes recorded on any one roll call
+    const seats = Math.max(0, ...list.map(rc => Object.keys(rc.votes || {}).length));
+    let contested = 0;
+    let fullyRecorded = 0;
+    list.forEach(rc => {
+        const present = _presentVotes(rc);
+        const inRoom = slugs.filter(slug => present[slug]);
+        inRoom.forEach(a => inRoom.forEach(b => {
+            agreement[a][b].shared++;
+            if (present[a] === present[b]) agreement[a][b].agree++;
+        }));
+        slugs.forEach(slug => {
+            const vote = (rc.votes || {})[slug];
+            if (!vote) return;
+            participation[slug].rollCalls++;
+            if (vote === 'Abstain') participation[slug].abstain++;
+            if (vote === 'Absent') participation[slug].absent++;
+            if (vote === 'Recused') participation[slug].recused++;
+        });
+
+        const cast = _castVotes(rc);
+        const voters = slugs.filter(slug => cast[slug]);
+
+        const tally = getVoteTally(rc);
+        if (tally && tally.yea && tally.nay) contested++;
+        if (Object.keys(rc.votes || {}).length >= seats) fullyRecorded++;
+
+        if (isCloseVote(rc)) {
+            const majority = getMajorityPosition(rc);
+            voters.forEach(slug => {
+                swing[slug].close++;
+                if (cast[slug] === majority) swing[slug].swing++;
+            });
+        }
+    });
+    slugs.forEach(a => slugs.forEach(b => {
+        agreement[a][b].rate = _rate(agreement[a][b].agree, agreement[a][b].shared);
+    }));
+    slugs.forEach(slug => { swing[slug].rate = _rate(swing[slug].swing, swing[slug].close); });
+
+    const topics = {};
+    _analyticsListTopics().forEach(topic => {
+        const topicRollCalls = list.filter(rc => _analyticsTagTopics(rc.title).includes(topic.id));
+        if (!topicRollCalls.length) return;
+        topics[topic.id] = {
+            label: topic.label,
+            rollCalls: topicRollCalls.length,
+            dissent: _dissentFor(topicRollCalls, slugs)
+        };
+    });
+
+    return {
+        members: slugs,
+        rollCalls: list.length,
+        contested,
+        fullyRecorded,
+        agreement,
+        dissent: _dissentFor(list, slugs),
+        swing,
+        participation,
+        topics
+    };
+}
+
+/**
+ * Members ranked by dissent rate, highest first (members without votes last).
+ * @param {object} scorecard - From buildScorecard()
+ * @returns {Array<string>}
+ */
+function rankByDissent(scorecard) {
+    return scorecard.members.slice().sort((a, b) => {
+        const ra = scorecard.dissent[a].rate;
+        const rb = scorecard.dissent[b].rate;
+        if (ra === rb) return scorecard.dissent[b].dissents - scorecard.dissent[a].dissents;
+        if (ra === null) return 1;
+        if (rb === null) return -1;
+        return rb - ra;
+    });
+}
+
+/**
+ * The colleague a member votes with most and least often.
+ * @param {object} scorecard - From buildScorecard()
+ * @param {string} slug - Member slug
+ * @returns {{ closest: string|null, furthest: string|null }}
+ */
+function getClosestColleagues(scorecard, slug) {
+    const row = scorecard.agreement[slug] || {};
+    const others = scorecard.members.filter(s => s !== slug && row[s] && row[s].rate !== null);
+    if (!others.length) return { closest: null, furthest: null };
+    const sorted = others.slice().sort((a, b) => row[b].rate - row[a].rate);
+    return { closest: sorted[0], furthest: sorted[sorted.length - 1] };
+}
+
+/**
+ * What the scorecard is based on, for readers to judge its coverage.
+ * @param {object} scorecard - From buildScorecard()
+ * @returns {string} e.g. "Based on 55 roll calls; every member's vote is recorded on 11 of them."
+ */
+function describeCoverage(scorecard) {
+    const total = scorecard.rollCalls;
+    if (scorecard.fullyRecorded === total) return `Based on ${total} roll calls, with every member's vote recorded.`;
+    return `Based on ${total} roll calls; every member's vote is recorded on ${scorecard.fullyRecorded} of them. ` +
+        'Elsewhere the majority and margin come from the outcome in the minutes.';
+}
+
+/**
+ * Display names keyed by slug from the people registry.
+ * @param {Array} people - data/people.json
+ * @returns {object} { slug: name }
+ */
+function namesFromPeople(people) {
+    const names = {};
+    (people || []).forEach(p => { names[p.slug] = p.name; });
+    return names;
+}
+
+/**
+ * "42%", or an em dash when there is no rate.
+ * @param {number|null} rate - 0..1
+ * @returns {string}
+ */
+function formatRate(rate) {
+    return rate === null || rate === undefined ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+function _nameOf(names, slug) {
+    return (names && names[slug]) || slug;
+}
+
+function _surnameOf(names, slug) {
+    return _nameOf(names, slug).split(/\s+/).pop();
+}
+
+function _renderInto(html, containerEl) {
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+/**
+ * Render the independence table: dissent, lone dissents, swing votes,
+ * abstentions and absences, most independent first.
+ * @param {object} scorecard - From buildScorecard()
+ * @param {object} names - { slug: name }
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @param {string} [base=''] - Path prefix for profile links
+ * @returns {string} The rendered HTML
+ */
+function renderDissentTable(scorecard, names, containerEl, base) {
+    const prefix = base || '';
+    const rows = rankByDissent(scorecard).map(slug => {
+        const d = scorecard.dissent[slug];
+        const s = scorecard.swing[slug];
+        const p = scorecard.participation[slug];
+        return `<tr data-member="${_escapeAnalyticsText(slug)}">
+            <td><a href="${prefix}profiles/${_escapeAnalyticsText(slug)}.html">${_escapeAnalyticsText(_nameOf(names, slug))}</a></td>
+            <td>${d.votes}</td>
+            <td>${d.dissents}</td>
+            <td class="rate">${formatRate(d.rate)}</td>
+            <td>${d.lone}</td>
+            <td>${s.swing} of ${s.close}</td>
+            <td>${p.abstain}</td>
+            <td>${p.absent}</td>
+        </tr>`;
+    }).join('\n        ');
+    const html = `<table class="scorecard-table dissent-table">
+        <thead><tr><th>Member</th><th>Votes</th><th>Against majority</th><th>Dissent rate</th><th>Lone dissents</th><th>Swing votes</th><th>Abstained</th><th>Absent</th></tr></thead>
+        <tbody>
+        ${rows}
+        </tbody>
+    </table>`;
+    return _renderInto(html, containerEl);
+}
+
+/**
+ * Render the pairwise agreement matrix.
+ * @param {object} scorecard - From buildScorecard()
+ * @param {object} names - { slug: name }
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @returns {string} The rendered HTML
+ */
+function renderAgreementMatrix(scorecard, names, containerEl) {
+    const header = scorecard.members.map(slug => `<th>${_escapeAnalyticsText(_surnameOf(names, slug))}</th>`).join('');
+    const rows = scorecard.members.map(a => {
+        const cells = scorecard.members.map(b => {
+            if (a === b) return '<td class="self">—</td>';
+            const cell = scorecard.agreement[a][b];
+            const shade = cell.rate === null ? '' : ` style="background:rgba(26,39,68,${(cell.rate * 0.6).toFixed(2)});color:${cell.rate > 0.6 ? '#fff' : 'inherit'}"`;
+            return `<td data-rate="${cell.rate === null ? '' : cell.rate.toFixed(3)}" title="${cell.agree} of ${cell.shared} votes"${shade}>${formatRate(cell.rate)}</td>`;
+        }).join('');
+        return `<tr><th>${_escapeAnalyticsText(_nameOf(names, a))}</th>${cells}</tr>`;
+    }).join('\n        ');
+    const html = `<table class="scorecard-table agreement-matrix">
+        <thead><tr><th></th>${header}</tr></thead>
+        <tbody>
+        ${rows}
+        </tbody>
+    </table>`;
+    return _renderInto(html, containerEl);
+}
+
+/**
+ * Render dissent rates by topic, one row per topic.
+ * @param {object} scorecard - From buildScorecard()
+ * @param {object} names - { slug: name }
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @returns {string} The rendered HTML
+ */
+function renderTopicBreakdown(scorecard, names, containerEl) {
+    const header = scorecard.members.map(slug => `<th>${_escapeAnalyticsText(_surnameOf(names, slug))}</th>`).join('');
+    const rows = Object.keys(scorecard.topics).map(id => {
+        const topic = scorecard.topics[id];
+        const cells = scorecard.members.map(slug => {
+            const d = topic.dissent[slug];
+            return `<td title="${d.dissents} of ${d.votes} votes">${formatRate(d.rate)}</td>`;
+        }).join('');
+        return `<tr data-topic="${_escapeAnalyticsText(id)}"><th>${_escapeAnalyticsText(topic.label)} <span class="topic-count">(${topic.rollCalls})</span></th>${cells}</tr>`;
+    }).join('\n        ');
+    const html = `<table class="scorecard-table topic-table">
+        <thead><tr><th>Topic (roll calls)</th>${header}</tr></thead>
+        <tbody>
+        ${rows}
+        </tbody>
+    </table>`;
+    return _renderInto(html, containerEl);
+}
+
+/**
+ * Render one member's analytics for their profile page.
+ * @param {object} scorecard - From buildScorecard()
+ * @param {string} slug - Member slug
+ * @param {object} names - { slug: name }
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @param {string} [base='../'] - Path prefix for links
+ * @returns {string} The rendered HTML
+ */
+function renderMemberAnalytics(scorecard, slug, names, containerEl, base) {
+    const prefix = base === undefined ? '../' : base;
+    const d = scorecard.dissent[slug];
+    if (!d || !d.votes) {
+        return _renderInto('<p style="color:#666;font-style:italic;">Not enough council votes to analyze.</p>', containerEl);
+    }
+    const rank = rankByDissent(scorecard).indexOf(slug) + 1;
+    const s = scorecard.swing[slug];
+    const p = scorecard.participation[slug];
+    const { closest, furthest } = getClosestColleagues(scorecard, slug);
+    const agreeWith = other => formatRate(scorecard.agreement[slug][other].rate);
+
+    const topicRows = Object.keys(scorecard.topics)
+        .map(id => ({ id, label: scorecard.topics[id].label, d: scorecard.topics[id].dissent[slug] }))
+        .filter(t => t.d.votes)
+        .map(t => `<li>${_escapeAnalyticsText(t.label)}: <strong>${formatRate(t.d.rate)}</strong> against the majority (${t.d.dissents} of ${t.d.votes})</li>`)
+        .join('\n            ');
+
+    const html = `<div class="member-analytics">
+        <div class="analytics-stats">
+            <div class="analytics-stat"><span class="stat-value">${formatRate(d.rate)}</span><span class="stat-label">Votes against the majority (${d.dissents} of ${d.votes})</span></div>
+            <div class="analytics-stat"><span class="stat-value">#${rank} of ${scorecard.members.length}</span><span class="stat-label">Most independent on the council</span></div>
+            <div class="analytics-stat"><span class="stat-value">${d.lone}</span><span class="stat-label">Lone dissents</span></div>
+            <div class="analytics-stat"><span class="stat-value">${s.swing} of ${s.close}</span><span class="stat-label">Close votes on the winning side</span></div>
+            <div class="analytics-stat"><span class="stat-value">${p.abstain} / ${p.absent}</span><span class="stat-label">Abstentions / absences (of ${p.rollCalls} roll calls)</span></div>
+        </div>
+        ${closest ? `<p class="analytics-colleagues">Votes most often with <strong>${_escapeAnalyticsText(_nameOf(names, closest))}</strong> (${agreeWith(closest)}) and least often with <strong>${_escapeAnalyticsText(_nameOf(names, furthest))}</strong> (${agreeWith(furthest)}).</p>` : ''}
+        <ul class="analytics-topics">
+            ${topicRows}
+        </ul>
+        <p class="analytics-coverage">${describeCoverage(scorecard)}</p>
+        <p class="analytics-more"><a href="${prefix}council-scorecard.html">Compare the whole council on the Council Scorecard →</a></p>
+    </div>`;
+    return _renderInto(html, containerEl);
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COUNCIL_BODY,
+        getCouncilRollCalls,
+        getVoteTally,
+        getMajorityPosition,
+        isCloseVote,
+        getVotingMembers,
+        buildScorecard,
+        rankByDissent,
+        getClosestColleagues,
+        namesFromPeople,
+        formatRate,
+        describeCoverage,
+        renderDissentTable,
+        renderAgreementMatrix,
+        renderTopicBreakdown,
+        renderMemberAnalytics
+    };
+}
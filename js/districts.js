@@ -0,0 +1,195 @@
+/**
+ * Hill Country Sentinel — Districts Module
+ *
+ * Point-in-polygon lookups against the boundary layers in data/geo/
+ * (commissioner and voting precincts, city council, state house, state
+ * senate and congressional districts). Coordinates are GeoJSON order:
+ * longitude, then latitude.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global searchSpatialIndex */
+
+// searchSpatialIndex is a browser global (spatial-index.js); require it under Node
+const _districtsDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./spatial-index.js')
+    : {};
+const _districtsSearchIndex = typeof searchSpatialIndex === 'function' ? searchSpatialIndex : _districtsDeps.searchSpatialIndex;
+
+// Districts that take in all of Comal County under the 2021 plans, used for
+// any address in the county while their layer has not been imported.
+const COUNTYWIDE_DISTRICTS = { stateSenate: '25', congressional: '21' };
+
+// The county is split between two state house districts, and most of it
+// between two school districts (trustees.json boards; the edges of the county
+// are in neighbouring ISDs). Without a layer an address could be in either,
+// so both are returned for the page to show.
+const SPLIT_DISTRICTS = { stateHouse: ['45', '73'], isd: ['comal-isd', 'nbisd'] };
+
+/**
+ * Whether a point falls inside a linear ring (ray casting; points exactly
+ * on an edge may land on either side).
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {Array<number[]>} ring - [[lon, lat], ...]
+ * @returns {boolean}
+ */
+function _pointInRing(lon, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a point falls inside a Polygon or MultiPolygon, honouring holes.
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+function pointInGeometry(lon, lat, geometry) {
+    if (!geometry) return false;
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+        : geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+    return polygons.some(([outer, ...holes]) =>
+        !!outer && _pointInRing(lon, lat, outer) && !holes.some(hole => _pointInRing(lon, lat, hole))
+    );
+}
+
+/**
+ * First feature in a boundary layer containing the point. With a spatial
+ * index only the features whose bounding boxes hold the point are tested;
+ * the test itself is always exact.
+ * @param {object} collection - GeoJSON FeatureCollection (may be missing while a layer loads)
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {object} [index] - R-tree over collection.features (from build/index.json)
+ * @returns {object|null} The feature, or null when no district contains the point
+ */
+function findFeature(collection, lon, lat, index) {
+    if (!collection || !Array.isArray(collection.features)) return null;
+    const candidates = index
+        ? _districtsSearchIndex(index, lon, lat).sort((a, b) => a - b).map(id => collection.features[id])
+        : collection.features;
+    return candidates.find(feature => feature && pointInGeometry(lon, lat, feature.geometry)) || null;
+}
+
+/**
+ * District number from the layer's `District` property, e.g. "73".
+ * @param {object} collection - GeoJSON FeatureCollection
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {object} [index] - R-tree over collection.features
+ * @returns {string|null}
+ */
+function findDistrict(collection, lon, lat, index) {
+    const feature = findFeature(collection, lon, lat, index);
+    return feature && feature.properties && feature.properties.District != null
+        ? String(feature.properties.District)
+        : null;
+}
+
+/**
+ * Every district a point falls in, across the layers Find My Officials loads.
+ * @param {object} layers - FeatureCollections keyed commissioner, voting, jp,
+ *   schoolDistricts, trusteeDistricts, nbCityCouncil, stateHouse, stateSenate,
+ *   congressional; missing layers are skipped
+ * @param {{ lat: number, lon: number }} coordinates - Geocoded point
+ * @param {object} [indexes] - R-trees keyed like `layers`
+ * @returns {object} { commissioner, voting, jp, jpApproximate, isd, isdPossible, trusteeDistrict, nbCityCouncil, stateHouse, stateHousePossible, stateSenate, congressional }
+ *   A point inside a commissioner precinct takes COUNTYWIDE_DISTRICTS for layers that are missing,
+ *   SPLIT_DISTRICTS as stateHousePossible and isdPossible while those layers are missing,
+ *   and, without the JP layer, the commissioner precinct's number as its JP precinct (jpApproximate)
+ */
+function lookupDistricts(layers, coordinates, indexes) {
+    const { lon, lat } = coordinates;
+    const idx = indexes || {};
+    const results = {};
+
+    const commissioner = findFeature(layers.commissioner, lon, lat, idx.commissioner);
+    if (commissioner) {
+        results.commissioner = commissioner.properties.Precinct || commissioner.properties.NAME;
+    }
+
+    const voting = findFeature(layers.voting, lon, lat, idx.voting);
+    if (voting) {
+        results.voting = voting.properties.Precinct || voting.properties.NAME;
+    }
+
+    const jp = findFeature(layers.jp, lon, lat, idx.jp);
+    if (jp) {
+        results.jp = jp.properties.Precinct;
+    } else if (!layers.jp && results.commissioner) {
+        // No JP layer yet: the commissioner precinct of the same number is the
+        // nearest stand-in, but the two boundaries differ in places
+        results.jp = String(results.commissioner);
+        results.jpApproximate = true;
+    }
+
+    // School district, and trustee district where the board has single-member districts
+    const isd = findFeature(layers.schoolDistricts, lon, lat, idx.schoolDistricts);
+    if (isd) {
+        results.isd = isd.properties.ISD;
+        const trusteeLayer = layers.trusteeDistricts && {
+            features: layers.trusteeDistricts.features.filter(f => f.properties.ISD === results.isd)
+        };
+        results.trusteeDistrict = findDistrict(trusteeLayer, lon, lat);
+    }
+
+    results.nbCityCouncil = findDistrict(layers.nbCityCouncil, lon, lat, idx.nbCityCouncil);
+
+    // State and federal districts (layers are clipped to Comal County)
+    results.stateHouse = findDistrict(layers.stateHouse, lon, lat, idx.stateHouse);
+    results.stateSenate = findDistrict(layers.stateSenate, lon, lat, idx.stateSenate);
+    results.congressional = findDistrict(layers.congressional, lon, lat, idx.congressional);
+    if (results.commissioner) {
+        Object.keys(COUNTYWIDE_DISTRICTS).forEach(key => {
+            if (!layers[key]) results[key] = COUNTYWIDE_DISTRICTS[key];
+        });
+        if (!layers.stateHouse) results.stateHousePossible = SPLIT_DISTRICTS.stateHouse.slice();
+        if (!layers.schoolDistricts) results.isdPossible = SPLIT_DISTRICTS.isd.slice();
+    }
+
+    return results;
+}
+
+/**
+ * The features each layer's R-tree returns for a point, as sparse
+ * FeatureCollections for lookupDistricts(). Only those features are loaded,
+ * from the per-feature files written by scripts/build-geo.js.
+ * @param {object} indexes - R-trees keyed by layer (build/index.json)
+ * @param {{ lat: number, lon: number }} coordinates - Geocoded point
+ * @param {function(string, number): Promise<object>} loadFeature - (layer key, feature id) → GeoJSON Feature
+ * @returns {Promise<object>} FeatureCollections keyed like `indexes`; `features[id]` is set for candidates only
+ */
+async function loadCandidateLayers(indexes, coordinates, loadFeature) {
+    const layers = {};
+    await Promise.all(Object.keys(indexes).map(async key => {
+        const ids = indexes[key] ? _districtsSearchIndex(indexes[key], coordinates.lon, coordinates.lat) : [];
+        const features = [];
+        await Promise.all(ids.map(async id => {
+            features[id] = await loadFeature(key, id);
+        }));
+        layers[key] = { type: 'FeatureCollection', features };
+    }));
+    return layers;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COUNTYWIDE_DISTRICTS,
+        SPLIT_DISTRICTS,
+        pointInGeometry,
+        findFeature,
+        findDistrict,
+        lookupDistricts,
+        loadCandidateLayers
+    };
+}
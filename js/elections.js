@@ -0,0 +1,259 @@
+/**
+ * Hill Country Sentinel — Election Calendar Module
+ *
+ * Reads data/elections.json and renders the homepage alert banner,
+ * the "Coming Up" countdowns and the full election calendar page.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global escapeHtml, fetchJsonOnce */
+
+// Shared helpers are browser globals (feed-renderer.js); require them under Node
+const _electionDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./feed-renderer.js')
+    : {};
+const _escapeElectionText = typeof escapeHtml === 'function' ? escapeHtml : _electionDeps.escapeHtml;
+const _electionFetchJson = typeof fetchJsonOnce === 'function' ? fetchJsonOnce : _electionDeps.fetchJsonOnce;
+
+const EVENT_TYPE_LABELS = {
+    'registration-deadline': 'Registration Deadline',
+    'early-voting': 'Early Voting',
+    'election': 'Election Day',
+    'runoff': 'Runoff'
+};
+
+/**
+ * Fetch the election calendar (cached per URL).
+ * @param {string} url - URL to elections.json
+ * @returns {Promise<Array>} Events sorted by start date
+ */
+async function fetchElections(url) {
+    const events = await _electionFetchJson(url);
+    return sortEventsByDate(events);
+}
+
+/**
+ * Sort events by start date ascending (soonest first).
+ * @param {Array} events - Election calendar events
+ * @returns {Array} Sorted events
+ */
+function sortEventsByDate(events) {
+    return [...events].sort((a, b) => (a.iso < b.iso ? -1 : a.iso > b.iso ? 1 : 0));
+}
+
+/**
+ * Midnight (local time) of the given day.
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {Date}
+ */
+function startOfDay(now) {
+    const d = now ? new Date(now.getTime()) : new Date();
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+/**
+ * Classify an event relative to today.
+ * Multi-day events (early voting) are "active" between iso and end_iso inclusive.
+ * @param {object} event - Event with iso and optional end_iso
+ * @param {Date} [now] - Reference time
+ * @returns {string} "past", "active" or "upcoming"
+ */
+function getEventStatus(event, now) {
+    const today = startOfDay(now);
+    const start = new Date(event.iso + 'T00:00:00');
+    const end = new Date((event.end_iso || event.iso) + 'T23:59:59');
+    if (end < today) return 'past';
+    if (start <= today) return 'active';
+    return 'upcoming';
+}
+
+/**
+ * Whole days from today until the event starts (0 if it starts today or already has).
+ * @param {object} event - Event with iso
+ * @param {Date} [now] - Reference time
+ * @returns {number}
+ */
+function getDaysUntil(event, now) {
+    const today = startOfDay(now);
+    const start = new Date(event.iso + 'T00:00:00');
+    return Math.max(0, Math.ceil((start - today) / 86400000));
+}
+
+/**
+ * Events that have not yet ended, soonest first.
+ * @param {Array} events - Election calendar events
+ * @param {Date} [now] - Reference time
+ * @param {number} [limit] - Maximum events to return
+ * @returns {Array}
+ */
+function getUpcomingEvents(events, now, limit) {
+    const upcoming = sortEventsByDate(events || [])
+        .filter(e => getEventStatus(e, now) !== 'past');
+    return limit ? upcoming.slice(0, limit) : upcoming;
+}
+
+/**
+ * Describe how far away an event is, e.g. "12 days away" or "Ends in 3 days".
+ * @param {object} event - Election calendar event
+ * @param {Date} [now] - Reference time
+ * @returns {string}
+ */
+function describeCountdown(event, now) {
+    const status = getEventStatus(event, now);
+    if (status === 'past') return 'Past';
+    if (status === 'active') {
+        if (!event.end_iso) return 'Today';
+        const daysLeft = getDaysUntil({ iso: event.end_iso }, now);
+        if (daysLeft === 0) return 'Last day';
+        return 'Ends in ' + daysLeft + (daysLeft === 1 ? ' day' : ' days');
+    }
+    const days = getDaysUntil(event, now);
+    return days === 1 ? 'Tomorrow' : days + ' days away';
+}
+
+/**
+ * Render the homepage alert banner for the next election event.
+ * @param {Array} events - Election calendar events
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @param {Date} [now] - Reference time
+ * @returns {string} The rendered HTML ('' when nothing is upcoming)
+ */
+function renderAlertBanner(events, containerEl, now) {
+    const next = getUpcomingEvents(events, now, 1)[0];
+    let html = '';
+    if (next) {
+        const isActive = getEventStatus(next, now) === 'active';
+        const icon = isActive ? '🗳️' : '📅';
+        const prefix = isActive ? 'HAPPENING NOW: ' : 'Coming Up: ';
+        let suffix = isActive ? 'Make your voice heard!' : 'Mark your calendar!';
+        const daysUntil = getDaysUntil(next, now);
+        if (!isActive && daysUntil > 0 && daysUntil <= 30) {
+            suffix = daysUntil === 1 ? 'Tomorrow!' : daysUntil + ' days away — mark your calendar!';
+        }
+        html = '<div class="alert-banner">' +
+            '<div class="alert-icon">' + icon + '</div>' +
+            '<div class="alert-text">' +
+            '<h3>' + prefix + _escapeElectionText(next.event) + '</h3>' +
+            '<p>' + _escapeElectionText(next.date) + ' — ' + suffix + '</p>' +
+            '</div>' +
+            '</div>';
+    }
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+/**
+ * Render "Coming Up" countdown cards for the next few events.
+ * @param {Array} events - Election calendar events
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @param {number} [limit=3] - Maximum events to show
+ * @param {Date} [now] - Reference time
+ * @param {string} [calendarUrl='elections.html'] - URL for the full calendar link
+ * @returns {string} The rendered HTML
+ */
+function renderCountdowns(events, containerEl, limit, now, calendarUrl) {
+    limit = limit || 3;
+    calendarUrl = calendarUrl || 'elections.html';
+    const upcoming = getUpcomingEvents(events, now, limit);
+    let html;
+    if (upcoming.length === 0) {
+        html = '<p class="countdown-empty">No upcoming election dates on the calendar.</p>';
+    } else {
+        html = upcoming.map(event => {
+            const status = getEventStatus(event, now);
+            const days = getDaysUntil(event, now);
+            const number = status === 'active' ? 'NOW' : String(days);
+            const unit = status === 'active' ? '' : (days === 1 ? 'day' : 'days');
+            return `<div class="countdown-item ${status}" data-event-id="${_escapeElectionText(event.id)}">
+        <div class="countdown-number">${number}</div>
+        <div class="countdown-unit">${unit}</div>
+        <div class="countdown-event">${_escapeElectionText(event.event)}</div>
+        <div class="countdown-date">${_escapeElectionText(event.date)}</div>
+    </div>`;
+        }).join('\n');
+    }
+    html += `\n<a href="${_escapeElectionText(calendarUrl)}" class="view-all">Full Election Calendar →</a>`;
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+/**
+ * Group events by their election id, keeping calendar order.
+ * @param {Array} events - Election calendar events
+ * @returns {Array<{ id: string, title: string, iso: string, events: Array }>}
+ */
+function groupEventsByElection(events) {
+    const groups = [];
+    const byId = {};
+    sortEventsByDate(events || []).forEach(event => {
+        const key = event.election || event.id;
+        if (!byId[key]) {
+            byId[key] = { id: key, title: '', iso: '', events: [] };
+            groups.push(byId[key]);
+        }
+        byId[key].events.push(event);
+        // The election-day (or runoff) entry names and dates the group
+        if (event.type === 'election' || event.type === 'runoff') {
+            byId[key].title = event.event.replace(/ Day\b/, '');
+            byId[key].iso = event.iso;
+        }
+    });
+    groups.forEach(g => {
+        if (!g.title) g.title = g.events[0].event;
+        if (!g.iso) g.iso = g.events[g.events.length - 1].iso;
+    });
+    return groups.sort((a, b) => (a.iso < b.iso ? -1 : a.iso > b.iso ? 1 : 0));
+}
+
+/**
+ * Render the full election calendar, grouped by election.
+ * @param {Array} events - Election calendar events
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @param {Date} [now] - Reference time
+ * @returns {string} The rendered HTML
+ */
+function renderElectionCalendar(events, containerEl, now) {
+    const html = groupEventsByElection(events).map(group => {
+        const rows = group.events.map(event => {
+            const status = getEventStatus(event, now);
+            const typeLabel = EVENT_TYPE_LABELS[event.type] || '';
+            const tentative = event.tentative ? ' <span class="calendar-tentative">Tentative</span>' : '';
+            return `<div class="calendar-item ${status}" data-event-id="${_escapeElectionText(event.id)}">
+            <div class="cal-date">${_escapeElectionText(event.date)}</div>
+            <div class="cal-event">${_escapeElectionText(event.event)}${tentative}</div>
+            <div class="cal-type">${_escapeElectionText(typeLabel)}</div>
+            <div class="cal-countdown">${_escapeElectionText(describeCountdown(event, now))}</div>
+        </div>`;
+        }).join('\n        ');
+        return `<section class="calendar-group" id="${_escapeElectionText(group.id)}">
+        <h2>${_escapeElectionText(group.title)}</h2>
+        ${rows}
+    </section>`;
+    }).join('\n');
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+// Export for Node.js (tests), no-op in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EVENT_TYPE_LABELS,
+        fetchElections,
+        sortEventsByDate,
+        getEventStatus,
+        getDaysUntil,
+        getUpcomingEvents,
+        describeCountdown,
+        renderAlertBanner,
+        renderCountdowns,
+        groupEventsByElection,
+        renderElectionCalendar
+    };
+}
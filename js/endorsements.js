@@ -0,0 +1,391 @@
+/**
+ * Hill Country Sentinel — Endorsements Module
+ *
+ * Loads data/endorsements.json (endorser → candidate, race, date and the feed
+ * entry that reported it). Renders the "Endorsed by" section on candidate
+ * profiles and the endorsement network on endorsements.html: endorsers on the
+ * left, candidates grouped by race on the right, one line per endorsement.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global escapeHtml, fetchFeed, fetchJsonOnce */
+
+// escapeHtml and fetchJsonOnce are browser globals (feed-renderer.js); require them under Node
+const _endorsementDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./feed-renderer.js')
+    : {};
+const _escapeEndorsementText = typeof escapeHtml === 'function' ? escapeHtml : _endorsementDeps.escapeHtml;
+const _endorsementFetchJson = typeof fetchJsonOnce === 'function' ? fetchJsonOnce : _endorsementDeps.fetchJsonOnce;
+
+const ENDORSER_TYPES = { person: 'Person', organization: 'Organization' };
+
+// Network layout, in SVG user units
+const NETWORK_WIDTH = 900;
+const NETWORK_ROW = 30;
+const NETWORK_RACE_GAP = 34;
+const NETWORK_LEFT_X = 190;
+const NETWORK_RIGHT_X = 610;
+
+/**
+ * Fetch endorsements.json or races.json (cached per URL).
+ * @param {string} url - URL to the JSON file
+ * @returns {Promise<Array>}
+ */
+function fetchEndorsements(url) {
+    return _endorsementFetchJson(url);
+}
+
+/**
+ * Endorsements of one candidate, newest first.
+ * @param {Array} endorsements - endorsements.json
+ * @param {string} slug - Candidate slug
+ * @returns {Array}
+ */
+function getCandidateEndorsements(endorsements, slug) {
+    if (!slug) return [];
+    return (endorsements || [])
+        .filter(e => e.candidate === slug)
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Node id for an endorser: their registry slug, or their name for endorsers
+ * in neither registry, so the same person is one node across endorsements.
+ * @param {object} endorser - { type, slug, name }
+ * @returns {string}
+ */
+function getEndorserId(endorser) {
+    const key = endorser.slug || String(endorser.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${endorser.type}:${key}`;
+}
+
+/**
+ * Link for an endorser or candidate: profile page for people with a slug,
+ * organization page for organizations, null otherwise.
+ * @param {string} type - 'person', 'organization' or 'candidate'
+ * @param {string|null} slug
+ * @param {string} base - Path from the page to the site root
+ * @returns {string|null}
+ */
+function _endorsementHref(type, slug, base) {
+    if (!slug) return null;
+    return type === 'organization' ? `${base}organizations/${slug}.html` : `${base}profiles/${slug}.html`;
+}
+
+/**
+ * Build the endorsement network for a set of races: races that have at least
+ * one endorsement, with all of their candidates, and every endorser of them.
+ * @param {Array} endorsements - endorsements.json
+ * @param {Array} races - races.json
+ * @param {object} [options] - { year: '2026', race: race id to show only that race }
+ * @returns {{ races: Array, candidates: Array, endorsers: Array, edges: Array }}
+ */
+function buildEndorsementGraph(endorsements, races, options) {
+    const opts = options || {};
+    const year = opts.year || '2026';
+    const inScope = (races || []).filter(r => String(r.electionDate || '').startsWith(year) && (!opts.race || r.id === opts.race));
+    const running = new Set();
+    inScope.forEach(r => (r.candidates || []).forEach(c => { if (c.slug) running.add(`${r.id}/${c.slug}`); }));
+    const list = (endorsements || []).filter(e => running.has(`${e.race}/${e.candidate}`));
+    const endorsedRaces = new Set(list.map(e => e.race));
+
+    const graphRaces = [];
+    const candidates = [];
+    inScope.filter(r => endorsedRaces.has(r.id)).forEach(race => {
+        const ids = [];
+        (race.candidates || []).forEach(c => {
+            // Placeholders such as "TBA (Democratic nominee)" have no slug and no endorsements
+            if (!c.slug) return;
+            const id = `candidate:${c.slug}`;
+            ids.push(id);
+            candidates.push({ id, slug: c.slug, name: c.name, race: race.id, count: list.filter(e => e.candidate === c.slug && e.race === race.id).length });
+        });
+        graphRaces.push({ id: race.id, office: race.office, candidates: ids });
+    });
+
+    const endorsers = {};
+    const edges = [];
+    list.forEach(e => {
+        const id = getEndorserId(e.endorser);
+        if (!endorsers[id]) endorsers[id] = { id, type: e.endorser.type, slug: e.endorser.slug || null, name: e.endorser.name, count: 0 };
+        endorsers[id].count++;
+        edges.push({ from: id, to: `candidate:${e.candidate}`, endorsement: e });
+    });
+
+    return {
+        races: graphRaces,
+        candidates,
+        endorsers: Object.values(endorsers).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+        edges
+    };
+}
+
+/**
+ * Positions for every node: endorsers in one column, candidates in another
+ * under their race's heading.
+ * @param {object} graph - From buildEndorsementGraph()
+ * @returns {{ width: number, height: number, positions: object, headings: Array<{ office: string, y: number }> }}
+ */
+function layoutEndorsementGraph(graph) {
+    const positions = {};
+    const headings = [];
+    let y = NETWORK_RACE_GAP;
+    graph.races.forEach(race => {
+        headings.push({ office: race.office, y });
+        y += NETWORK_ROW * 0.8;
+        race.candidates.forEach(id => {
+            positions[id] = { x: NETWORK_RIGHT_X, y };
+            y += NETWORK_ROW;
+        });
+        y += NETWORK_RACE_GAP - NETWORK_ROW;
+    });
+    const rightHeight = y;
+
+    // Centre the endorser column against the candidates
+    const leftHeight = graph.endorsers.length * NETWORK_ROW;
+    const top = Math.max(NETWORK_RACE_GAP, (rightHeight - leftHeight) / 2);
+    graph.endorsers.forEach((endorser, i) => {
+        positions[endorser.id] = { x: NETWORK_LEFT_X, y: top + i * NETWORK_ROW };
+    });
+
+    return {
+        width: NETWORK_WIDTH,
+        height: Math.ceil(Math.max(rightHeight, top + leftHeight) + NETWORK_ROW / 2),
+        positions,
+        headings
+    };
+}
+
+/**
+ * Render the endorsement network as an SVG. Nodes and lines carry
+ * data-node / data-from / data-to so initEndorsementNetwork() can highlight
+ * a node's connections.
+ * @param {object} graph - From buildEndorsementGraph()
+ * @param {HTMLElement|object|null} containerEl - Element to fill (optional)
+ * @param {string} [base=''] - Path from the page to the site root
+ * @returns {string} HTML
+ */
+function renderEndorsementNetwork(graph, containerEl, base) {
+    const prefix = base || '';
+    let html;
+    if (!graph.edges.length) {
+        html = '<p class="endorsement-empty">No endorsements recorded for these races yet.</p>';
+    } else {
+        const layout = layoutEndorsementGraph(graph);
+        const pos = layout.positions;
+        const names = {};
+        graph.candidates.forEach(c => { names[c.id] = c.name; });
+        const label = (text, href, x, y, anchor) => {
+            const t = `<text x="${x}" y="${y + 4}" text-anchor="${anchor}">${_escapeEndorsementText(text)}</text>`;
+            return href ? `<a href="${_escapeEndorsementText(href)}">${t}</a>` : t;
+        };
+
+        const edges = graph.edges.map(edge => {
+            const a = pos[edge.from];
+            const b = pos[edge.to];
+            const mid = (a.x + b.x) / 2;
+            const e = edge.endorsement;
+            return `<path class="en-edge" data-from="${edge.from}" data-to="${edge.to}" d="M${a.x},${a.y} C${mid},${a.y} ${mid},${b.y} ${b.x},${b.y}"><title>${_escapeEndorsementText(`${e.endorser.name} → ${names[edge.to]} (${e.date})`)}</title></path>`;
+        }).join('\n        ');
+
+        const endorsers = graph.endorsers.map(n => {
+            const p = pos[n.id];
+            return `<g class="en-node en-${n.type}" data-node="${n.id}" tabindex="0">
+            <circle cx="${p.x}" cy="${p.y}" r="${5 + Math.min(n.count, 4)}"></circle>
+            ${label(n.name, _endorsementHref(n.type, n.slug, prefix), p.x - 14, p.y, 'end')}
+        </g>`;
+        }).join('\n        ');
+
+        const candidates = graph.candidates.map(n => {
+            const p = pos[n.id];
+            return `<g class="en-node en-candidate${n.count ? '' : ' en-unendorsed'}" data-node="${n.id}" tabindex="0">
+            <circle cx="${p.x}" cy="${p.y}" r="${5 + Math.min(n.count, 4)}"></circle>
+            ${label(`${n.name}${n.count ? ` (${n.count})` : ''}`, _endorsementHref('candidate', n.slug, prefix), p.x + 14, p.y, 'start')}
+        </g>`;
+        }).join('\n        ');
+
+        const headings = layout.headings.map(h =>
+            `<text class="en-race" x="${NETWORK_RIGHT_X - 8}" y="${h.y}">${_escapeEndorsementText(h.office)}</text>`
+        ).join('\n        ');
+
+        html = `<svg class="endorsement-network" viewBox="0 0 ${layout.width} ${layout.height}" role="img" aria-label="Endorsement network">
+        ${headings}
+        ${edges}
+        ${endorsers}
+        ${candidates}
+    </svg>
+    <div class="endorsement-legend">
+        <span class="en-key en-person"></span> Person
+        <span class="en-key en-organization"></span> Organization
+        <span class="en-key en-candidate"></span> Candidate (endorsements)
+    </div>`;
+    }
+
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+/**
+ * Render the "Endorsed by" list for a candidate profile.
+ * @param {Array} endorsements - The candidate's endorsements (getCandidateEndorsements)
+ * @param {Array} entries - Feed entries, to link each endorsement to its source
+ * @param {HTMLElement|object|null} containerEl - Element to fill (optional)
+ * @param {string} [base='../'] - Path from the page to the site root
+ * @returns {string} HTML
+ */
+function renderEndorsedBy(endorsements, entries, containerEl, base) {
+    const prefix = base === undefined ? '../' : base;
+    const byId = {};
+    (entries || []).forEach(e => { byId[e.id] = e; });
+
+    let html;
+    if (!endorsements || !endorsements.length) {
+        html = '<p class="endorsement-empty">No endorsements recorded.</p>';
+    } else {
+        const items = endorsements.map(e => {
+            const href = _endorsementHref(e.endorser.type, e.endorser.slug, prefix);
+            const name = _escapeEndorsementText(e.endorser.name);
+            const entry = byId[e.sourceEntry];
+            const sourceUrl = entry && (entry.sourceUrl || (entry.archiveUrl ? prefix + entry.archiveUrl : null));
+            const source = sourceUrl
+                ? ` &middot; <a class="endorsement-source" href="${_escapeEndorsementText(sourceUrl)}" target="_blank" rel="noopener">${_escapeEndorsementText(entry.source || 'Source')}</a>`
+                : '';
+            return `<li class="endorsement-item">
+                <span class="en-key en-${e.endorser.type}" title="${ENDORSER_TYPES[e.endorser.type] || ''}"></span>
+                ${href ? `<a href="${href}">${name}</a>` : name}
+                <span class="endorsement-date">${_escapeEndorsementText(e.date)}</span>${source}
+            </li>`;
+        }).join('\n            ');
+        html = `<ul class="endorsement-list">
+            ${items}
+        </ul>`;
+    }
+
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+/**
+ * Fill a profile's "Endorsed by" section.
+ * @param {object} [options] - { slug, containerId, endorsementsUrl, feedUrl }
+ *   slug defaults to <body data-candidate-slug>, containerId to 'endorsed-by',
+ *   endorsementsUrl to '../data/endorsements.json', feedUrl to '../data/candidate-news.json'
+ * @returns {Promise<void>}
+ */
+function initEndorsedBy(options) {
+    const opts = options || {};
+    const slug = opts.slug || document.body.getAttribute('data-candidate-slug');
+    const container = document.getElementById(opts.containerId || 'endorsed-by');
+    if (!container || !slug) return Promise.resolve();
+    const getFeed = typeof fetchFeed === 'function' ? fetchFeed : fetchEndorsements;
+
+    return Promise.all([
+        fetchEndorsements(opts.endorsementsUrl || '../data/endorsements.json'),
+        getFeed(opts.feedUrl || '../data/candidate-news.json').catch(() => [])
+    ])
+        .then(([endorsements, entries]) => {
+            renderEndorsedBy(getCandidateEndorsements(endorsements, slug), entries, container);
+        })
+        .catch(() => {
+            container.innerHTML = '<p class="endorsement-empty">Unable to load endorsements.</p>';
+        });
+}
+
+/**
+ * Highlight the lines and nodes connected to one node, or clear with null.
+ * @param {HTMLElement} containerEl - Element holding the SVG
+ * @param {string|null} nodeId
+ */
+function _highlightEndorsementNode(containerEl, nodeId) {
+    const svg = containerEl.querySelector('svg');
+    if (!svg) return;
+    svg.classList.toggle('en-focus', !!nodeId);
+    const linked = new Set(nodeId ? [nodeId] : []);
+    svg.querySelectorAll('.en-edge').forEach(edge => {
+        const on = !!nodeId && (edge.dataset.from === nodeId || edge.dataset.to === nodeId);
+        edge.classList.toggle('is-linked', on);
+        if (on) {
+            linked.add(edge.dataset.from);
+            linked.add(edge.dataset.to);
+        }
+    });
+    svg.querySelectorAll('.en-node').forEach(node => {
+        node.classList.toggle('is-linked', linked.has(node.dataset.node));
+    });
+}
+
+/**
+ * Build the endorsements page: race filter plus the interactive network.
+ * Hovering or focusing a node highlights its endorsements; clicking pins it.
+ * @param {object} [options] - { containerId, filterId, endorsementsUrl, racesUrl, year }
+ * @returns {Promise<void>}
+ */
+function initEndorsementNetwork(options) {
+    const opts = options || {};
+    const container = document.getElementById(opts.containerId || 'endorsement-network');
+    const filter = document.getElementById(opts.filterId || 'endorsement-race-filter');
+    if (!container) return Promise.resolve();
+    let pinned = null;
+
+    return Promise.all([
+        fetchEndorsements(opts.endorsementsUrl || 'data/endorsements.json'),
+        fetchEndorsements(opts.racesUrl || 'data/races.json')
+    ])
+        .then(([endorsements, races]) => {
+            const draw = race => {
+                pinned = null;
+                renderEndorsementNetwork(buildEndorsementGraph(endorsements, races, { year: opts.year, race }), container);
+            };
+            if (filter) {
+                const graph = buildEndorsementGraph(endorsements, races, { year: opts.year });
+                filter.innerHTML = '<option value="">All races</option>' + graph.races
+                    .map(r => `<option value="${r.id}">${_escapeEndorsementText(r.office)}</option>`).join('');
+                filter.addEventListener('change', () => draw(filter.value || null));
+            }
+            draw(null);
+
+            const nodeOf = event => event.target.closest && event.target.closest('.en-node');
+            container.addEventListener('mouseover', event => {
+                const node = nodeOf(event);
+                if (node && !pinned) _highlightEndorsementNode(container, node.dataset.node);
+            });
+            container.addEventListener('mouseout', event => {
+                if (nodeOf(event) && !pinned) _highlightEndorsementNode(container, null);
+            });
+            container.addEventListener('focusin', event => {
+                const node = nodeOf(event);
+                if (node) _highlightEndorsementNode(container, node.dataset.node);
+            });
+            container.addEventListener('click', event => {
+                const node = nodeOf(event);
+                // Let links inside a pinned node through; the first click pins
+                if (node && pinned === node.dataset.node) return;
+                if (node && event.target.closest('a')) event.preventDefault();
+                pinned = node ? node.dataset.node : null;
+                _highlightEndorsementNode(container, pinned);
+            });
+        })
+        .catch(() => {
+            container.innerHTML = '<p class="endorsement-empty">Unable to load endorsements.</p>';
+        });
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ENDORSER_TYPES,
+        fetchEndorsements,
+        getCandidateEndorsements,
+        getEndorserId,
+        buildEndorsementGraph,
+        layoutEndorsementGraph,
+        renderEndorsementNetwork,
+        renderEndorsedBy,
+        initEndorsedBy,
+        initEndorsementNetwork
+    };
+}
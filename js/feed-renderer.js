@@ -7,6 +7,9 @@
 
 /* global formatDate */
 
+// One request per JSON URL, shared by every module on the page
+const _jsonRequests = {};
+
 /**
  * Fetch a JSON feed from a URL.
  * @param {string} url - URL to the JSON feed file
@@ -21,6 +24,27 @@ async function fetchFeed(url) {
     return sortEntriesByDate(entries);
 }
 
+/**
+ * Fetch a JSON file once per page. Every caller asking for the same URL
+ * shares one request; a failed request is dropped so the next call retries.
+ * @param {string} url - URL to the JSON file
+ * @returns {Promise<*>} Parsed JSON
+ */
+function fetchJsonOnce(url) {
+    if (!_jsonRequests[url]) {
+        _jsonRequests[url] = fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+            }
+            return response.json();
+        }).catch(err => {
+            delete _jsonRequests[url];
+            throw err;
+        });
+    }
+    return _jsonRequests[url];
+}
+
 /**
  * Sort entries by date descending (newest first).
  * @param {Array} entries - Feed entries
@@ -37,7 +61,7 @@ function sortEntriesByDate(entries) {
  */
 function escapeHtml(str) {
     if (!str) return '';
-    return str
+    return String(str)
         .replace(/&/g, '&amp;')
         .replace(/</g, '&lt;')
         .replace(/>/g, '&gt;')
@@ -301,6 +325,7 @@ function renderCandidateGrid(candidates, containerEl) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         fetchFeed,
+        fetchJsonOnce,
         sortEntriesByDate,
         escapeHtml,
         formatCategory,
@@ -0,0 +1,287 @@
+/**
+ * Hill Country Sentinel — Campaign Finance Module
+ *
+ * Reads the per-filer files scripts/import-finance.js writes under
+ * data/finance/ and renders the "Campaign Finance" section on profile pages:
+ * totals, top donors (cross-linked to Business Watch entries that name them)
+ * and money raised and spent by quarter.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global escapeHtml, fetchJsonOnce */
+
+// escapeHtml and fetchJsonOnce are browser globals (feed-renderer.js); require them under Node
+const _financeDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./feed-renderer.js')
+    : {};
+const _escapeFinanceText = typeof escapeHtml === 'function' ? escapeHtml : _financeDeps.escapeHtml;
+const _financeFetchJson = typeof fetchJsonOnce === 'function' ? fetchJsonOnce : _financeDeps.fetchJsonOnce;
+
+// Business-name endings ignored when grouping donors ("Acme Homes, LLC" = "Acme Homes LLC")
+const DONOR_SUFFIXES = ['llc', 'inc', 'co', 'corp', 'corporation', 'company', 'ltd', 'lp', 'llp', 'pllc', 'pc'];
+
+/**
+ * Fetch a finance JSON file (cached per URL).
+ * @param {string} url - URL to data/finance/index.json or a filer file
+ * @returns {Promise<object>}
+ */
+function fetchFinance(url) {
+    return _financeFetchJson(url);
+}
+
+function _nameWords(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9 ]+/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Grouping key for a donor name: lower case, punctuation and business
+ * suffixes dropped.
+ * @param {string} name - Donor name as filed
+ * @returns {string}
+ */
+function donorKey(name) {
+    const words = _nameWords(name);
+    const kept = words.filter(word => !DONOR_SUFFIXES.includes(word));
+    return (kept.length ? kept : words).join(' ');
+}
+
+function _sum(records) {
+    return Math.round(records.reduce((total, r) => total + (r.amount || 0), 0) * 100) / 100;
+}
+
+/**
+ * Totals for one filer.
+ * @param {object} filer - data/finance/<slug>.json
+ * @returns {{ raised: number, spent: number, contributions: number, expenditures: number, donors: number }}
+ */
+function getFinanceTotals(filer) {
+    const contributions = (filer && filer.contributions) || [];
+    const expenditures = (filer && filer.expenditures) || [];
+    return {
+        raised: _sum(contributions),
+        spent: _sum(expenditures),
+        contributions: contributions.length,
+        expenditures: expenditures.length,
+        donors: new Set(contributions.map(c => donorKey(c.donor))).size
+    };
+}
+
+/**
+ * Donors by total given, largest first. Gifts from the same donor under
+ * slightly different spellings are grouped by donorKey().
+ * @param {object} filer - data/finance/<slug>.json
+ * @param {number} [limit=10] - How many to return
+ * @returns {Array<{ key: string, name: string, donorType: string, total: number, count: number }>}
+ */
+function getTopDonors(filer, limit) {
+    const groups = {};
+    ((filer && filer.contributions) || []).forEach(c => {
+        const key = donorKey(c.donor);
+        if (!groups[key]) groups[key] = { key, name: c.donor, donorType: c.donorType, total: 0, count: 0 };
+        groups[key].total += c.amount;
+        groups[key].count++;
+    });
+    return Object.values(groups)
+        .map(g => Object.assign(g, { total: Math.round(g.total * 100) / 100 }))
+        .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name))
+        .slice(0, limit || 10);
+}
+
+/**
+ * "2025-08-14" → "2025-Q3".
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function _quarterOf(date) {
+    return `${date.slice(0, 4)}-Q${Math.floor((parseInt(date.slice(5, 7), 10) - 1) / 3) + 1}`;
+}
+
+/**
+ * Money raised and spent per calendar quarter, oldest first, including
+ * empty quarters between the first and last activity.
+ * @param {object} filer - data/finance/<slug>.json
+ * @returns {Array<{ period: string, raised: number, spent: number }>}
+ */
+function getFinanceByPeriod(filer) {
+    const periods = {};
+    const add = (records, field) => records.forEach(r => {
+        const period = _quarterOf(r.date);
+        if (!periods[period]) periods[period] = { period, raised: 0, spent: 0 };
+        periods[period][field] += r.amount;
+    });
+    add((filer && filer.contributions) || [], 'raised');
+    add((filer && filer.expenditures) || [], 'spent');
+
+    const keys = Object.keys(periods).sort();
+    if (!keys.length) return [];
+    const result = [];
+    let [year, quarter] = keys[0].split('-Q').map(Number);
+    const last = keys[keys.length - 1];
+    for (;;) {
+        const period = `${year}-Q${quarter}`;
+        const p = periods[period] || { period, raised: 0, spent: 0 };
+        result.push({ period, raised: Math.round(p.raised * 100) / 100, spent: Math.round(p.spent * 100) / 100 });
+        if (period === last) break;
+        quarter = quarter === 4 ? 1 : quarter + 1;
+        if (quarter === 1) year++;
+    }
+    return result;
+}
+
+/**
+ * Business Watch entries that name a donor in their title or summary.
+ * @param {string} donorName - Donor name as filed
+ * @param {Array} entries - business-watch.json entries
+ * @returns {Array} Matching entries, newest first
+ */
+function findBusinessMentions(donorName, entries) {
+    const key = donorKey(donorName);
+    if (key.length < 4) return [];
+    return (entries || [])
+        .filter(e => {
+            const words = _nameWords(`${e.title || ''} ${e.summary || ''}`).filter(word => !DONOR_SUFFIXES.includes(word));
+            return ` ${words.join(' ')} `.includes(` ${key} `);
+        })
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * "$1,250" (whole dollars).
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatMoney(amount) {
+    const rounded = Math.round(amount || 0);
+    return `${rounded < 0 ? '-' : ''}$${Math.abs(rounded).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+}
+
+function _renderFinanceInto(html, containerEl) {
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+/**
+ * Render raised/spent bars per quarter.
+ * @param {Array} periods - From getFinanceByPeriod()
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @returns {string} The rendered HTML
+ */
+function renderFinanceChart(periods, containerEl) {
+    const max = Math.max(1, ...periods.map(p => Math.max(p.raised, p.spent)));
+    const width = value => `${Math.round((value / max) * 100)}%`;
+    const rows = periods.map(p => `<div class="finance-period" data-period="${p.period}">
+            <span class="finance-period-label">${p.period.replace('-', ' ')}</span>
+            <div class="finance-bars">
+                <div class="finance-bar raised" style="width:${width(p.raised)}" title="Raised ${formatMoney(p.raised)}"></div>
+                <div class="finance-bar spent" style="width:${width(p.spent)}" title="Spent ${formatMoney(p.spent)}"></div>
+            </div>
+            <span class="finance-period-amounts">${formatMoney(p.raised)} / ${formatMoney(p.spent)}</span>
+        </div>`).join('\n        ');
+    const html = `<div class="finance-chart">
+        <div class="finance-legend"><span class="finance-key raised"></span> Raised <span class="finance-key spent"></span> Spent</div>
+        ${rows}
+    </div>`;
+    return _renderFinanceInto(html, containerEl);
+}
+
+/**
+ * Render a filer's campaign finance section: totals, top donors and the
+ * by-quarter chart.
+ * @param {object} filer - data/finance/<slug>.json
+ * @param {Array} businessEntries - business-watch.json entries, for donor cross-links
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @param {string} [base='../'] - Path prefix for Sentinel links
+ * @returns {string} The rendered HTML
+ */
+function renderFinanceSummary(filer, businessEntries, containerEl, base) {
+    const prefix = base === undefined ? '../' : base;
+    const totals = getFinanceTotals(filer);
+    if (!totals.contributions && !totals.expenditures) {
+        return _renderFinanceInto('<p class="finance-empty">No campaign finance reports on file.</p>', containerEl);
+    }
+
+    const donorRows = getTopDonors(filer).map(d => {
+        const mentions = findBusinessMentions(d.name, businessEntries).map(e => {
+            const url = e.sourceUrl || e.archiveUrl;
+            if (!url) return '';
+            const external = /^https?:\/\//.test(url);
+            const href = external ? url : prefix + url;
+            return `<a class="finance-bw-link" href="${_escapeFinanceText(href)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>Business Watch: ${_escapeFinanceText(e.title)}</a>`;
+        }).filter(Boolean).join(' ');
+        return `<tr>
+                <td>${_escapeFinanceText(d.name)}${mentions ? `<div class="finance-mentions">${mentions}</div>` : ''}</td>
+                <td>${d.count}</td>
+                <td class="amount">${formatMoney(d.total)}</td>
+            </tr>`;
+    }).join('\n            ');
+
+    const sources = (filer.sources || []).map(s => s.source === 'tec' ? `Texas Ethics Commission (filer ${s.ident})` : 'City of New Braunfels local reports');
+    const html = `<div class="campaign-finance">
+        <div class="analytics-stats">
+            <div class="analytics-stat"><span class="stat-value">${formatMoney(totals.raised)}</span><span class="stat-label">Raised (${totals.contributions} contributions)</span></div>
+            <div class="analytics-stat"><span class="stat-value">${formatMoney(totals.spent)}</span><span class="stat-label">Spent (${totals.expenditures} expenditures)</span></div>
+            <div class="analytics-stat"><span class="stat-value">${totals.donors}</span><span class="stat-label">Donors</span></div>
+        </div>
+        ${donorRows ? `<h4>Top Donors</h4>
+        <table class="finance-donors">
+            <thead><tr><th>Donor</th><th>Gifts</th><th>Total</th></tr></thead>
+            <tbody>
+            ${donorRows}
+            </tbody>
+        </table>` : ''}
+        <h4>By Quarter</h4>
+        ${renderFinanceChart(getFinanceByPeriod(filer), null)}
+        ${sources.length ? `<p class="finance-source">Source: ${_escapeFinanceText(Array.from(new Set(sources)).join('; '))}</p>` : ''}
+    </div>`;
+    return _renderFinanceInto(html, containerEl);
+}
+
+/**
+ * Load a filer's finance data and render it into the page.
+ * @param {object} [options] - { slug, containerId, indexUrl, businessUrl }
+ *   slug defaults to <body data-candidate-slug>, containerId to 'campaign-finance',
+ *   indexUrl to '../data/finance/index.json', businessUrl to '../data/business-watch.json'
+ * @returns {Promise<void>}
+ */
+function initCampaignFinance(options) {
+    const opts = options || {};
+    const slug = opts.slug || document.body.getAttribute('data-candidate-slug');
+    const container = document.getElementById(opts.containerId || 'campaign-finance');
+    if (!container || !slug) return Promise.resolve();
+    const indexUrl = opts.indexUrl || '../data/finance/index.json';
+    const dir = indexUrl.slice(0, indexUrl.lastIndexOf('/') + 1);
+
+    return fetchFinance(indexUrl)
+        .then(index => {
+            const entry = index.filers && index.filers[slug];
+            if (!entry) {
+                renderFinanceSummary(null, [], container);
+                return null;
+            }
+            return Promise.all([
+                fetchFinance(dir + entry.file),
+                fetchFinance(opts.businessUrl || '../data/business-watch.json').catch(() => [])
+            ]).then(([filer, business]) => { renderFinanceSummary(filer, business, container); });
+        })
+        .catch(() => {
+            container.innerHTML = '<p class="finance-empty">Unable to load campaign finance data.</p>';
+        });
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        fetchFinance,
+        donorKey,
+        getFinanceTotals,
+        getTopDonors,
+        getFinanceByPeriod,
+        findBusinessMentions,
+        formatMoney,
+        renderFinanceChart,
+        renderFinanceSummary,
+        initCampaignFinance
+    };
+}
@@ -0,0 +1,225 @@
+/**
+ * Hill Country Sentinel — Geocoder Module
+ *
+ * Turns what a resident types into coordinates for Find My Officials.
+ * Each provider is an object { name, geocode(address) } whose geocode()
+ * resolves to { lat, lon, matchedAddress, provider } or null when it has no
+ * match. geocodeWithFallback() asks providers in order, so the page keeps
+ * working when one service is down and tests can run the whole lookup
+ * against the local address-point provider without a network.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+// Comal County search area for the ArcGIS provider
+const GEOCODER_CENTER = { lat: 29.70, lon: -98.13 };
+const GEOCODER_EXTENT = { west: -98.87, south: 29.50, east: -97.90, north: 30.25 };
+
+const STREET_ABBREVIATIONS = {
+    STREET: 'ST', AVENUE: 'AVE', DRIVE: 'DR', ROAD: 'RD', LANE: 'LN', BOULEVARD: 'BLVD',
+    COURT: 'CT', CIRCLE: 'CIR', PLACE: 'PL', PARKWAY: 'PKWY', HIGHWAY: 'HWY', TRAIL: 'TRL',
+    NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W'
+};
+
+/**
+ * Append local context to addresses that name no city, state or ZIP, so
+ * "550 Landa St" is searched in New Braunfels rather than nationwide. A ZIP
+ * only counts at the end, since rural house numbers ("26240 Hwy 46") have
+ * five digits too.
+ * @param {string} address - Address as typed
+ * @returns {string}
+ */
+function withLocalContext(address) {
+    const query = String(address || '').trim();
+    return /\b(?:TX|Texas|New Braunfels)\b|\b\d{5}(?:-\d{4})?$/i.test(query) ? query : `${query}, New Braunfels, TX 78130`;
+}
+
+/**
+ * Uppercase an address, drop punctuation and abbreviate street types and
+ * directions, so "550 Landa Street" and "550 LANDA ST." compare equal.
+ * @param {string} address - Address text
+ * @returns {string}
+ */
+function normalizeAddress(address) {
+    return String(address || '')
+        .toUpperCase()
+        .replace(/[.,#]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => STREET_ABBREVIATIONS[word] || word)
+        .join(' ');
+}
+
+/**
+ * Raw "lat, lon" input, e.g. pasted from a map app.
+ * @returns {object} Provider
+ */
+function createCoordinateProvider() {
+    return {
+        name: 'coordinates',
+        async geocode(address) {
+            const match = String(address || '').trim().match(/^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/);
+            if (!match) return null;
+            const lat = parseFloat(match[1]);
+            const lon = parseFloat(match[2]);
+            if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+            return { lat, lon, matchedAddress: `${lat}, ${lon}`, provider: 'coordinates' };
+        }
+    };
+}
+
+/**
+ * Comal County address points (data/geo/address-points.json), matched on
+ * the normalized street address; a ZIP or city in the input narrows the match.
+ * @param {object} options - { points } or { url, fetch } to load them on first use
+ * @returns {object} Provider
+ */
+function createAddressPointProvider(options) {
+    const opts = options || {};
+    // One request per provider; a failed load is remembered, not retried on every lookup
+    let points = opts.points ? Promise.resolve(opts.points) : null;
+
+    function load() {
+        if (!points) {
+            points = Promise.resolve((opts.fetch || fetch)(opts.url)).then(response => {
+                if (!response.ok) throw new Error(`Failed to fetch address points: ${response.status}`);
+                return response.json();
+            });
+        }
+        return points;
+    }
+
+    return {
+        name: 'address-points',
+        async geocode(address) {
+            const query = normalizeAddress(address);
+            const list = await load();
+            const candidates = list.filter(point => {
+                const street = normalizeAddress(point.address);
+                return query === street || query.startsWith(street + ' ');
+            });
+            const point = candidates.find(p => query.includes(p.zip) || query.includes(normalizeAddress(p.city))) || candidates[0];
+            if (!point) return null;
+            return {
+                lat: point.lat,
+                lon: point.lon,
+                matchedAddress: `${point.address}, ${point.city}, TX ${point.zip}`,
+                provider: 'address-points'
+            };
+        }
+    };
+}
+
+/**
+ * ArcGIS World Geocoder, biased to Comal County.
+ * @param {object} [options] - { fetch, minScore } (minScore defaults to 80)
+ * @returns {object} Provider
+ */
+function createArcGisProvider(options) {
+    const opts = options || {};
+    const minScore = opts.minScore === undefined ? 80 : opts.minScore;
+    return {
+        name: 'arcgis',
+        async geocode(address) {
+            const extent = [GEOCODER_EXTENT.west, GEOCODER_EXTENT.south, GEOCODER_EXTENT.east, GEOCODER_EXTENT.north].join(',');
+            const url = 'https://geocode.arcgis.com/arcgis/rest/services/World/GeocodeServer/findAddressCandidates' +
+                `?SingleLine=${encodeURIComponent(withLocalContext(address))}` +
+                `&location=${GEOCODER_CENTER.lon},${GEOCODER_CENTER.lat}&searchExtent=${extent}&outFields=*&f=json`;
+            const response = await (opts.fetch || fetch)(url);
+            if (!response.ok) throw new Error(`ArcGIS geocoder: ${response.status}`);
+            const data = await response.json();
+            const match = data.candidates && data.candidates[0];
+            if (!match || match.score < minScore) return null;
+            return {
+                lat: parseFloat(match.location.y),
+                lon: parseFloat(match.location.x),
+                matchedAddress: match.address,
+                provider: 'arcgis'
+            };
+        }
+    };
+}
+
+/**
+ * US Census Bureau one-line address geocoder.
+ * @param {object} [options] - { fetch }
+ * @returns {object} Provider
+ */
+function createCensusProvider(options) {
+    const opts = options || {};
+    return {
+        name: 'census',
+        async geocode(address) {
+            const url = 'https://geocoding.geo.census.gov/geocoder/locations/onelineaddress' +
+                `?address=${encodeURIComponent(withLocalContext(address))}&benchmark=Public_AR_Current&format=json`;
+            const response = await (opts.fetch || fetch)(url);
+            if (!response.ok) throw new Error(`Census geocoder: ${response.status}`);
+            const data = await response.json();
+            const match = data.result && data.result.addressMatches && data.result.addressMatches[0];
+            if (!match) return null;
+            return {
+                lat: match.coordinates.y,
+                lon: match.coordinates.x,
+                matchedAddress: match.matchedAddress,
+                provider: 'census'
+            };
+        }
+    };
+}
+
+/**
+ * Ask each provider in turn and return the first match. A provider that
+ * throws (service down, file missing) is skipped rather than ending the lookup.
+ * @param {string} address - Address as typed
+ * @param {Array<object>} providers - In the order to try them
+ * @param {object} [options] - { onError(provider, error) }
+ * @returns {Promise<object|null>} { lat, lon, matchedAddress, provider }, or null when no provider matched
+ */
+async function geocodeWithFallback(address, providers, options) {
+    const opts = options || {};
+    for (const provider of providers) {
+        try {
+            const result = await provider.geocode(address);
+            if (result) return result;
+        } catch (error) {
+            if (opts.onError) opts.onError(provider, error);
+        }
+    }
+    return null;
+}
+
+/**
+ * The browser's own position ("use my location").
+ * @param {object} geolocation - navigator.geolocation
+ * @returns {Promise<object>} { lat, lon, matchedAddress, provider: 'browser' }; rejects when denied or unavailable
+ */
+function getBrowserLocation(geolocation) {
+    return new Promise((resolve, reject) => {
+        if (!geolocation) {
+            reject(new Error('Location is not available in this browser'));
+            return;
+        }
+        geolocation.getCurrentPosition(
+            position => resolve({
+                lat: position.coords.latitude,
+                lon: position.coords.longitude,
+                matchedAddress: 'Your current location',
+                provider: 'browser'
+            }),
+            error => reject(new Error(error.message || 'Location permission was denied')),
+            { enableHighAccuracy: true, timeout: 10000 }
+        );
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        withLocalContext,
+        normalizeAddress,
+        createCoordinateProvider,
+        createAddressPointProvider,
+        createArcGisProvider,
+        createCensusProvider,
+        geocodeWithFallback,
+        getBrowserLocation
+    };
+}
@@ -3,6 +3,8 @@
    Shared nav and footer injected into all pages
    ══════════════════════════════════════════ */
 
+/* global fetchPeople, buildNameIndex */
+
 (function () {
     'use strict';
 
@@ -16,7 +18,7 @@
         // If in articles/archive/ (two levels deep), go up two levels
         if (path.match(/\/articles\/archive\//i)) return '../../';
         // If in a subdirectory like /hill-country-sentinel/feeds/, go up one level
-        if (path.match(/\/feeds\//i) || path.match(/\/profiles\//i) || path.match(/\/articles\//i)) {
+        if (path.match(/\/feeds\//i) || path.match(/\/profiles\//i) || path.match(/\/organizations\//i) || path.match(/\/articles\//i)) {
             return isGitHubPages ? '../' : '../';
         }
         // If we're at the root level on GitHub Pages, include the project base
@@ -69,6 +71,33 @@
             breadcrumbs.push({ label: 'Business Watch', href: null });
         } else if (path.includes('/find-my-officials.html') || path.includes('find-my-officials')) {
             breadcrumbs.push({ label: 'Find My Officials', href: null });
+        } else if (path.includes('/elections.html')) {
+            breadcrumbs.push({ label: 'Election Calendar', href: null });
+        } else if (path.includes('/council-scorecard.html')) {
+            breadcrumbs.push({ label: 'Council Scorecard', href: null });
+        } else if (path.includes('/compare.html')) {
+            breadcrumbs.push({ label: 'Compare Officials', href: null });
+        } else if (path.includes('/endorsements.html')) {
+            breadcrumbs.push({ label: 'Races', href: base + 'feeds/candidates.html' });
+            breadcrumbs.push({ label: 'Endorsement Network', href: null });
+        } else if (path.includes('/organizations/')) {
+            breadcrumbs.push({ label: 'Business Watch', href: base + 'feeds/business.html' });
+            if (document.body.getAttribute('data-organization-slug')) {
+                var orgName = document.querySelector('h1') ? document.querySelector('h1').textContent : 'Organization';
+                breadcrumbs.push({ label: 'Organizations', href: base + 'organizations/index.html' });
+                breadcrumbs.push({ label: orgName, href: null });
+            } else {
+                breadcrumbs.push({ label: 'Organizations', href: null });
+            }
+        } else if (path.includes('/profiles/') && document.body.getAttribute('data-profile-section')) {
+            // Generated profiles say whether they belong under officials or races
+            var personName = document.querySelector('h1') ? document.querySelector('h1').textContent : 'Profile';
+            if (document.body.getAttribute('data-profile-section') === 'officials') {
+                breadcrumbs.push({ label: 'Find My Officials', href: base + 'find-my-officials.html' });
+            } else {
+                breadcrumbs.push({ label: 'Races', href: base + 'feeds/candidates.html' });
+            }
+            breadcrumbs.push({ label: personName, href: null });
         } else if (path.includes('/articles/')) {
             // For article pages, check for category meta tag
             var categoryMeta = document.querySelector('meta[name="article-category"]');
@@ -130,28 +159,8 @@
         }
     }
 
-    // Candidate name to profile mapping (only includes existing profiles)
-    var CANDIDATE_PROFILES = {
-        'Angela Allen': 'angela-allen.html',
-        'April Ryan': 'april-ryan.html',
-        'Bradley Porter': 'bradley-porter.html',
-        'Carrie Isaac': 'carrie-isaac.html',
-        'Donna Campbell': 'donna-campbell.html',
-        'Doug Leecock': 'doug-leecock.html',
-        'D. Lee Edwards': 'd-lee-edwards.html',
-        'Jen Crownover': 'jen-crownover.html',
-        'Jonathon Frazier': 'jonathon-frazier.html',
-        'Kevin Webb': 'kevin-webb.html',
-        'Lawrence Spradley': 'lawrence-spradley.html',
-        'Mary Ann Labowski': 'mary-ann-labowski.html',
-        'Michael Capizzi': 'michael-capizzi.html',
-        'Michael French': 'michael-french.html',
-        'Neal Linnartz': 'neal-linnartz.html',
-        'Scott Haag': 'scott-haag.html',
-        'Toni Carter': 'toni-carter.html'
-    };
-
-    function autoLinkCandidateNames() {
+    // nameIndex comes from buildNameIndex() in people.js: [{ name, slug }], longest name first
+    function autoLinkCandidateNames(nameIndex) {
         var base = getBase();
         var profileBase = base + 'profiles/';
         
@@ -160,10 +169,14 @@
             return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         }
         
-        // Sort names by length (longest first) to match full names before partial matches
-        var sortedNames = Object.keys(CANDIDATE_PROFILES).sort(function(a, b) {
-            return b.length - a.length;
+        if (!nameIndex || nameIndex.length === 0) return;
+        var slugByName = {};
+        nameIndex.forEach(function(entry) {
+            slugByName[entry.name.toLowerCase()] = entry.slug;
         });
+        var namePattern = new RegExp('\\b(?:' + nameIndex.map(function(entry) {
+            return escapeRegex(entry.name);
+        }).join('|') + ')\\b', 'gi');
         
         // Find all text nodes in the document (excluding nav and footer)
         var walker = document.createTreeWalker(
@@ -199,18 +212,12 @@
             var modifiedText = originalText;
             var hasChanges = false;
             
-            sortedNames.forEach(function(candidateName) {
-                var profileFile = CANDIDATE_PROFILES[candidateName];
-                var regex = new RegExp('\\b' + escapeRegex(candidateName) + '\\b', 'gi');
-                var matches = modifiedText.match(regex);
-                
-                if (matches) {
-                    // Only link if not already part of a link
-                    modifiedText = modifiedText.replace(regex, function(match) {
-                        hasChanges = true;
-                        return '<a href="' + profileBase + profileFile + '" class="auto-candidate-link">' + match + '</a>';
-                    });
-                }
+            // One pass over all names so an alias ("Lee Edwards") never re-links
+            // inside a link already made for a longer name ("D. Lee Edwards")
+            modifiedText = modifiedText.replace(namePattern, function(match) {
+                hasChanges = true;
+                var profileFile = slugByName[match.toLowerCase()] + '.html';
+                return '<a href="' + profileBase + profileFile + '" class="auto-candidate-link">' + match + '</a>';
             });
             
             // Replace the text node with new HTML if changes were made
@@ -229,8 +236,16 @@
         if (footerEl) { footerEl.innerHTML = renderFooter(); }
         initMobileMenu();
         
-        // Auto-link candidate names after a short delay
-        setTimeout(autoLinkCandidateNames, 100);
+        // Auto-link candidate names from the people registry (js/people.js)
+        if (typeof fetchPeople === 'function' && typeof buildNameIndex === 'function') {
+            fetchPeople(getBase() + 'data/people.json')
+                .then(function (people) {
+                    setTimeout(function () { autoLinkCandidateNames(buildNameIndex(people)); }, 100);
+                })
+                .catch(function (err) {
+                    console.warn('Auto-linking failed:', err);
+                });
+        }
     }
 
     // Auto-init on DOMContentLoaded in browser
@@ -0,0 +1,135 @@
+/**
+ * Hill Country Sentinel — Officials Module
+ *
+ * Reads data/officials.json (seats grouped by body, each with its current
+ * holder and term) and works out each seat's status for today: vacant,
+ * interim, up for election. Badges on the homepage officials grid and the
+ * Find My Officials cards are computed here rather than stored, so they
+ * drop off on their own once an election has passed.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global fetchJsonOnce */
+
+// fetchJsonOnce is a browser global (feed-renderer.js); require it under Node
+const _officialsDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./feed-renderer.js')
+    : {};
+const _officialsFetchJson = typeof fetchJsonOnce === 'function' ? fetchJsonOnce : _officialsDeps.fetchJsonOnce;
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Fetch officials.json (cached per URL).
+ * @param {string} url - URL to officials.json
+ * @returns {Promise<object>} { updated, <group>: { <seat>: seat } }
+ */
+function fetchOfficials(url) {
+    return _officialsFetchJson(url);
+}
+
+/**
+ * Today's date as YYYY-MM-DD in local time.
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {string}
+ */
+function _officialsToday(now) {
+    const d = now || new Date();
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Format a term or election date. Terms are often only known to the month
+ * or year, so "2028", "2028-05" and "2028-05-06" are all accepted.
+ * @param {string} value - Partial ISO date
+ * @returns {string} e.g. "2028", "May 2028", "May 6, 2028"
+ */
+function formatSeatDate(value) {
+    if (!value) return '';
+    const [year, month, day] = String(value).split('-');
+    if (!month) return year;
+    const monthName = MONTH_NAMES[Number(month) - 1];
+    return day ? `${monthName} ${Number(day)}, ${year}` : `${monthName} ${year}`;
+}
+
+/**
+ * The last day covered by a partial date, as YYYY-MM-DD, so "2026-05" ends on 2026-05-31.
+ * @param {string} value - Partial ISO date
+ * @returns {string}
+ */
+function _endOfSeatDate(value) {
+    const [year, month, day] = String(value).split('-');
+    if (day) return value;
+    if (!month) return `${year}-12-31`;
+    const lastDay = new Date(Number(year), Number(month), 0).getDate();
+    return `${year}-${month}-${String(lastDay).padStart(2, '0')}`;
+}
+
+/**
+ * Status of a seat on a given day.
+ * @param {object} seat - officials.json seat
+ * @param {Date} [now] - Reference time
+ * @returns {{ vacant: boolean, interim: boolean, appointed: boolean, upForElection: boolean, termEnded: boolean }}
+ *   upForElection: the seat's electionDate is today or later
+ *   termEnded: the term's end date has passed (the entry needs updating)
+ */
+function getSeatStatus(seat, now) {
+    const today = _officialsToday(now);
+    const s = seat || {};
+    return {
+        vacant: !!s.vacant,
+        interim: !!s.interim,
+        appointed: !!s.appointed,
+        upForElection: !!s.electionDate && s.electionDate >= today,
+        termEnded: !s.vacant && !!s.termEnd && _endOfSeatDate(s.termEnd) < today
+    };
+}
+
+/**
+ * Badges for a seat, computed from today's date.
+ * @param {object} seat - officials.json seat
+ * @param {Date} [now] - Reference time
+ * @returns {Array<{ type: string, label: string }>} type is "vacant", "interim" or "election"
+ */
+function getSeatBadges(seat, now) {
+    const status = getSeatStatus(seat, now);
+    const badges = [];
+    if (status.vacant) badges.push({ type: 'vacant', label: 'Vacant' });
+    if (status.interim) badges.push({ type: 'interim', label: 'Interim' });
+    if (status.upForElection) badges.push({ type: 'election', label: `Up for election: ${formatSeatDate(seat.electionDate)}` });
+    return badges;
+}
+
+/**
+ * One line describing the seat's term, e.g. "Term ends May 2028" or "Appointed; term ends December 31, 2026".
+ * @param {object} seat - officials.json seat
+ * @param {Date} [now] - Reference time
+ * @returns {string} Empty when the term is not known
+ */
+function describeTerm(seat, now) {
+    if (!seat || seat.vacant || !seat.termEnd) return '';
+    const status = getSeatStatus(seat, now);
+    const term = `Term ${status.termEnded ? 'ended' : 'ends'} ${formatSeatDate(seat.termEnd)}`;
+    return status.appointed ? `Appointed; ${term.charAt(0).toLowerCase()}${term.slice(1)}` : term;
+}
+
+/**
+ * Name to show for a seat's holder.
+ * @param {object} seat - officials.json seat
+ * @returns {string} "Vacant" for an empty seat
+ */
+function getSeatHolder(seat) {
+    return seat && !seat.vacant && seat.name ? seat.name : 'Vacant';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        fetchOfficials,
+        formatSeatDate,
+        getSeatStatus,
+        getSeatBadges,
+        describeTerm,
+        getSeatHolder
+    };
+}
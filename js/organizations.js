@@ -0,0 +1,284 @@
+/**
+ * Hill Country Sentinel — Organization Profiles Module
+ *
+ * Loads data/organizations.json (businesses, PACs, chambers and clubs) and
+ * renders an organization's page: every feed entry that lists the slug in
+ * `relatedOrganizations`, split into donations, endorsements and other
+ * coverage, plus contributions to local candidates found in the campaign
+ * finance reports and the candidates it endorsed in data/endorsements.json.
+ * Mirrors how profile-feed.js filters by `relatedCandidate`.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global renderFeedCard, escapeHtml, fetchJsonOnce, fetchFeed, fetchFinance, donorKey, formatMoney, fetchEndorsements */
+
+// Node.js: pull helpers from feed-renderer.js, finance.js and endorsements.js; in the browser they are globals
+const _orgDeps = (typeof module !== 'undefined' && module.exports)
+    ? Object.assign({}, require('./feed-renderer.js'), require('./finance.js'), require('./endorsements.js'))
+    : {};
+const _escapeOrgText = typeof escapeHtml === 'function' ? escapeHtml : _orgDeps.escapeHtml;
+const _orgFetchJson = typeof fetchJsonOnce === 'function' ? fetchJsonOnce : _orgDeps.fetchJsonOnce;
+
+const ORGANIZATION_TYPES = {
+    business: 'Business',
+    pac: 'PAC',
+    chamber: 'Chamber of Commerce',
+    club: 'Club'
+};
+
+const DONATION_TAGS = ['donation', 'donations', 'campaign-finance'];
+const ENDORSEMENT_TAGS = ['endorsement', 'endorsements'];
+
+/**
+ * Fetch the organization registry (cached per URL).
+ * @param {string} url - URL to organizations.json
+ * @returns {Promise<Array>} Organizations
+ */
+function fetchOrganizations(url) {
+    return _orgFetchJson(url);
+}
+
+/**
+ * Normalize an organization name for lookup: ignores case, apostrophes and
+ * punctuation, so "Deputy Sheriff's Association" matches "Deputy Sheriffs Association".
+ * @param {string} name - Name as written in data or text
+ * @returns {string}
+ */
+function normalizeOrganizationName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Find an organization by display name or alias.
+ * @param {Array} organizations - Registry entries
+ * @param {string} name - Name to look up
+ * @returns {object|null} Registry entry or null
+ */
+function findOrganization(organizations, name) {
+    const key = normalizeOrganizationName(name);
+    if (!key) return null;
+    return (organizations || []).find(org =>
+        [org.name].concat(org.aliases || []).some(n => normalizeOrganizationName(n) === key)
+    ) || null;
+}
+
+/**
+ * Get the organization slug from <body data-organization-slug>, or derive it
+ * from the /organizations/<slug>.html filename.
+ * @param {object} [doc] - Document-like object (for testing)
+ * @returns {string|null} slug or null
+ */
+function getOrganizationSlug(doc) {
+    const d = doc || (typeof document !== 'undefined' ? document : null);
+    if (!d) return null;
+    if (d.body && d.body.getAttribute) {
+        const attr = d.body.getAttribute('data-organization-slug');
+        if (attr) return attr;
+    }
+    const path = (d.location && d.location.pathname) || (typeof window !== 'undefined' && window.location ? window.location.pathname : '');
+    const match = path.match(/\/organizations\/([^/]+)\.html/);
+    return match && match[1] !== 'index' ? match[1] : null;
+}
+
+/**
+ * Filter feed entries by organization slug in `relatedOrganizations`.
+ * @param {Array} entries - Feed entries (any feed)
+ * @param {string} slug - Organization slug to match
+ * @returns {Array} Filtered entries sorted newest-first
+ */
+function filterByOrganization(entries, slug) {
+    if (!entries || !slug) return [];
+    return entries
+        .filter(e => Array.isArray(e.relatedOrganizations) && e.relatedOrganizations.includes(slug))
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * Split an organization's entries into donations, endorsements and other
+ * coverage, by Business Watch category or by tag for the other feeds.
+ * @param {Array} entries - Entries from filterByOrganization()
+ * @returns {{ donations: Array, endorsements: Array, other: Array }}
+ */
+function groupOrganizationEntries(entries) {
+    const groups = { donations: [], endorsements: [], other: [] };
+    (entries || []).forEach(e => {
+        const tags = e.tags || [];
+        if (e.category === 'donations' || tags.some(t => DONATION_TAGS.includes(t))) {
+            groups.donations.push(e);
+        } else if (e.category === 'endorsements' || tags.some(t => ENDORSEMENT_TAGS.includes(t))) {
+            groups.endorsements.push(e);
+        } else {
+            groups.other.push(e);
+        }
+    });
+    return groups;
+}
+
+/**
+ * Contributions from an organization in candidates' campaign finance reports,
+ * matched on the donor name (or an alias) as filed.
+ * @param {object} org - Registry entry
+ * @param {Array} filers - Finance filer files ({ slug, name, contributions })
+ * @returns {Array} Contributions with recipient slug and name, newest first
+ */
+function findOrganizationContributions(org, filers) {
+    if (!org) return [];
+    const keyOf = typeof donorKey === 'function' ? donorKey : _orgDeps.donorKey;
+    const keys = new Set([org.name].concat(org.aliases || []).map(keyOf).filter(Boolean));
+    const found = [];
+    (filers || []).forEach(filer => {
+        ((filer && filer.contributions) || []).forEach(c => {
+            if (keys.has(keyOf(c.donor))) found.push(Object.assign({}, c, { recipient: filer.slug, recipientName: filer.name }));
+        });
+    });
+    return found.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Render feed entries as cards, with a plain fallback when feed-renderer.js is not loaded.
+ * @param {Array} entries - Feed entries
+ * @returns {string} HTML
+ */
+function _renderOrgCards(entries) {
+    return entries.map(e => {
+        if (typeof renderFeedCard === 'function') return renderFeedCard(e);
+        const dateStr = e.date ? new Date(e.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : '';
+        return `<div class="feed-card">
+            <div class="feed-card-date">${dateStr}</div>
+            <h3 class="feed-card-title">${_escapeOrgText(e.title)}</h3>
+            <p class="feed-card-summary">${_escapeOrgText(e.summary)}</p>
+            ${e.source && e.sourceUrl ? `<a class="feed-card-source" href="${_escapeOrgText(e.sourceUrl)}" target="_blank" rel="noopener">Source: ${_escapeOrgText(e.source)}</a>` : ''}
+        </div>`;
+    }).join('\n');
+}
+
+/**
+ * Render an organization's donations, endorsements and related coverage.
+ * @param {object} org - Registry entry
+ * @param {object} data - { entries, contributions, endorsements, races }
+ *   endorsements are the organization's records from endorsements.json;
+ *   races (races.json) supply the candidates' names and offices
+ * @param {HTMLElement|object|null} containerEl - Element to fill (optional)
+ * @param {string} [base='../'] - Path from the page to the site root
+ * @returns {string} HTML
+ */
+function renderOrganizationProfile(org, data, containerEl, base) {
+    const prefix = base === undefined ? '../' : base;
+    const groups = groupOrganizationEntries((data && data.entries) || []);
+    const contributions = (data && data.contributions) || [];
+    const money = typeof formatMoney === 'function' ? formatMoney : _orgDeps.formatMoney;
+
+    const contributionRows = contributions.map(c => `<tr>
+                <td>${_escapeOrgText(c.date)}</td>
+                <td><a href="${prefix}profiles/${_escapeOrgText(c.recipient)}.html">${_escapeOrgText(c.recipientName)}</a></td>
+                <td class="amount">${money(c.amount)}</td>
+            </tr>`).join('\n            ');
+    const donations = (contributionRows ? `<table class="finance-donors">
+            <thead><tr><th>Date</th><th>Recipient</th><th>Amount</th></tr></thead>
+            <tbody>
+            ${contributionRows}
+            </tbody>
+        </table>
+        <p class="finance-source">Source: Texas Ethics Commission and City of New Braunfels campaign finance reports</p>` : '') +
+        _renderOrgCards(groups.donations);
+
+    const names = {};
+    const offices = {};
+    ((data && data.races) || []).forEach(race => {
+        offices[race.id] = race.office;
+        (race.candidates || []).forEach(c => { if (c.slug) names[c.slug] = c.name; });
+    });
+    const endorsedRows = ((data && data.endorsements) || []).map(e => `<li class="endorsement-item">
+                <a href="${prefix}profiles/${_escapeOrgText(e.candidate)}.html">${_escapeOrgText(names[e.candidate] || e.candidate)}</a>
+                ${offices[e.race] ? `&middot; ${_escapeOrgText(offices[e.race])}` : ''}
+                <span class="endorsement-date">${_escapeOrgText(e.date)}</span>
+            </li>`).join('\n            ');
+    const endorsed = (endorsedRows ? `<ul class="endorsement-list">
+            ${endorsedRows}
+        </ul>` : '') + _renderOrgCards(groups.endorsements);
+
+    const section = (title, body, empty) => `<div class="section">
+        <h2>${title}</h2>
+        ${body || `<p class="no-activity">${empty}</p>`}
+    </div>`;
+
+    const html = [
+        section('Donations', donations, `No donations on record for ${_escapeOrgText(org.name)}.`),
+        section('Endorsements', endorsed, 'No endorsements on record.'),
+        section('Related Coverage', _renderOrgCards(groups.other), 'No other coverage yet.')
+    ].join('\n');
+
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+/**
+ * Load the registry, feeds and finance reports and render the organization page.
+ * @param {object} [options] - { slug, containerId, organizationsUrl, feedUrls, financeIndexUrl, endorsementsUrl, racesUrl }
+ *   slug defaults to <body data-organization-slug>, containerId to 'organization-activity',
+ *   URLs to the files under ../data/
+ * @returns {Promise<void>}
+ */
+function initOrganizationPage(options) {
+    const opts = options || {};
+    const slug = opts.slug || getOrganizationSlug();
+    const container = document.getElementById(opts.containerId || 'organization-activity');
+    if (!container || !slug) return Promise.resolve();
+
+    const feedUrls = opts.feedUrls || ['../data/candidate-news.json', '../data/policy-feed.json', '../data/business-watch.json'];
+    const indexUrl = opts.financeIndexUrl || '../data/finance/index.json';
+    const dir = indexUrl.slice(0, indexUrl.lastIndexOf('/') + 1);
+    const getFeed = typeof fetchFeed === 'function' ? fetchFeed : url => fetch(url).then(r => r.json());
+    const getFinance = typeof fetchFinance === 'function' ? fetchFinance : _orgDeps.fetchFinance;
+    const getEndorsements = typeof fetchEndorsements === 'function' ? fetchEndorsements : _orgDeps.fetchEndorsements;
+
+    // Finance reports are optional: a page without them still lists coverage
+    const filers = getFinance(indexUrl)
+        .then(index => Promise.all(Object.values(index.filers || {}).map(f => getFinance(dir + f.file))))
+        .catch(() => []);
+
+    return Promise.all([
+        fetchOrganizations(opts.organizationsUrl || '../data/organizations.json'),
+        Promise.all(feedUrls.map(url => getFeed(url).catch(() => []))),
+        filers,
+        getEndorsements(opts.endorsementsUrl || '../data/endorsements.json').catch(() => []),
+        getEndorsements(opts.racesUrl || '../data/races.json').catch(() => [])
+    ])
+        .then(([organizations, feeds, financeFilers, endorsements, races]) => {
+            const org = organizations.find(o => o.slug === slug);
+            if (!org) throw new Error(`Unknown organization: ${slug}`);
+            renderOrganizationProfile(org, {
+                entries: filterByOrganization([].concat(...feeds), slug),
+                contributions: findOrganizationContributions(org, financeFilers),
+                endorsements: endorsements
+                    .filter(e => e.endorser.type === 'organization' && e.endorser.slug === slug)
+                    .sort((a, b) => b.date.localeCompare(a.date)),
+                races
+            }, container);
+        })
+        .catch(() => {
+            container.innerHTML = '<p class="no-activity">Unable to load this organization\'s activity.</p>';
+        });
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ORGANIZATION_TYPES,
+        fetchOrganizations,
+        normalizeOrganizationName,
+        findOrganization,
+        getOrganizationSlug,
+        filterByOrganization,
+        groupOrganizationEntries,
+        findOrganizationContributions,
+        renderOrganizationProfile,
+        initOrganizationPage
+    };
+}
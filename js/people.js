@@ -0,0 +1,103 @@
+/**
+ * Hill Country Sentinel — People Registry Module
+ *
+ * Loads data/people.json, the single name → profile registry used by every
+ * auto-linker (layout.js, utils.js initAutoLinking, candidate-mapping.js)
+ * and the Find My Officials map.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global fetchJsonOnce */
+
+// fetchJsonOnce is a browser global (feed-renderer.js); require it under Node
+const _peopleDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./feed-renderer.js')
+    : {};
+const _peopleFetchJson = typeof fetchJsonOnce === 'function' ? fetchJsonOnce : _peopleDeps.fetchJsonOnce;
+
+/**
+ * Fetch the people registry (cached per URL).
+ * @param {string} url - URL to people.json
+ * @returns {Promise<Array>} People
+ */
+function fetchPeople(url) {
+    return _peopleFetchJson(url);
+}
+
+/**
+ * Normalize a name for lookup: drops parenthetical notes such as "(interim)",
+ * collapses whitespace and ignores case.
+ * @param {string} name - Name as written in data or text
+ * @returns {string}
+ */
+function normalizePersonName(name) {
+    return String(name || '')
+        .replace(/\([^)]*\)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Every name a person is known by: display name first, then aliases.
+ * @param {object} person - Registry entry
+ * @returns {Array<string>}
+ */
+function getPersonNames(person) {
+    return [person.name].concat(person.aliases || []).filter(Boolean);
+}
+
+/**
+ * Find a person by display name or alias.
+ * @param {Array} people - Registry entries
+ * @param {string} name - Name to look up, e.g. "Toni L. Carter"
+ * @returns {object|null} Registry entry or null
+ */
+function findPerson(people, name) {
+    const key = normalizePersonName(name);
+    if (!key) return null;
+    return (people || []).find(person =>
+        getPersonNames(person).some(n => normalizePersonName(n) === key)
+    ) || null;
+}
+
+/**
+ * Profile slug for a name, or null when the person has no profile page.
+ * @param {Array} people - Registry entries
+ * @param {string} name - Name to look up
+ * @returns {string|null}
+ */
+function findProfileSlug(people, name) {
+    const person = findPerson(people, name);
+    return person && person.profile ? person.slug : null;
+}
+
+/**
+ * Flatten the registry into { name, slug } pairs for auto-linking.
+ * Includes aliases, skips people without a profile page, longest name first
+ * so "D. Lee Edwards" wins over "Lee Edwards".
+ * @param {Array} people - Registry entries
+ * @returns {Array<{ name: string, slug: string }>}
+ */
+function buildNameIndex(people) {
+    const index = [];
+    (people || []).forEach(person => {
+        if (!person.profile) return;
+        getPersonNames(person).forEach(name => {
+            index.push({ name, slug: person.slug });
+        });
+    });
+    return index.sort((a, b) => b.name.length - a.name.length);
+}
+
+// Export for Node.js (tests), no-op in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        fetchPeople,
+        normalizePersonName,
+        getPersonNames,
+        findPerson,
+        findProfileSlug,
+        buildNameIndex
+    };
+}
@@ -1,11 +1,19 @@
 /**
  * Hill Country Sentinel — Profile Feed Module
  *
- * Fetches candidate-news.json and renders entries filtered by relatedCandidate slug.
+ * Picks the feed entries related to a profile's slug (relatedCandidates,
+ * the older single relatedCandidate, or optionally a matching tag) from
+ * every feed, merged into one list and badged by source feed. The profile
+ * Timeline (profile-timeline.js) loads the feeds and renders them.
  * Works in browser (globals) and Node.js (CommonJS).
  */
 
-/* global renderFeedCard, fetchFeed */
+// Feeds merged into a profile's timeline, in the order duplicates are kept
+var PROFILE_FEEDS = [
+    { key: 'candidate-news', file: 'candidate-news.json', label: 'Candidate News' },
+    { key: 'policy-feed', file: 'policy-feed.json', label: 'Policy' },
+    { key: 'business-watch', file: 'business-watch.json', label: 'Business Watch' }
+];
 
 /**
  * Get the candidate slug from the page's data-candidate-slug attribute on <body>,
@@ -38,102 +46,76 @@ function getCandidateSlug(doc) {
 }
 
 /**
- * Filter feed entries by relatedCandidate slug.
+ * Slugs an entry is related to: `relatedCandidates` plus the older single
+ * `relatedCandidate`, which entries written before the array still use.
+ * @param {object} entry - Feed entry
+ * @returns {Array<string>} Unique slugs
+ */
+function getRelatedCandidates(entry) {
+    var slugs = Array.isArray(entry && entry.relatedCandidates) ? entry.relatedCandidates.slice() : [];
+    if (entry && entry.relatedCandidate && slugs.indexOf(entry.relatedCandidate) === -1) {
+        slugs.push(entry.relatedCandidate);
+    }
+    return slugs;
+}
+
+/**
+ * Filter feed entries by candidate slug in relatedCandidates / relatedCandidate.
  * @param {Array} entries - Feed entries
  * @param {string} slug - Candidate slug to match
+ * @param {object} [options] - { matchTags: also match entries tagged with the slug }
  * @returns {Array} Filtered entries sorted newest-first
  */
-function filterByCandidate(entries, slug) {
+function filterByCandidate(entries, slug, options) {
     if (!entries || !slug) return [];
+    var matchTags = !!(options && options.matchTags);
     return entries
-        .filter(function(e) { return e.relatedCandidate === slug; })
+        .filter(function(e) {
+            if (getRelatedCandidates(e).indexOf(slug) !== -1) return true;
+            return matchTags && Array.isArray(e.tags) && e.tags.indexOf(slug) !== -1;
+        })
         .sort(function(a, b) { return new Date(b.date) - new Date(a.date); });
 }
 
 /**
- * Render the candidate's recent activity feed into a container.
- * @param {Array} entries - Already-filtered entries
- * @param {HTMLElement|object} container - DOM element or mock
- * @returns {string} HTML string
+ * Merge entries from several feeds into one newest-first list, recording
+ * each entry's feed as `sourceFeed`. A story carried by more than one feed
+ * (same id) is kept once, from the first feed listed.
+ * @param {Array<{ feed: string, entries: Array }>} feeds - Feed key (see PROFILE_FEEDS) and its entries
+ * @returns {Array} Copies of the entries with `sourceFeed` set
  */
-function renderProfileFeed(entries, container) {
-    if (!entries || entries.length === 0) {
-        var html = '<p class="no-activity">No recent activity found for this official.</p>';
-        if (container && typeof container === 'object') container.innerHTML = html;
-        return html;
-    }
-
-    var html = '';
-    for (var i = 0; i < entries.length; i++) {
-        if (typeof renderFeedCard === 'function') {
-            html += renderFeedCard(entries[i]);
-        } else {
-            // Fallback rendering
-            var e = entries[i];
-            var dateStr = e.date ? new Date(e.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : '';
-            html += '<div class="feed-card">';
-            html += '<div class="feed-card-date">' + dateStr + '</div>';
-            html += '<h3 class="feed-card-title">' + (e.title || '') + '</h3>';
-            html += '<p class="feed-card-summary">' + (e.summary || '') + '</p>';
-            if (e.source && e.sourceUrl) {
-                html += '<a class="feed-card-source" href="' + e.sourceUrl + '" target="_blank" rel="noopener">Source: ' + e.source + '</a>';
-            }
-            html += '</div>';
-        }
-    }
-
-    if (container && typeof container === 'object') container.innerHTML = html;
-    return html;
+function mergeProfileFeeds(feeds) {
+    var seen = {};
+    var merged = [];
+    (feeds || []).forEach(function(f) {
+        (f.entries || []).forEach(function(e) {
+            if (e.id && seen[e.id]) return;
+            if (e.id) seen[e.id] = true;
+            merged.push(Object.assign({}, e, { sourceFeed: f.feed }));
+        });
+    });
+    return merged.sort(function(a, b) { return new Date(b.date) - new Date(a.date); });
 }
 
 /**
- * Initialize the profile feed: fetch data, filter, render.
- * Call this on DOMContentLoaded for profile pages.
- * @param {object} [options] - { slug, containerId, feedUrl }
+ * Badge naming the feed an entry came from.
+ * @param {string} key - PROFILE_FEEDS key
+ * @returns {string} HTML, empty for an unknown feed
  */
-async function initProfileFeed(options) {
-    var opts = options || {};
-    var slug = opts.slug || getCandidateSlug();
-    var containerId = opts.containerId || 'candidate-activity';
-    // Detect relative base path based on current page location
-    var basePath = '';
-    if (typeof window !== 'undefined') {
-        var loc = window.location.pathname;
-        if (loc.match(/\/feeds\//i) || loc.match(/\/profiles\//i)) basePath = '../';
-    }
-    var feedUrl = opts.feedUrl || (basePath + 'data/candidate-news.json');
-
-    var container = document.getElementById(containerId);
-    if (!container || !slug) return;
-
-    try {
-        var fetcher = typeof fetchFeed === 'function' ? fetchFeed : async function(url) {
-            var resp = await fetch(url);
-            return resp.json();
-        };
-        var entries = await fetcher(feedUrl);
-        var filtered = filterByCandidate(entries, slug);
-        renderProfileFeed(filtered, container);
-
-        // Initialize auto-linking for profile content
-        setTimeout(function() {
-            if (typeof initAutoLinking === 'function') {
-                initAutoLinking(['#candidate-activity', '.section'], '../');
-            }
-        }, 500);
-    } catch (err) {
-        container.innerHTML = '<p class="no-activity">Unable to load recent activity.</p>';
-    }
-}
-
-// Browser auto-init
-if (typeof window !== 'undefined' && typeof document !== 'undefined') {
-    document.addEventListener('DOMContentLoaded', function() {
-        initProfileFeed();
-    });
+function renderFeedBadge(key) {
+    var feed = PROFILE_FEEDS.filter(function(f) { return f.key === key; })[0];
+    if (!feed) return '';
+    return '<span class="feed-badge feed-badge-' + feed.key + '">' + feed.label + '</span>';
 }
 
 // Node.js exports
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { getCandidateSlug, filterByCandidate, renderProfileFeed, initProfileFeed };
+    module.exports = {
+        PROFILE_FEEDS,
+        getCandidateSlug,
+        getRelatedCandidates,
+        filterByCandidate,
+        mergeProfileFeeds,
+        renderFeedBadge
+    };
 }
@@ -0,0 +1,385 @@
+/**
+ * Hill Country Sentinel — Profile Timeline Component
+ *
+ * One chronological timeline for a profile: feed coverage (all three feeds,
+ * via profile-feed.js, badged by feed), roll-call votes (roll-calls.js),
+ * candidate filings and withdrawals (races.json) and endorsements given or
+ * received (endorsements.js), grouped by year and month. A text search,
+ * type filters and a date range cover every event; votes can also be
+ * filtered by how the member voted and by topic (the shared tagger in
+ * roll-calls.js).
+ * Sources whose script is not on the page are left out, so the component
+ * works on any profile with a data-candidate-slug body attribute.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global escapeHtml, fetchJsonOnce, fetchFeed, getCandidateSlug, filterByCandidate, mergeProfileFeeds, renderFeedBadge,
+   PROFILE_FEEDS, fetchRollCalls, getMemberVotes, tagTopics, listTopics, getTopicLabel, getCandidateEndorsements */
+
+// Browser globals from feed-renderer.js, profile-feed.js, roll-calls.js and endorsements.js; require them under Node
+const _timelineDeps = (typeof module !== 'undefined' && module.exports)
+    ? Object.assign({}, require('./feed-renderer.js'), require('./profile-feed.js'), require('./roll-calls.js'), require('./endorsements.js'))
+    : {};
+const _escapeTimelineText = typeof escapeHtml === 'function' ? escapeHtml : _timelineDeps.escapeHtml;
+const _fetchTimelineJson = typeof fetchJsonOnce === 'function' ? fetchJsonOnce : _timelineDeps.fetchJsonOnce;
+const _timelineFeedBadge = typeof renderFeedBadge === 'function' ? renderFeedBadge : _timelineDeps.renderFeedBadge;
+const _timelineTagTopics = typeof tagTopics === 'function' ? tagTopics : _timelineDeps.tagTopics;
+const _timelineListTopics = typeof listTopics === 'function' ? listTopics : _timelineDeps.listTopics;
+const _timelineTopicLabel = typeof getTopicLabel === 'function' ? getTopicLabel : _timelineDeps.getTopicLabel;
+
+// Event types in filter order
+const TIMELINE_TYPES = [
+    { id: 'news', label: 'News', badge: 'News' },
+    { id: 'vote', label: 'Votes', badge: 'Vote' },
+    { id: 'filing', label: 'Filings', badge: 'Filing' },
+    { id: 'endorsement', label: 'Endorsements', badge: 'Endorsement' }
+];
+
+// How a member can vote, in filter order
+const TIMELINE_VOTES = ['Yea', 'Nay', 'Abstain', 'Absent', 'Recused'];
+
+const TIMELINE_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Build a person's timeline events, newest first. Every source is optional.
+ * @param {string} slug - Profile slug
+ * @param {object} sources - { entries, rollCalls, races, endorsements }
+ *   entries are feed entries (mergeProfileFeeds() output keeps each entry's feed),
+ *   rollCalls is roll-calls.json, races races.json, endorsements endorsements.json
+ * @returns {Array<object>} { type, date (YYYY-MM-DD), title, summary, meta, href, feed?, vote?, topics? }
+ *   href is a source URL or a path from the site root; news carries its feed
+ *   (PROFILE_FEEDS key), votes the member's vote and the item's topic ids
+ */
+function buildProfileTimeline(slug, sources) {
+    const src = sources || {};
+    const events = [];
+    if (!slug) return events;
+
+    const byCandidate = typeof filterByCandidate === 'function' ? filterByCandidate : _timelineDeps.filterByCandidate;
+    const memberVotes = typeof getMemberVotes === 'function' ? getMemberVotes : _timelineDeps.getMemberVotes;
+    const endorsementsOf = typeof getCandidateEndorsements === 'function' ? getCandidateEndorsements : _timelineDeps.getCandidateEndorsements;
+
+    byCandidate(src.entries || [], slug, { matchTags: true }).forEach(e => {
+        events.push({
+            type: 'news',
+            date: String(e.date || '').slice(0, 10),
+            title: e.title,
+            summary: e.summary || '',
+            meta: e.source || '',
+            href: e.sourceUrl || null,
+            feed: e.sourceFeed || null
+        });
+    });
+
+    if (src.rollCalls) {
+        memberVotes(src.rollCalls, slug).forEach(v => {
+            events.push({
+                type: 'vote',
+                date: v.date,
+                title: v.itemTitle,
+                summary: v.summary,
+                meta: v.outcome,
+                href: null,
+                vote: v.vote,
+                topics: _timelineTagTopics(v.itemTitle)
+            });
+        });
+    }
+
+    const names = {};
+    const offices = {};
+    (src.races || []).forEach(race => {
+        offices[race.id] = race.office;
+        (race.candidates || []).forEach(c => {
+            if (c.slug) names[c.slug] = c.name;
+            if (c.slug !== slug) return;
+            if (c.filedDate) {
+                events.push({ type: 'filing', date: c.filedDate, title: `Filed for ${race.office}`, summary: '', meta: race.electionDate ? `Election ${race.electionDate}` : '', href: null });
+            }
+            if (c.withdrawnDate) {
+                events.push({ type: 'filing', date: c.withdrawnDate, title: `Withdrew from ${race.office}`, summary: c.note || '', meta: '', href: null });
+            }
+        });
+    });
+
+    if (src.endorsements) {
+        endorsementsOf(src.endorsements, slug).forEach(e => {
+            events.push({
+                type: 'endorsement',
+                date: e.date,
+                title: `Endorsed by ${e.endorser.name}`,
+                summary: '',
+                meta: offices[e.race] || '',
+                href: e.endorser.slug ? `${e.endorser.type === 'organization' ? 'organizations' : 'profiles'}/${e.endorser.slug}.html` : null
+            });
+        });
+        src.endorsements
+            .filter(e => e.endorser.type === 'person' && e.endorser.slug === slug)
+            .forEach(e => {
+                events.push({
+                    type: 'endorsement',
+                    date: e.date,
+                    title: `Endorsed ${names[e.candidate] || e.candidate}`,
+                    summary: '',
+                    meta: offices[e.race] || '',
+                    href: `profiles/${e.candidate}.html`
+                });
+            });
+    }
+
+    return events.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Filter a timeline. Empty filters match everything; selected types match
+ * any of the selection; every search word must appear in the title, summary
+ * or meta line. Selecting a vote or a topic keeps only votes that match it.
+ * @param {Array<object>} events - From buildProfileTimeline()
+ * @param {object} [filters] - { query, types: [], votes: [], topics: [], from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+ * @returns {Array<object>} Matching events, order preserved
+ */
+function filterTimeline(events, filters) {
+    const f = filters || {};
+    const words = String(f.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const types = f.types || [];
+    const votes = f.votes || [];
+    const topics = f.topics || [];
+    return (events || []).filter(e => {
+        if (types.length && !types.includes(e.type)) return false;
+        if (f.from && e.date < f.from) return false;
+        if (f.to && e.date > f.to) return false;
+        if ((votes.length || topics.length) && e.type !== 'vote') return false;
+        if (votes.length && !votes.includes(e.vote)) return false;
+        if (topics.length && !(e.topics || []).some(id => topics.includes(id))) return false;
+        if (words.length) {
+            const text = `${e.title || ''} ${e.summary || ''} ${e.meta || ''}`.toLowerCase();
+            if (!words.every(word => text.includes(word))) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Group events by year, then month, keeping newest-first order.
+ * @param {Array<object>} events - Sorted newest first
+ * @returns {Array<{ year: string, months: Array<{ key: string, label: string, events: Array }> }>}
+ */
+function groupTimeline(events) {
+    const years = [];
+    (events || []).forEach(e => {
+        const year = e.date.slice(0, 4);
+        const key = e.date.slice(0, 7);
+        let y = years[years.length - 1];
+        if (!y || y.year !== year) {
+            y = { year, months: [] };
+            years.push(y);
+        }
+        let m = y.months[y.months.length - 1];
+        if (!m || m.key !== key) {
+            m = { key, label: TIMELINE_MONTHS[Number(key.slice(5, 7)) - 1] || key, events: [] };
+            y.months.push(m);
+        }
+        m.events.push(e);
+    });
+    return years;
+}
+
+/**
+ * Render one event.
+ * @param {object} e - Timeline event
+ * @param {string} prefix - Path from the page to the site root
+ * @returns {string} HTML
+ */
+function _renderTimelineEvent(e, prefix) {
+    const type = TIMELINE_TYPES.find(t => t.id === e.type);
+    const isExternal = e.href && /^https?:\/\//.test(e.href);
+    const href = e.href ? (isExternal ? e.href : prefix + e.href) : null;
+    const title = href
+        ? `<a href="${_escapeTimelineText(href)}"${isExternal ? ' target="_blank" rel="noopener"' : ''}>${_escapeTimelineText(e.title)}</a>`
+        : _escapeTimelineText(e.title);
+    // News is badged by the feed it came from
+    const badge = (e.feed && _timelineFeedBadge(e.feed)) || `<span class="tl-type">${type ? type.badge : ''}</span>`;
+    const vote = e.vote
+        ? ` <span class="vr-vote-badge vr-badge-${TIMELINE_VOTES.includes(e.vote) ? e.vote.toLowerCase() : 'other'}">${_escapeTimelineText(e.vote)}</span>`
+        : '';
+    const topics = (e.topics || [])
+        .map(id => `<span class="vr-topic">${_escapeTimelineText(_timelineTopicLabel(id))}</span>`)
+        .join('');
+    return `<li class="tl-event tl-${e.type}" data-type="${e.type}"${e.feed ? ` data-feed="${_escapeTimelineText(e.feed)}"` : ''}>
+                <span class="tl-date">${_escapeTimelineText(e.date.slice(8, 10).replace(/^0/, ''))}</span>
+                <div class="tl-body">
+                    ${badge}${vote}
+                    <div class="tl-title">${title}</div>
+                    ${e.summary ? `<div class="tl-summary">${_escapeTimelineText(e.summary)}</div>` : ''}
+                    ${e.meta ? `<div class="tl-meta">${_escapeTimelineText(e.meta)}</div>` : ''}
+                    ${topics ? `<div class="vr-vote-topics">${topics}</div>` : ''}
+                </div>
+            </li>`;
+}
+
+/**
+ * Render events grouped by year and month.
+ * @param {Array<object>} events - From buildProfileTimeline() / filterTimeline()
+ * @param {HTMLElement|object|null} containerEl - Element to fill (optional)
+ * @param {string} [base='../'] - Path from the page to the site root
+ * @returns {string} HTML
+ */
+function renderProfileTimeline(events, containerEl, base) {
+    const prefix = base === undefined ? '../' : base;
+    const html = (events && events.length)
+        ? groupTimeline(events).map(y => `<div class="tl-year">
+        <h3>${y.year}</h3>
+        ${y.months.map(m => `<div class="tl-month">
+            <h4>${m.label}</h4>
+            <ul class="tl-list">
+            ${m.events.map(e => _renderTimelineEvent(e, prefix)).join('\n            ')}
+            </ul>
+        </div>`).join('\n        ')}
+    </div>`).join('\n')
+        : '<p class="no-activity">Nothing on the timeline matches.</p>';
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+/**
+ * Render the search box, date range and filters, offering only types,
+ * votes and topics that occur.
+ * @param {Array<object>} events - The full timeline
+ * @returns {string} HTML
+ */
+function renderTimelineControls(events) {
+    const list = events || [];
+    const votes = list.filter(e => e.type === 'vote');
+    const dates = list.map(e => e.date).sort();
+    const range = `min="${dates[0] || ''}" max="${dates[dates.length - 1] || ''}"`;
+    const checks = TIMELINE_TYPES
+        .map(t => ({ t, count: list.filter(e => e.type === t.id).length }))
+        .filter(x => x.count > 0)
+        .map(x => `<label class="vr-check"><input type="checkbox" data-filter="type" value="${x.t.id}"> ${x.t.label} (${x.count})</label>`)
+        .join('');
+    const voteChecks = TIMELINE_VOTES
+        .map(vote => ({ vote, count: votes.filter(e => e.vote === vote).length }))
+        .filter(x => x.count > 0)
+        .map(x => `<label class="vr-check"><input type="checkbox" data-filter="vote" value="${x.vote}"> ${x.vote} (${x.count})</label>`)
+        .join('');
+    const facets = _timelineListTopics()
+        .map(topic => ({ topic, count: votes.filter(e => (e.topics || []).includes(topic.id)).length }))
+        .filter(x => x.count > 0)
+        .map(x => `<button type="button" class="vr-facet" data-filter="topic" data-topic="${x.topic.id}" aria-pressed="false">${_escapeTimelineText(x.topic.label)} (${x.count})</button>`)
+        .join('');
+    return `<div class="vr-controls tl-controls">
+        <input type="search" class="vr-search" data-filter="query" placeholder="Search the timeline..." aria-label="Search the timeline">
+        <div class="vr-row">${checks}</div>
+        <div class="vr-row">
+            <label class="vr-date">From <input type="date" data-filter="from" ${range}></label>
+            <label class="vr-date">To <input type="date" data-filter="to" ${range}></label>
+        </div>
+        ${voteChecks ? `<div class="vr-row">${voteChecks}</div>` : ''}
+        ${facets ? `<div class="vr-row vr-facets">${facets}</div>` : ''}
+    </div>`;
+}
+
+/**
+ * Read the current filters from rendered controls.
+ * @param {HTMLElement} root - Timeline root
+ * @returns {object} Filters for filterTimeline()
+ */
+function _readTimelineFilters(root) {
+    const checked = name => Array.prototype.filter.call(root.querySelectorAll(`[data-filter="${name}"]`), el => el.checked)
+        .map(el => el.value);
+    return {
+        query: root.querySelector('[data-filter="query"]').value,
+        from: root.querySelector('[data-filter="from"]').value,
+        to: root.querySelector('[data-filter="to"]').value,
+        types: checked('type'),
+        votes: checked('vote'),
+        topics: Array.prototype.filter.call(root.querySelectorAll('[data-filter="topic"]'), el => el.getAttribute('aria-pressed') === 'true')
+            .map(el => el.getAttribute('data-topic'))
+    };
+}
+
+/**
+ * Load every source for a profile and render the timeline with its filters.
+ * @param {object} [options] - { slug, containerId, feeds, rollCallsUrl, racesUrl, endorsementsUrl }
+ *   slug defaults to <body data-candidate-slug>, containerId to 'profile-timeline',
+ *   feeds to PROFILE_FEEDS under ../data/, other URLs to the files under ../data/
+ * @returns {Promise<void>}
+ */
+function initProfileTimeline(options) {
+    const opts = options || {};
+    const slugOf = typeof getCandidateSlug === 'function' ? getCandidateSlug : _timelineDeps.getCandidateSlug;
+    const slug = opts.slug || slugOf();
+    const container = document.getElementById(opts.containerId || 'profile-timeline');
+    if (!container || !slug) return Promise.resolve();
+
+    const feedList = typeof PROFILE_FEEDS !== 'undefined' ? PROFILE_FEEDS : _timelineDeps.PROFILE_FEEDS;
+    const feeds = opts.feeds || feedList.map(f => ({ feed: f.key, url: `../data/${f.file}` }));
+    const getFeed = typeof fetchFeed === 'function' ? fetchFeed : _fetchTimelineJson;
+    const merge = typeof mergeProfileFeeds === 'function' ? mergeProfileFeeds : _timelineDeps.mergeProfileFeeds;
+    // Votes and endorsements only where roll-calls.js / endorsements.js are on the page
+    const getRollCalls = typeof fetchRollCalls === 'function' ? fetchRollCalls : null;
+    const hasEndorsements = typeof getCandidateEndorsements === 'function';
+    const optional = promise => promise.catch(() => null);
+
+    return Promise.all([
+        Promise.all(feeds.map(f => getFeed(f.url)
+            .then(entries => ({ feed: f.feed, entries }))
+            .catch(() => ({ feed: f.feed, entries: [] })))),
+        getRollCalls ? optional(getRollCalls(opts.rollCallsUrl || '../data/roll-calls.json')) : null,
+        optional(_fetchTimelineJson(opts.racesUrl || '../data/races.json')),
+        hasEndorsements ? optional(_fetchTimelineJson(opts.endorsementsUrl || '../data/endorsements.json')) : null
+    ])
+        .then(([loaded, rollCalls, races, endorsements]) => {
+            const events = buildProfileTimeline(slug, {
+                entries: merge(loaded),
+                rollCalls,
+                races,
+                endorsements
+            });
+            if (!events.length) {
+                container.innerHTML = '<p class="no-activity">Nothing on the timeline yet.</p>';
+                return;
+            }
+            container.innerHTML = `<div class="profile-timeline">
+                ${renderTimelineControls(events)}
+                <p class="vr-count"></p>
+                <div class="tl-events"></div>
+            </div>`;
+            const root = container.querySelector('.profile-timeline');
+            const update = () => {
+                const shown = filterTimeline(events, _readTimelineFilters(root));
+                root.querySelector('.vr-count').textContent = shown.length === events.length
+                    ? `${events.length} entries`
+                    : `Showing ${shown.length} of ${events.length} entries`;
+                renderProfileTimeline(shown, root.querySelector('.tl-events'));
+            };
+            root.addEventListener('input', update);
+            root.addEventListener('change', update);
+            root.addEventListener('click', e => {
+                if (e.target.getAttribute('data-filter') !== 'topic') return;
+                e.target.setAttribute('aria-pressed', e.target.getAttribute('aria-pressed') === 'true' ? 'false' : 'true');
+                update();
+            });
+            update();
+        })
+        .catch(() => {
+            container.innerHTML = '<p class="no-activity">Unable to load the timeline.</p>';
+        });
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TIMELINE_TYPES,
+        TIMELINE_VOTES,
+        buildProfileTimeline,
+        filterTimeline,
+        groupTimeline,
+        renderProfileTimeline,
+        renderTimelineControls,
+        initProfileTimeline
+    };
+}
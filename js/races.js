@@ -0,0 +1,191 @@
+/**
+ * Hill Country Sentinel — Races Renderer Module
+ *
+ * Renders the "2026 Elections" section from data/races.json, grouped by
+ * election using the dates in data/elections.json.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global escapeHtml, fetchJsonOnce, getFeedBase, groupEventsByElection, getEventStatus */
+
+// Shared helpers are browser globals (feed-renderer.js, elections.js); require them under Node
+const _raceDeps = (typeof module !== 'undefined' && module.exports)
+    ? Object.assign({}, require('./feed-renderer.js'), require('./elections.js'))
+    : {};
+const _raceEscape = typeof escapeHtml === 'function' ? escapeHtml : _raceDeps.escapeHtml;
+const _raceFetchJson = typeof fetchJsonOnce === 'function' ? fetchJsonOnce : _raceDeps.fetchJsonOnce;
+const _raceGroupEvents = typeof groupEventsByElection === 'function' ? groupEventsByElection : _raceDeps.groupEventsByElection;
+const _raceEventStatus = typeof getEventStatus === 'function' ? getEventStatus : _raceDeps.getEventStatus;
+
+const PARTY_NAMES = { R: 'Republican', D: 'Democratic', L: 'Libertarian', G: 'Green' };
+
+/**
+ * Base path for profile and image links (same logic as layout.js getBase).
+ * @returns {string}
+ */
+function _raceBase() {
+    return typeof getFeedBase === 'function' ? getFeedBase() : '';
+}
+
+/**
+ * Fetch races.json (cached per URL).
+ * @param {string} url - URL to races.json
+ * @returns {Promise<Array>} Races
+ */
+function fetchRaces(url) {
+    return _raceFetchJson(url);
+}
+
+/**
+ * Icon for an election section header.
+ * @param {string} electionId - e.g. "primary-2026"
+ * @returns {string}
+ */
+function getElectionIcon(electionId) {
+    if (/^municipal/.test(electionId)) return '🏛️';
+    if (/^general/.test(electionId)) return '🇺🇸';
+    return '🗳️';
+}
+
+/**
+ * Render a single candidate chip.
+ * @param {object} candidate - { name, slug?, photo?, incumbent?, withdrawn?, party?, note? }
+ * @param {object} race - Race the candidate is running in (used for alt text)
+ * @returns {string} HTML string for the chip
+ */
+function renderCandidateChip(candidate, race) {
+    const base = _raceBase();
+    const classes = ['candidate-chip'];
+    if (candidate.incumbent) classes.push('incumbent');
+    if (candidate.withdrawn) classes.push('withdrawn');
+
+    let inner = '';
+    if (candidate.photo) {
+        const alt = `${candidate.name} - ${race ? race.office : ''} candidate`;
+        inner += `<img src="${_raceEscape(base + candidate.photo)}" alt="${_raceEscape(alt)}" class="candidate-thumb" loading="lazy">`;
+    }
+    if (candidate.incumbent) {
+        inner += '<span class="incumbent-star">★</span>';
+    }
+    inner += _raceEscape(candidate.name);
+    if (candidate.party && !(race && race.partyPrimary)) {
+        inner += ` (${_raceEscape(candidate.party)})`;
+    }
+    if (candidate.withdrawn) {
+        inner += ' <span class="candidate-note">(Withdrew)</span>';
+    } else if (candidate.note) {
+        inner += ` <span class="candidate-note">(${_raceEscape(candidate.note)})</span>`;
+    }
+
+    const title = candidate.withdrawn && candidate.note ? ` title="${_raceEscape(candidate.note)}"` : '';
+    if (candidate.slug) {
+        return `<a href="${base}profiles/${_raceEscape(candidate.slug)}.html" class="${classes.join(' ')}"${title}>${inner}</a>`;
+    }
+    return `<div class="${classes.join(' ')}"${title}>${inner}</div>`;
+}
+
+/**
+ * Render a race card with its candidate chips.
+ * Withdrawn candidates are listed last.
+ * @param {object} race - Race object from races.json
+ * @returns {string} HTML string for the race card
+ */
+function renderRaceCard(race) {
+    const note = race.note ? ` <span class="race-note">(${_raceEscape(race.note)})</span>` : '';
+    const primary = race.partyPrimary
+        ? `<div class="race-primary">${_raceEscape(PARTY_NAMES[race.partyPrimary] || race.partyPrimary)} Primary</div>`
+        : '';
+    const candidates = [...(race.candidates || [])]
+        .sort((a, b) => (a.withdrawn ? 1 : 0) - (b.withdrawn ? 1 : 0));
+
+    return `<div class="compact-race" data-race-id="${_raceEscape(race.id || '')}">
+        <h4>${_raceEscape(race.office)}${note}</h4>
+        ${primary}
+        <div class="candidate-list">
+            ${candidates.map(c => renderCandidateChip(c, race)).join('\n            ')}
+        </div>
+    </div>`;
+}
+
+/**
+ * Early voting notice for an election section, if early voting has not ended.
+ * @param {Array} groupEvents - Calendar events for one election
+ * @param {Date} [now] - Reference time
+ * @returns {string} HTML string ('' when there is nothing to announce)
+ */
+function renderEarlyVotingNotice(groupEvents, now) {
+    const earlyVoting = (groupEvents || []).find(e => e.type === 'early-voting');
+    if (!earlyVoting || !_raceEventStatus) return '';
+    const status = _raceEventStatus(earlyVoting, now);
+    if (status === 'past') return '';
+    const start = new Date(earlyVoting.iso + 'T12:00:00')
+        .toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+    const text = status === 'active'
+        ? 'Early Voting Is Open Now!'
+        : `Early Voting Starts ${start}!`;
+    return `<div class="early-voting-alert">🗳️ ${_raceEscape(text)}</div>`;
+}
+
+/**
+ * Render every race grouped into election sections, in election-date order.
+ * Races whose election is missing from the calendar are grouped by their own electionDate.
+ * @param {Array} races - Races from races.json
+ * @param {Array} events - Calendar events from elections.json
+ * @param {HTMLElement|null} containerEl - DOM element to render into (if null, returns HTML string)
+ * @param {Date} [now] - Reference time
+ * @returns {string} The rendered HTML
+ */
+function renderRacesByElection(races, events, containerEl, now) {
+    const groups = _raceGroupEvents ? _raceGroupEvents(events || []) : [];
+    const sections = groups.map(g => ({
+        id: g.id,
+        title: g.title,
+        date: (g.events.find(e => e.iso === g.iso) || {}).date || '',
+        iso: g.iso,
+        events: g.events,
+        races: []
+    }));
+    const byId = {};
+    sections.forEach(s => { byId[s.id] = s; });
+
+    (races || []).forEach(race => {
+        let section = byId[race.election];
+        if (!section) {
+            section = { id: race.election, title: race.office, date: race.electionDate, iso: race.electionDate, events: [], races: [] };
+            byId[race.election] = section;
+            sections.push(section);
+        }
+        section.races.push(race);
+    });
+
+    const html = sections
+        .filter(s => s.races.length > 0)
+        .sort((a, b) => (a.iso < b.iso ? -1 : a.iso > b.iso ? 1 : 0))
+        .map(s => `<div class="election-date-section" id="races-${_raceEscape(s.id)}">
+    <div class="election-date-header">
+        <h3>${getElectionIcon(s.id)} ${_raceEscape(s.title)} — ${_raceEscape(s.date)}</h3>
+    </div>
+    ${renderEarlyVotingNotice(s.events, now)}
+    <div class="races-grid">
+        ${s.races.map(renderRaceCard).join('\n        ')}
+    </div>
+</div>`)
+        .join('\n');
+
+    if (containerEl && typeof containerEl === 'object' && 'innerHTML' in containerEl) {
+        containerEl.innerHTML = html;
+    }
+    return html;
+}
+
+// Export for Node.js (tests), no-op in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        fetchRaces,
+        getElectionIcon,
+        renderCandidateChip,
+        renderRaceCard,
+        renderEarlyVotingNotice,
+        renderRacesByElection
+    };
+}
@@ -0,0 +1,205 @@
+/**
+ * Hill Country Sentinel — Roll Calls Module
+ *
+ * Loads data/roll-calls.json, the meeting-keyed voting store (one roll call
+ * per agenda item, plus optional per-meeting attendance), and derives the
+ * per-member views the profile "Voting Record" sections show. Topic tags
+ * for agenda items come from one rules-based tagger here, so every view
+ * groups votes under the same labels.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global fetchJsonOnce */
+
+// fetchJsonOnce is a browser global (feed-renderer.js); require it under Node
+const _rollCallDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./feed-renderer.js')
+    : {};
+const _rollCallFetchJson = typeof fetchJsonOnce === 'function' ? fetchJsonOnce : _rollCallDeps.fetchJsonOnce;
+
+// Topic tagger shared by the Voting Record and Voting Analytics: an agenda item
+// gets every topic whose pattern matches its title, in this order
+const TOPIC_RULES = [
+    { id: 'zoning', label: 'Zoning & Land Use', pattern: /rezon|zoning|\bSUP\b|special use permit|short-term rental|\bSTR\b|land use|\bplat\b|annex|fence ordinance/i },
+    { id: 'development', label: 'Development Incentives', pattern: /chapter 380|\bTIRZ\b|tax increment|reinvestment zone|abatement|incentive|\bNBEDC\b|economic development/i },
+    { id: 'budget', label: 'Budget, Taxes & Fees', pattern: /budget|tax rate|ad valorem|property tax|\bbonds?\b|\bfees?\b|rate adjustment|utility rate|salar|compensation|pay raise/i },
+    { id: 'infrastructure', label: 'Infrastructure & Transportation', pattern: /thoroughfare|traffic|parking|right-of-way|eminent domain|flood|drainage|excavation|transit|speed limit|bridge|\broad\b/i },
+    { id: 'governance', label: 'Appointments & Governance', pattern: /appoint|mayor pro tem|city manager|police chief|board of directors|postpone/i }
+];
+const OTHER_TOPIC = { id: 'other', label: 'Other' };
+
+/**
+ * Fetch the roll-call store (cached per URL).
+ * @param {string} url - URL to roll-calls.json
+ * @returns {Promise<object>} { bodies, meetings }
+ */
+function fetchRollCalls(url) {
+    return _rollCallFetchJson(url);
+}
+
+/**
+ * Every roll call in the store, newest meeting first, with its meeting's
+ * date and body copied onto it.
+ * @param {object} store - roll-calls.json
+ * @returns {Array<object>} { meetingId, body, date, id, title, outcome, votes, summaries }
+ */
+function listRollCalls(store) {
+    const meetings = ((store && store.meetings) || []).slice()
+        .sort((a, b) => b.date.localeCompare(a.date));
+    const rollCalls = [];
+    meetings.forEach(meeting => {
+        (meeting.items || []).forEach(item => {
+            rollCalls.push(Object.assign({ meetingId: meeting.id, body: meeting.body, date: meeting.date }, item));
+        });
+    });
+    return rollCalls;
+}
+
+/**
+ * One member's voting record, newest first — the shape profile pages render.
+ * @param {object} store - roll-calls.json
+ * @param {string} slug - Member profile slug
+ * @returns {Array<object>} { date, body, meetingId, itemId, itemTitle, summary, vote, outcome }
+ */
+function getMemberVotes(store, slug) {
+    return listRollCalls(store)
+        .filter(rc => rc.votes && Object.prototype.hasOwnProperty.call(rc.votes, slug))
+        .map(rc => ({
+            date: rc.date,
+            body: rc.body,
+            meetingId: rc.meetingId,
+            itemId: rc.id,
+            itemTitle: rc.title,
+            summary: (rc.summaries && rc.summaries[slug]) || '',
+            vote: rc.votes[slug],
+            outcome: rc.outcome
+        }));
+}
+
+/**
+ * One member's attendance and recusals, newest first.
+ * A meeting's recorded `attendance` wins; without one, attendance is inferred
+ * from the member's votes (present if they cast any vote other than Absent,
+ * absent if every vote was Absent). Meetings with neither are not counted.
+ * @param {object} store - roll-calls.json
+ * @param {string} slug - Member profile slug
+ * @returns {object} { meetings, present, absent, rate, absences, recusals, abstentions }
+ *   rate is present / meetings, null with no meetings; absences are { date, body, meetingId },
+ *   recusals { date, body, meetingId, itemId, itemTitle }
+ */
+function getMemberAttendance(store, slug) {
+    const summary = { meetings: 0, present: 0, absent: 0, rate: null, absences: [], recusals: [], abstentions: 0 };
+    const meetings = ((store && store.meetings) || []).slice()
+        .sort((a, b) => b.date.localeCompare(a.date));
+    meetings.forEach(meeting => {
+        const votes = (meeting.items || [])
+            .filter(item => item.votes && Object.prototype.hasOwnProperty.call(item.votes, slug))
+            .map(item => ({ item, vote: item.votes[slug] }));
+        votes.forEach(({ item, vote }) => {
+            if (vote === 'Recused') {
+                summary.recusals.push({ date: meeting.date, body: meeting.body, meetingId: meeting.id, itemId: item.id, itemTitle: item.title });
+            } else if (vote === 'Abstain') {
+                summary.abstentions++;
+            }
+        });
+
+        let status = null;
+        const attendance = meeting.attendance;
+        if (attendance && attendance.present.includes(slug)) status = 'present';
+        else if (attendance && attendance.absent.includes(slug)) status = 'absent';
+        else if (!attendance && votes.length) status = votes.every(v => v.vote === 'Absent') ? 'absent' : 'present';
+        if (!status) return;
+
+        summary.meetings++;
+        summary[status]++;
+        if (status === 'absent') summary.absences.push({ date: meeting.date, body: meeting.body, meetingId: meeting.id });
+    });
+    summary.rate = summary.meetings ? summary.present / summary.meetings : null;
+    return summary;
+}
+
+/**
+ * Topics for an agenda item title.
+ * @param {string} title - Item title
+ * @returns {Array<string>} Topic ids, ['other'] when no rule matches
+ */
+function tagTopics(title) {
+    const ids = TOPIC_RULES.filter(rule => rule.pattern.test(title || '')).map(rule => rule.id);
+    return ids.length ? ids : [OTHER_TOPIC.id];
+}
+
+/**
+ * Every topic in display order, ending with 'other'.
+ * @returns {Array<{ id: string, label: string }>}
+ */
+function listTopics() {
+    return TOPIC_RULES.concat([OTHER_TOPIC]).map(topic => ({ id: topic.id, label: topic.label }));
+}
+
+/**
+ * Display label for a topic id.
+ * @param {string} id - Topic id
+ * @returns {string}
+ */
+function getTopicLabel(id) {
+    const rule = TOPIC_RULES.find(r => r.id === id);
+    return rule ? rule.label : OTHER_TOPIC.label;
+}
+
+/**
+ * Parse an outcome string into its parts.
+ *   "Failed — supermajority required; 5-2 (Carter, Ryan opposed)"
+ *   → { result: 'failed', tally: { yea: 5, nay: 2 }, supermajority: true,
+ *       opposed: ['Carter', 'Ryan'], ... }
+ * A denial ("Denied unanimously") is a motion to deny that carried, so its
+ * result is 'passed'. Unrecognized prose gives result null.
+ * @param {string} outcome - Outcome as written in roll-calls.json
+ * @returns {object} { result, tally, unanimous, supermajority, died, opposed, abstained, absent, recused }
+ */
+function parseOutcome(outcome) {
+    const text = String(outcome || '');
+    const parsed = {
+        result: null,
+        tally: null,
+        unanimous: /\bunanimous(ly)?\b/i.test(text),
+        supermajority: /supermajority/i.test(text),
+        died: /\bdied\b|lack of (a )?second/i.test(text),
+        opposed: [],
+        abstained: [],
+        absent: [],
+        recused: []
+    };
+    if (parsed.died || /\bfail(ed|s)?\b/i.test(text)) parsed.result = 'failed';
+    else if (/\b(passed|carried|approved|denied)\b/i.test(text)) parsed.result = 'passed';
+
+    // Names live in the trailing parenthetical: "(Carter, Ryan opposed; Edwards absent)"
+    const notes = text.match(/\(([^()]*)\)\s*$/);
+    const prose = notes ? text.slice(0, notes.index) : text;
+    const tally = prose.match(/\b(\d+)\s*[-–]\s*(\d+)\b/);
+    if (tally) parsed.tally = { yea: Number(tally[1]), nay: Number(tally[2]) };
+
+    if (notes) {
+        notes[1].split(';').forEach(clause => {
+            const m = clause.trim().match(/^(.+?)\s+(opposed|abstained|absent|recused)$/i);
+            if (!m) return;
+            const names = m[1].split(/\s*,\s*|\s+and\s+/).map(n => n.trim()).filter(Boolean);
+            parsed[m[2].toLowerCase()].push(...names);
+        });
+    }
+    return parsed;
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TOPIC_RULES,
+        fetchRollCalls,
+        listRollCalls,
+        getMemberVotes,
+        getMemberAttendance,
+        tagTopics,
+        listTopics,
+        getTopicLabel,
+        parseOutcome
+    };
+}
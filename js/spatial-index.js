@@ -0,0 +1,150 @@
+/**
+ * Hill Country Sentinel — Spatial Index Module
+ *
+ * A packed R-tree over feature bounding boxes, built once by
+ * scripts/build-geo.js and shipped as JSON (data/geo/build/index.json). A
+ * point query returns the few features whose boxes contain the point; the
+ * caller then runs the exact point-in-polygon test on just those features.
+ * Also decodes the quantized TopoJSON the same script writes for drawing
+ * the map.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/**
+ * Bounding box of a Polygon or MultiPolygon.
+ * @param {object} geometry - GeoJSON geometry
+ * @returns {number[]} [west, south, east, north]
+ */
+function geometryBounds(geometry) {
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    const visit = coords => {
+        if (typeof coords[0] === 'number') {
+            box[0] = Math.min(box[0], coords[0]);
+            box[1] = Math.min(box[1], coords[1]);
+            box[2] = Math.max(box[2], coords[0]);
+            box[3] = Math.max(box[3], coords[1]);
+        } else {
+            coords.forEach(visit);
+        }
+    };
+    visit(geometry.coordinates);
+    return box;
+}
+
+function _unionBounds(boxes) {
+    return [
+        Math.min(...boxes.map(b => b[0])),
+        Math.min(...boxes.map(b => b[1])),
+        Math.max(...boxes.map(b => b[2])),
+        Math.max(...boxes.map(b => b[3]))
+    ];
+}
+
+/**
+ * Pack entries into a one-level-up list of nodes (Sort-Tile-Recursive):
+ * sort by x into vertical slices, then by y within each slice.
+ * @param {Array<{ bbox: number[] }>} entries - Leaves or nodes
+ * @param {number} nodeSize - Children per node
+ * @returns {Array<{ bbox: number[], children: Array }>}
+ */
+function _packLevel(entries, nodeSize) {
+    const centerX = e => (e.bbox[0] + e.bbox[2]) / 2;
+    const centerY = e => (e.bbox[1] + e.bbox[3]) / 2;
+    const nodeCount = Math.ceil(entries.length / nodeSize);
+    const sliceSize = Math.ceil(Math.sqrt(nodeCount)) * nodeSize;
+    const byX = entries.slice().sort((a, b) => centerX(a) - centerX(b));
+    const nodes = [];
+    for (let i = 0; i < byX.length; i += sliceSize) {
+        const slice = byX.slice(i, i + sliceSize).sort((a, b) => centerY(a) - centerY(b));
+        for (let j = 0; j < slice.length; j += nodeSize) {
+            const children = slice.slice(j, j + nodeSize);
+            nodes.push({ bbox: _unionBounds(children.map(c => c.bbox)), children });
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Build a packed R-tree.
+ * @param {Array<{ id: number, bbox: number[] }>} items - One entry per feature
+ * @param {number} [nodeSize=8] - Children per node
+ * @returns {object|null} Root node { bbox, children }; leaves are { id, bbox }. Null for no items.
+ */
+function createSpatialIndex(items, nodeSize) {
+    const size = nodeSize || 8;
+    if (!items.length) return null;
+    let level = items.map(item => ({ id: item.id, bbox: item.bbox }));
+    do {
+        level = _packLevel(level, size);
+    } while (level.length > 1);
+    return level[0];
+}
+
+/**
+ * Ids of the items whose bounding box contains a point.
+ * @param {object|null} index - From createSpatialIndex()
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @returns {number[]} Candidate ids, in index order
+ */
+function searchSpatialIndex(index, lon, lat) {
+    const found = [];
+    const visit = node => {
+        const [west, south, east, north] = node.bbox;
+        if (lon < west || lon > east || lat < south || lat > north) return;
+        if (node.children) node.children.forEach(visit);
+        else found.push(node.id);
+    };
+    if (index) visit(index);
+    return found;
+}
+
+/**
+ * Decode one object of a quantized, delta-encoded TopoJSON topology into
+ * a GeoJSON FeatureCollection (Polygon and MultiPolygon only).
+ * @param {object} topology - TopoJSON Topology with a `transform`
+ * @param {string} name - Key in topology.objects
+ * @returns {object} FeatureCollection
+ */
+function decodeTopology(topology, name) {
+    const [scaleX, scaleY] = topology.transform.scale;
+    const [translateX, translateY] = topology.transform.translate;
+    const arcs = topology.arcs.map(arc => {
+        let x = 0;
+        let y = 0;
+        return arc.map(([dx, dy]) => {
+            x += dx;
+            y += dy;
+            return [x * scaleX + translateX, y * scaleY + translateY];
+        });
+    });
+    // Negative arc indexes (~i) are arc i reversed; each arc repeats the previous one's last point
+    const ring = indexes => {
+        const points = [];
+        indexes.forEach((index, i) => {
+            const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+            points.push(...(i === 0 ? arc : arc.slice(1)));
+        });
+        return points;
+    };
+    const polygon = rings => rings.map(ring);
+    return {
+        type: 'FeatureCollection',
+        features: topology.objects[name].geometries.map(geometry => ({
+            type: 'Feature',
+            properties: geometry.properties || {},
+            geometry: geometry.type === 'Polygon'
+                ? { type: 'Polygon', coordinates: polygon(geometry.arcs) }
+                : { type: 'MultiPolygon', coordinates: geometry.arcs.map(polygon) }
+        }))
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        geometryBounds,
+        createSpatialIndex,
+        searchSpatialIndex,
+        decodeTopology
+    };
+}
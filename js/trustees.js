@@ -0,0 +1,69 @@
+/**
+ * Hill Country Sentinel — School Trustees Module
+ *
+ * Reads data/trustees.json (one board per school district, seats in the
+ * same shape as officials.json) and picks the trustees and education
+ * policy entries to show a resident once Find My Officials knows their
+ * school district and, where the board has them, their single-member
+ * trustee district.
+ * Works in browser (globals) and Node.js (CommonJS).
+ */
+
+/* global fetchJsonOnce */
+
+// fetchJsonOnce is a browser global (feed-renderer.js); require it under Node
+const _trusteesDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./feed-renderer.js')
+    : {};
+const _trusteesFetchJson = typeof fetchJsonOnce === 'function' ? fetchJsonOnce : _trusteesDeps.fetchJsonOnce;
+
+/**
+ * Fetch trustees.json (cached per URL).
+ * @param {string} url - URL to trustees.json
+ * @returns {Promise<object>} { updated, boards: { <isd>: board } }
+ */
+function fetchTrustees(url) {
+    return _trusteesFetchJson(url);
+}
+
+/**
+ * Trustees who represent a resident. On a board elected from single-member
+ * districts that is the one trustee for the resident's district; on an
+ * at-large board it is every place.
+ * @param {object} board - trustees.json board
+ * @param {string|null} trusteeDistrict - Resident's trustee district, or null for an at-large board
+ * @returns {Array<{ key: string, label: string, seat: object }>} Sorted by seat number
+ */
+function getTrusteeSeats(board, trusteeDistrict) {
+    const seats = (board && board.seats) || {};
+    if (trusteeDistrict) {
+        const seat = seats[trusteeDistrict];
+        return seat ? [{ key: String(trusteeDistrict), label: `District ${trusteeDistrict}`, seat }] : [];
+    }
+    return Object.keys(seats)
+        .sort((a, b) => Number(a) - Number(b))
+        .map(key => ({ key, label: `Place ${key}`, seat: seats[key] }));
+}
+
+/**
+ * Education policy entries about a board, newest first.
+ * @param {Array} entries - policy-feed.json entries
+ * @param {object} board - trustees.json board (matched on its `tag`)
+ * @param {number} [limit=3] - Maximum entries
+ * @returns {Array}
+ */
+function getBoardPolicyEntries(entries, board, limit) {
+    if (!board || !board.tag) return [];
+    return (entries || [])
+        .filter(entry => entry.category === 'education' && (entry.tags || []).includes(board.tag))
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .slice(0, limit === undefined ? 3 : limit);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        fetchTrustees,
+        getTrusteeSeats,
+        getBoardPolicyEntries
+    };
+}
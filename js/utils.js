@@ -2,6 +2,8 @@
  * Hill Country Sentinel — Utility Functions
  */
 
+/* global fetchPeople, buildNameIndex */
+
 /**
  * Format a date string into a readable format.
  * @param {string} dateStr - ISO date string or parseable date
@@ -128,7 +130,7 @@ function escapeRegex(str) {
 
 /**
  * Initialize auto-linking for a page.
- * Fetches candidate data and applies auto-linking to specified elements.
+ * Loads data/people.json (requires js/people.js) and applies auto-linking to specified elements.
  * @param {string|Array} selectors - CSS selectors for elements to process
  * @param {string} [basePath=''] - Base path for profile links
  */
@@ -144,17 +146,9 @@ async function initAutoLinking(selectors, basePath) {
             }
         }
 
-        // Fetch candidate data
-        const response = await fetch(`${basePath}data/officials.json`);
-        if (!response.ok) throw new Error('Failed to fetch officials data');
-        
-        const data = await response.json();
-        
-        // Combine all candidates and officials
-        const allCandidates = [
-            ...(data.current_officials || []),
-            ...(data.mayoral_candidates || [])
-        ];
+        // Names and aliases of everyone with a profile, from the people registry (people.js)
+        const people = await fetchPeople(`${basePath}data/people.json`);
+        const allCandidates = buildNameIndex(people);
 
         // Ensure selectors is an array
         const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
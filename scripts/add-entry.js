@@ -15,7 +15,7 @@ const FEED_CONFIG = {
 
 const VALID_CATEGORIES = {
   candidate: ['elections', 'legislation', 'county-government', 'public-statement'],
-  policy:    ['city-council', 'county-government', 'education', 'infrastructure', 'public-safety'],
+  policy:    ['city-council', 'county-government', 'education', 'infrastructure', 'public-safety', 'elections'],
   business:  ['donations', 'endorsements', 'social-stance', 'hiring-practices']
 };
 
@@ -73,6 +73,79 @@ function validateEntry(entry, feedName) {
   return { valid: true };
 }
 
+function readData(rootDir, file) {
+  const filePath = path.join(rootDir, 'data', file);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : [];
+}
+
+// --- Endorsements ---
+
+/**
+ * Build the endorsements.json record for --endorser/--endorsed, reported by `entry`.
+ * The endorser is a people.json or organizations.json slug or name; anyone in
+ * neither registry is stored by name (as --endorserType, default person).
+ * --race may be left out when the candidate runs in only one race.
+ * @returns {{ endorsement?: object, error?: string }}
+ */
+function buildEndorsement(args, entry, rootDir) {
+  if (!args.endorser || !args.endorsed) {
+    return { error: '--endorser and --endorsed must be given together' };
+  }
+  const type = args.endorserType;
+  if (type && type !== 'person' && type !== 'organization') {
+    return { error: '--endorserType must be person or organization' };
+  }
+
+  // Loaded here so adding a plain entry needs nothing outside scripts/
+  const { findPerson } = require('../js/people.js');
+  const { findOrganization } = require('../js/organizations.js');
+
+  const name = String(args.endorser);
+  let endorser = null;
+  if (type !== 'organization') {
+    const people = readData(rootDir, 'people.json');
+    const person = people.find(p => p.slug === name) || findPerson(people, name);
+    // Only people with a profile page are linked by slug
+    if (person) endorser = { type: 'person', slug: person.profile ? person.slug : null, name: person.name };
+  }
+  if (!endorser && type !== 'person') {
+    const organizations = readData(rootDir, 'organizations.json');
+    const org = organizations.find(o => o.slug === name) || findOrganization(organizations, name);
+    if (org) endorser = { type: 'organization', slug: org.slug, name: org.name };
+  }
+  if (!endorser) {
+    if (type === 'organization') {
+      return { error: `Unknown organization "${name}". Add it to data/organizations.json first.` };
+    }
+    endorser = { type: 'person', slug: null, name };
+  }
+
+  const candidate = String(args.endorsed);
+  const races = readData(rootDir, 'races.json').filter(r => (r.candidates || []).some(c => c.slug === candidate));
+  const race = args.race ? races.find(r => r.id === args.race) : (races.length === 1 ? races[0] : null);
+  if (!race) {
+    if (args.race) return { error: `"${candidate}" is not a candidate in race "${args.race}" (data/races.json)` };
+    if (races.length === 0) return { error: `"${candidate}" is not a candidate in data/races.json` };
+    return { error: `"${candidate}" is running in ${races.map(r => r.id).join(', ')}. Pass --race.` };
+  }
+
+  const date = args.endorsementDate || entry.date.slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return { error: '--endorsementDate must be YYYY-MM-DD' };
+  }
+
+  return {
+    endorsement: {
+      id: `en-${date}-${slugify(endorser.name)}-${candidate}`,
+      endorser,
+      candidate,
+      race: race.id,
+      date,
+      sourceEntry: entry.id
+    }
+  };
+}
+
 // --- Main logic (exported for testing) ---
 function addEntry(args, options) {
   const rootDir = options && options.rootDir ? options.rootDir : path.resolve(__dirname, '..');
@@ -108,8 +181,24 @@ function addEntry(args, options) {
   if (args.relatedCandidate) {
     entry.relatedCandidate = args.relatedCandidate;
   }
-  if (args.imageUrl) {
-    entry.imageUrl = args.imageUrl;
+  if (args.relatedCandidates) {
+    entry.relatedCandidates = String(args.relatedCandidates).split(',').map(s => s.trim()).filter(Boolean);
+  }
+  if (args.relatedOrganizations) {
+    const slugs = String(args.relatedOrganizations).split(',').map(s => s.trim()).filter(Boolean);
+    const registryPath = path.join(rootDir, 'data/organizations.json');
+    if (fs.existsSync(registryPath)) {
+      const known = JSON.parse(fs.readFileSync(registryPath, 'utf-8')).map(o => o.slug);
+      const unknown = slugs.filter(slug => !known.includes(slug));
+      if (unknown.length > 0) {
+        return { success: false, error: `Unknown organization(s): ${unknown.join(', ')}. Add them to data/organizations.json first.` };
+      }
+    }
+    entry.relatedOrganizations = slugs;
+  }
+  // --imageUrl is the old spelling of --image; feeds store the path as `image`
+  if (args.image || args.imageUrl) {
+    entry.image = args.image || args.imageUrl;
   }
 
   // Validate
@@ -118,6 +207,24 @@ function addEntry(args, options) {
     return { success: false, error: validation.error };
   }
 
+  // Endorsement reported by this entry (--endorser / --endorsed)
+  let endorsement = null;
+  let endorsements = null;
+  if (args.endorser || args.endorsed) {
+    const built = buildEndorsement(args, entry, rootDir);
+    if (built.error) {
+      return { success: false, error: built.error };
+    }
+    endorsement = built.endorsement;
+    endorsements = readData(rootDir, 'endorsements.json');
+    const taken = new Set(endorsements.map(e => e.id));
+    const baseId = endorsement.id;
+    for (let n = 2; taken.has(endorsement.id); n++) endorsement.id = `${baseId}-${n}`;
+    if (endorsement.endorser.type === 'organization') {
+      entry.relatedOrganizations = Array.from(new Set((entry.relatedOrganizations || []).concat(endorsement.endorser.slug)));
+    }
+  }
+
   // Read existing data
   const filePath = path.join(rootDir, config.file);
   let data = [];
@@ -131,8 +238,12 @@ function addEntry(args, options) {
 
   // Write
   fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+  if (endorsement) {
+    endorsements.unshift(endorsement);
+    fs.writeFileSync(path.join(rootDir, 'data/endorsements.json'), JSON.stringify(endorsements, null, 2) + '\n', 'utf-8');
+  }
 
-  return { success: true, entry: entry, file: config.file };
+  return { success: true, entry: entry, file: config.file, endorsement: endorsement };
 }
 
 // --- CLI execution ---
@@ -149,6 +260,9 @@ if (require.main === module) {
   console.log(`  ID: ${result.entry.id}`);
   console.log(`  Title: ${result.entry.title}`);
   console.log(`  Date: ${result.entry.date}`);
+  if (result.endorsement) {
+    console.log(`✓ Endorsement added to data/endorsements.json: ${result.endorsement.endorser.name} → ${result.endorsement.candidate} (${result.endorsement.race})`);
+  }
 }
 
-module.exports = { addEntry, validateEntry, parseArgs, slugify, FEED_CONFIG, VALID_CATEGORIES };
+module.exports = { addEntry, validateEntry, buildEndorsement, parseArgs, slugify, FEED_CONFIG, VALID_CATEGORIES };
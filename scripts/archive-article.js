@@ -77,7 +77,7 @@ function generateArchivedPage(articleData) {
     <title>${title} [ARCHIVED] — Comal County GOP Watch</title>
     <link rel="preconnect" href="https://fonts.googleapis.com">
     <link href="https://fonts.googleapis.com/css2?family=Playfair+Display:wght@600;700;800&family=Source+Sans+3:wght@400;500;600;700&display=swap" rel="stylesheet">
-    <link rel="stylesheet" href="../../css/shared.css?v=4">
+    <link rel="stylesheet" href="../../css/shared.css?v=23">
     <style>
         .archive-banner {
             background: #fff4e6;
@@ -130,7 +130,9 @@ function generateArchivedPage(articleData) {
 
     <div id="site-footer"></div>
 
-    <script src="../../js/layout.js?v=4"></script>
+    <script src="../../js/feed-renderer.js?v=15"></script>
+    <script src="../../js/people.js?v=2"></script>
+    <script src="../../js/layout.js?v=16"></script>
 </body>
 </html>`;
 }
@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Boundary layer build
+ *
+ * Find My Officials used to download every boundary file in full (the
+ * voting precincts alone are over 1 MB) and scan every feature on each
+ * lookup. This script writes under data/geo/build/:
+ *
+ *   index.json         a packed R-tree of feature bounding boxes per layer,
+ *                      so a lookup tests only the features whose boxes hold
+ *                      the point (js/spatial-index.js)
+ *   display.topo.json  the layers drawn on the map as one TopoJSON topology:
+ *                      quantized, with shared borders stored once and
+ *                      simplified together so neighbours still meet
+ *   features/<layer>/<id>.json
+ *                      each feature's full geometry, named by its position
+ *                      in the source layer (the index's leaf id)
+ *
+ * The map draws the simplified geometry. For a lookup the page fetches only
+ * the features the index returns for the point, and runs the exact
+ * point-in-polygon test on those.
+ *
+ * Usage:
+ *   node scripts/build-geo.js           # list files that would change
+ *   node scripts/build-geo.js --write   # write them
+ *   node scripts/build-geo.js --check   # exit 1 if the build is stale
+ *
+ * Run it with --write whenever a file in data/geo/ changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { geometryBounds, createSpatialIndex } = require('../js/spatial-index.js');
+
+const BUILD_DIR = 'data/geo/build';
+const FEATURE_DIR = `${BUILD_DIR}/features`;
+
+// Layer keys match the page's geoData keys; only `display` layers are drawn
+const LAYERS = [
+  { key: 'commissioner', file: 'data/geo/commissioner-precincts.geojson', display: true, properties: ['Precinct'] },
+  { key: 'voting', file: 'data/geo/voting-precincts.geojson', display: true, properties: ['Precinct'] },
+  { key: 'jp', file: 'data/geo/jp-precincts.geojson', display: true, properties: ['Precinct'] },
+  { key: 'nbCityCouncil', file: 'data/geo/nb-city-council.geojson', display: true, properties: ['District'] },
+  { key: 'schoolDistricts', file: 'data/geo/school-districts.geojson', display: false },
+  { key: 'trusteeDistricts', file: 'data/geo/trustee-districts.geojson', display: false },
+  { key: 'stateHouse', file: 'data/geo/state-house-districts.geojson', display: false },
+  { key: 'stateSenate', file: 'data/geo/state-senate-districts.geojson', display: false },
+  { key: 'congressional', file: 'data/geo/congressional-districts.geojson', display: false }
+];
+
+// Quantization grid (points per axis) and simplification tolerance (degrees, about 10 m)
+const QUANTIZATION = 1e5;
+const SIMPLIFY_TOLERANCE = 0.0001;
+
+// --- Index ---
+
+/**
+ * Widen a box to 6 decimals without ever shrinking it, so no point inside
+ * a feature falls outside its rounded box.
+ * @param {number[]} bbox - [west, south, east, north]
+ * @returns {number[]}
+ */
+function roundBoundsOutward(bbox) {
+  const f = 1e6;
+  return [Math.floor(bbox[0] * f) / f, Math.floor(bbox[1] * f) / f, Math.ceil(bbox[2] * f) / f, Math.ceil(bbox[3] * f) / f];
+}
+
+/**
+ * R-tree over a layer's features; leaf ids are positions in `features`.
+ * @param {object} collection - GeoJSON FeatureCollection
+ * @returns {object|null}
+ */
+function buildLayerIndex(collection) {
+  return createSpatialIndex(collection.features.map((feature, id) => ({
+    id,
+    bbox: roundBoundsOutward(geometryBounds(feature.geometry))
+  })));
+}
+
+// --- Topology ---
+
+function polygonsOf(geometry) {
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+/**
+ * Snap rings to the integer grid and drop repeated points. Returned rings
+ * are open (the closing point is implied).
+ * @param {Array<Array<number[]>>} rings - GeoJSON rings
+ * @param {object} transform - { scale: [x, y], translate: [x, y] }
+ * @returns {Array<Array<number[]>>}
+ */
+function quantizeRings(rings, transform) {
+  return rings.map(ring => {
+    const points = [];
+    ring.forEach(([x, y]) => {
+      const q = [Math.round((x - transform.translate[0]) / transform.scale[0]), Math.round((y - transform.translate[1]) / transform.scale[1])];
+      const last = points[points.length - 1];
+      if (!last || last[0] !== q[0] || last[1] !== q[1]) points.push(q);
+    });
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+    return points;
+  });
+}
+
+/**
+ * Points where a border stops being shared: visited more than once with
+ * different neighbours on either side.
+ * @param {Array<Array<number[]>>} rings - Open quantized rings
+ * @returns {Set<string>} "x,y" keys
+ */
+function findJunctions(rings) {
+  const neighbours = new Map();
+  const junctions = new Set();
+  rings.forEach(ring => {
+    ring.forEach((point, i) => {
+      const key = point.join(',');
+      const prev = ring[(i + ring.length - 1) % ring.length].join(',');
+      const next = ring[(i + 1) % ring.length].join(',');
+      const pair = [prev, next].sort().join('|');
+      if (!neighbours.has(key)) neighbours.set(key, pair);
+      else if (neighbours.get(key) !== pair) junctions.add(key);
+    });
+  });
+  return junctions;
+}
+
+/**
+ * Cut an open ring into arcs at junctions. A ring without junctions becomes
+ * one closed arc starting at its smallest point, so identical rings match.
+ * @param {Array<number[]>} ring - Open quantized ring
+ * @param {Set<string>} junctions - From findJunctions()
+ * @returns {Array<Array<number[]>>} Arcs; each ends where the next begins
+ */
+function cutRing(ring, junctions) {
+  let start = ring.findIndex(p => junctions.has(p.join(',')));
+  const closed = start === -1;
+  if (closed) {
+    start = 0;
+    ring.forEach((p, i) => {
+      if (p[0] < ring[start][0] || (p[0] === ring[start][0] && p[1] < ring[start][1])) start = i;
+    });
+  }
+  const rotated = ring.slice(start).concat(ring.slice(0, start), [ring[start]]);
+  if (closed) return [rotated];
+  const arcs = [];
+  let arc = [rotated[0]];
+  for (let i = 1; i < rotated.length; i++) {
+    arc.push(rotated[i]);
+    if (i < rotated.length - 1 && junctions.has(rotated[i].join(','))) {
+      arcs.push(arc);
+      arc = [rotated[i]];
+    }
+  }
+  arcs.push(arc);
+  return arcs;
+}
+
+/**
+ * Douglas–Peucker simplification, keeping both ends.
+ * @param {Array<number[]>} points - Polyline
+ * @param {number} tolerance - Maximum deviation, in grid units
+ * @returns {Array<number[]>}
+ */
+function simplifyLine(points, tolerance) {
+  if (points.length <= 2) return points;
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    const [ax, ay] = points[first];
+    const [bx, by] = points[last];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const length = Math.hypot(dx, dy);
+    let farthest = -1;
+    let maxDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const [px, py] = points[i];
+      const distance = length === 0
+        ? Math.hypot(px - ax, py - ay)
+        : Math.abs(dy * px - dx * py + bx * ay - by * ax) / length;
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Encode the display layers as one quantized TopoJSON topology.
+ * @param {Array<{ key: string, collection: object, properties: string[] }>} layers - Display layers
+ * @returns {object} Topology
+ */
+function buildTopology(layers) {
+  const all = layers.flatMap(l => l.collection.features);
+  const bounds = all.map(f => geometryBounds(f.geometry));
+  const west = Math.min(...bounds.map(b => b[0]));
+  const south = Math.min(...bounds.map(b => b[1]));
+  const east = Math.max(...bounds.map(b => b[2]));
+  const north = Math.max(...bounds.map(b => b[3]));
+  const transform = {
+    scale: [(east - west) / (QUANTIZATION - 1), (north - south) / (QUANTIZATION - 1)],
+    translate: [west, south]
+  };
+
+  // Quantize every ring first: junctions are found across all layers at once
+  const quantized = layers.map(layer => layer.collection.features.map(feature =>
+    polygonsOf(feature.geometry).map(rings => quantizeRings(rings, transform).filter(r => r.length >= 3))
+  ));
+  const junctions = findJunctions(quantized.flat(3));
+
+  const arcs = [];
+  const arcIds = new Map();
+  const tolerance = SIMPLIFY_TOLERANCE / transform.scale[0];
+  const arcIndex = arc => {
+    const key = arc.map(p => p.join(',')).join(';');
+    if (arcIds.has(key)) return arcIds.get(key);
+    const reversedKey = arc.slice().reverse().map(p => p.join(',')).join(';');
+    if (arcIds.has(reversedKey)) return ~arcIds.get(reversedKey);
+    let simplified = simplifyLine(arc, tolerance);
+    // A closed arc is a whole ring and needs at least four points
+    if (arc.length > 3 && simplified.length < 4 && arc[0].join(',') === arc[arc.length - 1].join(',')) simplified = arc;
+    arcIds.set(key, arcs.length);
+    arcs.push(simplified);
+    return arcs.length - 1;
+  };
+
+  const objects = {};
+  layers.forEach((layer, l) => {
+    objects[layer.key] = {
+      type: 'GeometryCollection',
+      geometries: layer.collection.features.map((feature, f) => {
+        const polygons = quantized[l][f].map(rings => rings.map(ring => cutRing(ring, junctions).map(arcIndex)));
+        const properties = {};
+        (layer.properties || []).forEach(name => {
+          if (feature.properties[name] !== undefined) properties[name] = feature.properties[name];
+        });
+        return polygons.length === 1
+          ? { type: 'Polygon', arcs: polygons[0], properties }
+          : { type: 'MultiPolygon', arcs: polygons, properties };
+      })
+    };
+  });
+
+  // Delta-encode: each point after the first is stored relative to the one before
+  const encoded = arcs.map(arc => arc.map((p, i) => (i === 0 ? p : [p[0] - arc[i - 1][0], p[1] - arc[i - 1][1]])));
+  return { type: 'Topology', transform, objects, arcs: encoded };
+}
+
+// --- Build ---
+
+/**
+ * Files under features/ that the build no longer produces, e.g. after a
+ * layer lost features.
+ * @param {string} rootDir - Repository root
+ * @param {Set<string>} keep - Files the build writes
+ * @returns {string[]}
+ */
+function staleFeatureFiles(rootDir, keep) {
+  const dir = path.join(rootDir, FEATURE_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).flatMap(layer => fs.readdirSync(path.join(dir, layer)).map(name => `${FEATURE_DIR}/${layer}/${name}`))
+    .filter(file => !keep.has(file))
+    .sort();
+}
+
+/**
+ * Build the index, display topology and per-feature files from the layers
+ * present in data/geo/.
+ * @param {string} rootDir - Repository root
+ * @param {object} [options] - { write }
+ * @returns {Array<{ file: string, changed: boolean, bytes: number, removed?: boolean }>}
+ */
+function buildGeo(rootDir, options) {
+  const opts = options || {};
+  const present = LAYERS
+    .filter(layer => fs.existsSync(path.join(rootDir, layer.file)))
+    .map(layer => ({ ...layer, collection: JSON.parse(fs.readFileSync(path.join(rootDir, layer.file), 'utf-8')) }));
+
+  const index = { layers: {} };
+  present.forEach(layer => {
+    index.layers[layer.key] = {
+      source: layer.file,
+      features: layer.collection.features.length,
+      index: buildLayerIndex(layer.collection)
+    };
+  });
+  const topology = buildTopology(present.filter(layer => layer.display));
+
+  const outputs = [
+    { file: `${BUILD_DIR}/index.json`, text: JSON.stringify(index) + '\n' },
+    { file: `${BUILD_DIR}/display.topo.json`, text: JSON.stringify(topology) + '\n' }
+  ];
+  present.forEach(layer => {
+    layer.collection.features.forEach((feature, id) => {
+      outputs.push({ file: `${FEATURE_DIR}/${layer.key}/${id}.json`, text: JSON.stringify(feature) + '\n' });
+    });
+  });
+
+  const written = outputs.map(({ file, text }) => {
+    const outPath = path.join(rootDir, file);
+    const changed = !fs.existsSync(outPath) || fs.readFileSync(outPath, 'utf-8') !== text;
+    if (opts.write && changed) {
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      fs.writeFileSync(outPath, text, 'utf-8');
+    }
+    return { file, changed, bytes: Buffer.byteLength(text) };
+  });
+  const removed = staleFeatureFiles(rootDir, new Set(outputs.map(o => o.file))).map(file => {
+    if (opts.write) {
+      const outPath = path.join(rootDir, file);
+      fs.unlinkSync(outPath);
+      if (!fs.readdirSync(path.dirname(outPath)).length) fs.rmdirSync(path.dirname(outPath));
+    }
+    return { file, changed: true, bytes: 0, removed: true };
+  });
+  return written.concat(removed);
+}
+
+// --- Argument parsing ---
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const val = argv[i + 1];
+      if (val !== undefined && !val.startsWith('--')) {
+        args[key] = val;
+        i++;
+      } else {
+        args[key] = true;
+      }
+    }
+  }
+  return args;
+}
+
+// --- CLI execution ---
+if (require.main === module) {
+  const args = parseArgs(process.argv);
+  const files = buildGeo(path.resolve(__dirname, '..'), { write: !!args.write });
+  const changed = files.filter(f => f.changed);
+  if (args.check) {
+    changed.forEach(f => console.error(`stale: ${f.file}`));
+    console.log(`${files.length} file(s), ${changed.length} stale${changed.length ? ' (run node scripts/build-geo.js --write)' : ''}`);
+    process.exit(changed.length ? 1 : 0);
+  }
+  changed.forEach(f => {
+    if (f.removed) console.log(`${args.write ? 'removed' : 'would remove'} ${f.file}`);
+    else console.log(`${args.write ? 'wrote' : 'would write'} ${f.file} (${Math.round(f.bytes / 1024)} KB)`);
+  });
+  console.log(`${files.length - changed.length} file(s) unchanged`);
+  if (!args.write && changed.length) console.log('Dry run: pass --write to save.');
+}
+
+module.exports = {
+  buildGeo,
+  buildLayerIndex,
+  buildTopology,
+  simplifyLine,
+  parseArgs,
+  FEATURE_DIR,
+  LAYERS
+};
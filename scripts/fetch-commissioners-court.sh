@@ -0,0 +1,57 @@
+#!/bin/bash
+# Fetch and convert Comal County Commissioners Court minutes PDFs
+# Usage: ./fetch-commissioners-court.sh meetings.txt
+#   meetings.txt lists one meeting per line as YYYY-MM-DD|URL, copied from the
+#   minutes links on https://www.co.comal.tx.us/Comm.htm (blank lines and # comments ignored)
+# Outputs: /tmp/comal-court-text/ directory with .txt files per meeting
+
+set -e
+
+LIST_FILE="$1"
+OUTPUT_DIR="/tmp/comal-court-text"
+
+if [ -z "$LIST_FILE" ] || [ ! -f "$LIST_FILE" ]; then
+  echo "Usage: $0 meetings.txt   (one YYYY-MM-DD|URL per line)" >&2
+  exit 1
+fi
+
+mkdir -p "$OUTPUT_DIR"
+
+MEETINGS=()
+while IFS= read -r line || [ -n "$line" ]; do
+  case "$line" in
+    ''|'#'*) continue ;;
+  esac
+  MEETINGS+=("$line")
+done < "$LIST_FILE"
+
+echo "Fetching and converting ${#MEETINGS[@]} minutes PDFs..."
+
+for entry in "${MEETINGS[@]}"; do
+  DATE="${entry%%|*}"
+  URL="${entry##*|}"
+  OUTFILE="$OUTPUT_DIR/$DATE.txt"
+
+  if [ -f "$OUTFILE" ]; then
+    echo "  SKIP $DATE (already converted)"
+    continue
+  fi
+
+  TMPDF="/tmp/comal-court-$DATE.pdf"
+  echo -n "  Fetching $DATE... "
+  HTTP_CODE=$(curl -s -L -o "$TMPDF" -w "%{http_code}" "$URL")
+
+  if [ "$HTTP_CODE" = "200" ] && [ -s "$TMPDF" ]; then
+    pdftotext "$TMPDF" "$OUTFILE" 2>/dev/null && echo "OK" || echo "PARSE FAILED"
+    rm -f "$TMPDF"
+  else
+    echo "HTTP $HTTP_CODE - SKIPPED"
+    rm -f "$TMPDF"
+  fi
+done
+
+echo ""
+echo "Done. Text files in $OUTPUT_DIR:"
+ls -la "$OUTPUT_DIR"/*.txt 2>/dev/null | awk '{print $NF, $5}'
+echo ""
+echo "Next: node scripts/parse-court-orders.js --dir $OUTPUT_DIR"
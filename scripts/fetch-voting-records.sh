@@ -60,3 +60,5 @@ done
 echo ""
 echo "Done. Text files in $OUTPUT_DIR:"
 ls -la "$OUTPUT_DIR"/*.txt 2>/dev/null | awk '{print $NF, $5}'
+echo ""
+echo "Next: node scripts/parse-minutes.js --dir $OUTPUT_DIR"
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Organization page generator
+ *
+ * Writes one page per entry in data/organizations.json to
+ * organizations/<slug>.html, plus the organizations/index.html directory.
+ * The pages are shells: js/organizations.js fills in the feed entries that
+ * list the organization in `relatedOrganizations`, any contributions it
+ * made in the campaign finance reports and the candidates it endorsed.
+ *
+ * Usage:
+ *   node scripts/generate-org-pages.js           # list pages that would change
+ *   node scripts/generate-org-pages.js --write   # write them
+ *
+ * Re-run after adding or renaming an organization. Pages for organizations
+ * removed from the registry are not deleted; test/check-integrity.js warns
+ * about them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ORGANIZATION_TYPES } = require('../js/organizations.js');
+
+const SITE_URL = 'https://e1cap1tan.github.io/hill-country-sentinel/';
+const INDEX_HEADINGS = { business: 'Businesses', pac: 'PACs', chamber: 'Chambers of Commerce', club: 'Clubs' };
+
+// --- Argument parsing ---
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const val = argv[i + 1];
+      if (val !== undefined && !val.startsWith('--')) {
+        args[key] = val;
+        i++;
+      } else {
+        args[key] = true;
+      }
+    }
+  }
+  return args;
+}
+
+function escapeHtml(str) {
+  return String(str == null ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Shared <head> for organization pages: title, description, canonical and social tags.
+ * @param {string} title - Page title (without the site name)
+ * @param {string} description - Meta description
+ * @param {string} url - Canonical URL
+ * @returns {string}
+ */
+function renderHead(title, description, url) {
+  return `<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} — Hill Country Sentinel</title>
+    <meta name="description" content="${escapeHtml(description)}">
+
+    <!-- Canonical URL -->
+    <link rel="canonical" href="${url}">
+
+    <!-- Open Graph / Facebook -->
+    <meta property="og:type" content="website">
+    <meta property="og:url" content="${url}">
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:image" content="${SITE_URL}images/courthouse-header.png">
+    <meta property="og:site_name" content="Hill Country Sentinel">
+
+    <!-- Twitter Card -->
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:url" content="${url}">
+    <meta name="twitter:title" content="${escapeHtml(title)}">
+    <meta name="twitter:description" content="${escapeHtml(description)}">
+    <meta name="twitter:image" content="${SITE_URL}images/courthouse-header.png">
+
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link href="https://fonts.googleapis.com/css2?family=Playfair+Display:wght@600;700;800&family=Source+Sans+3:wght@400;500;600;700&display=swap" rel="stylesheet">
+    <link rel="stylesheet" href="../css/shared.css?v=23">
+    <style>
+        .container { max-width: 900px; margin: 0 auto; padding: 40px 24px; }
+        .back-link { display: inline-flex; align-items: center; gap: 8px; color: var(--navy); text-decoration: none; font-weight: 600; font-size: 14px; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 32px; transition: color 0.2s; }
+        .back-link:hover { color: var(--red); }
+        .org-header { margin-bottom: 32px; }
+        .org-header h1 { font-size: 36px; color: var(--navy); margin-bottom: 4px; }
+        .org-header .title { font-size: 18px; color: var(--gold); font-weight: 600; margin-bottom: 12px; }
+        .org-header .details { font-size: 14px; color: var(--text-muted); line-height: 2; }
+        .org-header .details a { color: var(--red); font-weight: 600; }
+        .section { background: var(--white); border-radius: 12px; padding: 28px; margin-bottom: 20px; border: 1px solid var(--border); box-shadow: 0 1px 4px rgba(0,0,0,0.06); }
+        .section h2 { font-size: 22px; color: var(--navy); margin-bottom: 16px; padding-bottom: 12px; border-bottom: 2px solid var(--gold); }
+        .section a { color: var(--red); font-weight: 600; }
+        .section a:hover { text-decoration: underline; }
+        .section ul { list-style: none; padding: 0; }
+        .section li { padding: 6px 0; border-bottom: 1px solid var(--border); }
+        .no-activity { color: var(--text-muted); font-style: italic; }
+        .section .feed-card { background: var(--cream); border-radius: 8px; padding: 16px; margin-bottom: 12px; border: 1px solid var(--border); }
+        .section .feed-card-title { font-size: 16px; color: var(--navy); margin-bottom: 4px; }
+        .section .feed-card-date { font-size: 12px; color: var(--text-muted); margin-bottom: 4px; }
+        .section .feed-card-summary { font-size: 14px; color: var(--text); }
+        .section .feed-card-source { font-size: 12px; color: var(--red); }
+        .section .finance-donors { margin-bottom: 16px; }
+        @media (max-width: 900px) {
+            .org-header h1 { font-size: 28px; }
+        }
+    </style>
+</head>`;
+}
+
+/**
+ * One organization's page.
+ * @param {object} org - organizations.json entry
+ * @returns {string} HTML
+ */
+function renderOrganizationPage(org) {
+  const type = ORGANIZATION_TYPES[org.type] || org.type;
+  const url = `${SITE_URL}organizations/${org.slug}.html`;
+  const description = `Donations, endorsements and coverage involving ${org.name} in Comal County and New Braunfels politics.`;
+  const details = [];
+  if (org.aliases && org.aliases.length) details.push(`Also known as: ${org.aliases.map(escapeHtml).join('; ')}`);
+  if (org.website) details.push(`<a href="${escapeHtml(org.website)}" target="_blank" rel="noopener">Website</a>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+${renderHead(org.name, description, url)}
+<body data-organization-slug="${org.slug}">
+    <div id="site-nav"></div>
+    <div class="container">
+        <a href="index.html" class="back-link">← All Organizations</a>
+        <div class="org-header">
+            <h1>${escapeHtml(org.name)}</h1>
+            <div class="title">${escapeHtml(type)}</div>
+${details.length ? `            <div class="details">${details.join('<br>')}</div>\n` : ''}        </div>
+        <div id="organization-activity">
+            <p class="no-activity">Loading activity...</p>
+        </div>
+    </div>
+    <div id="site-footer"></div>
+    <script src="../js/utils.js?v=10"></script>
+    <script src="../js/feed-renderer.js?v=15"></script>
+    <script src="../js/people.js?v=2"></script>
+    <script src="../js/layout.js?v=16"></script>
+    <script src="../js/finance.js?v=2"></script>
+    <script src="../js/endorsements.js?v=2"></script>
+    <script src="../js/organizations.js?v=2"></script>
+    <script>
+        document.addEventListener('DOMContentLoaded', function() {
+            initOrganizationPage().then(function() {
+                initAutoLinking(['#organization-activity'], '../');
+            });
+        });
+    </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * The organizations/index.html directory, grouped by type.
+ * @param {Array} organizations - organizations.json
+ * @returns {string} HTML
+ */
+function renderOrganizationIndex(organizations) {
+  const sections = Object.keys(INDEX_HEADINGS).map(type => {
+    const orgs = organizations.filter(o => o.type === type).sort((a, b) => a.name.localeCompare(b.name));
+    if (!orgs.length) return '';
+    const items = orgs.map(o => `                <li><a href="${o.slug}.html">${escapeHtml(o.name)}</a></li>`).join('\n');
+    return `        <div class="section">
+            <h2>${INDEX_HEADINGS[type]}</h2>
+            <ul>
+${items}
+            </ul>
+        </div>
+`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+${renderHead('Organizations', 'Businesses, PACs, chambers of commerce and clubs active in Comal County and New Braunfels politics.', `${SITE_URL}organizations/index.html`)}
+<body>
+    <div id="site-nav"></div>
+    <div class="container">
+        <a href="../feeds/business.html" class="back-link">← Business Watch</a>
+        <div class="org-header">
+            <h1>Organizations</h1>
+            <div class="details">Businesses, PACs, chambers of commerce and clubs that appear in our coverage.</div>
+        </div>
+${sections}    </div>
+    <div id="site-footer"></div>
+    <script src="../js/utils.js?v=10"></script>
+    <script src="../js/feed-renderer.js?v=15"></script>
+    <script src="../js/people.js?v=2"></script>
+    <script src="../js/layout.js?v=16"></script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render every organization page and report which differ from disk.
+ * @param {string} rootDir - Repository root
+ * @param {object} [options] - { write: boolean }
+ * @returns {Array<{ file: string, changed: boolean }>} Pages, relative to rootDir
+ */
+function generateOrgPages(rootDir, options) {
+  const organizations = JSON.parse(fs.readFileSync(path.join(rootDir, 'data/organizations.json'), 'utf-8'));
+  const pages = organizations.map(org => ({ file: `organizations/${org.slug}.html`, html: renderOrganizationPage(org) }));
+  pages.push({ file: 'organizations/index.html', html: renderOrganizationIndex(organizations) });
+
+  return pages.map(page => {
+    const filePath = path.join(rootDir, page.file);
+    const changed = !fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf-8') !== page.html;
+    if (changed && options && options.write) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, page.html, 'utf-8');
+    }
+    return { file: page.file, changed };
+  });
+}
+
+// --- CLI execution ---
+if (require.main === module) {
+  const args = parseArgs(process.argv);
+  const pages = generateOrgPages(path.resolve(__dirname, '..'), { write: !!args.write });
+  const changed = pages.filter(p => p.changed);
+  changed.forEach(p => console.log(`${args.write ? 'wrote' : 'would write'} ${p.file}`));
+  console.log(`${pages.length} page(s), ${changed.length} changed${args.write || !changed.length ? '' : ' (dry run: pass --write to save)'}`);
+}
+
+module.exports = { generateOrgPages, renderOrganizationPage, renderOrganizationIndex, parseArgs };
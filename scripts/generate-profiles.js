@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Profile page generator
+ *
+ * Writes profiles/<slug>.html for every person in data/people.json with
+ * `"profile": true`, from the page content in data/profiles/<slug>.json
+ * (title, details, biography, links and positions). Everything else comes
+ * from the other datasets:
+ *   - photo and party from data/people.json
+ *   - votes on the Timeline (plus Attendance and Voting Analytics for the
+ *     city council) from the member's seat in data/officials.json
+ *   - the Endorsed By section from candidacy in data/races.json
+ *   - breadcrumbs and back link: Find My Officials for anyone holding a
+ *     seat in data/officials.json, Races for everyone else
+ *
+ * Every page gets the same head: description, canonical URL, Open Graph and
+ * Twitter tags, Person and BreadcrumbList JSON-LD.
+ *
+ * Usage:
+ *   node scripts/generate-profiles.js           # list pages that would change
+ *   node scripts/generate-profiles.js --write   # write them
+ *   node scripts/generate-profiles.js --check   # exit 1 if any page is stale
+ *
+ * Edit data/profiles/<slug>.json, not the HTML: hand edits to a generated
+ * page are overwritten on the next --write.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SITE_URL = 'https://e1cap1tan.github.io/hill-country-sentinel/';
+const DEFAULT_IMAGE = 'images/courthouse-header.png';
+const DEFAULT_CONTACT_NOTE = 'Contact information coming soon.';
+const DEFAULT_POSITIONS_NOTE = 'Voting record and policy positions coming soon.';
+
+// officials.json groups whose members have roll-call votes, and where the votes come from
+const ROLL_CALL_SEATS = {
+  cityCouncil: {
+    source: 'City of New Braunfels official meeting minutes (newbraunfels.legistar.com)',
+    analytics: true,
+  },
+  commissioner: {
+    source: 'Comal County Commissioners Court minutes (co.comal.tx.us)',
+    analytics: false,
+  },
+};
+
+const PROFILE_SECTIONS = {
+  officials: { label: 'Find My Officials', href: 'find-my-officials.html' },
+  races: { label: 'Races', href: 'feeds/candidates.html' },
+};
+
+const AVATAR_PLACEHOLDER = '<div class="avatar-placeholder"><svg width="80" height="80" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><circle cx="12" cy="8" r="4"/><path d="M20 21a8 8 0 10-16 0"/></svg></div>';
+
+// --- Argument parsing ---
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const val = argv[i + 1];
+      if (val !== undefined && !val.startsWith('--')) {
+        args[key] = val;
+        i++;
+      } else {
+        args[key] = true;
+      }
+    }
+  }
+  return args;
+}
+
+function escapeHtml(str) {
+  return String(str == null ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * JSON-LD block, indented to sit in <head>. `<` is escaped so text can't close the script.
+ * @param {object} data
+ * @returns {string}
+ */
+function renderJsonLd(data) {
+  const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c').split('\n').join('\n    ');
+  return `    <script type="application/ld+json">\n    ${json}\n    </script>`;
+}
+
+/**
+ * Where a person sits in the other datasets.
+ * @param {string} slug - Person slug
+ * @param {object} officials - data/officials.json
+ * @param {Array} races - data/races.json
+ * @returns {{ seat: object|null, section: string, candidate: boolean, vacant: boolean }}
+ *   seat: ROLL_CALL_SEATS entry for their officials.json group, if any
+ *   vacant: the page is for a vacant seat rather than a person
+ */
+function profileContext(slug, officials, races) {
+  let seat = null;
+  let official = false;
+  let vacant = false;
+  Object.keys(officials).forEach(group => {
+    const seats = officials[group];
+    if (!seats || typeof seats !== 'object') return;
+    Object.keys(seats).forEach(key => {
+      if (seats[key] && seats[key].profileSlug === slug) {
+        official = true;
+        // A vacant seat has nobody casting votes
+        if (seats[key].vacant) vacant = true;
+        else if (ROLL_CALL_SEATS[group]) seat = ROLL_CALL_SEATS[group];
+      }
+    });
+  });
+  const candidate = races.some(race => (race.candidates || []).some(c => c.slug === slug));
+  return { seat, section: official ? 'officials' : 'races', candidate, vacant };
+}
+
+/**
+ * Paragraphs (HTML) followed by an optional italic placeholder (text).
+ * @param {{ paragraphs?: string[], placeholder?: string }} content
+ * @returns {string}
+ */
+function renderParagraphs(content) {
+  const lines = (content.paragraphs || []).map(p => `            <p>${p}</p>`);
+  if (content.placeholder) lines.push(`            <p class="placeholder">${escapeHtml(content.placeholder)}</p>`);
+  return lines.join('\n');
+}
+
+function renderSourceNote(text) {
+  return `            <p style="font-size:13px;color:#666;margin-bottom:16px;">
+                ${text}
+            </p>`;
+}
+
+/**
+ * The page <head>.
+ * @param {object} person - people.json entry
+ * @param {object} profile - data/profiles/<slug>.json
+ * @param {object} context - From profileContext
+ * @returns {string}
+ */
+function renderHead(person, profile, context) {
+  const url = `${SITE_URL}profiles/${person.slug}.html`;
+  const image = SITE_URL + (person.photo || DEFAULT_IMAGE);
+  const title = `${person.name}, ${profile.title}`;
+  const description = profile.description ||
+    `${person.name}: ${profile.title}. Biography, contact links, ${context.seat ? 'voting record, ' : ''}campaign finance and recent coverage from the Hill Country Sentinel.`;
+  const section = PROFILE_SECTIONS[context.section];
+
+  const personLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: person.name,
+  };
+  if (profile.displayName) personLd.alternateName = profile.displayName;
+  personLd.jobTitle = profile.title;
+  personLd.description = description;
+  personLd.url = url;
+  if (person.photo) personLd.image = image;
+  if (profile.links && profile.links.length) personLd.sameAs = profile.links.map(l => l.url);
+
+  const breadcrumbLd = {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: [
+      { '@type': 'ListItem', position: 1, name: 'Home', item: SITE_URL },
+      { '@type': 'ListItem', position: 2, name: section.label, item: SITE_URL + section.href },
+      { '@type': 'ListItem', position: 3, name: person.name, item: url },
+    ],
+  };
+
+  return `<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} | Hill Country Sentinel</title>
+    <meta name="description" content="${escapeHtml(description)}">
+
+    <!-- Canonical URL -->
+    <link rel="canonical" href="${url}">
+
+    <!-- Open Graph / Facebook -->
+    <meta property="og:type" content="${context.vacant ? 'website' : 'profile'}">
+    <meta property="og:url" content="${url}">
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:image" content="${image}">
+    <meta property="og:site_name" content="Hill Country Sentinel">
+
+    <!-- Twitter Card -->
+    <meta name="twitter:card" content="summary">
+    <meta name="twitter:url" content="${url}">
+    <meta name="twitter:title" content="${escapeHtml(title)}">
+    <meta name="twitter:description" content="${escapeHtml(description)}">
+    <meta name="twitter:image" content="${image}">
+
+    <!-- Structured data -->
+${context.vacant ? '' : `${renderJsonLd(personLd)}\n`}${renderJsonLd(breadcrumbLd)}
+
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link href="https://fonts.googleapis.com/css2?family=Playfair+Display:wght@600;700;800&family=Source+Sans+3:wght@400;500;600;700&display=swap" rel="stylesheet">
+    <link rel="stylesheet" href="../css/shared.css?v=23">
+    <style>
+        .container { max-width: 900px; margin: 0 auto; padding: 40px 24px; }
+        .back-link { display: inline-flex; align-items: center; gap: 8px; color: var(--navy); text-decoration: none; font-weight: 600; font-size: 14px; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 32px; transition: color 0.2s; }
+        .back-link:hover { color: var(--red); }
+        .profile-header { display: flex; gap: 32px; align-items: flex-start; margin-bottom: 40px; }
+        .profile-photo { width: 160px; height: 160px; border-radius: 12px; overflow: hidden; flex-shrink: 0; background: linear-gradient(135deg, var(--navy-light), var(--navy)); display: flex; align-items: center; justify-content: center; color: rgba(255,255,255,0.4); box-shadow: 0 4px 16px rgba(0,0,0,0.12); }
+        .profile-photo img { width: 100%; height: 100%; object-fit: cover; }
+        .avatar-placeholder { color: rgba(255,255,255,0.4); }
+        .profile-info h1 { font-size: 36px; color: var(--navy); margin-bottom: 4px; }
+        .profile-info .title { font-size: 18px; color: var(--gold); font-weight: 600; margin-bottom: 12px; }
+        .profile-info .details { font-size: 14px; color: var(--text-muted); line-height: 2; }
+        .section { background: var(--white); border-radius: 12px; padding: 28px; margin-bottom: 20px; border: 1px solid var(--border); box-shadow: 0 1px 4px rgba(0,0,0,0.06); }
+        .section h2 { font-size: 22px; color: var(--navy); margin-bottom: 16px; padding-bottom: 12px; border-bottom: 2px solid var(--gold); }
+        .section p { color: var(--text); }
+        .section a { color: var(--red); font-weight: 600; }
+        .section a:hover { text-decoration: underline; }
+        .placeholder { color: var(--text-muted); font-style: italic; }
+        .no-activity { color: var(--text-muted); font-style: italic; }
+        @media (max-width: 900px) {
+            .profile-header { flex-direction: column; align-items: center; text-align: center; }
+            .profile-info h1 { font-size: 28px; }
+        }
+    </style>
+</head>`;
+}
+
+/**
+ * The voting section(s). Council members and commissioners have their votes
+ * on the Timeline, and council members also get Attendance and Voting
+ * Analytics; everyone else gets the positions text from the profile data.
+ * @param {object} profile - data/profiles/<slug>.json
+ * @param {object} context - From profileContext
+ * @returns {Array<string>} Sections (none for a seat without analytics)
+ */
+function renderVotingSections(profile, context) {
+  if (context.seat) {
+    const sections = [];
+    if (context.seat.analytics) {
+      sections.push(`        <div class="section">
+            <h2>Attendance</h2>
+${renderSourceNote('Meetings attended, missed and items this member recused from. Taken from the minutes\' roll call where recorded, otherwise from their votes.')}
+            <div id="attendance-summary"><!-- populated by script below --></div>
+        </div>`);
+      sections.push(`        <div class="section">
+            <h2>Voting Analytics</h2>
+${renderSourceNote('How often this member votes against the council majority, who they vote with, and where they break ranks. Agreement counts abstentions; absences and recusals are left out.')}
+            <div id="voting-analytics"><!-- populated by script below --></div>
+        </div>`);
+    }
+    return sections;
+  }
+
+  const positions = profile.positions || { placeholder: DEFAULT_POSITIONS_NOTE };
+  const note = positions.note ? `${renderSourceNote(escapeHtml(positions.note))}\n` : '';
+  return [`        <div class="section">
+            <h2>${escapeHtml(positions.heading || 'Voting Record & Positions')}</h2>
+${note}${renderParagraphs(positions)}
+        </div>`];
+}
+
+/**
+ * Inline script that starts the live sections once their modules have loaded.
+ * @param {object} context - From profileContext
+ * @returns {string}
+ */
+function renderInitScript(context) {
+  const calls = ['initProfileTimeline();', 'initCampaignFinance();'];
+  if (context.seat && context.seat.analytics) calls.push('initAttendance();');
+  if (context.candidate) calls.push('initEndorsedBy();');
+  const analytics = context.seat && context.seat.analytics ? `
+            var slug = document.body.getAttribute('data-candidate-slug');
+            var container = document.getElementById('voting-analytics');
+            Promise.all([fetchRollCalls('../data/roll-calls.json'), fetchPeople('../data/people.json')])
+                .then(function(results) {
+                    var scorecard = buildScorecard(getCouncilRollCalls(results[0]));
+                    renderMemberAnalytics(scorecard, slug, namesFromPeople(results[1]), container);
+                })
+                .catch(function() {
+                    container.innerHTML = '<p style="color:#666;font-style:italic;">Voting analytics are unavailable right now.</p>';
+                });` : '';
+
+  const ready = analytics ? `
+        document.addEventListener('DOMContentLoaded', function() {${analytics}
+        });` : '';
+  return `    <script>
+        ${calls.join('\n        ')}${ready}
+    </script>`;
+}
+
+/**
+ * One person's profile page.
+ * @param {object} person - people.json entry
+ * @param {object} profile - data/profiles/<slug>.json
+ * @param {object} context - From profileContext
+ * @returns {string} HTML
+ */
+function renderProfilePage(person, profile, context) {
+  const section = PROFILE_SECTIONS[context.section];
+  const heading = profile.displayName || person.name;
+  const photo = person.photo
+    ? `<img src="../${escapeHtml(person.photo)}" alt="${escapeHtml(person.name)}">`
+    : AVATAR_PLACEHOLDER;
+  const details = (profile.details || []).map(escapeHtml).join('<br>');
+
+  const sections = (profile.sections || []).map(s => `        <div class="section">
+            <h2>${escapeHtml(s.heading)}</h2>
+${renderParagraphs(s)}
+        </div>`);
+
+  const contact = profile.links && profile.links.length
+    ? profile.links.map(l => `            <a href="${escapeHtml(l.url)}" target="_blank" rel="noopener">${escapeHtml(l.label)}</a>`).join('<br>\n')
+    : `            <p class="placeholder">${escapeHtml(profile.contactNote || DEFAULT_CONTACT_NOTE)}</p>`;
+  sections.push(`        <div class="section">
+            <h2>Contact &amp; Official Links</h2>
+${contact}
+        </div>`);
+
+  sections.push(...renderVotingSections(profile, context));
+
+  if (context.candidate) {
+    sections.push(`        <div class="section">
+            <h2>Endorsed By</h2>
+${renderSourceNote('Endorsements reported in our coverage of the 2026 races &middot; <a href="../endorsements.html">Endorsement network</a>')}
+            <div id="endorsed-by"><!-- populated by script below --></div>
+        </div>`);
+  }
+
+  sections.push(`        <div class="section">
+            <h2>Campaign Finance</h2>
+${renderSourceNote('Source: Texas Ethics Commission campaign finance reports and City of New Braunfels local filings')}
+            <div id="campaign-finance"><!-- populated by script below --></div>
+        </div>
+        <div class="section">
+            <h2>Timeline</h2>
+${context.seat ? `${renderSourceNote(`Votes from ${context.seat.source}`)}\n` : ''}            <div id="profile-timeline">
+                <p class="no-activity">Loading timeline...</p>
+            </div>
+        </div>`);
+
+  const scripts = ['utils.js?v=10', 'feed-renderer.js?v=15', 'people.js?v=2', 'layout.js?v=16', 'profile-feed.js?v=12', 'roll-calls.js?v=4'];
+  if (context.seat && context.seat.analytics) scripts.push('attendance.js?v=1', 'council-analytics.js?v=5');
+  scripts.push('finance.js?v=2', 'endorsements.js?v=2', 'profile-timeline.js?v=4');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<!-- Generated by scripts/generate-profiles.js from data/profiles/${person.slug}.json. Do not edit by hand. -->
+${renderHead(person, profile, context)}
+<body data-candidate-slug="${person.slug}" data-profile-section="${context.section}">
+    <div id="site-nav"></div>
+    <div class="container">
+        <a href="../${section.href}" class="back-link">← Back to ${section.label}</a>
+        <div class="profile-header">
+            <div class="profile-photo">${photo}</div>
+            <div class="profile-info">
+                <h1>${escapeHtml(heading)}</h1>
+                <div class="title">${escapeHtml(profile.title)}</div>
+${details ? `                <div class="details">${details}</div>\n` : ''}            </div>
+        </div>
+${sections.join('\n')}
+    </div>
+    <div id="site-footer"></div>
+${scripts.map(src => `    <script src="../js/${src}"></script>`).join('\n')}
+${renderInitScript(context)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render every profile page and report which differ from disk.
+ * @param {string} rootDir - Repository root
+ * @param {object} [options] - { write: boolean }
+ * @returns {Array<{ file: string, changed: boolean }>} Pages, relative to rootDir
+ * @throws {Error} If a registry profile has no data/profiles/<slug>.json
+ */
+function generateProfiles(rootDir, options) {
+  const readJson = file => JSON.parse(fs.readFileSync(path.join(rootDir, file), 'utf-8'));
+  const people = readJson('data/people.json');
+  const officials = readJson('data/officials.json');
+  const races = readJson('data/races.json');
+
+  return people.filter(p => p.profile).map(person => {
+    const dataFile = `data/profiles/${person.slug}.json`;
+    if (!fs.existsSync(path.join(rootDir, dataFile))) {
+      throw new Error(`${dataFile} does not exist. Every people.json entry with "profile": true needs one.`);
+    }
+    const html = renderProfilePage(person, readJson(dataFile), profileContext(person.slug, officials, races));
+    const file = `profiles/${person.slug}.html`;
+    const filePath = path.join(rootDir, file);
+    const changed = !fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf-8') !== html;
+    if (changed && options && options.write) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, html, 'utf-8');
+    }
+    return { file, changed };
+  });
+}
+
+// --- CLI execution ---
+if (require.main === module) {
+  const args = parseArgs(process.argv);
+  let pages;
+  try {
+    pages = generateProfiles(path.resolve(__dirname, '..'), { write: !!args.write });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  const changed = pages.filter(p => p.changed);
+  if (args.check) {
+    changed.forEach(p => console.error(`stale: ${p.file}`));
+    console.log(`${pages.length} page(s), ${changed.length} stale${changed.length ? ' (run node scripts/generate-profiles.js --write)' : ''}`);
+    process.exit(changed.length ? 1 : 0);
+  }
+  changed.forEach(p => console.log(`${args.write ? 'wrote' : 'would write'} ${p.file}`));
+  console.log(`${pages.length} page(s), ${changed.length} changed${args.write || !changed.length ? '' : ' (dry run: pass --write to save)'}`);
+}
+
+module.exports = { generateProfiles, renderProfilePage, profileContext, parseArgs, ROLL_CALL_SEATS };
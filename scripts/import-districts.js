@@ -0,0 +1,573 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Legislative district importer
+ *
+ * Builds the state house, state senate and congressional boundary layers
+ * used by Find My Officials from the Texas Legislative Council shapefile
+ * exports (https://data.capitol.texas.gov, "Shapefiles" for the current
+ * plan). Each plan unzips to PLANxNNNN.shp/.dbf/.prj; the plan letter says
+ * which layer it is:
+ *
+ *   PLANH*  state house      → data/geo/state-house-districts.geojson
+ *   PLANS*  state senate     → data/geo/state-senate-districts.geojson
+ *   PLANC*  congressional    → data/geo/congressional-districts.geojson
+ *
+ * Statewide plans are far larger than the site needs, so every district is
+ * clipped to the Comal County line (the outer boundary of
+ * data/geo/commissioner-precincts.geojson) and districts that miss it are
+ * dropped. Exports must be in geographic coordinates (NAD83 or WGS84
+ * longitude/latitude); projected exports are rejected rather than guessed at.
+ *
+ * Usage:
+ *   node scripts/import-districts.js [--dir /tmp/tlc-districts]   # summary
+ *   node scripts/import-districts.js --house PLANH2316.shp         # one layer
+ *   node scripts/import-districts.js --write                       # update data/geo/
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = '/tmp/tlc-districts';
+const COUNTY_LAYER = 'data/geo/commissioner-precincts.geojson';
+const COORDINATE_DECIMALS = 6;
+
+const LAYERS = {
+  house: { plan: 'H', name: 'State_House_Districts', file: 'data/geo/state-house-districts.geojson' },
+  senate: { plan: 'S', name: 'State_Senate_Districts', file: 'data/geo/state-senate-districts.geojson' },
+  congress: { plan: 'C', name: 'Congressional_Districts', file: 'data/geo/congressional-districts.geojson' }
+};
+
+// Shapefile shape types with polygon rings (plain, Z and M variants)
+const POLYGON_TYPES = [5, 15, 25];
+
+// --- Shapefile ---
+
+/**
+ * Parse a dBASE III table (the .dbf beside a shapefile).
+ * @param {Buffer} buf - File contents
+ * @returns {Array<object|null>} One object per record, keyed by field name (null for deleted records)
+ */
+function parseDbf(buf) {
+  const count = buf.readUInt32LE(4);
+  const headerLength = buf.readUInt16LE(8);
+  const recordLength = buf.readUInt16LE(10);
+  const fields = [];
+  for (let offset = 32; offset < headerLength - 1 && buf[offset] !== 0x0d; offset += 32) {
+    const raw = buf.toString('latin1', offset, offset + 11);
+    fields.push({ name: raw.replace(/\0.*$/, '').trim(), type: String.fromCharCode(buf[offset + 11]), length: buf[offset + 16] });
+  }
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    let offset = headerLength + i * recordLength;
+    const deleted = buf[offset] === 0x2a;
+    offset += 1;
+    const record = {};
+    fields.forEach(field => {
+      const value = buf.toString('latin1', offset, offset + field.length).trim();
+      record[field.name] = (field.type === 'N' || field.type === 'F') && value !== '' ? Number(value) : value;
+      offset += field.length;
+    });
+    records.push(deleted ? null : record);
+  }
+  return records;
+}
+
+/**
+ * Signed area of a ring (shoelace); negative for clockwise rings.
+ * @param {Array<number[]>} ring - [[x, y], ...]
+ * @returns {number}
+ */
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return sum / 2;
+}
+
+function ringContains(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Group shapefile rings into GeoJSON polygons. Shapefiles store outer rings
+ * clockwise and holes counter-clockwise; GeoJSON (RFC 7946) wants the
+ * reverse, so every ring is rewound on the way out.
+ * @param {Array<Array<number[]>>} rings - Rings as stored
+ * @returns {object|null} Polygon or MultiPolygon geometry
+ */
+function ringsToGeometry(rings) {
+  const polygons = [];
+  const holes = [];
+  rings.filter(ring => ring.length >= 4).forEach(ring => {
+    if (ringArea(ring) < 0) polygons.push([ring.slice().reverse()]);
+    else holes.push(ring);
+  });
+  holes.forEach(hole => {
+    const owner = polygons.find(polygon => ringContains(polygon[0], hole[0]));
+    if (owner) owner.push(hole.slice().reverse());
+    else polygons.push([hole]);
+  });
+  if (!polygons.length) return null;
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Parse a polygon shapefile and its attribute table into GeoJSON features.
+ * @param {Buffer} shp - .shp contents
+ * @param {Buffer} dbf - .dbf contents
+ * @returns {Array<object>} Features; null shapes and deleted records are skipped
+ */
+function parseShapefile(shp, dbf) {
+  if (shp.readInt32BE(0) !== 9994) throw new Error('not a shapefile (bad file code)');
+  const shapeType = shp.readInt32LE(32);
+  if (!POLYGON_TYPES.includes(shapeType)) throw new Error(`shape type ${shapeType} is not a polygon layer`);
+  const records = parseDbf(dbf);
+  const fileLength = shp.readInt32BE(24) * 2;
+  const features = [];
+  let offset = 100;
+  for (let index = 0; offset + 8 <= fileLength; index++) {
+    const contentLength = shp.readInt32BE(offset + 4) * 2;
+    const content = offset + 8;
+    offset = content + contentLength;
+    const type = shp.readInt32LE(content);
+    if (type === 0 || !records[index]) continue;
+    const numParts = shp.readInt32LE(content + 36);
+    const numPoints = shp.readInt32LE(content + 40);
+    const partsStart = content + 44;
+    const pointsStart = partsStart + numParts * 4;
+    const rings = [];
+    for (let p = 0; p < numParts; p++) {
+      const start = shp.readInt32LE(partsStart + p * 4);
+      const end = p + 1 < numParts ? shp.readInt32LE(partsStart + (p + 1) * 4) : numPoints;
+      const ring = [];
+      for (let i = start; i < end; i++) {
+        ring.push([shp.readDoubleLE(pointsStart + i * 16), shp.readDoubleLE(pointsStart + i * 16 + 8)]);
+      }
+      rings.push(ring);
+    }
+    const geometry = ringsToGeometry(rings);
+    if (geometry) features.push({ type: 'Feature', properties: records[index], geometry });
+  }
+  return features;
+}
+
+/**
+ * Reject projected exports: lookups and Leaflet both need longitude/latitude.
+ * @param {string|null} prj - .prj contents (WKT), if the export had one
+ */
+function assertGeographic(prj) {
+  if (prj && /^\s*PROJCS\[/i.test(prj)) {
+    const name = (prj.match(/^\s*PROJCS\["([^"]*)"/i) || [])[1] || 'a projected system';
+    throw new Error(`export is in ${name}; re-export in geographic coordinates (NAD83 or WGS84)`);
+  }
+}
+
+// --- Clipping ---
+
+/**
+ * Bounding box of a FeatureCollection.
+ * @param {object} collection - GeoJSON FeatureCollection
+ * @returns {{ west: number, south: number, east: number, north: number }}
+ */
+function collectionBounds(collection) {
+  const bounds = { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity };
+  const visit = coords => {
+    if (typeof coords[0] === 'number') {
+      bounds.west = Math.min(bounds.west, coords[0]);
+      bounds.east = Math.max(bounds.east, coords[0]);
+      bounds.south = Math.min(bounds.south, coords[1]);
+      bounds.north = Math.max(bounds.north, coords[1]);
+    } else {
+      coords.forEach(visit);
+    }
+  };
+  collection.features.forEach(f => visit(f.geometry.coordinates));
+  return bounds;
+}
+
+function boundsOverlap(a, b) {
+  return a.west <= b.east && b.west <= a.east && a.south <= b.north && b.south <= a.north;
+}
+
+/**
+ * The county line, traced from the commissioner precincts: an edge two
+ * precincts share runs both ways and cancels out, and what is left chains
+ * into the outer boundary (neighbours share vertices along their common
+ * border in the county export). Slivers where neighbouring precincts do not quite
+ * meet come out as tiny rings of their own; the largest ring is the county.
+ * @param {object} collection - Commissioner precinct FeatureCollection
+ * @returns {Array<number[]>} Closed counter-clockwise ring
+ */
+function countyOutline(collection) {
+  const key = point => point.join(',');
+  const edges = new Map();
+  collection.features.forEach(feature => {
+    const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+    polygons.forEach(polygon => polygon.forEach(ring => {
+      // Wind every ring the same way so shared edges run in opposite directions
+      const outer = ring === polygon[0];
+      const wound = (ringArea(ring) > 0) === outer ? ring : ring.slice().reverse();
+      for (let i = 0; i + 1 < wound.length; i++) {
+        edges.set(`${key(wound[i])}|${key(wound[i + 1])}`, wound[i + 1]);
+      }
+    }));
+  });
+
+  const next = new Map();
+  edges.forEach((to, edge) => {
+    const from = edge.slice(0, edge.indexOf('|'));
+    if (!edges.has(`${key(to)}|${from}`)) next.set(from, to);
+  });
+
+  let outline = null;
+  const seen = new Set();
+  next.forEach((to, start) => {
+    if (seen.has(start)) return;
+    const ring = [];
+    for (let at = start; at && !seen.has(at); at = next.has(at) ? key(next.get(at)) : null) {
+      seen.add(at);
+      ring.push(at.split(',').map(Number));
+    }
+    ring.push(ring[0]);
+    if (ring.length >= 4 && (!outline || Math.abs(ringArea(ring)) > Math.abs(ringArea(outline)))) outline = ring;
+  });
+  if (!outline) throw new Error('commissioner precincts have no outer boundary');
+  return ringArea(outline) > 0 ? outline : outline.slice().reverse();
+}
+
+// Returned when two edges touch at an end or overlap: Greiner–Hormann cannot
+// classify those crossings, so the clip ring is nudged and the clip retried
+const DEGENERATE = {};
+
+/**
+ * Where segments a1–a2 and b1–b2 cross.
+ * @returns {{ point: number[], alpha: number, beta: number }|null|object}
+ *   alpha/beta: distance along each segment (0–1); null when they miss; DEGENERATE
+ */
+function segmentIntersection(a1, a2, b1, b2) {
+  const dax = a2[0] - a1[0];
+  const day = a2[1] - a1[1];
+  const dbx = b2[0] - b1[0];
+  const dby = b2[1] - b1[1];
+  const denominator = dax * dby - day * dbx;
+  const ox = b1[0] - a1[0];
+  const oy = b1[1] - a1[1];
+  if (denominator === 0) {
+    // Parallel: only collinear segments that overlap are a problem
+    if (ox * day - oy * dax !== 0) return null;
+    const overlaps = Math.min(a1[0], a2[0]) <= Math.max(b1[0], b2[0]) && Math.min(b1[0], b2[0]) <= Math.max(a1[0], a2[0]) &&
+      Math.min(a1[1], a2[1]) <= Math.max(b1[1], b2[1]) && Math.min(b1[1], b2[1]) <= Math.max(a1[1], a2[1]);
+    return overlaps ? DEGENERATE : null;
+  }
+  const alpha = (ox * dby - oy * dbx) / denominator;
+  const beta = (ox * day - oy * dax) / denominator;
+  if (alpha < 0 || alpha > 1 || beta < 0 || beta > 1) return null;
+  if (alpha === 0 || alpha === 1 || beta === 0 || beta === 1) return DEGENERATE;
+  return { point: [a1[0] + alpha * dax, a1[1] + alpha * day], alpha, beta };
+}
+
+function ringBounds(ring) {
+  return collectionBounds({ features: [{ geometry: { coordinates: ring } }] });
+}
+
+/**
+ * Greiner–Hormann intersection of two simple rings.
+ * @param {Array<number[]>} subject - Closed ring to clip
+ * @param {Array<number[]>} clip - Closed ring to clip it to
+ * @returns {Array<Array<number[]>>|object} Closed rings of the overlap, or DEGENERATE
+ */
+function intersectRings(subject, clip) {
+  const clipBox = ringBounds(clip);
+  const subjectEdges = subject.slice(0, -1).map(point => ({ point, crossings: [] }));
+  const clipEdges = clip.slice(0, -1).map(point => ({ point, crossings: [] }));
+
+  for (let i = 0; i < subjectEdges.length; i++) {
+    const a1 = subject[i];
+    const a2 = subject[i + 1];
+    const edgeBox = { west: Math.min(a1[0], a2[0]), east: Math.max(a1[0], a2[0]), south: Math.min(a1[1], a2[1]), north: Math.max(a1[1], a2[1]) };
+    if (!boundsOverlap(edgeBox, clipBox)) continue;
+    for (let j = 0; j < clipEdges.length; j++) {
+      const b1 = clip[j];
+      const b2 = clip[j + 1];
+      if (Math.max(b1[0], b2[0]) < edgeBox.west || Math.min(b1[0], b2[0]) > edgeBox.east ||
+        Math.max(b1[1], b2[1]) < edgeBox.south || Math.min(b1[1], b2[1]) > edgeBox.north) continue;
+      const hit = segmentIntersection(a1, a2, b1, b2);
+      if (hit === DEGENERATE) return DEGENERATE;
+      if (!hit) continue;
+      const onSubject = { point: hit.point, alpha: hit.alpha, crossing: true };
+      const onClip = { point: hit.point, alpha: hit.beta, crossing: true, neighbor: onSubject };
+      onSubject.neighbor = onClip;
+      subjectEdges[i].crossings.push(onSubject);
+      clipEdges[j].crossings.push(onClip);
+    }
+  }
+
+  // Each ring as a circular list: its vertices with the crossings in order along each edge
+  const link = (edges, otherRing) => {
+    const nodes = [];
+    edges.forEach(edge => {
+      nodes.push({ point: edge.point, crossing: false });
+      edge.crossings.sort((a, b) => a.alpha - b.alpha).forEach(node => nodes.push(node));
+    });
+    nodes.forEach((node, n) => {
+      node.next = nodes[(n + 1) % nodes.length];
+      node.prev = nodes[(n + nodes.length - 1) % nodes.length];
+    });
+    // Crossings alternate between entering and leaving the other ring
+    let entering = !ringContains(otherRing, nodes[0].point);
+    nodes.forEach(node => {
+      if (!node.crossing) return;
+      node.entry = entering;
+      entering = !entering;
+    });
+    return nodes;
+  };
+  const subjectNodes = link(subjectEdges, clip);
+  link(clipEdges, subject);
+
+  const crossings = subjectNodes.filter(node => node.crossing);
+  if (!crossings.length) {
+    if (ringContains(clip, subject[0])) return [subject];
+    if (ringContains(subject, clip[0])) return [clip];
+    return [];
+  }
+
+  const rings = [];
+  crossings.forEach(start => {
+    if (start.visited) return;
+    const ring = [start.point];
+    let node = start;
+    do {
+      node.visited = true;
+      node.neighbor.visited = true;
+      const forward = node.entry;
+      do {
+        node = forward ? node.next : node.prev;
+        ring.push(node.point);
+      } while (!node.crossing);
+      node = node.neighbor;
+    } while (!node.visited);
+    if (ring.length >= 4) rings.push(ring);
+  });
+  return rings;
+}
+
+/**
+ * Clip a ring to the county line, nudging the line by a hair when an edge
+ * of the district lands exactly on a vertex or edge of it.
+ * @param {Array<number[]>} ring - Closed ring
+ * @param {Array<number[]>} outline - County line from countyOutline()
+ * @returns {Array<Array<number[]>>} Closed rings inside the county
+ */
+function clipRing(ring, outline) {
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const offset = attempt * 1e-9;
+    const clip = offset ? outline.map(([x, y]) => [x + offset, y + offset * 0.7]) : outline;
+    const rings = intersectRings(ring, clip);
+    if (rings !== DEGENERATE) return rings;
+  }
+  throw new Error('district edge runs along the county line; could not clip it');
+}
+
+/**
+ * Clip a Polygon or MultiPolygon to the county line. Holes are clipped the
+ * same way and go to the clipped outer ring that holds them.
+ * @param {object} geometry - GeoJSON geometry
+ * @param {Array<number[]>} outline - County line from countyOutline()
+ * @returns {object|null} Clipped geometry, or null when nothing is left
+ */
+function clipGeometry(geometry, outline) {
+  const countyBox = ringBounds(outline);
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const clipped = [];
+  polygons.forEach(([outer, ...holes]) => {
+    if (!boundsOverlap(ringBounds(outer), countyBox)) return;
+    const pieces = clipRing(outer, outline).map(ring => [ringArea(ring) > 0 ? ring : ring.slice().reverse()]);
+    holes.forEach(hole => {
+      clipRing(hole, outline).forEach(ring => {
+        // The piece that holds most of the hole's points (some sit on the shared county line)
+        const owner = pieces
+          .map(piece => ({ piece, count: ring.filter(point => ringContains(piece[0], point)).length }))
+          .sort((a, b) => b.count - a.count)[0];
+        if (owner && owner.count) owner.piece.push(ringArea(ring) < 0 ? ring : ring.slice().reverse());
+      });
+    });
+    clipped.push(...pieces);
+  });
+  if (!clipped.length) return null;
+  return clipped.length === 1
+    ? { type: 'Polygon', coordinates: clipped[0] }
+    : { type: 'MultiPolygon', coordinates: clipped };
+}
+
+function roundCoordinates(coords) {
+  if (typeof coords[0] === 'number') {
+    const factor = Math.pow(10, COORDINATE_DECIMALS);
+    return [Math.round(coords[0] * factor) / factor, Math.round(coords[1] * factor) / factor];
+  }
+  return coords.map(roundCoordinates);
+}
+
+// --- Import ---
+
+/**
+ * Which layer a TLC export is, from its plan name ("PLANH2316.shp" → house).
+ * @param {string} file - Shapefile path
+ * @returns {string|null} Key in LAYERS
+ */
+function layerForFile(file) {
+  const match = path.basename(file).match(/^PLAN([HSC])\d+/i);
+  if (!match) return null;
+  return Object.keys(LAYERS).find(key => LAYERS[key].plan === match[1].toUpperCase()) || null;
+}
+
+/**
+ * Turn statewide district features into a county boundary layer: keep the
+ * district number as `District`, clip to the county and drop the rest.
+ * @param {Array<object>} features - From parseShapefile()
+ * @param {Array<number[]>} outline - County line from countyOutline()
+ * @param {string} name - FeatureCollection name
+ * @returns {object} FeatureCollection, sorted by district number
+ */
+function buildLayer(features, outline, name) {
+  const kept = [];
+  features.forEach(feature => {
+    const key = Object.keys(feature.properties).find(k => k.toUpperCase() === 'DISTRICT');
+    if (!key) throw new Error('export has no DISTRICT attribute');
+    const geometry = clipGeometry(feature.geometry, outline);
+    if (!geometry) return;
+    kept.push({
+      type: 'Feature',
+      properties: { District: String(Number(feature.properties[key])) },
+      geometry: { type: geometry.type, coordinates: roundCoordinates(geometry.coordinates) }
+    });
+  });
+  kept.sort((a, b) => Number(a.properties.District) - Number(b.properties.District));
+  return { type: 'FeatureCollection', name, features: kept };
+}
+
+/**
+ * One feature per line, like the other files in data/geo/.
+ * @param {object} collection - FeatureCollection
+ * @returns {string}
+ */
+function formatLayer(collection) {
+  return '{\n' +
+    '"type": "FeatureCollection",\n' +
+    `"name": ${JSON.stringify(collection.name)},\n` +
+    '"features": [\n' +
+    collection.features.map(f => JSON.stringify(f)).join(',\n') +
+    '\n]\n}\n';
+}
+
+/**
+ * Build boundary layers from TLC shapefile exports.
+ * @param {string} rootDir - Repository root
+ * @param {object} inputs - { house?, senate?, congress? } paths to .shp files
+ * @param {object} [options] - { write }
+ * @returns {Array<{ layer: string, file: string, districts: string[], changed: boolean }>}
+ */
+function importDistricts(rootDir, inputs, options) {
+  const opts = options || {};
+  const county = JSON.parse(fs.readFileSync(path.join(rootDir, COUNTY_LAYER), 'utf-8'));
+  const outline = countyOutline(county);
+  return Object.keys(LAYERS).filter(key => inputs[key]).map(key => {
+    const shpPath = inputs[key];
+    const base = shpPath.replace(/\.shp$/i, '');
+    const prjPath = [`${base}.prj`, `${base}.PRJ`].find(p => fs.existsSync(p));
+    const dbfPath = [`${base}.dbf`, `${base}.DBF`].find(p => fs.existsSync(p));
+    if (!dbfPath) throw new Error(`${path.basename(shpPath)}: no .dbf beside the .shp`);
+    try {
+      assertGeographic(prjPath ? fs.readFileSync(prjPath, 'utf-8') : null);
+    } catch (err) {
+      throw new Error(`${path.basename(shpPath)}: ${err.message}`);
+    }
+
+    const layer = buildLayer(parseShapefile(fs.readFileSync(shpPath), fs.readFileSync(dbfPath)), outline, LAYERS[key].name);
+    const outPath = path.join(rootDir, LAYERS[key].file);
+    const text = formatLayer(layer);
+    const changed = !fs.existsSync(outPath) || fs.readFileSync(outPath, 'utf-8') !== text;
+    if (opts.write && changed) fs.writeFileSync(outPath, text, 'utf-8');
+    return { layer: key, file: LAYERS[key].file, districts: layer.features.map(f => f.properties.District), changed };
+  });
+}
+
+// --- Argument parsing ---
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const val = argv[i + 1];
+      if (val !== undefined && !val.startsWith('--')) {
+        args[key] = val;
+        i++;
+      } else {
+        args[key] = true;
+      }
+    }
+  }
+  return args;
+}
+
+// --- CLI execution ---
+if (require.main === module) {
+  const args = parseArgs(process.argv);
+  const rootDir = path.resolve(__dirname, '..');
+
+  const inputs = {};
+  Object.keys(LAYERS).forEach(key => {
+    if (typeof args[key] === 'string') inputs[key] = path.resolve(args[key]);
+  });
+  if (!Object.keys(inputs).length) {
+    const dir = args.dir || DEFAULT_DIR;
+    if (!fs.existsSync(dir)) {
+      console.error(`Error: ${dir} not found. Unzip the TLC plan shapefiles there, or pass --dir, --house, --senate or --congress.`);
+      process.exit(1);
+    }
+    fs.readdirSync(dir).filter(f => /\.shp$/i.test(f)).sort().forEach(f => {
+      const key = layerForFile(f);
+      if (key) inputs[key] = path.join(dir, f);
+      else console.error(`warning: ${f} is not a PLANH/PLANS/PLANC export, skipped`);
+    });
+  }
+
+  let results;
+  try {
+    results = importDistricts(rootDir, inputs, { write: !!args.write });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  results.forEach(r => {
+    const verb = !r.changed ? 'unchanged' : args.write ? 'wrote' : 'would write';
+    console.log(`${r.layer}: districts ${r.districts.join(', ') || '(none)'} — ${verb} ${r.file}`);
+  });
+  if (!args.write && results.some(r => r.changed)) console.log('Run with --write to update data/geo/.');
+}
+
+module.exports = {
+  parseDbf,
+  parseShapefile,
+  assertGeographic,
+  collectionBounds,
+  countyOutline,
+  clipGeometry,
+  layerForFile,
+  buildLayer,
+  importDistricts,
+  parseArgs,
+  LAYERS
+};
@@ -0,0 +1,587 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Campaign finance importer
+ *
+ * Reads Texas Ethics Commission bulk CSV exports (the contribs_*.csv and
+ * expend_*.csv files in TEC_CF_CSV.zip) and the City of New Braunfels local
+ * report spreadsheet, normalizes each contribution and expenditure, matches
+ * filers to data/people.json and writes one file per filer under
+ * data/finance/ plus data/finance/index.json.
+ *
+ * The three CSV layouts are told apart by their header row:
+ *
+ *   TEC contributions  filerIdent, filerName, contributionInfoId, contributionDt, contributionAmount, contributor*
+ *   TEC expenditures   filerIdent, filerName, expendInfoId, expendDt, expendAmount, expendCatDescr, payee*
+ *   City local report  Filer Name, Report, Schedule, Date, Name, City, State, Employer, Occupation, Amount, Description
+ *
+ * In the city report, schedule A1/A2 rows are contributions and F1 rows are
+ * expenditures, as on the paper Form C/OH the spreadsheet is transcribed from.
+ *
+ * Usage:
+ *   node scripts/import-finance.js [--dir /tmp/tec-finance]          # summary
+ *   node scripts/import-finance.js --in nb-local-2026-01.csv          # one file
+ *   node scripts/import-finance.js --slug carrie-isaac --in file.csv  # filer the registry cannot match
+ *   node scripts/import-finance.js --write                            # merge into data/finance/
+ *
+ * Filers the registry cannot match are listed and skipped. Re-importing a
+ * file is safe: records are keyed by their TEC id (or, for the city report,
+ * by date, name and amount) and merged into what is already stored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { findPerson } = require('../js/people.js');
+
+const DEFAULT_DIR = '/tmp/tec-finance';
+const LOCAL_CONTRIBUTION_SCHEDULES = ['A1', 'A2'];
+const LOCAL_EXPENDITURE_SCHEDULES = ['F1'];
+
+// --- CSV ---
+
+/**
+ * Fields of one CSV record (RFC 4180: quoted fields, doubled quotes,
+ * newlines inside quotes).
+ * @param {string} text - One record, possibly spanning several lines
+ * @returns {string[]}
+ */
+function splitCsvRecord(text) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Join physical lines into CSV records. A line that leaves a quoted field
+ * open (an odd number of quotes so far) continues on the next line.
+ * @returns {function(string): (string[]|null)} Takes one line; returns the
+ *   record's fields once it is complete, otherwise null
+ */
+function createCsvRecordSplitter() {
+  let pending = null;
+  let quotes = 0;
+  return line => {
+    pending = pending === null ? line : `${pending}\n${line}`;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') quotes++;
+    }
+    if (quotes % 2) return null;
+    const record = splitCsvRecord(pending);
+    pending = null;
+    quotes = 0;
+    return record;
+  };
+}
+
+function isBlankRecord(fields) {
+  return !fields.some(value => value.trim());
+}
+
+function toRow(headers, fields) {
+  const row = {};
+  headers.forEach((h, i) => { row[h] = (fields[i] || '').trim(); });
+  return row;
+}
+
+function splitLines(text) {
+  return String(text || '').split(/\r\n|\n|\r/);
+}
+
+/**
+ * Parse CSV text into row objects keyed by the header row. Holds the whole
+ * file in memory; the importer streams instead (importFinanceFiles).
+ * @param {string} text - CSV text
+ * @returns {{ headers: string[], rows: Array<object> }}
+ */
+function parseCsv(text) {
+  const split = createCsvRecordSplitter();
+  const records = [];
+  splitLines(String(text || '').replace(/^\uFEFF/, '')).forEach(line => {
+    const fields = split(line);
+    if (fields && !isBlankRecord(fields)) records.push(fields);
+  });
+  const headers = (records.shift() || []).map(h => h.trim());
+  return { headers, rows: records.map(fields => toRow(headers, fields)) };
+}
+
+/**
+ * Which layout a CSV uses, from its headers.
+ * @param {string[]} headers - Header row
+ * @returns {'tec-contributions'|'tec-expenditures'|'local'|null}
+ */
+function detectFormat(headers) {
+  const has = name => headers.includes(name);
+  if (has('contributionInfoId') && has('contributionAmount')) return 'tec-contributions';
+  if (has('expendInfoId') && has('expendAmount')) return 'tec-expenditures';
+  if (has('Filer Name') && has('Schedule') && has('Amount')) return 'local';
+  return null;
+}
+
+// --- Field normalization ---
+
+/**
+ * "20250715" (TEC) or "7/15/2025" (city report) → "2025-07-15".
+ * @param {string} text - Date as exported
+ * @returns {string|null}
+ */
+function parseFinanceDate(text) {
+  const value = String(text || '').trim();
+  let match = value.match(/^(\d{4})(\d{2})(\d{2})$/) || value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+  match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  return null;
+}
+
+/**
+ * "$1,250.00", "1250", "(75.00)" → 1250, 1250, -75.
+ * @param {string} text - Amount as exported
+ * @returns {number|null}
+ */
+function parseAmount(text) {
+  const value = String(text || '').trim();
+  const negative = /^\(.*\)$/.test(value) || value.startsWith('-');
+  const digits = value.replace(/[$,()\s-]/g, '');
+  if (!/^\d+(\.\d+)?$/.test(digits)) return null;
+  const amount = Math.round(parseFloat(digits) * 100) / 100;
+  return negative ? -amount : amount;
+}
+
+/**
+ * "ISAAC, CARRIE" / "Isaac, Carrie (The Honorable)" → "Carrie Isaac".
+ * Names without a comma are returned trimmed.
+ * @param {string} name - Filer or contributor name
+ * @returns {string}
+ */
+function toDisplayName(name) {
+  const cleaned = String(name || '').replace(/\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+  const comma = cleaned.indexOf(',');
+  const display = comma === -1 ? cleaned : `${cleaned.slice(comma + 1).trim()} ${cleaned.slice(0, comma).trim()}`;
+  if (display !== display.toUpperCase()) return display;
+  return display.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+/**
+ * Registry slug for a filer name. Tries the name as written, then without
+ * middle names and initials ("Carrie B. Isaac" → "Carrie Isaac").
+ * @param {string} name - Filer name as exported
+ * @param {Array} people - data/people.json
+ * @returns {string|null}
+ */
+function matchFilerSlug(name, people) {
+  const display = toDisplayName(name);
+  const words = display.split(' ').filter(Boolean);
+  const person = findPerson(people, display) ||
+    (words.length > 2 ? findPerson(people, `${words[0]} ${words[words.length - 1]}`) : null);
+  return person ? person.slug : null;
+}
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// --- Row normalization ---
+
+/**
+ * One TEC contribution row (schedule A) as a stored contribution.
+ * @param {object} row - contribs_*.csv row
+ * @returns {object}
+ */
+function normalizeTecContribution(row) {
+  const entity = row.contributorPersentTypeCd === 'ENTITY';
+  const donor = entity
+    ? row.contributorNameOrganization
+    : [row.contributorNameFirst, row.contributorNameLast, row.contributorNameSuffixCd].filter(Boolean).join(' ');
+  return {
+    id: `tec-${row.contributionInfoId}`,
+    date: parseFinanceDate(row.contributionDt),
+    amount: parseAmount(row.contributionAmount),
+    donor: entity ? donor : toDisplayName(donor),
+    donorType: entity ? 'entity' : 'individual',
+    city: row.contributorStreetCity || null,
+    state: row.contributorStreetStateCd || null,
+    employer: row.contributorEmployer || null,
+    occupation: row.contributorOccupation || null,
+    description: row.contributionDescr || null,
+    report: row.reportInfoIdent || null
+  };
+}
+
+/**
+ * One TEC expenditure row (schedule F) as a stored expenditure.
+ * @param {object} row - expend_*.csv row
+ * @returns {object}
+ */
+function normalizeTecExpenditure(row) {
+  const entity = row.payeePersentTypeCd === 'ENTITY';
+  const payee = entity
+    ? row.payeeNameOrganization
+    : toDisplayName([row.payeeNameFirst, row.payeeNameLast].filter(Boolean).join(' '));
+  return {
+    id: `tec-${row.expendInfoId}`,
+    date: parseFinanceDate(row.expendDt),
+    amount: parseAmount(row.expendAmount),
+    payee,
+    category: row.expendCatDescr || null,
+    description: row.expendDescr || null,
+    report: row.reportInfoIdent || null
+  };
+}
+
+/**
+ * One city report row as a contribution or expenditure. The city form has
+ * no record ids, so rows are keyed by filer, date, name and amount.
+ * @param {object} row - City report row
+ * @param {Set<string>} seen - Ids already used in this file (for repeated rows)
+ * @returns {{ kind: 'contribution'|'expenditure'|null, record: object|null }}
+ */
+function normalizeLocalRow(row, seen) {
+  const schedule = String(row.Schedule || '').toUpperCase();
+  const kind = LOCAL_CONTRIBUTION_SCHEDULES.includes(schedule) ? 'contribution'
+    : LOCAL_EXPENDITURE_SCHEDULES.includes(schedule) ? 'expenditure' : null;
+  if (!kind) return { kind: null, record: null };
+
+  const date = parseFinanceDate(row.Date);
+  const amount = parseAmount(row.Amount);
+  const key = `local-${slugify(row['Filer Name'])}-${date}-${slugify(row.Name)}-${Math.round((amount || 0) * 100)}`;
+  let id = key;
+  for (let n = 2; seen.has(id); n++) id = `${key}-${n}`;
+  seen.add(id);
+
+  const report = row.Report || null;
+  if (kind === 'expenditure') {
+    return { kind, record: { id, date, amount, payee: row.Name, category: null, description: row.Description || null, report } };
+  }
+  return {
+    kind,
+    record: {
+      id,
+      date,
+      amount,
+      donor: row.Name,
+      donorType: row.Employer || row.Occupation ? 'individual' : 'entity',
+      city: row.City || null,
+      state: row.State || null,
+      employer: row.Employer || null,
+      occupation: row.Occupation || null,
+      description: row.Description || (schedule === 'A2' ? 'In-kind' : null),
+      report
+    }
+  };
+}
+
+// --- Import ---
+
+/**
+ * Collects per-filer records one CSV record at a time, so an export is
+ * never held in memory. Records whose filer is not in the registry are
+ * dropped before they are turned into rows or normalized.
+ * @param {object} options - { people, slug } (slug assigns every filer to one profile)
+ * @returns {{ startFile: function, addRecord: function, result: function }}
+ *   startFile(name, headers) → format or null; addRecord(fields); result() as importFinance()
+ */
+function createFinanceImporter(options) {
+  const opts = options || {};
+  const people = opts.people || [];
+  const filers = {};
+  const slugs = new Map();
+  const unmatched = new Set();
+  const warnings = [];
+  let file = null;
+
+  // Each distinct filer name is matched against the registry once
+  function slugFor(name) {
+    if (opts.slug) return opts.slug;
+    if (!slugs.has(name)) slugs.set(name, matchFilerSlug(name, people));
+    const slug = slugs.get(name);
+    if (!slug) unmatched.add(toDisplayName(name));
+    return slug;
+  }
+
+  function filerFor(slug, name, source, ident) {
+    if (!filers[slug]) {
+      const person = people.find(p => p.slug === slug);
+      filers[slug] = { name: person ? person.name : toDisplayName(name), sources: [], contributions: [], expenditures: [] };
+    }
+    const filer = filers[slug];
+    if (!filer.sources.some(s => s.source === source && s.ident === ident && s.name === name)) {
+      filer.sources.push({ source, ident, name });
+    }
+    return filer;
+  }
+
+  function keep(list, record, where) {
+    if (!record.date || record.amount === null) {
+      warnings.push(`${where}: unreadable date or amount, skipped`);
+      return;
+    }
+    list.push(record);
+  }
+
+  function startFile(name, headers) {
+    const format = detectFormat(headers);
+    file = null;
+    if (!format) {
+      warnings.push(`${name}: not a TEC contributions/expenditures export or a city report, skipped`);
+      return null;
+    }
+    file = {
+      name,
+      format,
+      headers,
+      filerColumn: headers.indexOf(format === 'local' ? 'Filer Name' : 'filerName'),
+      infoOnlyColumn: headers.indexOf('infoOnlyFlag'),
+      seen: new Set(),
+      rowNumber: 1
+    };
+    return format;
+  }
+
+  function addRecord(fields) {
+    if (!file) return;
+    file.rowNumber++;
+    const where = `${file.name} row ${file.rowNumber}`;
+    // TEC marks rows superseded by a corrected report as info-only
+    if (file.format !== 'local' && (fields[file.infoOnlyColumn] || '').trim() === 'Y') return;
+    const filerName = (fields[file.filerColumn] || '').trim();
+    const slug = slugFor(filerName);
+    if (!slug) return;
+
+    const row = toRow(file.headers, fields);
+    if (file.format === 'local') {
+      const filer = filerFor(slug, filerName, 'local', null);
+      const { kind, record } = normalizeLocalRow(row, file.seen);
+      if (!kind) {
+        warnings.push(`${where}: schedule "${row.Schedule}" is not imported, skipped`);
+        return;
+      }
+      keep(kind === 'contribution' ? filer.contributions : filer.expenditures, record, where);
+      return;
+    }
+    const filer = filerFor(slug, filerName, 'tec', row.filerIdent || null);
+    if (file.format === 'tec-contributions') keep(filer.contributions, normalizeTecContribution(row), where);
+    else keep(filer.expenditures, normalizeTecExpenditure(row), where);
+  }
+
+  function result() {
+    return { filers, unmatched: Array.from(unmatched).sort(), warnings };
+  }
+
+  return { startFile, addRecord, result };
+}
+
+/**
+ * Feed one file's lines to an importer: the first non-blank record is the
+ * header row, blank records are skipped.
+ * @param {object} importer - From createFinanceImporter()
+ * @param {string} name - File name, for warnings
+ * @returns {function(string): void} Takes the file's lines in order
+ */
+function createLineReader(importer, name) {
+  const split = createCsvRecordSplitter();
+  let headers = null;
+  let first = true;
+  return line => {
+    const fields = split(first ? line.replace(/^\uFEFF/, '') : line);
+    first = false;
+    if (!fields || isBlankRecord(fields)) return;
+    if (headers) {
+      importer.addRecord(fields);
+    } else {
+      headers = fields.map(h => h.trim());
+      importer.startFile(name, headers);
+    }
+  };
+}
+
+/**
+ * Normalize CSV files held in memory into per-filer records.
+ * @param {Array<{ name: string, text: string }>} files - CSV files
+ * @param {object} options - { people, slug } (slug assigns every filer to one profile)
+ * @returns {{ filers: object, unmatched: string[], warnings: string[] }}
+ *   filers[slug] = { name, sources: [{ source, ident, name }], contributions, expenditures }
+ */
+function importFinance(files, options) {
+  const importer = createFinanceImporter(options);
+  files.forEach(file => splitLines(file.text).forEach(createLineReader(importer, file.name)));
+  return importer.result();
+}
+
+/**
+ * Like importFinance(), reading each file line by line from disk. The TEC
+ * contribs_*.csv files run to hundreds of megabytes.
+ * @param {string[]} paths - CSV file paths
+ * @param {object} options - { people, slug }
+ * @returns {Promise<{ filers: object, unmatched: string[], warnings: string[] }>}
+ */
+async function importFinanceFiles(paths, options) {
+  const importer = createFinanceImporter(options);
+  for (const filePath of paths) {
+    const readLine = createLineReader(importer, path.basename(filePath));
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath, { encoding: 'utf-8' }), crlfDelay: Infinity });
+    for await (const line of lines) readLine(line);
+  }
+  return importer.result();
+}
+
+/**
+ * Merge newly imported records into a stored filer file. Records with the
+ * same id are replaced; lists are kept newest first.
+ * @param {object|null} existing - Stored data/finance/<slug>.json, or null
+ * @param {string} slug - Profile slug
+ * @param {object} imported - From importFinance().filers[slug]
+ * @returns {object} Filer file
+ */
+function mergeFiler(existing, slug, imported) {
+  const base = existing || { slug, name: imported.name, sources: [], contributions: [], expenditures: [] };
+  const merge = (stored, incoming) => {
+    const byId = new Map();
+    stored.concat(incoming).forEach(record => byId.set(record.id, record));
+    return Array.from(byId.values()).sort((a, b) => b.date.localeCompare(a.date) || a.id.localeCompare(b.id));
+  };
+  const sources = base.sources.slice();
+  imported.sources.forEach(s => {
+    if (!sources.some(t => t.source === s.source && t.ident === s.ident && t.name === s.name)) sources.push(s);
+  });
+  return {
+    slug,
+    name: base.name,
+    sources,
+    contributions: merge(base.contributions, imported.contributions),
+    expenditures: merge(base.expenditures, imported.expenditures)
+  };
+}
+
+/**
+ * Index entry for a filer file: totals and the newest record date.
+ * @param {object} filer - Filer file
+ * @returns {{ file: string, raised: number, spent: number, through: string|null }}
+ */
+function summarizeFiler(filer) {
+  const total = list => Math.round(list.reduce((sum, r) => sum + r.amount, 0) * 100) / 100;
+  const dates = filer.contributions.concat(filer.expenditures).map(r => r.date).sort();
+  return {
+    file: `${filer.slug}.json`,
+    raised: total(filer.contributions),
+    spent: total(filer.expenditures),
+    through: dates.length ? dates[dates.length - 1] : null
+  };
+}
+
+// --- Argument parsing ---
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const val = argv[i + 1];
+      if (val !== undefined && !val.startsWith('--')) {
+        args[key] = val;
+        i++;
+      } else {
+        args[key] = true;
+      }
+    }
+  }
+  return args;
+}
+
+// --- CLI execution ---
+async function main() {
+  const args = parseArgs(process.argv);
+  const rootDir = path.resolve(__dirname, '..');
+  const outDir = args.out || path.join(rootDir, 'data/finance');
+
+  let paths;
+  if (args.in) {
+    paths = String(args.in).split(',').map(p => path.resolve(p));
+  } else {
+    const dir = args.dir || DEFAULT_DIR;
+    if (!fs.existsSync(dir)) {
+      console.error(`Error: ${dir} not found. Unzip the TEC export there, or pass --dir or --in.`);
+      process.exit(1);
+    }
+    paths = fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.csv')).sort().map(f => path.join(dir, f));
+  }
+
+  const people = JSON.parse(fs.readFileSync(path.join(rootDir, 'data/people.json'), 'utf-8'));
+  const result = await importFinanceFiles(paths, { people, slug: args.slug });
+  result.warnings.forEach(w => console.error(`warning: ${w}`));
+  if (result.unmatched.length) {
+    console.error(`Skipped ${result.unmatched.length} filer(s) not in data/people.json: ${result.unmatched.join('; ')}`);
+  }
+
+  const indexPath = path.join(outDir, 'index.json');
+  const index = fs.existsSync(indexPath)
+    ? JSON.parse(fs.readFileSync(indexPath, 'utf-8'))
+    : { updated: null, filers: {} };
+
+  Object.keys(result.filers).sort().forEach(slug => {
+    const filePath = path.join(outDir, `${slug}.json`);
+    const existing = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : null;
+    const merged = mergeFiler(existing, slug, result.filers[slug]);
+    const summary = summarizeFiler(merged);
+    index.filers[slug] = summary;
+    console.log(`${slug}: ${merged.contributions.length} contribution(s) ($${summary.raised}), ` +
+      `${merged.expenditures.length} expenditure(s) ($${summary.spent}) through ${summary.through}`);
+    if (args.write) fs.writeFileSync(filePath, JSON.stringify(merged, null, 2) + '\n', 'utf-8');
+  });
+
+  if (args.write) {
+    index.updated = new Date().toISOString().slice(0, 19);
+    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n', 'utf-8');
+    console.log(`✓ Wrote ${Object.keys(result.filers).length} filer file(s) to ${outDir}`);
+  } else if (Object.keys(result.filers).length) {
+    console.log('Run with --write to update data/finance/.');
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseCsv,
+  detectFormat,
+  parseFinanceDate,
+  parseAmount,
+  toDisplayName,
+  matchFilerSlug,
+  normalizeTecContribution,
+  normalizeTecExpenditure,
+  normalizeLocalRow,
+  createCsvRecordSplitter,
+  createFinanceImporter,
+  importFinance,
+  importFinanceFiles,
+  mergeFiler,
+  summarizeFiler
+};
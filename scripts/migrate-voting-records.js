@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Voting records migration
+ *
+ * Converts the member-keyed voting-records.json ({ slug: [{ date, itemTitle,
+ * summary, vote, outcome }] }, one copy of every agenda item per member) into
+ * the meeting-keyed roll-call store (data/roll-calls.json): one roll call per
+ * item with every member's vote.
+ *
+ * Copies of the same item that disagree are reported for review:
+ *   - outcome strings that differ between members
+ *   - a member listed twice on one item with different votes
+ *   - items on the same date whose titles look like one item filed under two
+ *     names by different members
+ *
+ * Usage:
+ *   node scripts/migrate-voting-records.js [--in data/voting-records.json] [--out data/roll-calls.json]
+ *   node scripts/migrate-voting-records.js --check     # report only, write nothing
+ *
+ * Exit code 0 = nothing flagged, 1 = items need review (the store is still written)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { titleTokens } = require('./parse-minutes.js');
+
+const DEFAULT_BODY = 'nb-city-council';
+const BODIES = {
+  'nb-city-council': {
+    name: 'New Braunfels City Council',
+    source: 'https://newbraunfels.legistar.com'
+  }
+};
+
+/**
+ * Lowercase hyphenated slug for item ids, at most 60 characters.
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+  const slug = text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  // Cut long titles at a word boundary
+  return slug.length > 60 ? slug.substring(0, 61).replace(/-[^-]*$/, '') : slug;
+}
+
+/**
+ * Most common value, first seen wins ties.
+ * @param {string[]} values
+ * @returns {string}
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = values[0];
+  counts.forEach((n, v) => { if (n > counts.get(best)) best = v; });
+  return best;
+}
+
+/**
+ * Whether two titles on the same date probably name the same item: one
+ * title's words contain the other's.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function similarTitles(a, b) {
+  const ta = titleTokens(a);
+  const tb = titleTokens(b);
+  const [small, large] = ta.size <= tb.size ? [ta, tb] : [tb, ta];
+  if (!small.size) return false;
+  let shared = 0;
+  small.forEach(t => { if (large.has(t)) shared++; });
+  return shared === small.size;
+}
+
+/**
+ * Convert member-keyed records into the roll-call store.
+ * @param {object} records - voting-records.json
+ * @param {object} [options]
+ * @param {string} [options.body='nb-city-council'] - Body id for every meeting
+ * @returns {{ store: object, issues: string[] }}
+ */
+function migrateVotingRecords(records, options) {
+  const body = (options && options.body) || DEFAULT_BODY;
+  const issues = [];
+  const meetings = new Map();
+
+  Object.entries(records || {}).forEach(([slug, votes]) => {
+    (votes || []).forEach(v => {
+      if (!meetings.has(v.date)) meetings.set(v.date, new Map());
+      const items = meetings.get(v.date);
+      if (!items.has(v.itemTitle)) items.set(v.itemTitle, { copies: [] });
+      items.get(v.itemTitle).copies.push(Object.assign({ slug }, v));
+    });
+  });
+
+  const store = { bodies: {}, meetings: [] };
+  store.bodies[body] = BODIES[body] || { name: body, source: null };
+
+  Array.from(meetings.keys()).sort().reverse().forEach(date => {
+    const titles = Array.from(meetings.get(date).keys());
+    const meeting = { id: `${body}-${date}`, body, date, items: [] };
+    const usedIds = new Set();
+
+    titles.forEach(title => {
+      const copies = meetings.get(date).get(title).copies;
+      const where = `${date} "${title}"`;
+
+      const outcomes = Array.from(new Set(copies.map(c => c.outcome)));
+      if (outcomes.length > 1) {
+        issues.push(`${where}: outcome differs between copies (${copies.map(c => `${c.slug}: "${c.outcome}"`).join('; ')})`);
+      }
+
+      const item = { id: slugify(title), title, outcome: mostCommon(copies.map(c => c.outcome)), votes: {}, summaries: {} };
+      let n = 2;
+      while (usedIds.has(item.id)) item.id = `${slugify(title)}-${n++}`;
+      usedIds.add(item.id);
+
+      copies.forEach(c => {
+        if (item.votes[c.slug] !== undefined && item.votes[c.slug] !== c.vote) {
+          issues.push(`${where}: ${c.slug} is listed as both ${item.votes[c.slug]} and ${c.vote}`);
+        }
+        if (item.votes[c.slug] === undefined) {
+          item.votes[c.slug] = c.vote;
+          if (c.summary) item.summaries[c.slug] = c.summary;
+        }
+      });
+      meeting.items.push(item);
+    });
+
+    // One item filed under two titles by different members
+    for (let i = 0; i < meeting.items.length; i++) {
+      for (let j = i + 1; j < meeting.items.length; j++) {
+        const a = meeting.items[i];
+        const b = meeting.items[j];
+        const overlap = Object.keys(a.votes).some(s => s in b.votes);
+        if (!overlap && similarTitles(a.title, b.title)) {
+          issues.push(`${date}: "${a.title}" and "${b.title}" may be the same item (no member voted on both)`);
+        }
+      }
+    }
+
+    store.meetings.push(meeting);
+  });
+
+  return { store, issues };
+}
+
+// --- Argument parsing ---
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const val = argv[i + 1];
+      if (val !== undefined && !val.startsWith('--')) {
+        args[key] = val;
+        i++;
+      } else {
+        args[key] = true;
+      }
+    }
+  }
+  return args;
+}
+
+// --- CLI execution ---
+if (require.main === module) {
+  const args = parseArgs(process.argv);
+  const rootDir = path.resolve(__dirname, '..');
+  const inPath = args.in || path.join(rootDir, 'data/voting-records.json');
+  const outPath = args.out || path.join(rootDir, 'data/roll-calls.json');
+
+  if (!fs.existsSync(inPath)) {
+    console.error(`Error: ${inPath} not found. Pass --in with the member-keyed file to migrate.`);
+    process.exit(1);
+  }
+
+  const records = JSON.parse(fs.readFileSync(inPath, 'utf-8'));
+  const { store, issues } = migrateVotingRecords(records, { body: args.body });
+  const itemCount = store.meetings.reduce((n, m) => n + m.items.length, 0);
+
+  if (!args.check) {
+    fs.writeFileSync(outPath, JSON.stringify(store, null, 2) + '\n', 'utf-8');
+    console.log(`✓ Wrote ${store.meetings.length} meeting(s), ${itemCount} roll call(s) to ${outPath}`);
+  }
+
+  if (issues.length) {
+    console.error(`✗ ${issues.length} item(s) need review:`);
+    issues.forEach(i => console.error(`  - ${i}`));
+    process.exit(1);
+  }
+  console.log('✓ Every copy agrees');
+}
+
+module.exports = { migrateVotingRecords, similarTitles, slugify };
@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Commissioners Court minutes parser
+ *
+ * Reads Comal County Commissioners Court minutes as converted by
+ * scripts/fetch-commissioners-court.sh (pdftotext output, one .txt per
+ * meeting) and turns each court order into a roll call in the
+ * data/roll-calls.json structure.
+ *
+ * The county records each order as:
+ *
+ *   COURT ORDER NO. 2026-002
+ *   <item description>
+ *   Motion by Commissioner Webb, seconded by Commissioner Leecock, to approve ...
+ *   Vote: Judge Krause, Aye; Commissioner Leecock, Aye; Commissioner Haag, Nay; ...
+ *   Motion carried 4-1.
+ *
+ * or with labelled lists ("AYE: Judge Krause, Commissioners Haag and Webb",
+ * "NAY: None", "ABSTAIN: ...", "ABSENT: ..."). Both are supported.
+ *
+ * Usage:
+ *   node scripts/parse-court-orders.js [--dir /tmp/comal-court-text]   # summary
+ *   node scripts/parse-court-orders.js --json                          # parsed meetings
+ *   node scripts/parse-court-orders.js --write                         # add new meetings to data/roll-calls.json
+ *
+ * --write only adds meetings the store does not have yet; it never edits an
+ * existing meeting.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitNames } = require('./parse-minutes.js');
+
+const DEFAULT_DIR = '/tmp/comal-court-text';
+const BODY = 'comal-commissioners-court';
+const BODY_INFO = {
+  name: 'Comal County Commissioners Court',
+  source: 'https://www.co.comal.tx.us/Comm.htm'
+};
+
+const COURT_ORDER = /^COURT ORDER NO\.\s*(\d{4}-\d+)$/i;
+const HEADING = /^[A-Z][A-Z &'/-]+$/;
+const VOTE_LIST = /^(AYE|NAY|ABSTAIN|ABSENT|RECUSED):\s*(.*)$/i;
+const RESULT = /\bMotion (carried|failed|died)\b(?:\s+(\d+)-(\d+)(?:-(\d+))?)?/i;
+const MEMBER_TITLES = /^(?:County Judge|Judge|Commissioners?|Comm\.)\s+/i;
+const VOTE_VALUES = { aye: 'Yea', yea: 'Yea', nay: 'Nay', no: 'Nay', abstain: 'Abstain', absent: 'Absent', recused: 'Recused' };
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// --- Text clean-up ---
+
+/**
+ * Meeting date from the minutes header ("Thursday, January 8, 2026").
+ * @param {string} text - Minutes text
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseCourtDate(text) {
+  const match = text.match(new RegExp(`(?:Monday|Tuesday|Wednesday|Thursday|Friday),\\s+(${MONTHS.join('|')})\\s+(\\d{1,2}),\\s+(\\d{4})`));
+  if (!match) return null;
+  const month = String(MONTHS.indexOf(match[1]) + 1).padStart(2, '0');
+  return `${match[3]}-${month}-${match[2].padStart(2, '0')}`;
+}
+
+/**
+ * Split minutes into trimmed lines without the running page footer
+ * ("Commissioners Court Minutes Page 2 of 3" and the date under it).
+ * @param {string} text - Minutes text
+ * @returns {string[]}
+ */
+function cleanCourtLines(text) {
+  const runningDate = new RegExp(`^(${MONTHS.join('|')}) \\d{1,2}, \\d{4}$`);
+  return text
+    .replace(/\f/g, '\n')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => !/^Commissioners Court Minutes\s+Page \d+ of \d+$/i.test(line) && !runningDate.test(line));
+}
+
+// --- Members ---
+
+/**
+ * Court roster from the people registry: everyone who has held a Comal
+ * County commissioner or county judge seat.
+ * @param {Array} people - data/people.json
+ * @returns {Array<{ slug: string, name: string, surname: string }>}
+ */
+function buildCourtRoster(people) {
+  return (people || [])
+    .filter(p => (p.offices || []).some(o => /^Comal County (Commissioner|Judge)/.test(o.title)))
+    .map(p => ({ slug: p.slug, name: p.name.toLowerCase(), surname: p.name.split(/\s+/).pop().toLowerCase() }));
+}
+
+/**
+ * Resolve "Judge Krause", "Commissioner Leecock" or "Doug Leecock" to a slug.
+ * @param {string} name - Name with or without title
+ * @param {Array} roster - From buildCourtRoster()
+ * @returns {string|null}
+ */
+function resolveCourtMember(name, roster) {
+  const bare = name.replace(MEMBER_TITLES, '').replace(/\.$/, '').trim().toLowerCase();
+  if (!bare) return null;
+  const exact = roster.find(m => m.name === bare);
+  if (exact) return exact.slug;
+  const bySurname = roster.filter(m => m.surname === bare.split(/\s+/).pop());
+  return bySurname.length === 1 ? bySurname[0].slug : null;
+}
+
+// --- Outcome ---
+
+/**
+ * Outcome string in the style the council records use, e.g.
+ * "Passed 4-1 (Haag opposed)", "Passed unanimously (Leecock absent)",
+ * "Failed 2-3 (Leecock, Webb, Crownover opposed)".
+ * @param {string} result - carried, failed or died
+ * @param {object} votes - { slug: vote }
+ * @param {function(string): string} surnameOf - Display surname for a slug
+ * @returns {string}
+ */
+function formatOutcome(result, votes, surnameOf) {
+  const by = vote => Object.keys(votes).filter(s => votes[s] === vote).map(surnameOf);
+  const absent = by('Absent');
+  if (result === 'died') {
+    return 'Failed — motion died for lack of second' + (absent.length ? ` (${absent.join(', ')} absent)` : '');
+  }
+  const yea = by('Yea');
+  const nay = by('Nay');
+  const notes = [];
+  if (nay.length) notes.push(`${nay.join(', ')} opposed`);
+  const abstain = by('Abstain');
+  if (abstain.length) notes.push(`${abstain.join(', ')} abstained`);
+  const recused = by('Recused');
+  if (recused.length) notes.push(`${recused.join(', ')} recused`);
+  if (absent.length) notes.push(`${absent.join(', ')} absent`);
+  const verb = result === 'carried' ? 'Passed' : 'Failed';
+  const count = nay.length ? `${yea.length}-${nay.length}` : 'unanimously';
+  return `${verb} ${count}` + (notes.length ? ` (${notes.join('; ')})` : '');
+}
+
+// --- Court orders ---
+
+/**
+ * Votes from a "Vote: Judge Krause, Aye; Commissioner Haag, Nay" line.
+ * @param {string} text - Joined vote text without the "Vote:" label
+ * @returns {Array<{ name: string, value: string }>}
+ */
+function parseVoteLine(text) {
+  return text
+    .replace(/\.$/, '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const comma = part.lastIndexOf(',');
+      return { name: part.slice(0, comma).trim(), value: part.slice(comma + 1).trim() };
+    });
+}
+
+/**
+ * Votes from labelled lists ("AYE: Judge Krause, Commissioners Haag and Webb").
+ * @param {string[]} lines - Lines starting at the first label
+ * @returns {Array<{ name: string, value: string }>}
+ */
+function parseVoteLists(lines) {
+  const votes = [];
+  let current = null;
+  lines.forEach(line => {
+    const label = line.match(VOTE_LIST);
+    if (label) {
+      current = { value: label[1], text: label[2] };
+      votes.push(current);
+    } else if (current) {
+      current.text += ' ' + line;
+    }
+  });
+  const out = [];
+  votes.forEach(list => {
+    if (/^none\.?$/i.test(list.text.trim())) return;
+    splitNames(list.text.replace(/\.$/, '')).forEach(name => out.push({ name, value: list.value }));
+  });
+  return out;
+}
+
+/**
+ * Parse one court order block into a roll call.
+ * @param {string} courtOrder - Order number, e.g. "2026-002"
+ * @param {string[]} lines - Lines after the COURT ORDER heading
+ * @param {Array} roster - From buildCourtRoster()
+ * @param {string[]} absentees - Slugs absent from the whole meeting
+ * @returns {{ item: object|null, warnings: string[] }}
+ */
+function parseCourtOrder(courtOrder, lines, roster, absentees) {
+  const warnings = [];
+  const body = lines.filter(Boolean);
+  const motionAt = body.findIndex(line => /^Motion by\b/i.test(line));
+  if (motionAt === -1) {
+    return { item: null, warnings: [`Court order ${courtOrder}: no motion found`] };
+  }
+
+  const title = body.slice(0, motionAt).join(' ').replace(/\s+/g, ' ').replace(/\.$/, '');
+  const voteAt = body.findIndex((line, i) => i > motionAt && (/^Vote:/i.test(line) || VOTE_LIST.test(line)));
+  const resultAt = body.findIndex((line, i) => i > motionAt && /^Motion (carried|failed|died)\b/i.test(line));
+  const motionEnd = voteAt !== -1 ? voteAt : (resultAt !== -1 ? resultAt + 1 : body.length);
+  const motionText = body.slice(motionAt, motionEnd).join(' ').replace(/\s+/g, ' ');
+  const allText = body.slice(motionAt).join(' ').replace(/\s+/g, ' ');
+
+  const header = motionText.match(/^Motion by (.+?)(?:, seconded by (.+?))?,? to (.+?)\.(?:\s|$)/i);
+  const result = allText.match(RESULT);
+  if (!result) warnings.push(`Court order ${courtOrder}: no "Motion carried/failed/died" line`);
+
+  const item = {
+    id: `court-order-${courtOrder}`,
+    courtOrder,
+    title,
+    outcome: '',
+    mover: header ? resolveCourtMember(header[1], roster) : null,
+    seconder: header && header[2] ? resolveCourtMember(header[2], roster) : null,
+    votes: {}
+  };
+  if (!header) warnings.push(`Court order ${courtOrder}: could not read motion "${motionText.slice(0, 80)}"`);
+  else if (!item.mover) warnings.push(`Court order ${courtOrder}: unknown mover "${header[1]}"`);
+
+  if (voteAt !== -1) {
+    const voteLines = body.slice(voteAt, resultAt !== -1 ? resultAt : body.length);
+    const raw = /^Vote:/i.test(voteLines[0])
+      ? parseVoteLine(voteLines.join(' ').replace(/^Vote:\s*/i, '').replace(/\s+/g, ' '))
+      : parseVoteLists(voteLines);
+    raw.forEach(v => {
+      const slug = resolveCourtMember(v.name, roster);
+      const vote = VOTE_VALUES[v.value.toLowerCase()];
+      if (!slug) warnings.push(`Court order ${courtOrder}: unknown member "${v.name}"`);
+      else if (!vote) warnings.push(`Court order ${courtOrder}: unknown vote "${v.value}" for ${v.name}`);
+      else item.votes[slug] = vote;
+    });
+  }
+  // Members missing from the whole meeting are absent for every vote taken
+  if (voteAt !== -1) {
+    absentees.forEach(slug => {
+      if (!item.votes[slug]) item.votes[slug] = 'Absent';
+    });
+  }
+
+  if (result) {
+    const outcome = result[1].toLowerCase();
+    const counted = vote => Object.values(item.votes).filter(v => v === vote).length;
+    if (result[2] !== undefined && (counted('Yea') !== +result[2] || counted('Nay') !== +result[3] ||
+        (result[4] !== undefined && counted('Abstain') !== +result[4]))) {
+      warnings.push(`Court order ${courtOrder}: recorded tally ${result[0].replace(/^Motion \w+ /i, '')} does not match the listed votes`);
+    }
+    const surnameOf = slug => {
+      const member = roster.find(m => m.slug === slug);
+      return member ? member.surname.charAt(0).toUpperCase() + member.surname.slice(1) : slug;
+    };
+    item.outcome = formatOutcome(outcome, item.votes, surnameOf);
+  }
+
+  return { item, warnings };
+}
+
+/**
+ * Parse one Commissioners Court meeting.
+ * @param {string} text - pdftotext output
+ * @param {object} [options]
+ * @param {Array} [options.people] - data/people.json, for resolving members
+ * @param {string} [options.date] - Meeting date when the header has none
+ * @returns {{ meeting: object, attendance: { present: string[], absent: string[] }, warnings: string[] }}
+ */
+function parseCourtMinutes(text, options) {
+  const opts = options || {};
+  const roster = buildCourtRoster(opts.people);
+  const date = parseCourtDate(text) || opts.date || null;
+  const lines = cleanCourtLines(text);
+  const warnings = [];
+  const attendance = { present: [], absent: [] };
+
+  // Attendance: "Name, Title" lines after "...members present:" and an "Absent:" line
+  const presentAt = lines.findIndex(line => /present:$/i.test(line));
+  if (presentAt !== -1) {
+    for (let i = presentAt + 1; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line) { if (attendance.present.length) break; continue; }
+      const member = line.match(/^([^,]+), (?:County Judge|Commissioner, Precinct \d)$/);
+      if (!member) break;
+      const slug = resolveCourtMember(member[1], roster);
+      if (slug) attendance.present.push(slug);
+      else warnings.push(`Unknown member "${member[1]}" in roll call`);
+    }
+  }
+  const firstOrder = lines.findIndex(line => COURT_ORDER.test(line));
+  const preamble = firstOrder === -1 ? lines : lines.slice(0, firstOrder);
+  preamble.filter(line => /^Absent:/i.test(line)).forEach(line => {
+    line.replace(/^Absent:\s*/i, '').split(';').forEach(entry => {
+      const slug = resolveCourtMember(entry.split(',')[0].trim(), roster);
+      if (slug) attendance.absent.push(slug);
+      else warnings.push(`Unknown member "${entry.trim()}" in roll call`);
+    });
+  });
+
+  const meeting = { id: `${BODY}-${date}`, body: BODY, date, attendance, items: [] };
+  let current = null;
+  const blocks = [];
+  lines.forEach(line => {
+    const order = line.match(COURT_ORDER);
+    if (order) {
+      current = { courtOrder: order[1], lines: [] };
+      blocks.push(current);
+    } else if (current && HEADING.test(line)) {
+      current = null;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  blocks.forEach(block => {
+    const parsed = parseCourtOrder(block.courtOrder, block.lines, roster, attendance.absent);
+    parsed.warnings.forEach(w => warnings.push(`${date} ${w}`));
+    if (parsed.item) meeting.items.push(parsed.item);
+  });
+
+  return { meeting, attendance, warnings };
+}
+
+/**
+ * Parse every .txt file in a directory, oldest meeting first.
+ * @param {string} dir - Directory of minutes text files
+ * @param {object} [options] - Passed to parseCourtMinutes()
+ * @returns {Array} Parse results
+ */
+function parseCourtMinutesDir(dir, options) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.txt'))
+    .sort()
+    .map(f => {
+      const nameDate = f.match(/^(\d{4}-\d{2}-\d{2})/);
+      const text = fs.readFileSync(path.join(dir, f), 'utf-8');
+      return parseCourtMinutes(text, Object.assign({}, options, { date: nameDate ? nameDate[1] : null }));
+    });
+}
+
+/**
+ * Add parsed meetings the store does not have yet, newest first.
+ * @param {object} store - roll-calls.json
+ * @param {Array} meetings - Store-shaped meetings
+ * @returns {{ store: object, added: string[], skipped: string[] }}
+ */
+function addMeetings(store, meetings) {
+  const next = {
+    bodies: Object.assign({}, store.bodies),
+    meetings: (store.meetings || []).slice()
+  };
+  if (!next.bodies[BODY]) next.bodies[BODY] = BODY_INFO;
+  const known = new Set(next.meetings.map(m => m.id));
+  const added = [];
+  const skipped = [];
+  meetings.forEach(meeting => {
+    if (known.has(meeting.id)) {
+      skipped.push(meeting.id);
+      return;
+    }
+    next.meetings.push(meeting);
+    known.add(meeting.id);
+    added.push(meeting.id);
+  });
+  next.meetings.sort((a, b) => b.date.localeCompare(a.date));
+  return { store: next, added, skipped };
+}
+
+// --- Argument parsing ---
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const val = argv[i + 1];
+      if (val !== undefined && !val.startsWith('--')) {
+        args[key] = val;
+        i++;
+      } else {
+        args[key] = true;
+      }
+    }
+  }
+  return args;
+}
+
+// --- CLI execution ---
+if (require.main === module) {
+  const args = parseArgs(process.argv);
+  const rootDir = path.resolve(__dirname, '..');
+  const dir = args.dir || DEFAULT_DIR;
+  const storePath = args.store || path.join(rootDir, 'data/roll-calls.json');
+
+  if (!fs.existsSync(dir)) {
+    console.error(`Error: ${dir} not found. Run scripts/fetch-commissioners-court.sh first, or pass --dir.`);
+    process.exit(1);
+  }
+
+  const people = JSON.parse(fs.readFileSync(path.join(rootDir, 'data/people.json'), 'utf-8'));
+  const results = parseCourtMinutesDir(dir, { people });
+  results.forEach(r => r.warnings.forEach(w => console.error(`warning: ${w}`)));
+  const meetings = results.map(r => r.meeting);
+
+  if (args.json) {
+    console.log(JSON.stringify(meetings, null, 2));
+    process.exit(0);
+  }
+
+  const store = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+  const merged = addMeetings(store, meetings);
+  meetings.forEach(m => {
+    const status = merged.skipped.includes(m.id) ? 'already in roll-calls.json' : 'new';
+    console.log(`${m.date} Commissioners Court: ${m.items.length} court order(s) — ${status}`);
+  });
+
+  if (args.write) {
+    fs.writeFileSync(storePath, JSON.stringify(merged.store, null, 2) + '\n', 'utf-8');
+    console.log(`✓ Added ${merged.added.length} meeting(s) to ${storePath}`);
+  } else if (merged.added.length) {
+    console.log('Run with --write to add the new meetings.');
+  }
+}
+
+module.exports = {
+  parseCourtDate,
+  cleanCourtLines,
+  buildCourtRoster,
+  resolveCourtMember,
+  formatOutcome,
+  parseCourtOrder,
+  parseCourtMinutes,
+  parseCourtMinutesDir,
+  addMeetings
+};
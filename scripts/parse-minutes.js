@@ -0,0 +1,609 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Minutes-to-roll-call parser
+ *
+ * Reads New Braunfels City Council minutes as converted by
+ * scripts/fetch-voting-records.sh (pdftotext output, one .txt per meeting)
+ * and extracts each agenda item, motion, mover/seconder and per-member vote.
+ *
+ * Usage:
+ *   node scripts/parse-minutes.js [--dir /tmp/nb-minutes-text] [--store data/roll-calls.json]
+ *   node scripts/parse-minutes.js --json            # print parsed meetings as JSON
+ *   node scripts/parse-minutes.js --out meetings.json
+ *   node scripts/parse-minutes.js --write-attendance
+ *
+ * By default prints a review diff against the roll-call store: votes the
+ * minutes show that the store lacks, votes that disagree, stored roll
+ * calls the minutes do not mention, and meeting attendance the store lacks
+ * or records differently. Nothing is written to data/ unless
+ * --write-attendance is given, which copies each meeting's Present/Absent
+ * roll call into roll-calls.json (votes are still reviewed by hand).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = '/tmp/nb-minutes-text';
+const BODY = 'nb-city-council';
+
+// Legistar vote labels → roll-calls.json vote values
+const VOTE_LABELS = {
+  Aye: 'Yea',
+  Nay: 'Nay',
+  Abstain: 'Abstain',
+  Recused: 'Recused',
+  Absent: 'Absent'
+};
+const VOTE_LINE = /^(Aye|Nay|Abstain|Recused|Absent|Present):\s*(\d+)\s*-\s*(.*)$/;
+const MOTION_START = /^(A motion was made by|Motion (?:was )?made by|Motion by|Moved by)\b/;
+const ITEM_LETTER = /^([A-Z])\)\s*(?:(\d{2}-\d+)\s*(.*))?$/;
+const FILE_NUMBER = /^(\d{2}-\d+)$/;
+const SECTION_HEADING = /^(\d+)\.\s+([A-Z][A-Z ,&'/-]+)$/;
+const MEMBER_TITLES = /^(?:Deputy Mayor Pro Tem|Mayor Pro Tem|Mayor|Council ?member|Councilwoman|Councilman)\s+/i;
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// --- Text clean-up ---
+
+/**
+ * Meeting date from the minutes header ("Monday, January 12, 2026").
+ * @param {string} text - Minutes text
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseMeetingDate(text) {
+  const match = text.match(new RegExp(`(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday),\\s+(${MONTHS.join('|')})\\s+(\\d{1,2}),\\s+(\\d{4})`));
+  if (!match) return null;
+  const month = String(MONTHS.indexOf(match[1]) + 1).padStart(2, '0');
+  return `${match[3]}-${month}-${match[2].padStart(2, '0')}`;
+}
+
+/**
+ * Split minutes into trimmed lines, dropping the page header/footer pdftotext
+ * repeats on every page ("Page 2", "Printed on ...", the running title and date).
+ * @param {string} text - Minutes text
+ * @returns {string[]}
+ */
+function cleanLines(text) {
+  const runningDate = new RegExp(`^(${MONTHS.join('|')}) \\d{1,2}, \\d{4}$`);
+  return text
+    .replace(/\f/g, '\n')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => !(
+      /^City of New Braunfels$/.test(line) ||
+      /^Page \d+$/.test(line) ||
+      /^Printed on \d{1,2}\/\d{1,2}\/\d{4}$/.test(line) ||
+      /^Minutes - Final$/.test(line) ||
+      /^City Council$/.test(line) ||
+      runningDate.test(line)
+    ));
+}
+
+/**
+ * Join wrapped lines into one string.
+ * @param {string[]} lines
+ * @returns {string}
+ */
+function joinLines(lines) {
+  return lines.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+// --- Members ---
+
+/**
+ * Council roster from the people registry: everyone who has held a
+ * New Braunfels office.
+ * @param {Array} people - data/people.json
+ * @returns {Array<{ slug: string, names: string[], surname: string }>}
+ */
+function buildRoster(people) {
+  return (people || [])
+    .filter(p => (p.offices || []).some(o => /New Braunfels/.test(o.title)))
+    .map(p => {
+      const names = [p.name].concat(p.aliases || []).map(n => n.toLowerCase());
+      return { slug: p.slug, names, surname: p.name.split(/\s+/).pop().toLowerCase() };
+    });
+}
+
+/**
+ * Resolve a name as written in the minutes ("Mayor Pro Tem Spradley",
+ * "Councilmember D. Lee Edwards") to a profile slug.
+ * @param {string} name - Name with or without title
+ * @param {Array} roster - From buildRoster()
+ * @returns {string|null} Slug, or null for someone not in the registry
+ */
+function resolveMember(name, roster) {
+  const bare = name.replace(MEMBER_TITLES, '').trim().toLowerCase();
+  if (!bare) return null;
+  const exact = roster.find(m => m.names.includes(bare));
+  if (exact) return exact.slug;
+  const surname = bare.split(/\s+/).pop();
+  const bySurname = roster.filter(m => m.surname === surname);
+  return bySurname.length === 1 ? bySurname[0].slug : null;
+}
+
+/**
+ * Split a vote or attendance list ("Mayor Linnartz, Councilmember Carter and
+ * Councilmember Ryan") into names.
+ * @param {string} list
+ * @returns {string[]}
+ */
+function splitNames(list) {
+  return list
+    .split(/,\s*|\s+and\s+/)
+    .map(n => n.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read labelled name lists ("Aye: 6 - ...") starting at lines[start], following
+ * wrapped continuation lines until each list has as many names as its count.
+ * @param {string[]} lines
+ * @param {number} start - Index of the first labelled line
+ * @returns {{ lists: Array<{ label: string, count: number, names: string[] }>, end: number }}
+ */
+function readLabelledLists(lines, start) {
+  const lists = [];
+  let i = start;
+  while (i < lines.length) {
+    const match = lines[i].match(VOTE_LINE);
+    if (!match) break;
+    const count = parseInt(match[2], 10);
+    let text = match[3];
+    i++;
+    // Follow wrapped lines while names are still owed, or the line broke after
+    // a comma, "and" or a bare title ("Councilmember\nRyan")
+    while (i < lines.length && lines[i] && !VOTE_LINE.test(lines[i]) &&
+           (splitNames(text).length < count || /(,|\band|\bMayor|\bPro Tem|member)$/i.test(text))) {
+      text += ' ' + lines[i];
+      i++;
+    }
+    lists.push({ label: match[1], count, names: splitNames(text) });
+    while (i < lines.length && !lines[i]) i++;
+  }
+  return { lists, end: i };
+}
+
+// --- Items and motions ---
+
+/**
+ * Title, notes and flags for an agenda item from its description lines.
+ * @param {string[]} lines - Lines before the first motion
+ * @returns {{ title: string, notes: string, reading: number|null, supermajority: boolean }}
+ */
+function describeItem(lines) {
+  const text = joinLines(lines);
+  // Sentence breaks only where a new narrative sentence starts ("The item ...",
+  // "Jean Drew, Director ...") so "385 W. Faust Street" stays in one piece
+  const parts = text.split(/\.\s+(?=(?:The|This|Staff)\b|[A-Z][a-z]+ [A-Z][a-z]+,)/);
+  const title = parts[0].replace(/\.$/, '');
+  const notes = parts.slice(1).join('. ').replace(/\.?$/, parts.length > 1 ? '.' : '');
+  const readingMatch = text.match(/\b(first|second|third)\s+reading\b/i);
+  return {
+    title,
+    notes,
+    reading: readingMatch ? ['first', 'second', 'third'].indexOf(readingMatch[1].toLowerCase()) + 1 : null,
+    supermajority: /supermajority|three-fourths/i.test(text)
+  };
+}
+
+/**
+ * Parse one motion paragraph and the vote lists that follow it.
+ * @param {string[]} lines - Lines from the motion start to the next motion or item
+ * @param {Array} roster - From buildRoster()
+ * @returns {object} Motion with mover, seconder, action, result, votes and tally
+ */
+function parseMotion(lines, roster) {
+  const voteStart = lines.findIndex(line => VOTE_LINE.test(line));
+  const text = joinLines(voteStart === -1 ? lines : lines.slice(0, voteStart));
+  const warnings = [];
+
+  const header = text.match(/^(?:A motion was made by|Motion (?:was )?made by|Motion by|Moved by)\s+(.+?)(?:,\s*seconded by\s+(.+?))?,?\s+((?:that|to)\s+.+?)\.\s+The motion (carried|failed|died)\b/i);
+  const motion = {
+    text,
+    mover: null,
+    seconder: null,
+    action: '',
+    result: null,
+    votes: [],
+    tally: { Yea: 0, Nay: 0, Abstain: 0, Absent: 0, Recused: 0 },
+    warnings
+  };
+  if (!header) {
+    warnings.push(`Could not read motion: "${text.slice(0, 80)}"`);
+    return motion;
+  }
+
+  motion.mover = resolveMember(header[1], roster);
+  motion.seconder = header[2] ? resolveMember(header[2], roster) : null;
+  motion.action = header[3];
+  motion.result = header[4].toLowerCase();
+  if (!motion.mover) warnings.push(`Unknown mover "${header[1]}"`);
+  if (header[2] && !motion.seconder) warnings.push(`Unknown seconder "${header[2]}"`);
+
+  if (voteStart !== -1) {
+    readLabelledLists(lines, voteStart).lists.forEach(list => {
+      const vote = VOTE_LABELS[list.label];
+      if (!vote) return;
+      if (list.names.length !== list.count) {
+        warnings.push(`${list.label} lists ${list.names.length} name(s) but says ${list.count}`);
+      }
+      list.names.forEach(name => {
+        const member = resolveMember(name, roster);
+        if (!member) warnings.push(`Unknown member "${name}"`);
+        motion.votes.push({ member, name, vote });
+        motion.tally[vote]++;
+      });
+    });
+  } else if (motion.result !== 'died') {
+    warnings.push('No vote recorded for this motion');
+  }
+
+  return motion;
+}
+
+/**
+ * Parse one meeting's minutes.
+ * @param {string} text - pdftotext output
+ * @param {object} [options]
+ * @param {Array} [options.people] - data/people.json, for resolving members
+ * @param {string} [options.date] - Meeting date when the header has none (e.g. from the file name)
+ * @returns {{ date: string|null, body: string, attendance: object, rollCalls: Array, warnings: string[] }}
+ */
+function parseMinutes(text, options) {
+  const opts = options || {};
+  const roster = buildRoster(opts.people);
+  const date = parseMeetingDate(text) || opts.date || null;
+  const lines = cleanLines(text);
+  const meeting = {
+    date,
+    body: 'City Council',
+    attendance: { present: [], absent: [] },
+    rollCalls: [],
+    warnings: []
+  };
+
+  let section = '';
+  let item = null;
+  const items = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const heading = line.match(SECTION_HEADING);
+    if (heading) {
+      section = heading[2].trim();
+      item = null;
+      continue;
+    }
+
+    // Attendance is the "Present:/Absent:" block before the first agenda item
+    if (!items.length && /^(Present|Absent):/.test(line)) {
+      const { lists, end } = readLabelledLists(lines, i);
+      lists.forEach(list => {
+        const key = list.label === 'Present' ? 'present' : 'absent';
+        list.names.forEach(name => {
+          const member = resolveMember(name, roster);
+          if (!member) meeting.warnings.push(`Unknown member "${name}" in roll call`);
+          meeting.attendance[key].push(member || name);
+        });
+      });
+      i = end - 1;
+      continue;
+    }
+
+    const letter = line.match(ITEM_LETTER);
+    if (letter) {
+      item = { section, item: letter[1], fileNumber: letter[2] || null, lines: letter[3] ? [letter[3]] : [] };
+      items.push(item);
+      continue;
+    }
+    if (!item || !line) continue;
+    if (!item.fileNumber && !item.lines.length && FILE_NUMBER.test(line)) {
+      item.fileNumber = line;
+      continue;
+    }
+    item.lines.push(line);
+  }
+
+  items.forEach(entry => {
+    const motionStarts = [];
+    entry.lines.forEach((line, idx) => {
+      if (MOTION_START.test(line)) motionStarts.push(idx);
+    });
+    const description = describeItem(motionStarts.length ? entry.lines.slice(0, motionStarts[0]) : entry.lines);
+
+    motionStarts.forEach((start, n) => {
+      const end = n + 1 < motionStarts.length ? motionStarts[n + 1] : entry.lines.length;
+      const motion = parseMotion(entry.lines.slice(start, end), roster);
+      motion.warnings.forEach(w => meeting.warnings.push(`${date} ${entry.item}) ${entry.fileNumber}: ${w}`));
+      delete motion.warnings;
+      meeting.rollCalls.push(Object.assign({
+        date,
+        section: entry.section,
+        item: entry.item,
+        fileNumber: entry.fileNumber
+      }, description, motion));
+    });
+  });
+
+  return meeting;
+}
+
+/**
+ * Parse every .txt file in a directory, oldest meeting first.
+ * @param {string} dir - Directory of minutes text files
+ * @param {object} [options] - Passed to parseMinutes()
+ * @returns {Array} Meetings
+ */
+function parseMinutesDir(dir, options) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.txt'))
+    .sort()
+    .map(f => {
+      const nameDate = f.match(/^(\d{4}-\d{2}-\d{2})/);
+      const text = fs.readFileSync(path.join(dir, f), 'utf-8');
+      return parseMinutes(text, Object.assign({}, options, { date: nameDate ? nameDate[1] : null }));
+    });
+}
+
+// --- Review diff ---
+
+const STOP_WORDS = new Set(['the', 'of', 'a', 'an', 'to', 'and', 'for', 'in', 'on', 'at', 'by', 'with',
+  'from', 'regard', 'ordinance', 'resolution', 'approv', 'consider', 'discus', 'propos', 'city',
+  'new', 'braunfel', 'district', 'addres', 'approximately']);
+const NUMBER_WORDS = { one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', ten: '10', first: '1st', second: '2nd', third: '3rd' };
+
+/**
+ * Comparable tokens for an item title: lowercase words, number words as digits,
+ * crude suffix stripping ("rezoning"/"rezone" → "rezon"), stop words dropped.
+ * @param {string} title
+ * @returns {Set<string>}
+ */
+function titleTokens(title) {
+  return new Set(String(title || '')
+    .toLowerCase()
+    .replace(/[–—]/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(t => NUMBER_WORDS[t] || t)
+    .map(t => (t.length > 4 ? t.replace(/(ing|ed|e|s)$/, '') : t))
+    .filter(t => !STOP_WORDS.has(t)));
+}
+
+/**
+ * Share of a stored roll call title's tokens found in a minutes item.
+ * @param {string} recordTitle - Item title from roll-calls.json
+ * @param {object} rollCall - Parsed roll call
+ * @returns {number} 0..1
+ */
+function matchScore(recordTitle, rollCall) {
+  const wanted = titleTokens(recordTitle);
+  if (!wanted.size) return 0;
+  const have = titleTokens(`${rollCall.title} ${rollCall.notes} ${rollCall.reading ? NUMBER_WORDS[['first', 'second', 'third'][rollCall.reading - 1]] + ' reading' : ''}`);
+  let hits = 0;
+  wanted.forEach(t => { if (have.has(t)) hits++; });
+  return hits / wanted.size;
+}
+
+/**
+ * Compare parsed meetings with the roll-call store.
+ * @param {Array} meetings - From parseMinutes()/parseMinutesDir()
+ * @param {object} store - roll-calls.json
+ * @param {number} [threshold=0.5] - Minimum matchScore to pair a record with a roll call
+ * @returns {{ matched: number, newItems: Array, missing: Array, mismatches: Array, unmatchedRecords: Array, attendance: Array }}
+ */
+function diffAgainstStore(meetings, store, threshold) {
+  const minScore = threshold || 0.5;
+  const diff = { matched: 0, newItems: [], missing: [], mismatches: [], unmatchedRecords: [], attendance: [] };
+
+  meetings.forEach(meeting => {
+    // Stored roll calls for this council meeting: title → { member: vote }
+    const titles = {};
+    ((store && store.meetings) || [])
+      .filter(m => m.body === BODY && m.date === meeting.date)
+      .forEach(m => m.items.forEach(item => { titles[item.title] = item.votes || {}; }));
+
+    // Greedy pairing, best scores first, each title and roll call used once
+    const pairs = [];
+    Object.keys(titles).forEach(title => {
+      meeting.rollCalls.forEach((rc, idx) => {
+        const score = matchScore(title, rc);
+        if (score >= minScore) pairs.push({ title, idx, score });
+      });
+    });
+    pairs.sort((a, b) => b.score - a.score);
+    const titleFor = {};
+    const usedTitles = new Set();
+    pairs.forEach(p => {
+      if (titleFor[p.idx] !== undefined || usedTitles.has(p.title)) return;
+      titleFor[p.idx] = p.title;
+      usedTitles.add(p.title);
+    });
+
+    meeting.rollCalls.forEach((rc, idx) => {
+      const title = titleFor[idx];
+      if (title === undefined) {
+        diff.newItems.push({ date: meeting.date, rollCall: rc });
+        return;
+      }
+      diff.matched++;
+      rc.votes.forEach(v => {
+        if (!v.member) return;
+        const recorded = titles[title][v.member];
+        if (recorded === undefined) {
+          diff.missing.push({ date: meeting.date, member: v.member, itemTitle: title, vote: v.vote });
+        } else if (recorded !== v.vote) {
+          diff.mismatches.push({ date: meeting.date, member: v.member, itemTitle: title, recorded, minutes: v.vote });
+        }
+      });
+    });
+
+    Object.keys(titles).filter(t => !usedTitles.has(t)).forEach(title => {
+      diff.unmatchedRecords.push({ date: meeting.date, itemTitle: title, members: Object.keys(titles[title]) });
+    });
+
+    const minutes = resolvedAttendance(meeting);
+    if (!minutes.present.length && !minutes.absent.length) return;
+    const stored = ((store && store.meetings) || []).find(m => m.body === BODY && m.date === meeting.date);
+    const recorded = stored && stored.attendance ? stored.attendance : null;
+    if (!recorded || !sameMembers(recorded.present, minutes.present) || !sameMembers(recorded.absent, minutes.absent)) {
+      diff.attendance.push({ date: meeting.date, minutes, recorded });
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * A meeting's attendance with unresolved names dropped, slugs sorted.
+ * @param {object} meeting - From parseMinutes()
+ * @returns {{ present: string[], absent: string[] }}
+ */
+function resolvedAttendance(meeting) {
+  const slugs = list => (list || []).filter(s => /^[a-z0-9]+(-[a-z0-9]+)*$/.test(s)).sort();
+  return { present: slugs(meeting.attendance.present), absent: slugs(meeting.attendance.absent) };
+}
+
+function sameMembers(a, b) {
+  return (a || []).slice().sort().join(',') === (b || []).slice().sort().join(',');
+}
+
+/**
+ * Copy each parsed meeting's attendance into the store. Meetings the store
+ * does not have yet are added without items, so attendance counts even before
+ * their votes are entered. Existing items are never touched.
+ * @param {object} store - roll-calls.json
+ * @param {Array} meetings - From parseMinutes()
+ * @returns {{ store: object, updated: string[], added: string[] }}
+ */
+function applyAttendance(store, meetings) {
+  const next = {
+    bodies: Object.assign({}, store.bodies),
+    meetings: (store.meetings || []).map(m => Object.assign({}, m))
+  };
+  const updated = [];
+  const added = [];
+  meetings.forEach(meeting => {
+    if (!meeting.date) return;
+    const attendance = resolvedAttendance(meeting);
+    if (!attendance.present.length && !attendance.absent.length) return;
+    const existing = next.meetings.find(m => m.body === BODY && m.date === meeting.date);
+    if (existing) {
+      if (existing.attendance && sameMembers(existing.attendance.present, attendance.present) &&
+          sameMembers(existing.attendance.absent, attendance.absent)) return;
+      existing.attendance = attendance;
+      updated.push(existing.id);
+    } else {
+      const id = `${BODY}-${meeting.date}`;
+      next.meetings.push({ id, body: BODY, date: meeting.date, attendance, items: [] });
+      added.push(id);
+    }
+  });
+  next.meetings.sort((a, b) => b.date.localeCompare(a.date));
+  return { store: next, updated, added };
+}
+
+/**
+ * Human-readable review of a diff, one line per finding.
+ * @param {object} diff - From diffAgainstStore()
+ * @returns {string}
+ */
+function formatReview(diff) {
+  const out = [];
+  diff.mismatches.forEach(m => {
+    out.push(`! ${m.date} ${m.member}: minutes say ${m.minutes}, roll-calls.json says ${m.recorded} on "${m.itemTitle}"`);
+  });
+  diff.missing.forEach(m => {
+    out.push(`+ ${m.date} ${m.member}: ${m.vote} on "${m.itemTitle}" (missing from roll-calls.json)`);
+  });
+  diff.newItems.forEach(({ date, rollCall }) => {
+    const t = rollCall.tally;
+    out.push(`+ ${date} ${rollCall.item}) ${rollCall.fileNumber || ''} ${rollCall.title} — motion ${rollCall.result}` +
+      (rollCall.votes.length ? ` ${t.Yea}-${t.Nay}` : '') + ' (not in roll-calls.json)');
+  });
+  diff.unmatchedRecords.forEach(r => {
+    out.push(`? ${r.date} "${r.itemTitle}" is in roll-calls.json but not found in the minutes`);
+  });
+  diff.attendance.forEach(a => {
+    const absent = a.minutes.absent.length ? ` (absent: ${a.minutes.absent.join(', ')})` : '';
+    out.push(a.recorded
+      ? `! ${a.date} attendance: minutes say ${a.minutes.present.length} present${absent}, roll-calls.json differs`
+      : `+ ${a.date} attendance: ${a.minutes.present.length} present${absent} (missing from roll-calls.json)`);
+  });
+  out.push(`${diff.matched} roll call(s) matched, ${diff.mismatches.length} mismatch(es), ` +
+    `${diff.missing.length} missing vote(s), ${diff.newItems.length} new item(s), ` +
+    `${diff.unmatchedRecords.length} unmatched record(s), ${diff.attendance.length} attendance update(s)`);
+  return out.join('\n');
+}
+
+// --- Argument parsing ---
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const val = argv[i + 1];
+      if (val !== undefined && !val.startsWith('--')) {
+        args[key] = val;
+        i++;
+      } else {
+        args[key] = true;
+      }
+    }
+  }
+  return args;
+}
+
+// --- CLI execution ---
+if (require.main === module) {
+  const args = parseArgs(process.argv);
+  const rootDir = path.resolve(__dirname, '..');
+  const dir = args.dir || DEFAULT_DIR;
+
+  if (!fs.existsSync(dir)) {
+    console.error(`Error: ${dir} not found. Run scripts/fetch-voting-records.sh first, or pass --dir.`);
+    process.exit(1);
+  }
+
+  const people = JSON.parse(fs.readFileSync(path.join(rootDir, 'data/people.json'), 'utf-8'));
+  const meetings = parseMinutesDir(dir, { people });
+  meetings.forEach(m => m.warnings.forEach(w => console.error(`warning: ${w}`)));
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(meetings, null, 2) + '\n', 'utf-8');
+    console.error(`✓ Wrote ${meetings.length} meeting(s) to ${args.out}`);
+  }
+  if (args.json) {
+    console.log(JSON.stringify(meetings, null, 2));
+  } else {
+    const storePath = args.store || path.join(rootDir, 'data/roll-calls.json');
+    const store = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+    console.log(formatReview(diffAgainstStore(meetings, store)));
+    if (args['write-attendance']) {
+      const result = applyAttendance(store, meetings);
+      fs.writeFileSync(storePath, JSON.stringify(result.store, null, 2) + '\n', 'utf-8');
+      console.log(`✓ Attendance written to ${storePath}: ${result.updated.length} meeting(s) updated, ${result.added.length} added`);
+    }
+  }
+}
+
+module.exports = {
+  parseMeetingDate,
+  cleanLines,
+  buildRoster,
+  resolveMember,
+  splitNames,
+  describeItem,
+  parseMotion,
+  parseMinutes,
+  parseMinutesDir,
+  titleTokens,
+  matchScore,
+  diffAgainstStore,
+  applyAttendance,
+  formatReview
+};
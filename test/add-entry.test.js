@@ -185,9 +185,63 @@ describe('addEntry', () => {
     assert.equal(result.entry.relatedCandidate, undefined);
   });
 
-  it('includes imageUrl when provided', () => {
+  it('stores comma-separated relatedCandidates', () => {
+    const result = addEntry(makeArgs({ relatedCandidates: 'toni-carter, april-ryan' }), { rootDir: tmpDir, now: fixedDate });
+    assert.deepEqual(result.entry.relatedCandidates, ['toni-carter', 'april-ryan']);
+    assert.equal(result.entry.relatedCandidate, undefined);
+  });
+
+  it('stores comma-separated relatedOrganizations from the registry', () => {
+    fs.writeFileSync(path.join(tmpDir, 'data/organizations.json'), JSON.stringify([{ slug: 'nb-chamber' }, { slug: 'acme-pac' }]));
+    const result = addEntry(makeArgs({ relatedOrganizations: 'nb-chamber, acme-pac' }), { rootDir: tmpDir, now: fixedDate });
+    assert.deepEqual(result.entry.relatedOrganizations, ['nb-chamber', 'acme-pac']);
+    const unknown = addEntry(makeArgs({ relatedOrganizations: 'acme' }), { rootDir: tmpDir, now: fixedDate });
+    assert.equal(unknown.success, false);
+    assert.match(unknown.error, /Unknown organization\(s\): acme/);
+  });
+
+  it('records an endorsement reported by the entry', () => {
+    fs.writeFileSync(path.join(tmpDir, 'data/people.json'), JSON.stringify([{ slug: 'donna-campbell', name: 'Donna Campbell', aliases: [], profile: true }]));
+    fs.writeFileSync(path.join(tmpDir, 'data/organizations.json'), JSON.stringify([{ slug: 'nb-chamber', name: 'New Braunfels Chamber', aliases: [] }]));
+    fs.writeFileSync(path.join(tmpDir, 'data/races.json'), JSON.stringify([{ id: 'comal-county-judge', candidates: [{ name: 'Kristen Hoyt', slug: 'kristen-hoyt' }] }]));
+
+    const result = addEntry(makeArgs({ endorser: 'Donna Campbell', endorsed: 'kristen-hoyt' }), { rootDir: tmpDir, now: fixedDate });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.endorsement, {
+      id: 'en-2026-02-11-donna-campbell-kristen-hoyt',
+      endorser: { type: 'person', slug: 'donna-campbell', name: 'Donna Campbell' },
+      candidate: 'kristen-hoyt',
+      race: 'comal-county-judge',
+      date: '2026-02-11',
+      sourceEntry: result.entry.id
+    });
+
+    const org = addEntry(makeArgs({ endorser: 'nb-chamber', endorsed: 'kristen-hoyt', endorsementDate: '2026-02-01' }), { rootDir: tmpDir, now: fixedDate });
+    assert.deepEqual(org.entry.relatedOrganizations, ['nb-chamber']);
+    const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, 'data/endorsements.json'), 'utf-8'));
+    assert.deepEqual(stored.map(e => e.id), ['en-2026-02-01-new-braunfels-chamber-kristen-hoyt', 'en-2026-02-11-donna-campbell-kristen-hoyt']);
+
+    const unknown = addEntry(makeArgs({ endorser: 'Pat Doe', endorsed: 'kristen-hoyt' }), { rootDir: tmpDir, now: fixedDate });
+    assert.deepEqual(unknown.endorsement.endorser, { type: 'person', slug: null, name: 'Pat Doe' });
+  });
+
+  it('rejects an endorsement of someone not running, without writing the entry', () => {
+    fs.writeFileSync(path.join(tmpDir, 'data/races.json'), JSON.stringify([]));
+    const result = addEntry(makeArgs({ endorser: 'Pat Doe', endorsed: 'kristen-hoyt' }), { rootDir: tmpDir, now: fixedDate });
+    assert.equal(result.success, false);
+    assert.match(result.error, /"kristen-hoyt" is not a candidate in data\/races\.json/);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(tmpDir, 'data/candidate-news.json'), 'utf-8')).length, 1);
+  });
+
+  it('includes image when provided', () => {
+    const result = addEntry(makeArgs({ image: 'images/thumbs/x.jpg' }), { rootDir: tmpDir, now: fixedDate });
+    assert.equal(result.entry.image, 'images/thumbs/x.jpg');
+  });
+
+  it('stores --imageUrl as image', () => {
     const result = addEntry(makeArgs({ imageUrl: 'https://example.com/img.jpg' }), { rootDir: tmpDir, now: fixedDate });
-    assert.equal(result.entry.imageUrl, 'https://example.com/img.jpg');
+    assert.equal(result.entry.image, 'https://example.com/img.jpg');
+    assert.equal(result.entry.imageUrl, undefined);
   });
 
   it('fails with missing feed', () => {
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { renderAttendance } = require('../js/attendance.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+describe('renderAttendance', () => {
+    it('renders attendance with absences and recusals', () => {
+        const container = { innerHTML: '' };
+        const html = renderAttendance({
+            meetings: 4, present: 3, absent: 1, rate: 0.75, abstentions: 2,
+            absences: [{ date: '2026-02-09', body: 'nb-city-council', meetingId: 'm' }],
+            recusals: [{ date: '2026-01-26', body: 'nb-city-council', meetingId: 'm', itemId: 'i', itemTitle: 'Rezone <Lot 4>' }]
+        }, container);
+        assert.equal(container.innerHTML, html);
+        assert.ok(html.includes('75%'));
+        assert.ok(html.includes('3 of 4 meetings'));
+        assert.ok(html.includes('<li>2026-02-09</li>'));
+        assert.ok(html.includes('Rezone &lt;Lot 4&gt;'));
+        assert.match(renderAttendance({ meetings: 0, rate: null, absences: [], recusals: [] }, null), /No attendance recorded/);
+    });
+});
+
+describe('profile pages use the component', () => {
+    it('every attendance section loads the component that fills it, and no page keeps a separate vote list', () => {
+        const dir = path.join(ROOT, 'profiles');
+        fs.readdirSync(dir).filter(f => f.endsWith('.html')).forEach(f => {
+            const html = fs.readFileSync(path.join(dir, f), 'utf-8');
+            assert.ok(!html.includes('getMemberVotes(store, slug)'), `${f} still renders votes inline`);
+            assert.ok(!html.includes('id="voting-record-list"'), `${f} lists votes outside the timeline`);
+            if (html.includes('id="attendance-summary"')) {
+                assert.ok(html.includes('js/attendance.js'), `${f} loads the component that fills its attendance`);
+                assert.ok(html.includes('initAttendance();'), `${f} starts it`);
+            }
+        });
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { buildGeo, buildTopology, simplifyLine } = require('../scripts/build-geo.js');
+const { geometryBounds, decodeTopology } = require('../js/spatial-index.js');
+const { lookupDistricts, loadCandidateLayers } = require('../js/districts.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf-8'));
+}
+
+function square(west, south, east, north) {
+    return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+}
+
+describe('simplifyLine', () => {
+    it('drops points within the tolerance and keeps both ends', () => {
+        assert.deepEqual(simplifyLine([[0, 0], [5, 1], [10, 0], [10, 10]], 2), [[0, 0], [10, 0], [10, 10]]);
+        assert.deepEqual(simplifyLine([[0, 0], [5, 3], [10, 0]], 2), [[0, 0], [5, 3], [10, 0]]);
+    });
+});
+
+describe('buildTopology', () => {
+    it('stores a shared border once, so neighbours still meet', () => {
+        const collection = {
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: { District: '1', Rep_Name: 'x' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 0.01, 0.01)] } },
+                { type: 'Feature', properties: { District: '2' }, geometry: { type: 'Polygon', coordinates: [square(0.01, 0, 0.02, 0.01)] } }
+            ]
+        };
+        const topology = buildTopology([{ key: 'council', collection, properties: ['District'] }]);
+        const [first, second] = topology.objects.council.geometries;
+        const shared = first.arcs[0].filter(a => second.arcs[0].includes(~a) || second.arcs[0].includes(a));
+        assert.equal(shared.length, 1);
+        assert.deepEqual(first.properties, { District: '1' }, 'only the listed properties are kept');
+
+        const decoded = decodeTopology(topology, 'council');
+        decoded.features.forEach((feature, i) => {
+            geometryBounds(feature.geometry).forEach((v, j) => assert.ok(Math.abs(v - geometryBounds(collection.features[i].geometry)[j]) < 1e-6));
+        });
+    });
+});
+
+describe('data/geo/build', () => {
+    it('is up to date with data/geo', () => {
+        const stale = buildGeo(ROOT).filter(f => f.changed).map(f => f.file);
+        assert.deepEqual(stale, [], 'run node scripts/build-geo.js --write');
+    });
+
+    it('display outlines stay within the simplification tolerance', () => {
+        const topology = readJson('data/geo/build/display.topo.json');
+        const index = readJson('data/geo/build/index.json');
+        Object.keys(topology.objects).forEach(key => {
+            const source = readJson(index.layers[key].source);
+            const decoded = decodeTopology(topology, key);
+            assert.equal(decoded.features.length, source.features.length, key);
+            decoded.features.forEach((feature, i) => {
+                const expected = geometryBounds(source.features[i].geometry);
+                geometryBounds(feature.geometry).forEach((v, j) => assert.ok(Math.abs(v - expected[j]) < 0.0002, `${key} feature ${i}`));
+            });
+        });
+    });
+
+    it('indexed lookups match a scan of every feature', () => {
+        const index = readJson('data/geo/build/index.json');
+        const layers = {};
+        const indexes = {};
+        Object.entries(index.layers).forEach(([key, layer]) => {
+            layers[key] = readJson(layer.source);
+            indexes[key] = layer.index;
+        });
+        // A grid over the county, dense enough to cross every precinct border
+        for (let x = 0; x <= 24; x++) {
+            for (let y = 0; y <= 24; y++) {
+                const coordinates = { lon: -98.65 + 0.7 * x / 24, lat: 29.58 + 0.5 * y / 24 };
+                assert.deepEqual(lookupDistricts(layers, coordinates, indexes), lookupDistricts(layers, coordinates), JSON.stringify(coordinates));
+            }
+        }
+    });
+
+    it('lookups from the candidate feature files match the full layers, loading only candidates', async () => {
+        const index = readJson('data/geo/build/index.json');
+        const layers = {};
+        const indexes = {};
+        Object.entries(index.layers).forEach(([key, layer]) => {
+            layers[key] = readJson(layer.source);
+            indexes[key] = layer.index;
+        });
+        const loaded = [];
+        const loadFeature = async (key, id) => {
+            loaded.push(`${key}/${id}`);
+            return readJson(`data/geo/build/features/${key}/${id}.json`);
+        };
+        for (let x = 0; x <= 8; x++) {
+            for (let y = 0; y <= 8; y++) {
+                const coordinates = { lon: -98.65 + 0.7 * x / 8, lat: 29.58 + 0.5 * y / 8 };
+                loaded.length = 0;
+                const candidates = await loadCandidateLayers(indexes, coordinates, loadFeature);
+                assert.deepEqual(lookupDistricts(candidates, coordinates, indexes), lookupDistricts(layers, coordinates), JSON.stringify(coordinates));
+                assert.ok(loaded.length < 12, `${loaded.length} features loaded for one point`);
+            }
+        }
+    });
+});
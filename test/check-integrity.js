@@ -0,0 +1,280 @@
+/**
+ * Cross-dataset integrity checker for Hill Country Sentinel data files.
+ *
+ * Walks every dataset in data/ and reports references that point at nothing:
+ * profile slugs without a profile page, organization slugs missing from the
+ * registry, endorsements of candidates not in the race they name, archive pages and images missing from disk, and profile pages no
+ * dataset knows about.
+ *
+ * Usage: node test/check-integrity.js [root-dir]
+ *
+ * Exit code 0 = no errors (warnings are printed but do not fail), 1 = errors
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const FEED_FILES = ['candidate-news.json', 'policy-feed.json', 'business-watch.json'];
+
+/**
+ * Read a JSON file, or return the fallback when it does not exist.
+ * @param {string} filePath - Absolute path
+ * @param {*} fallback - Value for a missing file
+ * @returns {*}
+ */
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Load every dataset the checker looks at.
+ * @param {string} rootDir - Repository root
+ * @returns {object} { people, organizations, endorsements, officials, rollCalls, races, finance, feeds, profiles, organizationPages }
+ */
+function loadDatasets(rootDir) {
+    const dataDir = path.join(rootDir, 'data');
+    const feeds = {};
+    FEED_FILES.forEach(file => {
+        feeds[file] = readJson(path.join(dataDir, file), []);
+    });
+    const profilesDir = path.join(rootDir, 'profiles');
+    const profiles = fs.existsSync(profilesDir)
+        ? fs.readdirSync(profilesDir).filter(f => f.endsWith('.html')).map(f => f.replace(/\.html$/, ''))
+        : [];
+    const organizationsDir = path.join(rootDir, 'organizations');
+    const organizationPages = fs.existsSync(organizationsDir)
+        ? fs.readdirSync(organizationsDir).filter(f => f.endsWith('.html') && f !== 'index.html').map(f => f.replace(/\.html$/, ''))
+        : [];
+    return {
+        people: readJson(path.join(dataDir, 'people.json'), []),
+        organizations: readJson(path.join(dataDir, 'organizations.json'), []),
+        endorsements: readJson(path.join(dataDir, 'endorsements.json'), []),
+        officials: readJson(path.join(dataDir, 'officials.json'), {}),
+        rollCalls: readJson(path.join(dataDir, 'roll-calls.json'), { bodies: {}, meetings: [] }),
+        races: readJson(path.join(dataDir, 'races.json'), []),
+        finance: readJson(path.join(dataDir, 'finance/index.json'), { filers: {} }),
+        feeds,
+        profiles,
+        organizationPages,
+    };
+}
+
+/**
+ * Whether a path is a local file reference (not an absolute URL or data URI).
+ * @param {string} ref - Path or URL
+ * @returns {boolean}
+ */
+function isLocalPath(ref) {
+    return typeof ref === 'string' && ref !== '' && !/^(https?:)?\/\//.test(ref) && !ref.startsWith('data:');
+}
+
+/**
+ * Suggest the profile slug that was probably meant, e.g. "lee-edwards" → "d-lee-edwards".
+ * @param {string} slug - Dangling slug
+ * @param {Array<string>} profiles - Existing profile slugs
+ * @returns {string} Hint to append to a message ('' when there is no good guess)
+ */
+function suggestSlug(slug, profiles) {
+    const match = profiles.find(p => p.endsWith('-' + slug) || slug.endsWith('-' + p));
+    return match ? ` Did you mean "${match}"?` : '';
+}
+
+/**
+ * Check references between datasets and files on disk.
+ * @param {object} data - Datasets, as returned by loadDatasets()
+ * @param {function(string): boolean} exists - Whether a repo-relative path exists
+ * @returns {{ valid: boolean, errors: string[], warnings: string[] }}
+ */
+function checkIntegrity(data, exists) {
+    const errors = [];
+    const warnings = [];
+    const profiles = data.profiles || [];
+    const profileSet = new Set(profiles);
+
+    function checkSlug(where, field, slug) {
+        if (!slug || profileSet.has(slug)) return;
+        errors.push(`${where}: ${field} "${slug}" has no profile page (profiles/${slug}.html).${suggestSlug(slug, profiles)}`);
+    }
+
+    // Voters need a registry entry; former officials (e.g. a late county judge) may have no page
+    const registry = new Set((data.people || []).map(p => p.slug));
+    function checkVoter(where, field, slug) {
+        if (!slug || registry.has(slug)) return;
+        checkSlug(where, field, slug);
+    }
+
+    function checkFile(where, field, ref) {
+        if (!isLocalPath(ref) || exists(ref)) return;
+        errors.push(`${where}: ${field} "${ref}" does not exist. Add the file or fix the path.`);
+    }
+
+    const organizations = new Set((data.organizations || []).map(o => o.slug));
+    function checkOrganization(where, field, slug) {
+        if (organizations.has(slug)) return;
+        errors.push(`${where}: ${field} "${slug}" is not in organizations.json. Add it to the registry or fix the slug.`);
+    }
+
+    // Feeds: relatedCandidate(s), relatedOrganizations, archiveUrl and image paths
+    Object.entries(data.feeds || {}).forEach(([file, entries]) => {
+        (entries || []).forEach((entry, i) => {
+            const where = `${file} ${entry.id || 'entry ' + i}`;
+            checkSlug(where, 'relatedCandidate', entry.relatedCandidate);
+            (entry.relatedCandidates || []).forEach(slug => checkSlug(where, 'relatedCandidates', slug));
+            (entry.relatedOrganizations || []).forEach(slug => checkOrganization(where, 'relatedOrganizations', slug));
+            checkFile(where, 'archiveUrl', entry.archiveUrl);
+            checkFile(where, 'image', entry.image);
+        });
+    });
+
+    // officials.json: { group: { seat: { name, profileSlug?, vacant? } } }
+    Object.entries(data.officials || {}).forEach(([group, seats]) => {
+        if (!seats || typeof seats !== 'object') return;
+        Object.entries(seats).forEach(([seat, official]) => {
+            checkSlug(`officials.json ${group}.${seat} (${official.name || 'vacant'})`, 'profileSlug', official.profileSlug);
+        });
+    });
+
+    // roll-calls.json: known bodies, unique ids, every voter is a known person
+    const rollCalls = data.rollCalls || {};
+    const bodies = rollCalls.bodies || {};
+    const meetingIds = new Set();
+    (rollCalls.meetings || []).forEach(meeting => {
+        const where = `roll-calls.json ${meeting.id}`;
+        if (meetingIds.has(meeting.id)) errors.push(`${where}: duplicate meeting id. Meeting ids must be unique.`);
+        meetingIds.add(meeting.id);
+        if (!bodies[meeting.body]) errors.push(`${where}: body "${meeting.body}" is not listed under "bodies".`);
+        const attendance = meeting.attendance || {};
+        (attendance.present || []).forEach(slug => checkVoter(where, 'attendance.present', slug));
+        (attendance.absent || []).forEach(slug => checkVoter(where, 'attendance.absent', slug));
+        const itemIds = new Set();
+        (meeting.items || []).forEach(item => {
+            if (itemIds.has(item.id)) errors.push(`${where}: duplicate item id "${item.id}". Item ids must be unique within a meeting.`);
+            itemIds.add(item.id);
+            Object.keys(item.votes || {}).forEach(slug => checkVoter(`${where} ${item.id}`, 'vote', slug));
+            checkVoter(`${where} ${item.id}`, 'mover', item.mover);
+            checkVoter(`${where} ${item.id}`, 'seconder', item.seconder);
+            Object.keys(item.summaries || {}).forEach(slug => {
+                if (!(item.votes || {})[slug]) errors.push(`${where} ${item.id}: summary for "${slug}", who has no vote on this item.`);
+            });
+            // A member absent from the whole meeting cannot have voted on anything in it
+            (attendance.absent || []).forEach(slug => {
+                const vote = (item.votes || {})[slug];
+                if (vote && vote !== 'Absent') errors.push(`${where} ${item.id}: "${slug}" is recorded ${vote}, but the meeting's attendance lists them as absent.`);
+            });
+        });
+    });
+
+    // races.json candidates
+    (data.races || []).forEach(race => {
+        (race.candidates || []).forEach(candidate => {
+            const where = `races.json ${race.id} (${candidate.name})`;
+            checkSlug(where, 'slug', candidate.slug);
+            checkFile(where, 'photo', candidate.photo);
+        });
+    });
+
+    // endorsements.json: endorser and candidate exist, the candidate runs in the race, the source entry exists
+    const entryIds = new Set();
+    Object.values(data.feeds || {}).forEach(entries => (entries || []).forEach(entry => entryIds.add(entry.id)));
+    const racesById = {};
+    (data.races || []).forEach(race => { racesById[race.id] = race; });
+    const endorsementIds = new Set();
+    (data.endorsements || []).forEach((endorsement, i) => {
+        const where = `endorsements.json ${endorsement.id || 'entry ' + i}`;
+        if (endorsementIds.has(endorsement.id)) errors.push(`${where}: duplicate id. Endorsement ids must be unique.`);
+        endorsementIds.add(endorsement.id);
+        const endorser = endorsement.endorser || {};
+        if (endorser.type === 'organization') {
+            checkOrganization(where, 'endorser.slug', endorser.slug);
+        } else {
+            checkSlug(where, 'endorser.slug', endorser.slug);
+        }
+        checkSlug(where, 'candidate', endorsement.candidate);
+        const race = racesById[endorsement.race];
+        if (!race) {
+            errors.push(`${where}: race "${endorsement.race}" is not in races.json.`);
+        } else if (!(race.candidates || []).some(c => c.slug === endorsement.candidate)) {
+            errors.push(`${where}: "${endorsement.candidate}" is not a candidate in ${endorsement.race}.`);
+        }
+        if (!entryIds.has(endorsement.sourceEntry)) {
+            errors.push(`${where}: sourceEntry "${endorsement.sourceEntry}" is not in any feed.`);
+        }
+    });
+
+    // finance/index.json: filers are registry people and their files exist
+    Object.entries((data.finance && data.finance.filers) || {}).forEach(([slug, filer]) => {
+        const where = `finance/index.json ${slug}`;
+        checkVoter(where, 'filer', slug);
+        checkFile(where, 'file', `data/finance/${filer.file}`);
+    });
+
+    // people.json: profile flag must match the pages on disk
+    const registered = new Set();
+    (data.people || []).forEach(person => {
+        const where = `people.json ${person.slug}`;
+        if (person.profile) {
+            registered.add(person.slug);
+            checkSlug(where, 'slug', person.slug);
+        } else if (profileSet.has(person.slug)) {
+            errors.push(`${where}: profiles/${person.slug}.html exists but "profile" is false. Set "profile": true.`);
+        }
+        checkFile(where, 'photo', person.photo);
+    });
+
+    // organizations.json: every organization has a generated page, and no page is left over
+    const organizationPages = new Set(data.organizationPages || []);
+    (data.organizations || []).forEach(org => {
+        if (!organizationPages.has(org.slug)) {
+            errors.push(`organizations.json ${org.slug}: organizations/${org.slug}.html does not exist. Run scripts/generate-org-pages.js --write.`);
+        }
+    });
+    organizationPages.forEach(slug => {
+        if (!organizations.has(slug)) {
+            warnings.push(`organizations/${slug}.html: not listed in organizations.json. Remove the page or add a registry entry.`);
+        }
+    });
+
+    // Orphan profiles: pages the registry does not know about (never auto-linked)
+    profiles.forEach(slug => {
+        if (!registered.has(slug)) {
+            warnings.push(`profiles/${slug}.html: not listed in people.json, so nothing links to it by name. Add a registry entry or remove the page.`);
+        }
+    });
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Load the datasets under rootDir and check them.
+ * @param {string} rootDir - Repository root
+ * @returns {{ valid: boolean, errors: string[], warnings: string[] }}
+ */
+function checkRepository(rootDir) {
+    return checkIntegrity(loadDatasets(rootDir), ref => fs.existsSync(path.join(rootDir, ref)));
+}
+
+// CLI mode
+if (require.main === module) {
+    const rootDir = path.resolve(process.argv[2] || path.join(__dirname, '..'));
+
+    let result;
+    try {
+        result = checkRepository(rootDir);
+    } catch (err) {
+        console.error(`Error reading datasets under ${rootDir}: ${err.message}`);
+        process.exit(1);
+    }
+
+    result.warnings.forEach(w => console.warn(`  ! ${w}`));
+    if (result.valid) {
+        console.log(`✓ No broken references (${result.warnings.length} warning(s))`);
+        process.exit(0);
+    } else {
+        console.error(`✗ ${result.errors.length} broken reference(s):`);
+        result.errors.forEach(e => console.error(`  - ${e}`));
+        process.exit(1);
+    }
+}
+
+module.exports = { loadDatasets, checkIntegrity, checkRepository, suggestSlug };
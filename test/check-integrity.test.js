@@ -0,0 +1,171 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { checkIntegrity, checkRepository, suggestSlug } = require('./check-integrity.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function dataset(overrides) {
+    return Object.assign({
+        people: [{ slug: 'd-lee-edwards', name: 'D. Lee Edwards', aliases: [], profile: true, photo: 'images/d-lee-edwards.jpg' }],
+        officials: { cityCouncil: { '3': { name: 'D. Lee Edwards', profileSlug: 'd-lee-edwards' } } },
+        rollCalls: {
+            bodies: { 'nb-city-council': { name: 'New Braunfels City Council' } },
+            meetings: [{ id: 'nb-city-council-2026-01-12', body: 'nb-city-council', date: '2026-01-12', items: [
+                { id: 'item', title: 'Item', outcome: 'Passed', votes: { 'd-lee-edwards': 'Yea' }, summaries: { 'd-lee-edwards': 'Voted for it.' } },
+            ] }],
+        },
+        races: [],
+        feeds: { 'candidate-news.json': [] },
+        profiles: ['d-lee-edwards'],
+    }, overrides);
+}
+
+const onDisk = new Set(['images/d-lee-edwards.jpg', 'articles/archive/ok.html', 'images/thumbs/ok.jpg']);
+const exists = ref => onDisk.has(ref);
+
+describe('checkIntegrity', () => {
+    it('passes a consistent dataset', () => {
+        const result = checkIntegrity(dataset(), exists);
+        assert.equal(result.valid, true, result.errors.join('\n'));
+        assert.deepEqual(result.warnings, []);
+    });
+
+    it('reports roll-call voters without a profile and suggests the right slug', () => {
+        const meeting = { id: 'm1', body: 'nb-city-council', date: '2026-01-12', items: [{ id: 'item', title: 'Item', outcome: 'Passed', votes: { 'lee-edwards': 'Yea' } }] };
+        const result = checkIntegrity(dataset({ rollCalls: { bodies: { 'nb-city-council': { name: 'Council' } }, meetings: [meeting] } }), exists);
+        assert.equal(result.valid, false);
+        assert.equal(result.errors.length, 1);
+        assert.match(result.errors[0], /roll-calls\.json m1 item: vote "lee-edwards" has no profile page/);
+        assert.match(result.errors[0], /Did you mean "d-lee-edwards"\?/);
+    });
+
+    it('accepts roll-call voters in people.json who have no profile page', () => {
+        const people = dataset().people.concat([{ slug: 'sherman-krause', name: 'Sherman Krause', aliases: [], profile: false, photo: null }]);
+        const meeting = { id: 'm1', body: 'nb-city-council', date: '2026-01-08', items: [{ id: 'item', title: 'Item', outcome: 'Passed', mover: 'sherman-krause', votes: { 'sherman-krause': 'Yea' } }] };
+        const result = checkIntegrity(dataset({ people, rollCalls: { bodies: { 'nb-city-council': { name: 'Council' } }, meetings: [meeting] } }), exists);
+        assert.equal(result.valid, true, result.errors.join('\n'));
+    });
+
+    it('reports unknown bodies, duplicate ids and summaries without a vote', () => {
+        const item = { id: 'item', title: 'Item', outcome: 'Passed', votes: {}, summaries: { 'd-lee-edwards': 'x' } };
+        const meeting = { id: 'm1', body: 'county-court', date: '2026-01-12', items: [item, item] };
+        const result = checkIntegrity(dataset({ rollCalls: { bodies: {}, meetings: [meeting, meeting] } }), exists);
+        assert.ok(result.errors.some(e => /m1: duplicate meeting id/.test(e)));
+        assert.ok(result.errors.some(e => /body "county-court" is not listed/.test(e)));
+        assert.ok(result.errors.some(e => /duplicate item id "item"/.test(e)));
+        assert.ok(result.errors.some(e => /summary for "d-lee-edwards", who has no vote/.test(e)));
+    });
+
+    it('reports unknown attendance slugs and votes by members recorded absent', () => {
+        const meeting = {
+            id: 'm1', body: 'nb-city-council', date: '2026-01-12',
+            attendance: { present: ['lee-edwards'], absent: ['d-lee-edwards'] },
+            items: [{ id: 'item', title: 'Item', outcome: 'Passed', votes: { 'd-lee-edwards': 'Yea' } }]
+        };
+        const result = checkIntegrity(dataset({ rollCalls: { bodies: { 'nb-city-council': { name: 'Council' } }, meetings: [meeting] } }), exists);
+        assert.equal(result.errors.length, 2);
+        assert.match(result.errors[0], /roll-calls\.json m1: attendance\.present "lee-edwards" has no profile page/);
+        assert.match(result.errors[1], /m1 item: "d-lee-edwards" is recorded Yea, but the meeting's attendance lists them as absent/);
+    });
+
+    it('reports campaign finance filers without a registry entry or file', () => {
+        const finance = { filers: { 'lee-edwards': { file: 'lee-edwards.json' }, 'd-lee-edwards': { file: 'd-lee-edwards.json' } } };
+        const result = checkIntegrity(dataset({ finance }), ref => onDisk.has(ref) || ref === 'data/finance/d-lee-edwards.json');
+        assert.equal(result.errors.length, 2);
+        assert.match(result.errors[0], /finance\/index\.json lee-edwards: filer "lee-edwards" has no profile page/);
+        assert.match(result.errors[1], /file "data\/finance\/lee-edwards\.json" does not exist/);
+    });
+
+    it('reports organizations missing from the registry or without a page', () => {
+        const organizations = [{ slug: 'nb-chamber', name: 'NB Chamber', aliases: [], type: 'chamber' }, { slug: 'acme-pac', name: 'Acme PAC', aliases: [], type: 'pac' }];
+        const feeds = { 'business-watch.json': [{ id: 'bw-1', relatedOrganizations: ['nb-chamber', 'acme'] }] };
+        const result = checkIntegrity(dataset({ organizations, feeds, organizationPages: ['nb-chamber', 'old-club'] }), exists);
+        assert.equal(result.errors.length, 2);
+        assert.match(result.errors[0], /business-watch\.json bw-1: relatedOrganizations "acme" is not in organizations\.json/);
+        assert.match(result.errors[1], /organizations\.json acme-pac: organizations\/acme-pac\.html does not exist/);
+        assert.deepEqual(result.warnings, ['organizations/old-club.html: not listed in organizations.json. Remove the page or add a registry entry.']);
+    });
+
+    it('reports endorsements with unknown endorsers, races or source entries', () => {
+        const races = [{ id: 'nb-council-3', candidates: [{ name: 'D. Lee Edwards', slug: 'd-lee-edwards' }] }];
+        const feeds = { 'candidate-news.json': [{ id: 'cn-1' }] };
+        const organizations = [{ slug: 'nb-chamber', name: 'NB Chamber', aliases: [], type: 'chamber' }];
+        const endorsement = (id, endorser, race, sourceEntry) => ({ id, endorser, candidate: 'd-lee-edwards', race, date: '2026-02-01', sourceEntry });
+        const endorsements = [
+            endorsement('en-ok', { type: 'organization', slug: 'nb-chamber', name: 'NB Chamber' }, 'nb-council-3', 'cn-1'),
+            endorsement('en-name-only', { type: 'person', slug: null, name: 'Pat Doe' }, 'nb-council-3', 'cn-1'),
+            endorsement('en-org', { type: 'organization', slug: 'acme', name: 'Acme' }, 'nb-council-3', 'cn-1'),
+            endorsement('en-race', { type: 'person', slug: 'd-lee-edwards', name: 'D. Lee Edwards' }, 'nb-mayor', 'cn-2'),
+        ];
+        const result = checkIntegrity(dataset({ races, feeds, organizations, organizationPages: ['nb-chamber'], endorsements }), exists);
+        assert.deepEqual(result.errors, [
+            'endorsements.json en-org: endorser.slug "acme" is not in organizations.json. Add it to the registry or fix the slug.',
+            'endorsements.json en-race: race "nb-mayor" is not in races.json.',
+            'endorsements.json en-race: sourceEntry "cn-2" is not in any feed.',
+        ]);
+    });
+
+    it('reports dangling relatedCandidate(s), archiveUrl and image paths in feeds', () => {
+        const feeds = {
+            'candidate-news.json': [{
+                id: 'cn-001',
+                relatedCandidate: 'nobody',
+                relatedCandidates: ['d-lee-edwards', 'no-one'],
+                archiveUrl: 'articles/archive/missing.html',
+                image: 'images/thumbs/missing.jpg',
+            }],
+        };
+        const { errors } = checkIntegrity(dataset({ feeds }), exists);
+        assert.equal(errors.length, 4);
+        assert.ok(errors.every(e => e.startsWith('candidate-news.json cn-001: ')));
+        assert.ok(errors.some(e => e.includes('relatedCandidate "nobody"')));
+        assert.ok(errors.some(e => e.includes('relatedCandidates "no-one"')));
+        assert.ok(errors.some(e => e.includes('archiveUrl "articles/archive/missing.html" does not exist')));
+        assert.ok(errors.some(e => e.includes('image "images/thumbs/missing.jpg" does not exist')));
+    });
+
+    it('ignores remote image URLs', () => {
+        const feeds = { 'policy-feed.json': [{ id: 'pf-001', image: 'https://example.com/a.jpg' }] };
+        assert.equal(checkIntegrity(dataset({ feeds }), exists).valid, true);
+    });
+
+    it('reports officials.json profileSlug values without a page', () => {
+        const officials = { jp: { '2': { name: 'Rick Walker', profileSlug: 'rick-walker' } } };
+        const { errors } = checkIntegrity(dataset({ officials }), exists);
+        assert.deepEqual(errors, ['officials.json jp.2 (Rick Walker): profileSlug "rick-walker" has no profile page (profiles/rick-walker.html).']);
+    });
+
+    it('reports races.json candidate slugs and photos', () => {
+        const races = [{ id: 'nb-mayor', candidates: [{ name: 'X', slug: 'x', photo: 'images/x.jpg' }] }];
+        const { errors } = checkIntegrity(dataset({ races }), exists);
+        assert.equal(errors.length, 2);
+    });
+
+    it('reports registry entries out of step with profile pages', () => {
+        const people = [{ slug: 'd-lee-edwards', name: 'D. Lee Edwards', profile: false }];
+        const { errors, warnings } = checkIntegrity(dataset({ people }), exists);
+        assert.match(errors[0], /"profile" is false/);
+        assert.match(warnings[0], /profiles\/d-lee-edwards\.html: not listed in people\.json/);
+    });
+
+    it('warns about orphan profile pages without failing', () => {
+        const result = checkIntegrity(dataset({ profiles: ['d-lee-edwards', 'orphan'] }), exists);
+        assert.equal(result.valid, true);
+        assert.equal(result.warnings.length, 1);
+        assert.match(result.warnings[0], /profiles\/orphan\.html/);
+    });
+});
+
+describe('suggestSlug', () => {
+    it('returns empty string when nothing is close', () => {
+        assert.equal(suggestSlug('zzz', ['d-lee-edwards']), '');
+    });
+});
+
+describe('repository data integrity', () => {
+    it('has no broken references between datasets and files', () => {
+        const result = checkRepository(ROOT);
+        assert.equal(result.valid, true, `\n${result.errors.join('\n')}`);
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Roll-call consistency checker for Hill Country Sentinel.
+ *
+ * Parses every `outcome` in data/roll-calls.json (tally, named dissenters,
+ * abstentions, absences, thresholds) and cross-checks it against the votes
+ * recorded on the same item: a member recorded Yea on an item whose outcome
+ * names them as opposed, more recorded Nay votes than the tally allows, a
+ * "Passed" outcome whose tally lost, and so on.
+ *
+ * Usage: node test/check-outcomes.js [roll-calls.json] [people.json]
+ *
+ * Exit code 0 = consistent, 1 = contradictions
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseOutcome } = require('../js/roll-calls.js');
+
+// Outcome clause → the vote a named member must have, if recorded
+const NAMED_VOTES = { opposed: 'Nay', abstained: 'Abstain', absent: 'Absent', recused: 'Recused' };
+
+/**
+ * Surname used in outcome strings for a voter: last word of their registry
+ * name, or of their slug when they are not in the registry.
+ * @param {string} slug - Voter slug
+ * @param {object} names - { slug: name }
+ * @returns {string} Lower-case surname
+ */
+function voterSurname(slug, names) {
+    return String(names[slug] || slug.replace(/-/g, ' ')).trim().split(/\s+/).pop().toLowerCase();
+}
+
+/**
+ * Check one roll call's outcome against its recorded votes.
+ * @param {object} item - Roll call ({ outcome, votes })
+ * @param {object} names - { slug: name }
+ * @returns {string[]} Problems (empty when consistent)
+ */
+function checkRollCall(item, names) {
+    const problems = [];
+    const outcome = parseOutcome(item.outcome);
+    const votes = item.votes || {};
+    const slugsNamed = name => Object.keys(votes).filter(slug => voterSurname(slug, names) === name.toLowerCase());
+
+    // Named members must have the matching vote
+    Object.entries(NAMED_VOTES).forEach(([clause, expected]) => {
+        outcome[clause].forEach(name => {
+            slugsNamed(name).forEach(slug => {
+                if (votes[slug] !== expected) {
+                    problems.push(`outcome names ${name} as ${clause}, but "${slug}" is recorded ${votes[slug]}`);
+                }
+            });
+        });
+    });
+
+    const recorded = vote => Object.keys(votes).filter(slug => votes[slug] === vote);
+    const nays = recorded('Nay');
+    const named = list => list.map(n => n.toLowerCase());
+
+    // Recorded dissent the outcome does not name
+    if (outcome.unanimous && nays.length) {
+        problems.push(`outcome is unanimous, but ${nays.map(s => `"${s}"`).join(', ')} ${nays.length === 1 ? 'is' : 'are'} recorded Nay`);
+    } else if (outcome.opposed.length) {
+        nays.filter(slug => !named(outcome.opposed).includes(voterSurname(slug, names))).forEach(slug => {
+            problems.push(`"${slug}" is recorded Nay, but the outcome does not name them as opposed`);
+        });
+    }
+    if (outcome.result) {
+        recorded('Abstain').filter(slug => !named(outcome.abstained).includes(voterSurname(slug, names))).forEach(slug => {
+            problems.push(`"${slug}" is recorded Abstain, but the outcome does not name them as abstaining`);
+        });
+    }
+
+    if (outcome.tally) {
+        const { yea, nay } = outcome.tally;
+        if (recorded('Yea').length > yea) problems.push(`${recorded('Yea').length} Yea votes recorded, but the tally has ${yea}`);
+        if (nays.length > nay) problems.push(`${nays.length} Nay votes recorded, but the tally has ${nay}`);
+        if (outcome.opposed.length && outcome.opposed.length !== nay) {
+            problems.push(`tally has ${nay} opposed, but the outcome names ${outcome.opposed.length}`);
+        }
+        if (outcome.result === 'passed' && yea <= nay) problems.push(`outcome says passed, but the tally is ${yea}-${nay}`);
+        if (outcome.result === 'failed' && yea > nay && !outcome.supermajority) {
+            problems.push(`outcome says failed on a ${yea}-${nay} tally without a supermajority requirement`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Check every roll call in a store.
+ * @param {object} store - roll-calls.json
+ * @param {Array} people - data/people.json
+ * @returns {{ valid: boolean, errors: string[], checked: number }}
+ */
+function checkOutcomes(store, people) {
+    const names = {};
+    (people || []).forEach(p => { names[p.slug] = p.name; });
+    const errors = [];
+    let checked = 0;
+    ((store && store.meetings) || []).forEach(meeting => {
+        (meeting.items || []).forEach(item => {
+            checked++;
+            checkRollCall(item, names).forEach(problem => {
+                errors.push(`roll-calls.json ${meeting.id} ${item.id}: ${problem} ("${item.outcome}")`);
+            });
+        });
+    });
+    return { valid: errors.length === 0, errors, checked };
+}
+
+// CLI mode
+if (require.main === module) {
+    const root = path.join(__dirname, '..');
+    const storePath = path.resolve(process.argv[2] || path.join(root, 'data/roll-calls.json'));
+    const peoplePath = path.resolve(process.argv[3] || path.join(root, 'data/people.json'));
+
+    let result;
+    try {
+        result = checkOutcomes(
+            JSON.parse(fs.readFileSync(storePath, 'utf-8')),
+            JSON.parse(fs.readFileSync(peoplePath, 'utf-8'))
+        );
+    } catch (err) {
+        console.error(`Error reading ${storePath}: ${err.message}`);
+        process.exit(1);
+    }
+
+    if (result.valid) {
+        console.log(`✓ ${result.checked} roll call outcomes agree with their recorded votes`);
+        process.exit(0);
+    } else {
+        console.error(`✗ ${result.errors.length} contradiction(s):`);
+        result.errors.forEach(e => console.error(`  - ${e}`));
+        process.exit(1);
+    }
+}
+
+module.exports = { checkOutcomes, checkRollCall, voterSurname };
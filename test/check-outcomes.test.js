@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseOutcome } = require('../js/roll-calls.js');
+const { checkOutcomes, checkRollCall } = require('./check-outcomes.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const people = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/people.json'), 'utf-8'));
+const names = { 'toni-carter': 'Toni Carter', 'april-ryan': 'April Ryan', 'd-lee-edwards': 'D. Lee Edwards', 'neal-linnartz': 'Neal Linnartz' };
+
+describe('parseOutcome', () => {
+    it('reads tally, dissenters and a supermajority threshold', () => {
+        const parsed = parseOutcome('Failed — supermajority required; 5-2 (Carter, Ryan opposed)');
+        assert.equal(parsed.result, 'failed');
+        assert.deepEqual(parsed.tally, { yea: 5, nay: 2 });
+        assert.equal(parsed.supermajority, true);
+        assert.deepEqual(parsed.opposed, ['Carter', 'Ryan']);
+    });
+
+    it('reads unanimous votes with absences and recusals', () => {
+        const parsed = parseOutcome('Denied unanimously (Spradley absent; Campos recused)');
+        assert.equal(parsed.result, 'passed', 'a denial is a motion to deny that carried');
+        assert.equal(parsed.unanimous, true);
+        assert.equal(parsed.tally, null);
+        assert.deepEqual(parsed.absent, ['Spradley']);
+        assert.deepEqual(parsed.recused, ['Campos']);
+    });
+
+    it('reads several clauses, abstentions and died motions', () => {
+        assert.deepEqual(parseOutcome('Passed 4-2 (Capizzi, Labowski opposed; Carter absent)').absent, ['Carter']);
+        assert.deepEqual(parseOutcome('Passed (Spradley abstained)').abstained, ['Spradley']);
+        const died = parseOutcome('Failed — motion died for lack of second');
+        assert.equal(died.result, 'failed');
+        assert.equal(died.died, true);
+        assert.deepEqual(parseOutcome('Postponement passed 4-2 (Linnartz, Carter opposed; Labowski absent)').tally, { yea: 4, nay: 2 });
+    });
+
+    it('leaves prose it cannot read unparsed', () => {
+        const parsed = parseOutcome('Multiple votes held without Ryan');
+        assert.equal(parsed.result, null);
+        assert.equal(parsed.tally, null);
+        assert.deepEqual(parsed.opposed, []);
+    });
+});
+
+describe('checkRollCall', () => {
+    it('accepts votes that match the outcome', () => {
+        const item = { outcome: 'Passed 5-2 (Carter, Ryan opposed)', votes: { 'toni-carter': 'Nay', 'april-ryan': 'Nay', 'd-lee-edwards': 'Yea' } };
+        assert.deepEqual(checkRollCall(item, names), []);
+    });
+
+    it('flags a member recorded Yea whom the outcome names as opposed', () => {
+        const item = { outcome: 'Passed 6-1 (Carter opposed)', votes: { 'toni-carter': 'Yea' } };
+        const problems = checkRollCall(item, names);
+        assert.equal(problems.length, 1);
+        assert.match(problems[0], /names Carter as opposed, but "toni-carter" is recorded Yea/);
+    });
+
+    it('flags Nay votes the outcome does not name, including on unanimous votes', () => {
+        assert.match(checkRollCall({ outcome: 'Passed 6-1 (Carter opposed)', votes: { 'toni-carter': 'Nay', 'april-ryan': 'Nay' } }, names).join('\n'),
+            /"april-ryan" is recorded Nay, but the outcome does not name them/);
+        assert.match(checkRollCall({ outcome: 'Passed unanimously', votes: { 'april-ryan': 'Nay' } }, names)[0],
+            /unanimous, but "april-ryan" is recorded Nay/);
+    });
+
+    it('flags named absences and abstentions with another vote', () => {
+        assert.match(checkRollCall({ outcome: 'Passed unanimously (Edwards absent)', votes: { 'd-lee-edwards': 'Yea' } }, names)[0],
+            /names Edwards as absent, but "d-lee-edwards" is recorded Yea/);
+        assert.match(checkRollCall({ outcome: 'Passed unanimously', votes: { 'd-lee-edwards': 'Abstain' } }, names)[0],
+            /recorded Abstain, but the outcome does not name them/);
+    });
+
+    it('flags tallies that contradict the votes or the result', () => {
+        const tooMany = checkRollCall({ outcome: 'Passed 6-1 (Carter opposed)', votes: { 'toni-carter': 'Nay', 'april-ryan': 'Nay' } }, names);
+        assert.ok(tooMany.some(p => /2 Nay votes recorded, but the tally has 1/.test(p)));
+        assert.match(checkRollCall({ outcome: 'Passed 3-4', votes: {} }, names)[0], /says passed, but the tally is 3-4/);
+        assert.match(checkRollCall({ outcome: 'Failed 5-2 (Carter, Ryan opposed)', votes: {} }, names)[0], /failed on a 5-2 tally/);
+        assert.match(checkRollCall({ outcome: 'Passed 5-2 (Carter opposed)', votes: {} }, names)[0], /tally has 2 opposed, but the outcome names 1/);
+    });
+
+    it('does not check members the outcome names but who have no recorded vote', () => {
+        assert.deepEqual(checkRollCall({ outcome: 'Failed 3-4 (Capizzi, Edwards, Ryan, Linnartz opposed)', votes: { 'd-lee-edwards': 'Nay', 'april-ryan': 'Nay' } }, names), []);
+    });
+});
+
+describe('checkOutcomes', () => {
+    it('reports contradictions with the meeting and item', () => {
+        const store = { meetings: [{ id: 'nb-city-council-2026-01-12', items: [{ id: 'faust', outcome: 'Passed 5-2 (Carter, Ryan opposed)', votes: { 'toni-carter': 'Yea' } }] }] };
+        const result = checkOutcomes(store, people);
+        assert.equal(result.valid, false);
+        assert.match(result.errors[0], /^roll-calls\.json nb-city-council-2026-01-12 faust: outcome names Carter as opposed/);
+    });
+
+    it('data/roll-calls.json outcomes agree with the recorded votes', () => {
+        const store = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/roll-calls.json'), 'utf-8'));
+        const result = checkOutcomes(store, people);
+        assert.equal(result.valid, true, result.errors.join('\n'));
+        assert.ok(result.checked > 0);
+    });
+});
@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    parseCompareQuery,
+    buildCompareQuery,
+    getComparableOfficials,
+    buildComparison,
+    entryMentions,
+    findSharedNews,
+    renderComparison,
+    renderSharedNews
+} = require('../js/compare.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/council-votes.json'), 'utf-8'));
+const names = { 'alice-ames': 'Alice Ames', 'dan-drake': 'Dan Drake', 'eva-ellis': 'Eva Ellis' };
+
+const mockPeople = [
+    { slug: 'alice-ames', name: 'Alice Ames', aliases: ['Alice B. Ames'], profile: true, offices: [{ title: 'City Council, District 1', current: true }] },
+    { slug: 'dan-drake', name: 'Dan Drake', profile: true, offices: [{ title: 'City Council, District 4', current: true }] },
+    { slug: 'no-page', name: 'No Page', profile: false }
+];
+
+const mockNews = [
+    { id: 'n1', date: '2026-01-13T09:00:00', title: 'Council approves rezoning', summary: 'Alice B. Ames and Dan Drake clashed over the vote.' },
+    { id: 'n2', date: '2026-01-20T09:00:00', title: 'Drake files for re-election', summary: 'Dan Drake will run again.', relatedCandidate: 'dan-drake' },
+    { id: 'n3', date: '2026-01-27T09:00:00', title: 'Thoroughfare plan passes', summary: 'Councilmember Dan Drake was absent.', relatedCandidate: 'alice-ames' },
+    { id: 'n3', date: '2026-01-27T09:00:00', title: 'Thoroughfare plan passes (policy feed copy)', summary: 'Dan Drake', relatedCandidate: 'alice-ames' },
+    { id: 'n4', date: '2026-01-28T09:00:00', title: 'Dan Drakeford named', summary: 'Alice Ames comments.' }
+];
+
+describe('compare query string', () => {
+    it('reads a, b, c… in order and drops blanks, repeats and bad slugs', () => {
+        assert.deepEqual(parseCompareQuery('?a=toni-carter&b=april-ryan'), ['toni-carter', 'april-ryan']);
+        assert.deepEqual(parseCompareQuery('?b=april-ryan&a=toni-carter&c=toni-carter&d=&e=<script>&x=neal-linnartz'), ['toni-carter', 'april-ryan']);
+        assert.deepEqual(parseCompareQuery(''), []);
+    });
+
+    it('round-trips through buildCompareQuery', () => {
+        const query = buildCompareQuery(['toni-carter', 'april-ryan', 'neal-linnartz']);
+        assert.equal(query, '?a=toni-carter&b=april-ryan&c=neal-linnartz');
+        assert.deepEqual(parseCompareQuery(query), ['toni-carter', 'april-ryan', 'neal-linnartz']);
+        assert.equal(buildCompareQuery([]), '');
+    });
+});
+
+describe('getComparableOfficials', () => {
+    it('lists people with a profile page, by name, with their current office', () => {
+        assert.deepEqual(getComparableOfficials(mockPeople), [
+            { slug: 'alice-ames', name: 'Alice Ames', office: 'City Council, District 1' },
+            { slug: 'dan-drake', name: 'Dan Drake', office: 'City Council, District 4' }
+        ]);
+    });
+});
+
+describe('buildComparison', () => {
+    const comparison = buildComparison(fixture, ['alice-ames', 'dan-drake']);
+
+    it('lines up votes on items both voted on, newest first', () => {
+        // The court item only has alice-ames, so it is not shared
+        assert.equal(comparison.shared, 5);
+        assert.equal(comparison.items[0].itemId, 'appoint-planning-commission-members');
+        assert.deepEqual(comparison.items[1].votes, { 'alice-ames': 'Nay', 'dan-drake': 'Absent' });
+    });
+
+    it('flags items where one voted Yea and the other Nay', () => {
+        assert.equal(comparison.splits, 3);
+        assert.deepEqual(comparison.items.filter(i => i.split).map(i => i.itemId),
+            ['rezone-100-main-street', 'fy2026-budget-adoption', 'chapter-380-agreement-with-acme']);
+        assert.equal(comparison.items[1].split, false, 'Nay vs Absent is not a split');
+    });
+
+    it('compares three officials and fills in missing votes', () => {
+        const three = buildComparison(fixture, ['alice-ames', 'dan-drake', 'nobody']);
+        assert.equal(three.items[0].votes.nobody, null);
+        assert.equal(three.shared, 5);
+    });
+});
+
+describe('findSharedNews', () => {
+    it('matches by relatedCandidate or by whole name and alias', () => {
+        assert.equal(entryMentions(mockNews[0], mockPeople[0]), true, 'alias');
+        assert.equal(entryMentions(mockNews[2], mockPeople[0]), true, 'relatedCandidate');
+        assert.equal(entryMentions(mockNews[4], mockPeople[1]), false, 'Drakeford is not Drake');
+    });
+
+    it('returns entries mentioning every official, newest first, once per id', () => {
+        const shared = findSharedNews(mockNews, mockPeople, ['alice-ames', 'dan-drake']);
+        assert.deepEqual(shared.map(e => e.id), ['n3', 'n1']);
+    });
+
+    it('needs at least two known officials', () => {
+        assert.deepEqual(findSharedNews(mockNews, mockPeople, ['alice-ames']), []);
+        assert.deepEqual(findSharedNews(mockNews, mockPeople, ['alice-ames', 'nobody']), []);
+    });
+});
+
+describe('renderers', () => {
+    const slugs = ['alice-ames', 'dan-drake'];
+    const comparison = buildComparison(fixture, slugs);
+
+    it('renders one column per official and highlights splits', () => {
+        const container = { innerHTML: '' };
+        const html = renderComparison(comparison, slugs, names, container);
+        assert.equal(container.innerHTML, html);
+        assert.ok(html.includes('<th>Alice Ames</th><th>Dan Drake</th>'));
+        assert.equal((html.match(/class="compare-split"/g) || []).length, 3);
+        assert.ok(html.includes('compare-vote absent'));
+    });
+
+    it('can show only the splits', () => {
+        const html = renderComparison(comparison, slugs, names, null, { splitsOnly: true });
+        assert.equal((html.match(/<tr class=/g) || []).length, 3);
+        const same = buildComparison(fixture, ['ben-brook', 'cara-cole']);
+        const agreed = renderComparison({ items: same.items.filter(i => !i.split), shared: 1, splits: 0 }, ['ben-brook', 'cara-cole'], {}, null, { splitsOnly: true });
+        assert.match(agreed, /voted the same way/);
+    });
+
+    it('renders shared news as feed cards', () => {
+        const html = renderSharedNews(findSharedNews(mockNews, mockPeople, slugs), null);
+        assert.equal((html.match(/class="feed-entry"/g) || []).length, 2);
+        assert.match(renderSharedNews([], null), /No news entries/);
+    });
+});
+
+describe('Compare page (compare.html)', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'compare.html'), 'utf-8');
+
+    it('loads the compare module, roll calls and every feed', () => {
+        assert.ok(html.includes('js/compare.js'));
+        assert.ok(html.includes('data/roll-calls.json'));
+        ['candidate-news', 'policy-feed', 'business-watch'].forEach(feed => {
+            assert.ok(html.includes(`data/${feed}.json`), feed);
+        });
+    });
+
+    it('reads the selection from the query string', () => {
+        assert.ok(html.includes('parseCompareQuery(window.location.search)'));
+        assert.ok(html.includes('id="compare-picker"'));
+        assert.ok(html.includes('id="site-nav"'));
+    });
+});
@@ -0,0 +1,196 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    getCouncilRollCalls,
+    getMajorityPosition,
+    isCloseVote,
+    getVoteTally,
+    buildScorecard,
+    rankByDissent,
+    getClosestColleagues,
+    formatRate,
+    describeCoverage,
+    renderDissentTable,
+    renderAgreementMatrix,
+    renderTopicBreakdown,
+    renderMemberAnalytics
+} = require('../js/council-analytics.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/council-votes.json'), 'utf-8'));
+const names = {
+    'alice-ames': 'Alice Ames',
+    'ben-brook': 'Ben Brook',
+    'cara-cole': 'Cara Cole',
+    'dan-drake': 'Dan Drake',
+    'eva-ellis': 'Eva Ellis'
+};
+
+const rollCalls = getCouncilRollCalls(fixture);
+const scorecard = buildScorecard(rollCalls);
+
+function byId(id) {
+    return rollCalls.find(rc => rc.id === id);
+}
+
+describe('roll call helpers', () => {
+    it('keeps only city council roll calls', () => {
+        assert.equal(rollCalls.length, 5);
+        assert.ok(rollCalls.every(rc => rc.body === 'nb-city-council'));
+    });
+
+    it('finds the majority from Yea and Nay votes only', () => {
+        assert.equal(getMajorityPosition(byId('rezone-100-main-street')), 'Yea');
+        assert.equal(getMajorityPosition(byId('fy2026-budget-adoption')), null, 'a 2-2 tie has no majority');
+    });
+
+    it('treats a margin of one or two as close', () => {
+        assert.equal(isCloseVote(byId('chapter-380-agreement-with-acme')), true);
+        assert.equal(isCloseVote(byId('thoroughfare-plan-amendment')), true);
+        assert.equal(isCloseVote(byId('rezone-100-main-street')), false);
+        assert.equal(isCloseVote(byId('fy2026-budget-adoption')), false);
+    });
+
+    it('takes the majority and margin from the outcome when members are missing', () => {
+        // Failed 3-4 with only six votes recorded, as in the 2025-12-08 thoroughfare vote
+        const failed = { outcome: 'Failed 3-4 (Cole, Drake, Ellis, Fox opposed)', votes: { 'alice-ames': 'Yea', 'ben-brook': 'Yea', 'gus-gray': 'Yea', 'cara-cole': 'Nay', 'dan-drake': 'Nay', 'eva-ellis': 'Nay' } };
+        assert.deepEqual(getVoteTally(failed), { yea: 3, nay: 4 });
+        assert.equal(getMajorityPosition(failed), 'Nay');
+        assert.equal(isCloseVote(failed), true);
+        const lopsided = { outcome: 'Passed 6-1 (Drake opposed)', votes: { 'alice-ames': 'Yea', 'ben-brook': 'Yea', 'dan-drake': 'Nay' } };
+        assert.equal(isCloseVote(lopsided), false, 'three recorded votes do not make a 6-1 vote close');
+    });
+
+    it('reads outcomes without a count from their result', () => {
+        const unanimous = { outcome: 'Passed unanimously', votes: { 'alice-ames': 'Yea' } };
+        assert.equal(getVoteTally(unanimous), null);
+        assert.equal(getMajorityPosition(unanimous), 'Yea');
+        assert.equal(isCloseVote(unanimous), false);
+        assert.equal(getMajorityPosition({ outcome: 'Failed — motion died for lack of second', votes: { 'alice-ames': 'Yea' } }), null);
+        assert.equal(getMajorityPosition({ votes: { 'alice-ames': 'Nay', 'ben-brook': 'Nay', 'cara-cole': 'Yea' } }), 'Nay', 'no outcome: recorded votes');
+    });
+});
+
+describe('buildScorecard (fixture votes)', () => {
+    it('counts roll calls and contested votes', () => {
+        assert.deepEqual(scorecard.members, ['alice-ames', 'ben-brook', 'cara-cole', 'dan-drake', 'eva-ellis']);
+        assert.equal(scorecard.rollCalls, 5);
+        assert.equal(scorecard.contested, 4);
+        assert.equal(scorecard.fullyRecorded, 5);
+        assert.equal(describeCoverage(scorecard), 'Based on 5 roll calls, with every member\'s vote recorded.');
+    });
+
+    it('computes pairwise agreement over roll calls both members were present for', () => {
+        assert.deepEqual(scorecard.agreement['alice-ames']['ben-brook'], { agree: 4, shared: 5, rate: 0.8 });
+        assert.deepEqual(scorecard.agreement['alice-ames']['dan-drake'], { agree: 1, shared: 4, rate: 0.25 }, 'absences are not shared votes');
+        assert.deepEqual(scorecard.agreement['dan-drake']['eva-ellis'], { agree: 2, shared: 4, rate: 0.5 }, 'an abstention against a Nay is a disagreement');
+        assert.deepEqual(scorecard.agreement['alice-ames']['eva-ellis'], { agree: 2, shared: 5, rate: 0.4 });
+        assert.deepEqual(scorecard.agreement['ben-brook']['alice-ames'], scorecard.agreement['alice-ames']['ben-brook']);
+    });
+
+    it('computes dissent from the majority, skipping ties', () => {
+        assert.deepEqual(scorecard.dissent['dan-drake'], { votes: 3, dissents: 2, lone: 1, rate: 2 / 3 });
+        assert.deepEqual(scorecard.dissent['alice-ames'], { votes: 4, dissents: 1, lone: 1, rate: 0.25 });
+        assert.deepEqual(scorecard.dissent['eva-ellis'], { votes: 4, dissents: 1, lone: 0, rate: 0.25 });
+        assert.deepEqual(scorecard.dissent['ben-brook'], { votes: 4, dissents: 0, lone: 0, rate: 0 });
+    });
+
+    it('computes swing votes on close decisions', () => {
+        assert.deepEqual(scorecard.swing['ben-brook'], { close: 2, swing: 2, rate: 1 });
+        assert.deepEqual(scorecard.swing['alice-ames'], { close: 2, swing: 1, rate: 0.5 });
+        assert.deepEqual(scorecard.swing['dan-drake'], { close: 1, swing: 0, rate: 0 });
+    });
+
+    it('tallies abstentions, absences and recusals', () => {
+        assert.deepEqual(scorecard.participation['eva-ellis'], { rollCalls: 5, abstain: 1, absent: 0, recused: 0 });
+        assert.deepEqual(scorecard.participation['dan-drake'], { rollCalls: 5, abstain: 0, absent: 1, recused: 0 });
+        const recusal = buildScorecard([{ votes: { 'alice-ames': 'Recused', 'ben-brook': 'Yea' } }]);
+        assert.deepEqual(recusal.members, ['ben-brook'], 'a recusal alone does not make a voting member');
+        const named = buildScorecard([{ votes: { 'alice-ames': 'Recused', 'ben-brook': 'Yea' } }], ['alice-ames', 'ben-brook']);
+        assert.equal(named.participation['alice-ames'].recused, 1);
+        assert.equal(named.agreement['alice-ames']['ben-brook'].shared, 0);
+    });
+
+    it('breaks dissent down by topic', () => {
+        assert.deepEqual(Object.keys(scorecard.topics).sort(), ['budget', 'development', 'governance', 'infrastructure', 'zoning']);
+        assert.equal(scorecard.topics.zoning.rollCalls, 1);
+        assert.equal(scorecard.topics.zoning.dissent['dan-drake'].rate, 1);
+        assert.equal(scorecard.topics.budget.dissent['cara-cole'].rate, null, 'tied vote leaves no rate');
+        assert.equal(scorecard.topics.infrastructure.dissent['alice-ames'].dissents, 1);
+    });
+
+    it('ranks members and finds closest colleagues', () => {
+        assert.deepEqual(rankByDissent(scorecard), ['dan-drake', 'alice-ames', 'eva-ellis', 'ben-brook', 'cara-cole']);
+        assert.deepEqual(getClosestColleagues(scorecard, 'alice-ames'), { closest: 'ben-brook', furthest: 'dan-drake' });
+        assert.equal(getClosestColleagues(scorecard, 'cara-cole').closest, 'ben-brook');
+    });
+
+    it('returns null rates for an empty record', () => {
+        const empty = buildScorecard([], ['alice-ames']);
+        assert.equal(empty.dissent['alice-ames'].rate, null);
+        assert.equal(formatRate(null), '—');
+        assert.equal(formatRate(2 / 3), '67%');
+    });
+});
+
+describe('renderers', () => {
+    it('renders the independence table, most independent first', () => {
+        const container = { innerHTML: '' };
+        const html = renderDissentTable(scorecard, names, container);
+        assert.equal(container.innerHTML, html);
+        assert.ok(html.indexOf('Dan Drake') < html.indexOf('Ben Brook'));
+        assert.ok(html.includes('href="profiles/dan-drake.html"'));
+        assert.ok(html.includes('<th>Abstained</th><th>Absent</th>'));
+    });
+
+    it('renders the agreement matrix and topic table', () => {
+        const matrix = renderAgreementMatrix(scorecard, names, null);
+        assert.ok(matrix.includes('<th>Drake</th>'));
+        assert.ok(matrix.includes('data-rate="0.800"'));
+        const topics = renderTopicBreakdown(scorecard, names, null);
+        assert.ok(topics.includes('Zoning &amp; Land Use'));
+    });
+
+    it('renders a member summary with a link to the scorecard', () => {
+        const html = renderMemberAnalytics(scorecard, 'dan-drake', names, null);
+        assert.ok(html.includes('67%'));
+        assert.ok(html.includes('#1 of 5'));
+        assert.ok(html.includes('Votes most often with'));
+        assert.ok(html.includes('<span class="stat-value">0 / 1</span>'), 'abstentions / absences');
+        assert.ok(html.includes('href="../council-scorecard.html"'));
+        assert.match(renderMemberAnalytics(scorecard, 'nobody', names, null), /Not enough council votes/);
+    });
+});
+
+describe('Council Scorecard page and profiles', () => {
+    it('council-scorecard.html loads the analytics module and roll calls', () => {
+        const html = fs.readFileSync(path.join(ROOT, 'council-scorecard.html'), 'utf-8');
+        assert.ok(html.includes('js/council-analytics.js'));
+        assert.ok(html.includes('data/roll-calls.json'));
+        assert.ok(html.includes('id="agreement-matrix"'));
+    });
+
+    it('every council profile with a voting record shows voting analytics', () => {
+        const people = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/people.json'), 'utf-8'));
+        const council = people.filter(p => p.profile && (p.offices || []).some(o => o.current && /New Braunfels City Council|City of New Braunfels/.test(o.title)));
+        assert.ok(council.length >= 7);
+        council.forEach(p => {
+            const html = fs.readFileSync(path.join(ROOT, 'profiles', `${p.slug}.html`), 'utf-8');
+            assert.ok(html.includes('../js/council-analytics.js'), `${p.slug} loads council-analytics.js`);
+            assert.ok(html.includes('id="voting-analytics"'), `${p.slug} has an analytics container`);
+        });
+    });
+
+    it('analyzes the real council record', () => {
+        const store = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/roll-calls.json'), 'utf-8'));
+        const real = buildScorecard(getCouncilRollCalls(store));
+        assert.ok(real.rollCalls > 0);
+        assert.ok(real.members.includes('toni-carter'));
+        assert.ok(real.fullyRecorded < real.rollCalls);
+        assert.match(describeCoverage(real), new RegExp(`every member's vote is recorded on ${real.fullyRecorded} of them`));
+        const failed = getCouncilRollCalls(store).find(rc => /Labowski Alternative/.test(rc.title));
+        assert.equal(getMajorityPosition(failed), 'Nay', 'failed 3-4 although its recorded votes are 3-3');
+    });
+});
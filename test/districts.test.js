@@ -0,0 +1,189 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { COUNTYWIDE_DISTRICTS, SPLIT_DISTRICTS, pointInGeometry, findFeature, findDistrict, lookupDistricts, loadCandidateLayers } = require('../js/districts.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function square(west, south, east, north) {
+    return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+}
+
+const layer = {
+    type: 'FeatureCollection',
+    features: [
+        { type: 'Feature', properties: { District: '1' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10), square(4, 4, 6, 6)] } },
+        { type: 'Feature', properties: { District: '2' }, geometry: { type: 'MultiPolygon', coordinates: [[square(4, 4, 6, 6)], [square(20, 0, 30, 10)]] } }
+    ]
+};
+
+function readLayer(file) {
+    const filePath = path.join(ROOT, 'data/geo', file);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : null;
+}
+
+describe('pointInGeometry', () => {
+    it('honours holes in polygons', () => {
+        assert.equal(pointInGeometry(2, 2, layer.features[0].geometry), true);
+        assert.equal(pointInGeometry(5, 5, layer.features[0].geometry), false);
+        assert.equal(pointInGeometry(11, 5, layer.features[0].geometry), false);
+    });
+
+    it('checks every part of a MultiPolygon', () => {
+        assert.equal(pointInGeometry(25, 5, layer.features[1].geometry), true);
+        assert.equal(pointInGeometry(5, 5, layer.features[1].geometry), true);
+        assert.equal(pointInGeometry(15, 5, layer.features[1].geometry), false);
+    });
+});
+
+describe('findDistrict', () => {
+    it('returns the District of the containing feature', () => {
+        assert.equal(findDistrict(layer, 2, 2), '1');
+        assert.equal(findDistrict(layer, 5, 5), '2', 'the hole in district 1 belongs to district 2');
+        assert.equal(findFeature(layer, 25, 5), layer.features[1]);
+    });
+
+    it('returns null outside every district or while a layer is missing', () => {
+        assert.equal(findDistrict(layer, 15, 5), null);
+        assert.equal(findDistrict(undefined, 2, 2), null);
+        assert.equal(findFeature({ type: 'FeatureCollection', features: [] }, 2, 2), null);
+    });
+
+    it('finds New Braunfels city council districts', () => {
+        // Main Plaza is in the city; Canyon Lake is not
+        const council = readLayer('nb-city-council.geojson');
+        assert.ok(findDistrict(council, -98.1245, 29.7030));
+        assert.equal(findDistrict(council, -98.2210, 29.8730), null);
+    });
+});
+
+describe('lookupDistricts', () => {
+    it('only takes the trustee district from the resident\'s own school district', () => {
+        const layers = {
+            schoolDistricts: { features: [{ properties: { ISD: 'comal-isd' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10)] } }] },
+            trusteeDistricts: { features: [
+                { properties: { ISD: 'nbisd', District: '9' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10)] } },
+                { properties: { ISD: 'comal-isd', District: '4' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 5, 5)] } }
+            ] }
+        };
+        assert.deepEqual(
+            [lookupDistricts(layers, { lon: 2, lat: 2 }), lookupDistricts(layers, { lon: 8, lat: 8 })].map(r => [r.isd, r.trusteeDistrict]),
+            [['comal-isd', '4'], ['comal-isd', null]]
+        );
+        assert.equal(lookupDistricts({}, { lon: 2, lat: 2 }).commissioner, undefined);
+    });
+
+    it('gives county addresses SD 25 and CD 21 until those layers are imported', () => {
+        const county = { features: [{ properties: { Precinct: '2' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10)] } }] };
+        const inCounty = lookupDistricts({ commissioner: county }, { lon: 2, lat: 2 });
+        assert.deepEqual([inCounty.stateHouse, inCounty.stateSenate, inCounty.congressional], [null, '25', '21']);
+
+        const outside = lookupDistricts({ commissioner: county }, { lon: 15, lat: 2 });
+        assert.deepEqual([outside.stateSenate, outside.congressional], [null, null]);
+
+        const imported = lookupDistricts({ commissioner: county, stateSenate: layer }, { lon: 2, lat: 2 });
+        assert.equal(imported.stateSenate, '1', 'an imported layer wins over the county-wide district');
+    });
+
+    it('offers both state house districts until that layer is imported', () => {
+        const county = { features: [{ properties: { Precinct: '2' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10)] } }] };
+        assert.deepEqual(lookupDistricts({ commissioner: county }, { lon: 2, lat: 2 }).stateHousePossible, ['45', '73']);
+        assert.equal(lookupDistricts({ commissioner: county }, { lon: 15, lat: 2 }).stateHousePossible, undefined);
+
+        const imported = lookupDistricts({ commissioner: county, stateHouse: layer }, { lon: 2, lat: 2 });
+        assert.equal(imported.stateHouse, '1');
+        assert.equal(imported.stateHousePossible, undefined);
+    });
+
+    it('offers both school boards until the school district layer is added', () => {
+        const county = { features: [{ properties: { Precinct: '2' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10)] } }] };
+        assert.deepEqual(lookupDistricts({ commissioner: county }, { lon: 2, lat: 2 }).isdPossible, ['comal-isd', 'nbisd']);
+        const schoolDistricts = { features: [{ properties: { ISD: 'nbisd' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10)] } }] };
+        const found = lookupDistricts({ commissioner: county, schoolDistricts }, { lon: 2, lat: 2 });
+        assert.deepEqual([found.isd, found.isdPossible], ['nbisd', undefined]);
+    });
+
+    it('has a seat or board for every district it falls back to', () => {
+        const officials = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/officials.json'), 'utf-8'));
+        Object.entries(COUNTYWIDE_DISTRICTS).forEach(([key, district]) => assert.ok(officials[key][district], `${key} ${district}`));
+        SPLIT_DISTRICTS.stateHouse.forEach(district => assert.ok(officials.stateHouse[district], `stateHouse ${district}`));
+        const trustees = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/trustees.json'), 'utf-8'));
+        SPLIT_DISTRICTS.isd.forEach(isd => assert.ok(trustees.boards[isd], `trustees.json board ${isd}`));
+    });
+});
+
+// Addresses across the county, on both sides of the HD 45/73 line
+const ADDRESSES = [
+    { address: 'Main Plaza, New Braunfels', lon: -98.1245, lat: 29.7030 },
+    { address: 'Canyon Lake', lon: -98.2210, lat: 29.8730 },
+    { address: 'Bulverde', lon: -98.4531, lat: 29.7436 },
+    { address: 'Garden Ridge', lon: -98.3050, lat: 29.6349 },
+    { address: 'Spring Branch', lon: -98.4011, lat: 29.8766 }
+];
+
+describe('Legislative district layers', () => {
+    const officials = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/officials.json'), 'utf-8'));
+    const LAYERS = [
+        { file: 'state-house-districts.geojson', seats: officials.stateHouse },
+        { file: 'state-senate-districts.geojson', seats: officials.stateSenate },
+        { file: 'congressional-districts.geojson', seats: officials.congressional }
+    ];
+
+    LAYERS.forEach(({ file, seats }) => {
+        const geo = readLayer(file);
+        const skip = geo ? false : `${file} not imported yet (node scripts/import-districts.js --write)`;
+
+        it(`${file}: every address resolves to a seat in officials.json`, { skip }, () => {
+            for (const { address, lon, lat } of ADDRESSES) {
+                const district = findDistrict(geo, lon, lat);
+                assert.ok(district, `${address}: no district`);
+                assert.ok(seats[district], `${address}: district ${district} has no seat in officials.json`);
+            }
+        });
+    });
+
+    it('state house addresses fall on both sides of the HD 45/73 line', { skip: readLayer('state-house-districts.geojson') ? false : 'state-house-districts.geojson not imported yet' }, () => {
+        const geo = readLayer('state-house-districts.geojson');
+        const found = new Set(ADDRESSES.map(({ lon, lat }) => findDistrict(geo, lon, lat)));
+        assert.deepEqual([...found].sort(), ['45', '73']);
+    });
+});
+
+describe('Justice of the Peace precincts', () => {
+    const officials = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/officials.json'), 'utf-8'));
+    const geo = readLayer('jp-precincts.geojson');
+
+    it('every JP precinct has a seat in officials.json and every seat a precinct', { skip: geo ? false : 'jp-precincts.geojson not added yet' }, () => {
+        const precincts = [...new Set(geo.features.map(f => f.properties.Precinct))].sort();
+        assert.deepEqual(precincts, Object.keys(officials.jp).sort());
+    });
+
+    it('finds each address\'s precinct in the built boundaries, as Find My Officials does', async () => {
+        const built = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/geo/build/index.json'), 'utf-8')).layers;
+        const indexes = {};
+        Object.keys(built).forEach(key => { indexes[key] = built[key].index; });
+        const loadFeature = async (key, id) => JSON.parse(fs.readFileSync(path.join(ROOT, `data/geo/build/features/${key}/${id}.json`), 'utf-8'));
+        for (const { address, lon, lat } of ADDRESSES) {
+            const coordinates = { lon, lat };
+            const districts = lookupDistricts(await loadCandidateLayers(indexes, coordinates, loadFeature), coordinates, indexes);
+            assert.ok(districts.commissioner, `${address}: not in a commissioner precinct`);
+            assert.ok(officials.jp[districts.jp], `${address}: JP precinct ${districts.jp} has no seat in officials.json`);
+            if (built.jp) {
+                assert.equal(districts.jpApproximate, undefined, `${address}: the JP layer is built, so no stand-in`);
+            } else {
+                assert.deepEqual([districts.jp, districts.jpApproximate], [districts.commissioner, true], address);
+            }
+        }
+    });
+
+    it('stands in the commissioner precinct, marked approximate, only while the layer is missing', () => {
+        const precincts = { features: [{ properties: { Precinct: '3' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10)] } }] };
+        const jpLayer = { features: [{ properties: { Precinct: '4' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10)] } }] };
+        const fallback = lookupDistricts({ commissioner: precincts }, { lon: 2, lat: 2 });
+        assert.deepEqual([fallback.jp, fallback.jpApproximate], ['3', true]);
+        const exact = lookupDistricts({ commissioner: precincts, jp: jpLayer }, { lon: 2, lat: 2 });
+        assert.deepEqual([exact.jp, exact.jpApproximate], ['4', undefined]);
+        assert.equal(lookupDistricts({}, { lon: 2, lat: 2 }).jp, undefined);
+    });
+});
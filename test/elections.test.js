@@ -0,0 +1,190 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    sortEventsByDate,
+    getEventStatus,
+    getDaysUntil,
+    getUpcomingEvents,
+    describeCountdown,
+    renderAlertBanner,
+    renderCountdowns,
+    groupEventsByElection,
+    renderElectionCalendar
+} = require('../js/elections.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Mock calendar (deliberately out of order)
+const mockEvents = [
+    { id: 'primary', election: 'primary-2026', type: 'election', event: 'Primary Election Day', date: 'March 3, 2026', iso: '2026-03-03' },
+    { id: 'reg', election: 'primary-2026', type: 'registration-deadline', event: 'Registration Deadline', date: 'February 2, 2026', iso: '2026-02-02' },
+    { id: 'ev', election: 'primary-2026', type: 'early-voting', event: 'Early Voting', date: 'February 17–27, 2026', iso: '2026-02-17', end_iso: '2026-02-27' },
+    { id: 'runoff', election: 'runoff-2026', type: 'runoff', event: 'Runoff Election Day', date: 'May 26, 2026', iso: '2026-05-26', tentative: true }
+];
+
+function at(iso) {
+    return new Date(iso + 'T09:30:00');
+}
+
+describe('sortEventsByDate', () => {
+    it('sorts events soonest-first', () => {
+        const ids = sortEventsByDate(mockEvents).map(e => e.id);
+        assert.deepEqual(ids, ['reg', 'ev', 'primary', 'runoff']);
+    });
+
+    it('does not mutate the input', () => {
+        const copy = [...mockEvents];
+        sortEventsByDate(mockEvents);
+        assert.deepEqual(mockEvents, copy);
+    });
+});
+
+describe('getEventStatus', () => {
+    const earlyVoting = mockEvents[2];
+
+    it('is upcoming before the start date', () => {
+        assert.equal(getEventStatus(earlyVoting, at('2026-02-16')), 'upcoming');
+    });
+
+    it('is active on the first and last day of a range', () => {
+        assert.equal(getEventStatus(earlyVoting, at('2026-02-17')), 'active');
+        assert.equal(getEventStatus(earlyVoting, at('2026-02-27')), 'active');
+    });
+
+    it('is past after the end date', () => {
+        assert.equal(getEventStatus(earlyVoting, at('2026-02-28')), 'past');
+    });
+
+    it('single-day events are active only that day', () => {
+        assert.equal(getEventStatus(mockEvents[0], at('2026-03-03')), 'active');
+        assert.equal(getEventStatus(mockEvents[0], at('2026-03-04')), 'past');
+    });
+});
+
+describe('getDaysUntil', () => {
+    it('counts whole days to the start date', () => {
+        assert.equal(getDaysUntil(mockEvents[0], at('2026-02-24')), 7);
+    });
+
+    it('never goes negative', () => {
+        assert.equal(getDaysUntil(mockEvents[0], at('2026-04-01')), 0);
+    });
+});
+
+describe('getUpcomingEvents', () => {
+    it('skips past events and keeps active ones', () => {
+        const ids = getUpcomingEvents(mockEvents, at('2026-02-20')).map(e => e.id);
+        assert.deepEqual(ids, ['ev', 'primary', 'runoff']);
+    });
+
+    it('respects the limit', () => {
+        assert.equal(getUpcomingEvents(mockEvents, at('2026-01-01'), 2).length, 2);
+    });
+
+    it('returns empty array for null events', () => {
+        assert.deepEqual(getUpcomingEvents(null, at('2026-01-01')), []);
+    });
+});
+
+describe('describeCountdown', () => {
+    it('describes upcoming, active and past events', () => {
+        assert.equal(describeCountdown(mockEvents[0], at('2026-03-02')), 'Tomorrow');
+        assert.equal(describeCountdown(mockEvents[0], at('2026-02-24')), '7 days away');
+        assert.equal(describeCountdown(mockEvents[2], at('2026-02-25')), 'Ends in 2 days');
+        assert.equal(describeCountdown(mockEvents[2], at('2026-02-27')), 'Last day');
+        assert.equal(describeCountdown(mockEvents[0], at('2026-03-03')), 'Today');
+        assert.equal(describeCountdown(mockEvents[1], at('2026-03-03')), 'Past');
+    });
+});
+
+describe('renderAlertBanner', () => {
+    it('announces the next upcoming event with a countdown', () => {
+        const html = renderAlertBanner(mockEvents, null, at('2026-02-10'));
+        assert.ok(html.includes('Coming Up: Early Voting'));
+        assert.ok(html.includes('7 days away'));
+    });
+
+    it('shows HAPPENING NOW during early voting', () => {
+        const html = renderAlertBanner(mockEvents, null, at('2026-02-20'));
+        assert.ok(html.includes('HAPPENING NOW: Early Voting'));
+    });
+
+    it('renders nothing once every event has passed', () => {
+        const container = { innerHTML: 'stale' };
+        const html = renderAlertBanner(mockEvents, container, at('2026-12-01'));
+        assert.equal(html, '');
+        assert.equal(container.innerHTML, '');
+    });
+});
+
+describe('renderCountdowns', () => {
+    it('renders up to the limit with a link to the calendar page', () => {
+        const container = { innerHTML: '' };
+        const html = renderCountdowns(mockEvents, container, 2, at('2026-01-01'));
+        assert.equal((html.match(/class="countdown-item/g) || []).length, 2);
+        assert.ok(html.includes('href="elections.html"'));
+        assert.equal(container.innerHTML, html);
+    });
+
+    it('shows NOW for active events', () => {
+        const html = renderCountdowns(mockEvents, null, 1, at('2026-02-18'));
+        assert.ok(html.includes('countdown-item active'));
+        assert.ok(html.includes('>NOW<'));
+    });
+
+    it('renders an empty message when nothing is upcoming', () => {
+        const html = renderCountdowns(mockEvents, null, 3, at('2027-01-01'));
+        assert.ok(html.includes('No upcoming election dates'));
+    });
+});
+
+describe('groupEventsByElection', () => {
+    it('groups events and titles each group by its election day', () => {
+        const groups = groupEventsByElection(mockEvents);
+        assert.equal(groups.length, 2);
+        assert.equal(groups[0].id, 'primary-2026');
+        assert.equal(groups[0].title, 'Primary Election');
+        assert.equal(groups[0].events.length, 3);
+        assert.equal(groups[1].title, 'Runoff Election');
+    });
+});
+
+describe('renderElectionCalendar', () => {
+    it('marks past, active and upcoming rows', () => {
+        const html = renderElectionCalendar(mockEvents, null, at('2026-02-20'));
+        assert.ok(html.includes('calendar-item past" data-event-id="reg"'));
+        assert.ok(html.includes('calendar-item active" data-event-id="ev"'));
+        assert.ok(html.includes('calendar-item upcoming" data-event-id="primary"'));
+    });
+
+    it('flags tentative dates', () => {
+        const html = renderElectionCalendar(mockEvents, null, at('2026-02-20'));
+        assert.ok(html.includes('Tentative'));
+    });
+});
+
+describe('Election calendar page (elections.html)', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'elections.html'), 'utf-8');
+
+    it('loads elections.js and reads data/elections.json', () => {
+        assert.ok(html.includes('js/elections.js'));
+        assert.ok(html.includes('data/elections.json'));
+    });
+
+    it('has calendar container and layout placeholders', () => {
+        assert.ok(html.includes('id="election-calendar"'));
+        assert.ok(html.includes('id="site-nav"'));
+        assert.ok(html.includes('id="site-footer"'));
+    });
+});
+
+describe('Homepage election data', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf-8');
+
+    it('banner and countdowns read data/elections.json, not officials.json', () => {
+        assert.ok(html.includes('data/elections.json'));
+        assert.ok(!html.includes('election_calendar'));
+    });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    getCandidateEndorsements,
+    getEndorserId,
+    buildEndorsementGraph,
+    layoutEndorsementGraph,
+    renderEndorsementNetwork,
+    renderEndorsedBy
+} = require('../js/endorsements.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const races = [
+    { id: 'county-judge', office: 'County Judge', electionDate: '2026-03-03', candidates: [
+        { name: 'Alice Ames', slug: 'alice-ames' },
+        { name: 'Bob <Brook>', slug: 'bob-brook' }
+    ] },
+    { id: 'commissioner-2', office: 'Commissioner Pct. 2', electionDate: '2026-03-03', candidates: [
+        { name: 'Cara Cole', slug: 'cara-cole' },
+        { name: 'TBA (Democratic nominee)', slug: null }
+    ] },
+    { id: 'mayor-2024', office: 'Mayor', electionDate: '2024-11-05', candidates: [{ name: 'Alice Ames', slug: 'alice-ames' }] }
+];
+
+const endorsement = (id, endorser, candidate, race, date) => ({ id, endorser, candidate, race, date, sourceEntry: 'cn-1' });
+const chamber = { type: 'organization', slug: 'nb-chamber', name: 'NB Chamber' };
+const endorsements = [
+    endorsement('en-1', chamber, 'alice-ames', 'county-judge', '2026-02-01'),
+    endorsement('en-2', { type: 'person', slug: null, name: 'Pat Doe' }, 'alice-ames', 'county-judge', '2026-02-10'),
+    endorsement('en-3', chamber, 'cara-cole', 'commissioner-2', '2026-02-05'),
+    endorsement('en-4', chamber, 'alice-ames', 'mayor-2024', '2024-09-01')
+];
+
+describe('getCandidateEndorsements', () => {
+    it('returns one candidate\'s endorsements, newest first', () => {
+        assert.deepEqual(getCandidateEndorsements(endorsements, 'alice-ames').map(e => e.id), ['en-2', 'en-1', 'en-4']);
+        assert.deepEqual(getCandidateEndorsements(endorsements, null), []);
+    });
+});
+
+describe('getEndorserId', () => {
+    it('uses the slug, or the name for endorsers outside the registries', () => {
+        assert.equal(getEndorserId(chamber), 'organization:nb-chamber');
+        assert.equal(getEndorserId({ type: 'person', slug: null, name: 'Pat  Doe Jr.' }), 'person:pat-doe-jr');
+    });
+});
+
+describe('buildEndorsementGraph', () => {
+    it('keeps endorsed races of the year with all their candidates', () => {
+        const graph = buildEndorsementGraph(endorsements, races);
+        assert.deepEqual(graph.races.map(r => r.id), ['county-judge', 'commissioner-2']);
+        assert.deepEqual(graph.candidates.map(c => [c.slug, c.count]), [['alice-ames', 2], ['bob-brook', 0], ['cara-cole', 1]]);
+        assert.deepEqual(graph.endorsers.map(e => [e.id, e.count]), [['organization:nb-chamber', 2], ['person:pat-doe', 1]]);
+        assert.equal(graph.edges.length, 3);
+    });
+
+    it('filters to a single race', () => {
+        const graph = buildEndorsementGraph(endorsements, races, { race: 'commissioner-2' });
+        assert.deepEqual(graph.candidates.map(c => c.slug), ['cara-cole']);
+        assert.deepEqual(graph.edges.map(e => e.endorsement.id), ['en-3']);
+    });
+
+    it('places every node inside the drawing', () => {
+        const graph = buildEndorsementGraph(endorsements, races);
+        const layout = layoutEndorsementGraph(graph);
+        const nodes = graph.candidates.concat(graph.endorsers);
+        assert.equal(Object.keys(layout.positions).length, nodes.length);
+        nodes.forEach(n => assert.ok(layout.positions[n.id].y < layout.height, n.id));
+        assert.deepEqual(layout.headings.map(h => h.office), ['County Judge', 'Commissioner Pct. 2']);
+    });
+});
+
+describe('renderEndorsementNetwork', () => {
+    it('renders linked, escaped nodes and edges tagged for highlighting', () => {
+        const container = { innerHTML: '' };
+        const html = renderEndorsementNetwork(buildEndorsementGraph(endorsements, races), container);
+        assert.equal(container.innerHTML, html);
+        assert.ok(html.includes('data-from="organization:nb-chamber" data-to="candidate:alice-ames"'));
+        assert.ok(html.includes('href="organizations/nb-chamber.html"'));
+        assert.ok(html.includes('href="profiles/alice-ames.html"'));
+        assert.ok(html.includes('Bob &lt;Brook&gt;'));
+        assert.ok(html.includes('en-unendorsed'));
+        assert.ok(!html.includes('TBA'));
+    });
+
+    it('shows an empty state without endorsements', () => {
+        const html = renderEndorsementNetwork(buildEndorsementGraph([], races), null);
+        assert.match(html, /No endorsements recorded for these races yet/);
+    });
+});
+
+describe('renderEndorsedBy', () => {
+    it('links endorsers and their source coverage', () => {
+        const entries = [{ id: 'cn-1', source: 'Herald-Zeitung', sourceUrl: 'https://example.com/story' }];
+        const html = renderEndorsedBy(getCandidateEndorsements(endorsements, 'cara-cole'), entries);
+        assert.ok(html.includes('<a href="../organizations/nb-chamber.html">NB Chamber</a>'));
+        assert.ok(html.includes('href="https://example.com/story"'));
+        assert.ok(html.includes('Herald-Zeitung'));
+    });
+
+    it('shows endorsers without a page as plain text, and an empty state', () => {
+        const html = renderEndorsedBy([endorsements[1]], []);
+        assert.ok(html.includes('Pat Doe'));
+        assert.ok(!html.includes('<a href'));
+        assert.match(renderEndorsedBy([], []), /No endorsements recorded\./);
+    });
+});
+
+describe('candidate profiles', () => {
+    it('load endorsements.js wherever there is an "Endorsed By" section', () => {
+        const dir = path.join(ROOT, 'profiles');
+        const pages = fs.readdirSync(dir).filter(f => f.endsWith('.html'))
+            .map(f => fs.readFileSync(path.join(dir, f), 'utf8'))
+            .filter(html => html.includes('id="endorsed-by"'));
+        assert.ok(pages.length > 0);
+        pages.forEach(html => assert.ok(html.includes('js/endorsements.js'), 'endorsements.js missing'));
+    });
+});
@@ -1,6 +1,7 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 const {
+    fetchJsonOnce,
     sortEntriesByDate,
     escapeHtml,
     formatCategory,
@@ -52,6 +53,31 @@ describe('escapeHtml', () => {
         assert.equal(escapeHtml(null), '');
         assert.equal(escapeHtml(''), '');
     });
+    it('escapes numbers and other non-strings', () => {
+        assert.equal(escapeHtml(42), '42');
+    });
+});
+
+describe('fetchJsonOnce', () => {
+    it('shares one request per URL and retries after a failure', async () => {
+        const originalFetch = global.fetch;
+        const calls = [];
+        let fail = true;
+        global.fetch = async url => {
+            calls.push(url);
+            if (fail) return { ok: false, status: 503, statusText: 'Service Unavailable' };
+            return { ok: true, json: async () => ({ url }) };
+        };
+        try {
+            await assert.rejects(fetchJsonOnce('data/once.json'), /503/);
+            fail = false;
+            const [a, b] = await Promise.all([fetchJsonOnce('data/once.json'), fetchJsonOnce('data/once.json')]);
+            assert.equal(a, b);
+            assert.deepEqual(calls, ['data/once.json', 'data/once.json']);
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
 });
 
 describe('formatCategory', () => {
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    donorKey,
+    getFinanceTotals,
+    getTopDonors,
+    getFinanceByPeriod,
+    findBusinessMentions,
+    formatMoney,
+    renderFinanceSummary
+} = require('../js/finance.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const filer = {
+    slug: 'alice-ames',
+    name: 'Alice Ames',
+    sources: [{ source: 'tec', ident: '00090001', name: 'AMES, ALICE B' }],
+    contributions: [
+        { id: 'c4', date: '2025-10-10', amount: 150, donor: 'James Doe Jr', donorType: 'individual' },
+        { id: 'c3', date: '2025-05-20', amount: 500, donor: 'Acme Homes LLC', donorType: 'entity' },
+        { id: 'c2', date: '2025-04-12', amount: 250, donor: 'John Smith', donorType: 'individual' },
+        { id: 'c1', date: '2025-03-01', amount: 1000, donor: 'Acme Homes, LLC', donorType: 'entity' }
+    ],
+    expenditures: [
+        { id: 'e2', date: '2025-11-01', amount: 300, payee: 'Ben Brook' },
+        { id: 'e1', date: '2025-04-05', amount: 1200, payee: 'Hill Country Print Shop' }
+    ]
+};
+
+const business = [
+    { id: 'bw-1', date: '2026-01-10T09:00:00', title: 'Acme Homes donates to council candidates', summary: '', sourceUrl: 'articles/acme.html' },
+    { id: 'bw-2', date: '2026-02-10T09:00:00', title: 'Chamber honors local builders', summary: 'Acme Homes, Inc. was among them.', sourceUrl: 'https://example.com/chamber' },
+    { id: 'bw-3', date: '2026-02-11T09:00:00', title: 'Acme Homestead Farms opens', summary: '', sourceUrl: null }
+];
+
+describe('donor grouping', () => {
+    it('ignores case, punctuation and business suffixes', () => {
+        assert.equal(donorKey('Acme Homes, LLC'), 'acme homes');
+        assert.equal(donorKey('ACME HOMES INC.'), 'acme homes');
+        assert.equal(donorKey('Co'), 'co', 'a name that is only a suffix is kept');
+    });
+
+    it('totals a filer and ranks donors by amount', () => {
+        assert.deepEqual(getFinanceTotals(filer), { raised: 1900, spent: 1500, contributions: 4, expenditures: 2, donors: 3 });
+        assert.deepEqual(getTopDonors(filer).map(d => `${d.name}:${d.total}:${d.count}`),
+            ['Acme Homes LLC:1500:2', 'John Smith:250:1', 'James Doe Jr:150:1']);
+        assert.equal(getTopDonors(filer, 1).length, 1);
+        assert.deepEqual(getFinanceTotals(null), { raised: 0, spent: 0, contributions: 0, expenditures: 0, donors: 0 });
+    });
+});
+
+describe('getFinanceByPeriod', () => {
+    it('sums by quarter and fills quiet quarters', () => {
+        assert.deepEqual(getFinanceByPeriod(filer), [
+            { period: '2025-Q1', raised: 1000, spent: 0 },
+            { period: '2025-Q2', raised: 750, spent: 1200 },
+            { period: '2025-Q3', raised: 0, spent: 0 },
+            { period: '2025-Q4', raised: 150, spent: 300 }
+        ]);
+        assert.deepEqual(getFinanceByPeriod({ contributions: [{ date: '2025-12-31', amount: 1 }, { date: '2026-01-01', amount: 2 }], expenditures: [] }).map(p => p.period),
+            ['2025-Q4', '2026-Q1']);
+    });
+});
+
+describe('findBusinessMentions', () => {
+    it('matches the whole donor name in Business Watch entries, newest first', () => {
+        assert.deepEqual(findBusinessMentions('Acme Homes, LLC', business).map(e => e.id), ['bw-2', 'bw-1']);
+        assert.deepEqual(findBusinessMentions('John Smith', business), []);
+        assert.deepEqual(findBusinessMentions('Co', business), [], 'too short to match');
+    });
+});
+
+describe('renderFinanceSummary', () => {
+    it('renders totals, escaped top donors with Business Watch links and the chart', () => {
+        const container = { innerHTML: '' };
+        const withTag = Object.assign({}, filer, { contributions: filer.contributions.concat([{ id: 'c5', date: '2025-10-11', amount: 5, donor: '<b>Bold</b>', donorType: 'individual' }]) });
+        const html = renderFinanceSummary(withTag, business, container);
+        assert.equal(container.innerHTML, html);
+        assert.ok(html.includes('$1,905'));
+        assert.ok(html.includes('href="../articles/acme.html"'));
+        assert.ok(html.includes('href="https://example.com/chamber" target="_blank"'));
+        assert.ok(html.includes('&lt;b&gt;Bold&lt;/b&gt;'));
+        assert.equal((html.match(/class="finance-period"/g) || []).length, 4);
+        assert.ok(html.includes('Texas Ethics Commission (filer 00090001)'));
+        assert.equal(formatMoney(1234567.4), '$1,234,567');
+    });
+
+    it('renders an empty state without reports', () => {
+        assert.match(renderFinanceSummary(null, [], null), /No campaign finance reports on file/);
+    });
+});
+
+describe('profile pages', () => {
+    it('every profile has a Campaign Finance section', () => {
+        const dir = path.join(ROOT, 'profiles');
+        fs.readdirSync(dir).filter(f => f.endsWith('.html')).forEach(f => {
+            const html = fs.readFileSync(path.join(dir, f), 'utf-8');
+            assert.ok(html.includes('id="campaign-finance"'), `${f} has the container`);
+            assert.ok(html.includes('js/finance.js'), `${f} loads js/finance.js`);
+            assert.ok(html.includes('initCampaignFinance('), `${f} initializes it`);
+        });
+    });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { generateOrgPages, renderOrganizationPage, renderOrganizationIndex } = require('../scripts/generate-org-pages.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+describe('renderOrganizationPage', () => {
+  const org = { slug: 'acme-builders', name: 'Acme & Sons', aliases: ['Acme'], type: 'business', website: 'https://acme.example' };
+
+  it('tags the body with the slug and loads the organization module', () => {
+    const html = renderOrganizationPage(org);
+    assert.ok(html.includes('<body data-organization-slug="acme-builders">'));
+    assert.ok(html.includes('<h1>Acme &amp; Sons</h1>'));
+    assert.ok(html.includes('<div class="title">Business</div>'));
+    assert.ok(html.includes('Also known as: Acme'));
+    assert.ok(html.includes('id="organization-activity"'));
+    assert.ok(html.includes('../js/organizations.js'));
+    assert.ok(html.includes('<link rel="canonical" href="https://e1cap1tan.github.io/hill-country-sentinel/organizations/acme-builders.html">'));
+  });
+
+  it('groups the directory by type and skips empty types', () => {
+    const html = renderOrganizationIndex([org, { slug: 'b-pac', name: 'B PAC', aliases: [], type: 'pac' }]);
+    assert.ok(html.indexOf('<h2>Businesses</h2>') < html.indexOf('<h2>PACs</h2>'));
+    assert.ok(html.includes('<a href="b-pac.html">B PAC</a>'));
+    assert.ok(!html.includes('<h2>Clubs</h2>'));
+  });
+});
+
+describe('organizations/', () => {
+  it('pages are up to date with data/organizations.json', () => {
+    const stale = generateOrgPages(ROOT).filter(p => p.changed).map(p => p.file);
+    assert.deepEqual(stale, [], 'run node scripts/generate-org-pages.js --write');
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { generateProfiles, renderProfilePage, profileContext, ROLL_CALL_SEATS } = require('../scripts/generate-profiles.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const officials = {
+  updated: '2026-02-18',
+  cityCouncil: { '1': { name: 'Alice Ames', profileSlug: 'alice-ames' } },
+  commissioner: {
+    '2': { name: 'Cal Cole', profileSlug: 'cal-cole' },
+    judge: { name: 'Vacant', vacant: true, profileSlug: 'the-judge' },
+  },
+  jp: { '1': { name: 'Dee Dunn', profileSlug: 'dee-dunn' } },
+};
+const races = [{ id: 'nb-mayor', candidates: [{ name: 'Bob Brook', slug: 'bob-brook' }, { name: 'Alice Ames', slug: 'alice-ames' }] }];
+
+describe('profileContext', () => {
+  it('finds roll-call seats, officials and candidates', () => {
+    assert.deepEqual(profileContext('alice-ames', officials, races), { seat: ROLL_CALL_SEATS.cityCouncil, section: 'officials', candidate: true, vacant: false });
+    assert.deepEqual(profileContext('cal-cole', officials, races), { seat: ROLL_CALL_SEATS.commissioner, section: 'officials', candidate: false, vacant: false });
+    assert.deepEqual(profileContext('dee-dunn', officials, races), { seat: null, section: 'officials', candidate: false, vacant: false });
+    assert.deepEqual(profileContext('bob-brook', officials, races), { seat: null, section: 'races', candidate: true, vacant: false });
+  });
+
+  it('marks a vacant seat and gives it no roll-call votes', () => {
+    assert.deepEqual(profileContext('the-judge', officials, races), { seat: null, section: 'officials', candidate: false, vacant: true });
+  });
+});
+
+describe('renderProfilePage', () => {
+  const alice = { slug: 'alice-ames', name: 'Alice Ames', photo: 'images/alice-ames.jpg', profile: true };
+  const aliceProfile = {
+    slug: 'alice-ames',
+    title: 'City Council — District 1',
+    details: ['Party: Republican', 'Term: 2025–2028'],
+    sections: [{ heading: 'Biography', paragraphs: ['Alice <strong>serves</strong> District 1.'] }],
+    links: [{ label: 'Council Page', url: 'https://example.gov/council' }],
+  };
+
+  it('emits the same SEO head on every page', () => {
+    const html = renderProfilePage(alice, aliceProfile, profileContext('alice-ames', officials, races));
+    const url = 'https://e1cap1tan.github.io/hill-country-sentinel/profiles/alice-ames.html';
+    assert.ok(html.includes('<title>Alice Ames, City Council — District 1 | Hill Country Sentinel</title>'));
+    assert.ok(html.includes(`<link rel="canonical" href="${url}">`));
+    assert.ok(html.includes('<meta property="og:type" content="profile">'));
+    assert.ok(html.includes('<meta name="twitter:image" content="https://e1cap1tan.github.io/hill-country-sentinel/images/alice-ames.jpg">'));
+
+    const ld = [...html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)].map(m => JSON.parse(m[1]));
+    assert.equal(ld.length, 2);
+    assert.equal(ld[0]['@type'], 'Person');
+    assert.equal(ld[0].url, url);
+    assert.deepEqual(ld[0].sameAs, ['https://example.gov/council']);
+    assert.deepEqual(ld[1].itemListElement.map(i => i.name), ['Home', 'Find My Officials', 'Alice Ames']);
+  });
+
+  it('adds the live voting sections and their scripts for council members', () => {
+    const html = renderProfilePage(alice, aliceProfile, profileContext('alice-ames', officials, races));
+    assert.ok(html.includes('<body data-candidate-slug="alice-ames" data-profile-section="officials">'));
+    assert.ok(html.includes('<a href="../find-my-officials.html" class="back-link">'));
+    assert.ok(html.includes('<p>Alice <strong>serves</strong> District 1.</p>'));
+    assert.ok(html.includes('<div class="details">Party: Republican<br>Term: 2025–2028</div>'));
+    ['attendance-summary', 'voting-analytics', 'endorsed-by', 'campaign-finance', 'profile-timeline']
+      .forEach(id => assert.ok(html.includes(`id="${id}"`), id));
+    assert.ok(html.includes('../js/council-analytics.js'));
+    assert.ok(html.includes('../js/attendance.js'));
+    assert.ok(html.includes('initAttendance();'));
+    assert.ok(html.includes('initProfileTimeline();'), 'votes are on the timeline');
+    assert.ok(html.includes('Votes from City of New Braunfels official meeting minutes'));
+    assert.ok(!html.includes('id="voting-record-list"'), 'no separate vote list');
+    assert.ok(html.includes('initEndorsedBy();'));
+    assert.ok(!html.includes('Voting Record &amp; Positions'));
+    assert.ok(!html.includes('id="candidate-activity"'));
+    assert.ok(!html.includes('initAutoLinking'));
+  });
+
+  it('puts a commissioner\'s votes on the timeline without council analytics', () => {
+    const cal = { slug: 'cal-cole', name: 'Cal Cole', photo: null, profile: true };
+    const html = renderProfilePage(cal, { slug: 'cal-cole', title: 'Commissioner', details: [], sections: [] }, profileContext('cal-cole', officials, races));
+    assert.ok(html.includes('Votes from Comal County Commissioners Court minutes'));
+    assert.ok(html.includes('initProfileTimeline();'));
+    assert.ok(!html.includes('attendance.js'));
+    assert.ok(!html.includes('<h2>Voting Record'));
+  });
+
+  it('describes a vacant seat page as a website, not a person', () => {
+    const seat = { slug: 'the-judge', name: 'County Judge', photo: null, profile: true };
+    const html = renderProfilePage(seat, { slug: 'the-judge', title: 'Vacant Seat', details: ['Status: Vacant'], sections: [] }, profileContext('the-judge', officials, races));
+    assert.ok(html.includes('<meta property="og:type" content="website">'));
+    const ld = [...html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)].map(m => JSON.parse(m[1]));
+    assert.deepEqual(ld.map(d => d['@type']), ['BreadcrumbList']);
+    assert.ok(!html.includes('Votes from '));
+  });
+
+  it('falls back to placeholders for a candidate without photo, links or positions', () => {
+    const bob = { slug: 'bob-brook', name: 'Bob <Brook>', photo: null, profile: true };
+    const html = renderProfilePage(bob, { slug: 'bob-brook', title: 'Candidate for Mayor', details: [], sections: [] }, profileContext('bob-brook', officials, races));
+    assert.ok(html.includes('class="avatar-placeholder"'));
+    assert.ok(html.includes('<h1>Bob &lt;Brook&gt;</h1>'));
+    assert.ok(html.includes('data-profile-section="races"'));
+    assert.ok(html.includes('<a href="../feeds/candidates.html" class="back-link">← Back to Races</a>'));
+    assert.ok(html.includes('<p class="placeholder">Contact information coming soon.</p>'));
+    assert.ok(html.includes('<h2>Voting Record &amp; Positions</h2>'));
+    assert.ok(html.includes('images/courthouse-header.png'));
+    assert.ok(!html.includes('"image"'), 'no Person image without a photo');
+    assert.ok(!html.includes('attendance.js'));
+    assert.ok(!html.includes('Votes from '));
+    assert.ok(!html.includes('class="details"'));
+  });
+});
+
+describe('profiles/', () => {
+  it('pages are up to date with data/profiles/', () => {
+    const stale = generateProfiles(ROOT).filter(p => p.changed).map(p => p.file);
+    assert.deepEqual(stale, [], 'run node scripts/generate-profiles.js --write');
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    withLocalContext,
+    normalizeAddress,
+    createCoordinateProvider,
+    createAddressPointProvider,
+    createArcGisProvider,
+    createCensusProvider,
+    geocodeWithFallback,
+    getBrowserLocation
+} = require('../js/geocoder.js');
+const { lookupDistricts } = require('../js/districts.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const points = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/geocoder/address-points.json'), 'utf-8'));
+
+// fetch() stand-in that answers every request with the given JSON and records the URLs
+function fakeFetch(body, status) {
+    const calls = [];
+    const fn = async url => {
+        calls.push(url);
+        return { ok: !status || status < 400, status: status || 200, json: async () => body };
+    };
+    fn.calls = calls;
+    return fn;
+}
+
+function readLayer(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'data/geo', file), 'utf-8'));
+}
+
+describe('normalizeAddress / withLocalContext', () => {
+    it('compares addresses regardless of case, punctuation and abbreviations', () => {
+        assert.equal(normalizeAddress('150 North Seguin Avenue,'), '150 N SEGUIN AVE');
+        assert.equal(normalizeAddress('150 n. seguin ave'), '150 N SEGUIN AVE');
+    });
+
+    it('adds New Braunfels only when the address names no place', () => {
+        assert.equal(withLocalContext('550 Landa St'), '550 Landa St, New Braunfels, TX 78130');
+        assert.equal(withLocalContext('16600 FM 306, Canyon Lake 78133'), '16600 FM 306, Canyon Lake 78133');
+        assert.equal(withLocalContext('150 N Seguin Ave 78130-1234'), '150 N Seguin Ave 78130-1234');
+        assert.equal(withLocalContext('1 Main St, Texas'), '1 Main St, Texas');
+    });
+
+    it('does not take a rural house number or a word containing "tx" for a place', () => {
+        assert.equal(withLocalContext('26240 Hwy 46'), '26240 Hwy 46, New Braunfels, TX 78130');
+        assert.equal(withLocalContext('12 Ftx Ranch Rd'), '12 Ftx Ranch Rd, New Braunfels, TX 78130');
+    });
+});
+
+describe('createCoordinateProvider', () => {
+    const provider = createCoordinateProvider();
+
+    it('reads "lat, lon" input', async () => {
+        assert.deepEqual(await provider.geocode('29.7035, -98.1241'), { lat: 29.7035, lon: -98.1241, matchedAddress: '29.7035, -98.1241', provider: 'coordinates' });
+        assert.equal((await provider.geocode('29.7 -98.1')).lon, -98.1);
+    });
+
+    it('ignores street addresses and impossible coordinates', async () => {
+        assert.equal(await provider.geocode('150 N Seguin Ave'), null);
+        assert.equal(await provider.geocode('98.1, 29.7'), null);
+    });
+});
+
+describe('createAddressPointProvider', () => {
+    const provider = createAddressPointProvider({ points });
+
+    it('matches the street address and ignores what follows it', async () => {
+        const result = await provider.geocode('150 North Seguin Avenue, New Braunfels, TX');
+        assert.deepEqual(result, { lat: 29.7035, lon: -98.1241, matchedAddress: '150 N Seguin Ave, New Braunfels, TX 78130', provider: 'address-points' });
+    });
+
+    it('uses the ZIP or city to pick between identical street addresses', async () => {
+        assert.equal((await provider.geocode('100 Main St 78163')).lon, -98.4531);
+        assert.equal((await provider.geocode('100 Main Street, Bulverde')).lon, -98.4531);
+        assert.equal((await provider.geocode('100 Main St')).lon, -98.1190);
+    });
+
+    it('misses addresses it does not have, and loads the file once', async () => {
+        const fetch = fakeFetch(points);
+        const remote = createAddressPointProvider({ url: 'data/geo/address-points.json', fetch });
+        assert.equal(await remote.geocode('1 Nowhere Ln'), null);
+        assert.ok(await remote.geocode('16600 FM 306'));
+        assert.deepEqual(fetch.calls, ['data/geo/address-points.json']);
+    });
+
+    it('remembers a file that failed to load instead of requesting it on every lookup', async () => {
+        const fetch = fakeFetch(null, 404);
+        const missing = createAddressPointProvider({ url: 'data/geo/address-points.json', fetch });
+        await assert.rejects(missing.geocode('16600 FM 306'), /404/);
+        await assert.rejects(missing.geocode('150 N Seguin Ave'), /404/);
+        assert.equal(fetch.calls.length, 1);
+    });
+});
+
+describe('Find My Officials page', () => {
+    it('tries the county address points second, before the online geocoders', () => {
+        const html = fs.readFileSync(path.join(__dirname, '..', 'find-my-officials.html'), 'utf-8');
+        const list = html.match(/const geocoders = \[([\s\S]*?)\];/)[1];
+        const order = [...list.matchAll(/create(\w+)Provider\(/g)].map(m => m[1]);
+        assert.deepEqual(order, ['Coordinate', 'AddressPoint', 'ArcGis', 'Census']);
+        assert.ok(list.includes("createAddressPointProvider({ url: 'data/geo/address-points.json' })"));
+    });
+});
+
+describe('online providers', () => {
+    it('ArcGIS applies the score threshold', async () => {
+        const candidate = score => ({ candidates: [{ score, address: '550 LANDA ST, NEW BRAUNFELS, TX', location: { x: -98.12, y: 29.71 } }] });
+        const fetch = fakeFetch(candidate(95));
+        const result = await createArcGisProvider({ fetch }).geocode('550 Landa St');
+        assert.deepEqual(result, { lat: 29.71, lon: -98.12, matchedAddress: '550 LANDA ST, NEW BRAUNFELS, TX', provider: 'arcgis' });
+        assert.ok(fetch.calls[0].includes(encodeURIComponent('550 Landa St, New Braunfels, TX 78130')));
+        assert.equal(await createArcGisProvider({ fetch: fakeFetch(candidate(70)) }).geocode('550 Landa St'), null);
+    });
+
+    it('Census reads the first address match', async () => {
+        const fetch = fakeFetch({ result: { addressMatches: [{ matchedAddress: '550 LANDA ST, NEW BRAUNFELS, TX, 78130', coordinates: { x: -98.12, y: 29.71 } }] } });
+        assert.equal((await createCensusProvider({ fetch }).geocode('550 Landa St')).provider, 'census');
+        assert.equal(await createCensusProvider({ fetch: fakeFetch({ result: { addressMatches: [] } }) }).geocode('x'), null);
+    });
+});
+
+describe('geocodeWithFallback', () => {
+    it('moves on when a provider fails or has no match', async () => {
+        const errors = [];
+        const providers = [
+            createCoordinateProvider(),
+            createArcGisProvider({ fetch: fakeFetch({}, 503) }),
+            createAddressPointProvider({ points })
+        ];
+        const result = await geocodeWithFallback('16600 FM 306', providers, { onError: p => errors.push(p.name) });
+        assert.equal(result.provider, 'address-points');
+        assert.deepEqual(errors, ['arcgis']);
+    });
+
+    it('returns null when every provider misses', async () => {
+        assert.equal(await geocodeWithFallback('1 Nowhere Ln', [createAddressPointProvider({ points })]), null);
+    });
+});
+
+describe('getBrowserLocation', () => {
+    it('resolves with the device position', async () => {
+        const geolocation = { getCurrentPosition: success => success({ coords: { latitude: 29.7, longitude: -98.1 } }) };
+        assert.deepEqual(await getBrowserLocation(geolocation), { lat: 29.7, lon: -98.1, matchedAddress: 'Your current location', provider: 'browser' });
+    });
+
+    it('rejects when permission is denied or geolocation is missing', async () => {
+        const denied = { getCurrentPosition: (success, failure) => failure({ message: 'User denied Geolocation' }) };
+        await assert.rejects(getBrowserLocation(denied), /User denied/);
+        await assert.rejects(getBrowserLocation(undefined), /not available/);
+    });
+});
+
+describe('Offline lookup flow', () => {
+    const layers = {
+        commissioner: readLayer('commissioner-precincts.geojson'),
+        voting: readLayer('voting-precincts.geojson'),
+        nbCityCouncil: readLayer('nb-city-council.geojson')
+    };
+    const officials = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/officials.json'), 'utf-8'));
+    const providers = [createCoordinateProvider(), createAddressPointProvider({ points })];
+
+    it('takes a typed address to its precincts and officials', async () => {
+        const coordinates = await geocodeWithFallback('150 N Seguin Ave, New Braunfels', providers);
+        const districts = lookupDistricts(layers, coordinates);
+        assert.equal(districts.commissioner, '3');
+        assert.equal(districts.voting, '308');
+        assert.equal(districts.nbCityCouncil, '5');
+        assert.ok(officials.commissioner[districts.commissioner].name);
+        assert.ok(officials.cityCouncil[districts.nbCityCouncil].name);
+    });
+
+    it('finds no city council district outside New Braunfels', async () => {
+        const districts = lookupDistricts(layers, await geocodeWithFallback('29.8730, -98.2210', providers));
+        assert.equal(districts.commissioner, '4');
+        assert.equal(districts.nbCityCouncil, null);
+    });
+});
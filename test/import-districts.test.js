@@ -0,0 +1,207 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  parseDbf,
+  parseShapefile,
+  assertGeographic,
+  countyOutline,
+  clipGeometry,
+  layerForFile,
+  buildLayer,
+  importDistricts,
+} = require('../scripts/import-districts.js');
+const { findDistrict } = require('../js/districts.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Clockwise box, as shapefiles store outer rings
+function box(west, south, east, north) {
+  return [[west, south], [west, north], [east, north], [east, south], [west, south]];
+}
+
+// Minimal polygon shapefile + dBASE table with one numeric DISTRICT field
+function encodeShapefile(shapes) {
+  const records = shapes.map((shape, i) => {
+    const points = shape.rings.flat();
+    const content = Buffer.alloc(44 + shape.rings.length * 4 + points.length * 16);
+    content.writeInt32LE(5, 0);
+    content.writeInt32LE(shape.rings.length, 36);
+    content.writeInt32LE(points.length, 40);
+    let start = 0;
+    shape.rings.forEach((ring, p) => {
+      content.writeInt32LE(start, 44 + p * 4);
+      start += ring.length;
+    });
+    const pointsStart = 44 + shape.rings.length * 4;
+    points.forEach(([x, y], n) => {
+      content.writeDoubleLE(x, pointsStart + n * 16);
+      content.writeDoubleLE(y, pointsStart + n * 16 + 8);
+    });
+    const header = Buffer.alloc(8);
+    header.writeInt32BE(i + 1, 0);
+    header.writeInt32BE(content.length / 2, 4);
+    return Buffer.concat([header, content]);
+  });
+  const body = Buffer.concat(records);
+  const header = Buffer.alloc(100);
+  header.writeInt32BE(9994, 0);
+  header.writeInt32BE((100 + body.length) / 2, 24);
+  header.writeInt32LE(1000, 28);
+  header.writeInt32LE(5, 32);
+  const shp = Buffer.concat([header, body]);
+
+  const dbfHeader = Buffer.alloc(32 + 32 + 1);
+  dbfHeader[0] = 0x03;
+  dbfHeader.writeUInt32LE(shapes.length, 4);
+  dbfHeader.writeUInt16LE(dbfHeader.length, 8);
+  dbfHeader.writeUInt16LE(1 + 4, 10);
+  dbfHeader.write('DISTRICT', 32, 'latin1');
+  dbfHeader[32 + 11] = 'N'.charCodeAt(0);
+  dbfHeader[32 + 16] = 4;
+  dbfHeader[64] = 0x0d;
+  const rows = shapes.map(shape => Buffer.from(` ${String(shape.district).padStart(4)}`, 'latin1'));
+  const dbf = Buffer.concat([dbfHeader, ...rows, Buffer.from([0x1a])]);
+  return { shp, dbf };
+}
+
+// Synthetic plan, not the real district lines: one district over the western
+// part of the county, one over the rest, one in Houston
+const PLAN = [
+  { district: 1, rings: [box(-99, 29, -98.3, 31)] },
+  { district: 2, rings: [box(-98.3, 29, -97, 31)] },
+  { district: 3, rings: [box(-95.5, 29.7, -95.3, 29.9)] },
+];
+
+function precincts(...rings) {
+  return { features: rings.map((ring, i) => ({ properties: { Precinct: String(i + 1) }, geometry: { type: 'Polygon', coordinates: [ring] } })) };
+}
+
+// Counter-clockwise box, as GeoJSON stores outer rings
+function square(west, south, east, north) {
+  return box(west, south, east, north).reverse();
+}
+
+// L-shaped county: its bounding box takes in the empty north-east corner
+const L_COUNTY = countyOutline(precincts([[0, 0], [2, 0], [2, 1], [1, 1], [0, 1], [0, 0]], square(0, 1, 1, 2)));
+
+function area(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const ring = r => r.reduce((sum, [x, y], i) => i ? sum + r[i - 1][0] * y - x * r[i - 1][1] : 0, 0) / 2;
+  return polygons.reduce((sum, [outer, ...holes]) => sum + Math.abs(ring(outer)) - holes.reduce((h, hole) => h + Math.abs(ring(hole)), 0), 0);
+}
+
+describe('parseShapefile', () => {
+  it('reads polygons with their DISTRICT attribute', () => {
+    const { shp, dbf } = encodeShapefile(PLAN);
+    assert.deepEqual(parseDbf(dbf), [{ DISTRICT: 1 }, { DISTRICT: 2 }, { DISTRICT: 3 }]);
+    const features = parseShapefile(shp, dbf);
+    assert.equal(features.length, 3);
+    assert.equal(features[0].geometry.type, 'Polygon');
+    assert.ok(features[0].geometry.coordinates[0].some(([x, y]) => x === -99 && y === 29));
+  });
+
+  it('puts holes inside their outer ring and keeps separate parts as a MultiPolygon', () => {
+    const hole = box(-98.3, 29.5, -98.2, 29.6).reverse();
+    const { shp, dbf } = encodeShapefile([{ district: 1, rings: [box(-98.8, 29.4, -97.8, 29.8), hole, box(-97.5, 29.4, -97.4, 29.5)] }]);
+    const [feature] = parseShapefile(shp, dbf);
+    assert.equal(feature.geometry.type, 'MultiPolygon');
+    assert.equal(feature.geometry.coordinates[0].length, 2, 'outer ring plus hole');
+    assert.equal(feature.geometry.coordinates[1].length, 1);
+  });
+});
+
+describe('countyOutline', () => {
+  it('traces the outer boundary of the precincts, dropping the edges they share', () => {
+    assert.equal(L_COUNTY.length, 8);
+    assert.ok(!L_COUNTY.some(([x, y]) => x === 2 && y === 2), 'no bounding-box corner');
+    assert.equal(area({ type: 'Polygon', coordinates: [L_COUNTY] }), 3);
+  });
+
+  it('traces the real county as one ring', () => {
+    const county = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/geo/commissioner-precincts.geojson'), 'utf-8'));
+    const outline = countyOutline(county);
+    const total = county.features.reduce((sum, f) => sum + area(f.geometry), 0);
+    assert.ok(Math.abs(area({ type: 'Polygon', coordinates: [outline] }) - total) < total * 1e-6);
+  });
+});
+
+describe('clipGeometry', () => {
+  it('clips to the county line, not its bounding box', () => {
+    const corner = clipGeometry({ type: 'Polygon', coordinates: [square(0.5, 0.5, 1.5, 1.5)] }, L_COUNTY);
+    assert.ok(Math.abs(area(corner) - 0.75) < 1e-9);
+    assert.equal(findDistrict({ features: [{ properties: { District: '1' }, geometry: corner }] }, 1.25, 1.25), null);
+    assert.equal(clipGeometry({ type: 'Polygon', coordinates: [square(1.2, 1.2, 3, 3)] }, L_COUNTY), null, 'inside the box, outside the county');
+  });
+
+  it('keeps the whole county for a district that covers it and drops one that misses it', () => {
+    assert.equal(area(clipGeometry({ type: 'Polygon', coordinates: [square(-1, -1, 3, 3)] }, L_COUNTY)), 3);
+    assert.equal(clipGeometry({ type: 'Polygon', coordinates: [square(5, 5, 6, 6)] }, L_COUNTY), null);
+  });
+
+  it('splits a district the county line cuts in two', () => {
+    // A diagonal band that crosses the empty corner, clear of the L's inner corner
+    const split = clipGeometry({ type: 'Polygon', coordinates: [[[2.6, -0.5], [2.8, -0.5], [-0.5, 2.8], [-0.5, 2.6], [2.6, -0.5]]] }, L_COUNTY);
+    assert.equal(split.type, 'MultiPolygon');
+    assert.equal(split.coordinates.length, 2);
+    assert.ok(Math.abs(area(split) - 0.32) < 1e-9);
+  });
+
+  it('clips a district whose edge runs through a corner of the county line', () => {
+    // A band across the L's inner corner at (1, 1); the empty corner takes 0.08 of its 0.4
+    const band = clipGeometry({ type: 'Polygon', coordinates: [[[0.5, 1.5], [1.5, 0.5], [1.7, 0.7], [0.7, 1.7], [0.5, 1.5]]] }, L_COUNTY);
+    assert.ok(Math.abs(area(band) - 0.32) < 1e-6);
+  });
+
+  it('keeps a hole inside the county', () => {
+    const holed = clipGeometry({ type: 'Polygon', coordinates: [square(-1, -1, 3, 3), box(0.2, 0.2, 0.4, 0.4)] }, L_COUNTY);
+    assert.equal(holed.coordinates.length, 2);
+    assert.ok(Math.abs(area(holed) - (3 - 0.04)) < 1e-9);
+  });
+});
+
+describe('buildLayer', () => {
+  const county = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/geo/commissioner-precincts.geojson'), 'utf-8'));
+  const { shp, dbf } = encodeShapefile(PLAN);
+  const layer = buildLayer(parseShapefile(shp, dbf), countyOutline(county), 'State_House_Districts');
+
+  it('keeps only districts in the county, numbered as strings', () => {
+    assert.deepEqual(layer.features.map(f => f.properties), [{ District: '1' }, { District: '2' }]);
+  });
+
+  it('finds a district inside the county line and nothing outside it', () => {
+    assert.equal(findDistrict(layer, -98.5, 29.75), '1');
+    assert.equal(findDistrict(layer, -98.2, 29.8), '2');
+    // Inside both the synthetic district and the county's bounding box, but in Bexar County
+    assert.equal(findDistrict(layer, -98.6, 29.6), null);
+    assert.equal(findDistrict(layer, -95.4, 29.8), null);
+  });
+});
+
+describe('importDistricts', () => {
+  it('names layers after the TLC plan letter', () => {
+    assert.equal(layerForFile('/tmp/PLANH2316.shp'), 'house');
+    assert.equal(layerForFile('PLANS2168.SHP'), 'senate');
+    assert.equal(layerForFile('PLANC2333.shp'), 'congress');
+    assert.equal(layerForFile('counties.shp'), null);
+  });
+
+  it('builds a layer from an export on disk without writing by default', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tlc-'));
+    const { shp, dbf } = encodeShapefile(PLAN);
+    fs.writeFileSync(path.join(dir, 'PLANH2316.shp'), shp);
+    fs.writeFileSync(path.join(dir, 'PLANH2316.dbf'), dbf);
+    fs.writeFileSync(path.join(dir, 'PLANH2316.prj'), 'GEOGCS["GCS_North_American_1983",DATUM["D_North_American_1983"]]');
+    const [result] = importDistricts(ROOT, { house: path.join(dir, 'PLANH2316.shp') });
+    assert.equal(result.file, 'data/geo/state-house-districts.geojson');
+    assert.deepEqual(result.districts, ['1', '2']);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('rejects projected exports', () => {
+    assert.doesNotThrow(() => assertGeographic(null));
+    assert.throws(() => assertGeographic('PROJCS["NAD83 / Texas Centric Lambert Conformal",GEOGCS["NAD83"]]'), /Texas Centric Lambert Conformal/);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseCsv,
+  detectFormat,
+  parseFinanceDate,
+  parseAmount,
+  toDisplayName,
+  matchFilerSlug,
+  createCsvRecordSplitter,
+  importFinance,
+  importFinanceFiles,
+  mergeFiler,
+  summarizeFiler
+} = require('../scripts/import-finance.js');
+const { validate } = require('./validate-json.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'finance');
+const people = [
+  { slug: 'alice-ames', name: 'Alice Ames', aliases: [], profile: true },
+  { slug: 'ben-brook', name: 'Ben Brook', aliases: ['Benjamin Brook'], profile: true }
+];
+
+function fixtureFiles() {
+  return fs.readdirSync(FIXTURES).sort().map(name => ({ name, text: fs.readFileSync(path.join(FIXTURES, name), 'utf-8') }));
+}
+
+describe('parseCsv', () => {
+  it('reads quoted fields, doubled quotes, CRLF and newlines inside quotes', () => {
+    const { headers, rows } = parseCsv('a,b,c\r\n"x, y","say ""hi""",3\r\n"multi\nline",,\r\n\r\n');
+    assert.deepEqual(headers, ['a', 'b', 'c']);
+    assert.deepEqual(rows, [{ a: 'x, y', b: 'say "hi"', c: '3' }, { a: 'multi\nline', b: '', c: '' }]);
+  });
+
+  it('tells the three layouts apart by their headers', () => {
+    const formats = fixtureFiles().map(f => `${f.name}:${detectFormat(parseCsv(f.text).headers)}`);
+    assert.deepEqual(formats, ['contribs_01.csv:tec-contributions', 'expend_01.csv:tec-expenditures', 'nb-local-2026-03.csv:local']);
+    assert.equal(detectFormat(['Name', 'Amount']), null);
+  });
+
+  it('splits records line by line, holding a quoted field open across lines', () => {
+    const split = createCsvRecordSplitter();
+    assert.equal(split('"multi'), null);
+    assert.equal(split('line, still ""quoted'), null);
+    assert.deepEqual(split('"" end",2'), ['multi\nline, still "quoted\n" end', '2']);
+    assert.deepEqual(split('a,,c'), ['a', '', 'c']);
+  });
+});
+
+describe('field normalization', () => {
+  it('reads TEC and city dates and amounts', () => {
+    assert.equal(parseFinanceDate('20250715'), '2025-07-15');
+    assert.equal(parseFinanceDate('3/4/2026'), '2026-03-04');
+    assert.equal(parseFinanceDate('soon'), null);
+    assert.equal(parseAmount('$2,500.00'), 2500);
+    assert.equal(parseAmount('(75.50)'), -75.5);
+    assert.equal(parseAmount('n/a'), null);
+  });
+
+  it('turns "LAST, FIRST" filer names into registry names and slugs', () => {
+    assert.equal(toDisplayName('AMES, ALICE B'), 'Alice B Ames');
+    assert.equal(toDisplayName('Brook, Ben (The Honorable)'), 'Ben Brook');
+    assert.equal(matchFilerSlug('AMES, ALICE B', people), 'alice-ames', 'middle initial dropped');
+    assert.equal(matchFilerSlug('Benjamin Brook', people), 'ben-brook', 'alias');
+    assert.equal(matchFilerSlug('ZED, ZACK', people), null);
+  });
+});
+
+describe('importFinance', () => {
+  const result = importFinance(fixtureFiles(), { people });
+
+  it('groups TEC contributions and expenditures by registry slug', () => {
+    const alice = result.filers['alice-ames'];
+    assert.deepEqual(alice.sources, [{ source: 'tec', ident: '00090001', name: 'AMES, ALICE B' }]);
+    assert.deepEqual(alice.contributions.map(c => c.id), ['tec-5000001', 'tec-5000002', 'tec-5000003', 'tec-5000005']);
+    assert.equal(alice.expenditures.length, 2);
+    assert.equal(alice.expenditures[1].description, 'Event venue, "fall kickoff"');
+  });
+
+  it('normalizes individual and entity contributors', () => {
+    const [acme, smith] = result.filers['alice-ames'].contributions;
+    assert.equal(acme.donor, 'Acme Homes, LLC');
+    assert.equal(acme.donorType, 'entity');
+    assert.equal(smith.donor, 'John Smith');
+    assert.equal(smith.occupation, 'Broker');
+    assert.equal(smith.date, '2025-04-12');
+  });
+
+  it('skips info-only rows superseded by a corrected report', () => {
+    assert.ok(!result.filers['alice-ames'].contributions.some(c => c.donor === 'Old Copy Inc'));
+  });
+
+  it('reads the city report: A1/A2 contributions, F1 expenditures, repeated rows kept apart', () => {
+    const ben = result.filers['ben-brook'];
+    assert.equal(ben.contributions.length, 4);
+    assert.equal(new Set(ben.contributions.map(c => c.id)).size, 4);
+    assert.equal(ben.contributions[3].description, 'Coffee for volunteers');
+    assert.deepEqual(ben.expenditures.map(e => `${e.payee} ${e.amount}`), ['Herald Print 640']);
+    assert.ok(result.warnings.some(w => /nb-local-2026-03\.csv row 7: schedule "B"/.test(w)));
+  });
+
+  it('lists filers the registry cannot match', () => {
+    assert.deepEqual(result.unmatched, ['Zack Zed']);
+    assert.deepEqual(importFinance(fixtureFiles().slice(0, 1), { people, slug: 'ben-brook' }).unmatched, [], '--slug assigns every filer');
+  });
+
+  it('drops unmatched filers before reading their rows', () => {
+    const csv = 'Filer Name,Schedule,Date,Name,Amount\n"ZED, ZACK",A1,not a date,Someone,abc\n';
+    const skipped = importFinance([{ name: 'other.csv', text: csv }], { people });
+    assert.deepEqual(skipped.unmatched, ['Zack Zed']);
+    assert.deepEqual(skipped.warnings, []);
+  });
+
+  it('streams files from disk to the same result', async () => {
+    const paths = fs.readdirSync(FIXTURES).sort().map(name => path.join(FIXTURES, name));
+    assert.deepEqual(await importFinanceFiles(paths, { people }), result);
+  });
+});
+
+describe('mergeFiler / summarizeFiler', () => {
+  const imported = importFinance(fixtureFiles(), { people }).filers['alice-ames'];
+
+  it('writes schema-valid files, newest first, and re-imports without duplicates', () => {
+    const first = mergeFiler(null, 'alice-ames', imported);
+    assert.equal(first.contributions[0].date, '2025-10-10');
+    assert.deepEqual(validate(first, 'finance-filer').errors, []);
+    const again = mergeFiler(first, 'alice-ames', imported);
+    assert.equal(again.contributions.length, 4);
+    assert.equal(again.sources.length, 1);
+  });
+
+  it('summarizes a filer for data/finance/index.json', () => {
+    const summary = summarizeFiler(mergeFiler(null, 'alice-ames', imported));
+    assert.deepEqual(summary, { file: 'alice-ames.json', raised: 1900, spent: 1500, through: '2025-11-01' });
+    assert.deepEqual(validate({ updated: '2026-03-01T09:00:00', filers: { 'alice-ames': summary } }, 'finance-index').errors, []);
+  });
+});
@@ -201,3 +201,24 @@ describe('No horizontal overflow CSS issues', function () {
         }
     });
 });
+
+describe('Cache-busting versions', function () {
+    it('every page loads a shared script or stylesheet at the same ?v= version', function () {
+        // Bump a file's version on every page at once, or returning visitors keep a stale copy
+        const versions = {};
+        for (const htmlFile of htmlFiles) {
+            const html = fs.readFileSync(htmlFile, 'utf-8');
+            const refRegex = /(?:src|href)="(?:\.\.\/)*((?:js|css)\/[\w.-]+)\?v=(\d+)"/g;
+            let match;
+            while ((match = refRegex.exec(html)) !== null) {
+                const [, file, version] = match;
+                versions[file] = versions[file] || {};
+                versions[file][version] = versions[file][version] || path.relative(ROOT, htmlFile);
+            }
+        }
+        for (const [file, seen] of Object.entries(versions)) {
+            assert.strictEqual(Object.keys(seen).length, 1, file + ' is loaded at several versions: ' +
+                Object.entries(seen).map(([v, page]) => 'v=' + v + ' (' + page + ')').join(', '));
+        }
+    });
+});
@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    formatSeatDate,
+    getSeatStatus,
+    getSeatBadges,
+    describeTerm,
+    getSeatHolder
+} = require('../js/officials.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function at(iso) {
+    return new Date(iso + 'T09:30:00');
+}
+
+const mayor = { name: 'Pat Page', party: null, termStart: '2023-05', termEnd: '2026-05', election: 'municipal-2026', electionDate: '2026-05-02' };
+const vacantJudge = { name: null, party: null, vacant: true, termStart: null, termEnd: '2026-12-31', election: 'general-2026', electionDate: '2026-11-03' };
+const interimJp = { name: 'Ira Irwin', party: 'R', interim: true, appointed: true, termStart: null, termEnd: '2026-12-31', election: null, electionDate: null };
+
+describe('formatSeatDate', () => {
+    it('formats year, month and day precision', () => {
+        assert.equal(formatSeatDate('2028'), '2028');
+        assert.equal(formatSeatDate('2028-05'), 'May 2028');
+        assert.equal(formatSeatDate('2026-11-03'), 'November 3, 2026');
+        assert.equal(formatSeatDate(null), '');
+    });
+});
+
+describe('getSeatStatus', () => {
+    it('is up for election through election day and not after', () => {
+        assert.equal(getSeatStatus(mayor, at('2026-01-15')).upForElection, true);
+        assert.equal(getSeatStatus(mayor, at('2026-05-02')).upForElection, true);
+        assert.equal(getSeatStatus(mayor, at('2026-05-03')).upForElection, false);
+    });
+
+    it('treats a month-only term end as the end of that month', () => {
+        assert.equal(getSeatStatus(mayor, at('2026-05-31')).termEnded, false);
+        assert.equal(getSeatStatus(mayor, at('2026-06-01')).termEnded, true);
+    });
+
+    it('never marks a vacant seat as having an ended term', () => {
+        const status = getSeatStatus(vacantJudge, at('2027-02-01'));
+        assert.equal(status.vacant, true);
+        assert.equal(status.termEnded, false);
+    });
+});
+
+describe('getSeatBadges', () => {
+    it('lists vacant, interim and election badges in that order', () => {
+        assert.deepEqual(getSeatBadges(vacantJudge, at('2026-10-01')), [
+            { type: 'vacant', label: 'Vacant' },
+            { type: 'election', label: 'Up for election: November 3, 2026' }
+        ]);
+        assert.deepEqual(getSeatBadges(interimJp, at('2026-10-01')), [{ type: 'interim', label: 'Interim' }]);
+    });
+
+    it('drops the election badge once the election has passed', () => {
+        assert.deepEqual(getSeatBadges(mayor, at('2026-06-01')), []);
+    });
+});
+
+describe('describeTerm', () => {
+    it('describes the term end relative to today', () => {
+        assert.equal(describeTerm(mayor, at('2026-01-15')), 'Term ends May 2026');
+        assert.equal(describeTerm(mayor, at('2026-07-01')), 'Term ended May 2026');
+        assert.equal(describeTerm(interimJp, at('2026-01-15')), 'Appointed; term ends December 31, 2026');
+        assert.equal(describeTerm(vacantJudge, at('2026-01-15')), '');
+    });
+});
+
+describe('getSeatHolder', () => {
+    it('names the holder or reports the seat vacant', () => {
+        assert.equal(getSeatHolder(mayor), 'Pat Page');
+        assert.equal(getSeatHolder(vacantJudge), 'Vacant');
+        assert.equal(getSeatHolder(undefined), 'Vacant');
+    });
+});
+
+describe('officials.json data', () => {
+    const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/officials.json'), 'utf-8'));
+    const events = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/elections.json'), 'utf-8'));
+    const seats = [];
+    for (const [group, groupSeats] of Object.entries(data)) {
+        if (group === 'updated') continue;
+        for (const [key, seat] of Object.entries(groupSeats)) seats.push({ id: `${group}.${key}`, seat });
+    }
+
+    it('every seat election is on the election calendar with a matching date', () => {
+        for (const { id, seat } of seats) {
+            if (!seat.election) {
+                assert.equal(seat.electionDate, null, `${id}: electionDate without election`);
+                continue;
+            }
+            const day = events.find(e => e.election === seat.election && (e.type === 'election' || e.type === 'runoff'));
+            assert.ok(day, `${id}: election ${seat.election} not in elections.json`);
+            assert.equal(seat.electionDate, day.iso, `${id}: electionDate does not match elections.json`);
+        }
+    });
+
+    it('vacant seats have no holder and filled seats do', () => {
+        for (const { id, seat } of seats) {
+            if (seat.vacant) assert.equal(seat.name, null, `${id}: vacant seat should not name a holder`);
+            else assert.ok(seat.name, `${id}: filled seat needs a name`);
+        }
+    });
+
+    it('profile slugs point to existing pages', () => {
+        const missing = seats.filter(({ seat }) => seat.profileSlug && !fs.existsSync(path.join(ROOT, 'profiles', seat.profileSlug + '.html')));
+        assert.deepEqual(missing.map(s => s.id), []);
+    });
+});
+
+describe('Find My Officials page', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'find-my-officials.html'), 'utf-8');
+
+    it('takes officeholders from officials.json, not boundary properties', () => {
+        assert.ok(html.includes('js/officials.js'));
+        assert.ok(!html.includes('Rep_Name'));
+        assert.ok(!html.includes('MayorName'));
+    });
+
+    it('shows a State Representative card while the state house layer is missing', () => {
+        assert.ok(html.includes('districts.stateHousePossible'));
+        assert.ok(html.includes("'State Representative'"));
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    findOrganization,
+    getOrganizationSlug,
+    filterByOrganization,
+    groupOrganizationEntries,
+    findOrganizationContributions,
+    renderOrganizationProfile
+} = require('../js/organizations.js');
+
+const organizations = [
+    { slug: 'acme-builders', name: 'Acme Builders LLC', aliases: ['Acme Builders'], type: 'business', website: null },
+    { slug: 'comal-deputies', name: "Comal County Deputy Sheriff's Association", aliases: [], type: 'club', website: null }
+];
+
+const entries = [
+    { id: 'bw-1', date: '2026-03-01T12:00:00', title: 'Acme gives to Ames', summary: '', category: 'donations', tags: ['acme'], relatedOrganizations: ['acme-builders'] },
+    { id: 'cn-1', date: '2026-02-18T12:00:00', title: 'Deputies endorse Brook', summary: '', category: 'elections', tags: ['endorsement'], relatedOrganizations: ['comal-deputies', 'acme-builders'] },
+    { id: 'pf-1', date: '2026-04-02T12:00:00', title: 'Acme wins <bid>', summary: '', category: 'city-council', tags: ['contracts'], relatedOrganizations: ['acme-builders'] },
+    { id: 'pf-2', date: '2026-04-03T12:00:00', title: 'Unrelated', summary: '', category: 'city-council', tags: ['contracts'] }
+];
+
+describe('findOrganization', () => {
+    it('matches names and aliases ignoring case and punctuation', () => {
+        assert.equal(findOrganization(organizations, 'ACME BUILDERS').slug, 'acme-builders');
+        assert.equal(findOrganization(organizations, 'Comal County Deputy Sheriffs Association').slug, 'comal-deputies');
+        assert.equal(findOrganization(organizations, 'Acme'), null);
+    });
+});
+
+describe('getOrganizationSlug', () => {
+    it('reads the body attribute, then the page path', () => {
+        const body = { getAttribute: name => (name === 'data-organization-slug' ? 'acme-builders' : null) };
+        assert.equal(getOrganizationSlug({ body }), 'acme-builders');
+        assert.equal(getOrganizationSlug({ location: { pathname: '/organizations/comal-deputies.html' } }), 'comal-deputies');
+        assert.equal(getOrganizationSlug({ location: { pathname: '/organizations/index.html' } }), null);
+    });
+});
+
+describe('filterByOrganization and groupOrganizationEntries', () => {
+    it('keeps entries listing the organization, newest first', () => {
+        assert.deepEqual(filterByOrganization(entries, 'acme-builders').map(e => e.id), ['pf-1', 'bw-1', 'cn-1']);
+        assert.deepEqual(filterByOrganization(entries, 'nobody'), []);
+    });
+
+    it('splits donations and endorsements from other coverage', () => {
+        const groups = groupOrganizationEntries(filterByOrganization(entries, 'acme-builders'));
+        assert.deepEqual(groups.donations.map(e => e.id), ['bw-1']);
+        assert.deepEqual(groups.endorsements.map(e => e.id), ['cn-1']);
+        assert.deepEqual(groups.other.map(e => e.id), ['pf-1']);
+    });
+});
+
+describe('findOrganizationContributions', () => {
+    it('matches finance donors by name or alias, dropping business suffixes', () => {
+        const filers = [
+            { slug: 'alice-ames', name: 'Alice Ames', contributions: [
+                { id: 'a', date: '2026-01-05', amount: 500, donor: 'ACME BUILDERS, INC.' },
+                { id: 'b', date: '2026-02-05', amount: 50, donor: 'Acme Builders Supply' }
+            ] },
+            { slug: 'ben-brook', name: 'Ben Brook', contributions: [{ id: 'c', date: '2026-03-01', amount: 250, donor: 'Acme Builders LLC' }] }
+        ];
+        const found = findOrganizationContributions(organizations[0], filers);
+        assert.deepEqual(found.map(c => `${c.id}:${c.recipient}`), ['c:ben-brook', 'a:alice-ames']);
+        assert.equal(found[0].recipientName, 'Ben Brook');
+    });
+});
+
+describe('renderOrganizationProfile', () => {
+    it('renders contributions and escaped entries in their sections', () => {
+        const container = { innerHTML: '' };
+        const html = renderOrganizationProfile(organizations[0], {
+            entries: filterByOrganization(entries, 'acme-builders'),
+            contributions: [{ date: '2026-03-01', amount: 250, recipient: 'ben-brook', recipientName: 'Ben Brook' }]
+        }, container);
+        assert.equal(container.innerHTML, html);
+        assert.ok(html.includes('<a href="../profiles/ben-brook.html">Ben Brook</a>'));
+        assert.ok(html.includes('$250'));
+        assert.ok(html.includes('Acme wins &lt;bid&gt;'));
+        assert.ok(html.indexOf('<h2>Endorsements</h2>') < html.indexOf('Deputies endorse Brook'));
+    });
+
+    it('lists the candidates an organization endorsed', () => {
+        const races = [{ id: 'county-judge', office: 'County Judge', candidates: [{ name: 'Ben Brook', slug: 'ben-brook' }] }];
+        const endorsements = [{ id: 'en-1', endorser: { type: 'organization', slug: 'comal-deputies', name: 'Deputies' }, candidate: 'ben-brook', race: 'county-judge', date: '2026-02-18', sourceEntry: 'cn-1' }];
+        const html = renderOrganizationProfile(organizations[1], { entries: [], contributions: [], endorsements, races }, null);
+        assert.ok(html.includes('<a href="../profiles/ben-brook.html">Ben Brook</a>'));
+        assert.ok(html.includes('County Judge'));
+        assert.ok(!html.includes('No endorsements on record'));
+    });
+
+    it('says so when a section is empty', () => {
+        const html = renderOrganizationProfile(organizations[1], { entries: [], contributions: [] }, null);
+        assert.match(html, /No donations on record for Comal County Deputy Sheriff's Association/);
+        assert.match(html, /No endorsements on record/);
+    });
+});
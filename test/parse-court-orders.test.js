@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseCourtDate,
+  cleanCourtLines,
+  buildCourtRoster,
+  resolveCourtMember,
+  formatOutcome,
+  parseCourtMinutes,
+  parseCourtMinutesDir,
+  addMeetings
+} = require('../scripts/parse-court-orders.js');
+const { validate } = require('./validate-json.js');
+const { getMemberVotes } = require('../js/roll-calls.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures', 'court-orders');
+const people = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/people.json'), 'utf-8'));
+
+function fixture(name) {
+  return parseCourtMinutes(fs.readFileSync(path.join(FIXTURES, name), 'utf-8'), { people });
+}
+
+describe('parseCourtDate / cleanCourtLines', () => {
+  it('reads the date from the minutes header', () => {
+    assert.equal(parseCourtDate('MINUTES OF REGULAR SESSION\nThursday, January 8, 2026\n'), '2026-01-08');
+    assert.equal(parseCourtDate('no header'), null);
+  });
+
+  it('drops the running page footer', () => {
+    const lines = cleanCourtLines('Motion carried 4-1.\n\nCommissioners Court Minutes Page 2 of 3\nJanuary 8, 2026\n\nCOURT ORDER NO. 2026-003');
+    assert.deepEqual(lines.filter(Boolean), ['Motion carried 4-1.', 'COURT ORDER NO. 2026-003']);
+  });
+});
+
+describe('resolveCourtMember', () => {
+  const roster = buildCourtRoster(people);
+
+  it('resolves judge and commissioner titles to registry slugs', () => {
+    assert.equal(resolveCourtMember('Judge Krause', roster), 'sherman-krause');
+    assert.equal(resolveCourtMember('County Judge Sherman Krause', roster), 'sherman-krause');
+    assert.equal(resolveCourtMember('Commissioner Leecock', roster), 'doug-leecock');
+    assert.equal(resolveCourtMember('Commissioners Haag', roster), 'scott-haag');
+    assert.equal(resolveCourtMember('Crownover', roster), 'jen-crownover');
+  });
+
+  it('does not resolve city council members', () => {
+    assert.equal(resolveCourtMember('Commissioner Carter', roster), null);
+  });
+});
+
+describe('formatOutcome', () => {
+  const surname = slug => slug.split('-').pop().replace(/^./, c => c.toUpperCase());
+
+  it('matches the council outcome style', () => {
+    assert.equal(formatOutcome('carried', { 'a-haag': 'Nay', 'b-webb': 'Yea', 'c-roe': 'Yea' }, surname), 'Passed 2-1 (Haag opposed)');
+    assert.equal(formatOutcome('carried', { 'b-webb': 'Yea', 'a-leecock': 'Absent' }, surname), 'Passed unanimously (Leecock absent)');
+    assert.equal(formatOutcome('failed', { 'a-x': 'Yea', 'b-y': 'Nay', 'c-z': 'Nay' }, surname), 'Failed 1-2 (Y, Z opposed)');
+    assert.equal(formatOutcome('died', {}, surname), 'Failed — motion died for lack of second');
+    assert.equal(formatOutcome('carried', { 'a-x': 'Yea', 'b-y': 'Recused' }, surname), 'Passed unanimously (Y recused)');
+  });
+});
+
+describe('parseCourtMinutes (2026-01-08 fixture, "Vote:" format)', () => {
+  const { meeting, attendance, warnings } = fixture('2026-01-08.txt');
+
+  it('builds a store meeting for the Commissioners Court', () => {
+    assert.equal(meeting.id, 'comal-commissioners-court-2026-01-08');
+    assert.equal(meeting.body, 'comal-commissioners-court');
+    assert.deepEqual(attendance.present, ['sherman-krause', 'doug-leecock', 'scott-haag', 'kevin-webb', 'jen-crownover']);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('extracts one roll call per court order and skips items without one', () => {
+    assert.deepEqual(meeting.items.map(i => i.courtOrder), ['2026-001', '2026-002', '2026-003']);
+  });
+
+  it('reads title, mover, seconder and each vote', () => {
+    const order = meeting.items[1];
+    assert.equal(order.id, 'court-order-2026-002');
+    assert.match(order.title, /^Discuss and consider approval of a Development Agreement .* Precinct 2$/);
+    assert.equal(order.mover, 'kevin-webb');
+    assert.equal(order.seconder, 'doug-leecock');
+    assert.equal(order.votes['scott-haag'], 'Nay');
+    assert.equal(order.votes['sherman-krause'], 'Yea');
+    assert.equal(order.outcome, 'Passed 4-1 (Haag opposed)');
+  });
+
+  it('reads failed motions across a page break', () => {
+    const order = meeting.items[2];
+    assert.equal(order.outcome, 'Failed 2-3 (Leecock, Webb, Crownover opposed)');
+    assert.equal(Object.keys(order.votes).length, 5);
+  });
+});
+
+describe('parseCourtMinutes (2026-01-22 fixture, labelled lists)', () => {
+  const { meeting, attendance, warnings } = fixture('2026-01-22.txt');
+
+  it('records absences from the roll call on every vote', () => {
+    assert.deepEqual(attendance.absent, ['doug-leecock']);
+    assert.deepEqual(meeting.attendance, attendance, 'attendance is stored on the meeting');
+    assert.equal(meeting.items[0].votes['doug-leecock'], 'Absent');
+    assert.equal(meeting.items[0].outcome, 'Passed unanimously (Leecock absent)');
+    assert.deepEqual(warnings, []);
+  });
+
+  it('reads plural titles, "None" and abstentions', () => {
+    const order = meeting.items[1];
+    assert.deepEqual(order.votes, {
+      'sherman-krause': 'Yea', 'scott-haag': 'Yea', 'kevin-webb': 'Yea', 'jen-crownover': 'Abstain', 'doug-leecock': 'Absent'
+    });
+    assert.equal(order.outcome, 'Passed unanimously (Crownover abstained; Leecock absent)');
+  });
+
+  it('reads a motion that died for lack of a second', () => {
+    const order = meeting.items[2];
+    assert.equal(order.mover, 'scott-haag');
+    assert.equal(order.seconder, null);
+    assert.deepEqual(order.votes, {});
+    assert.equal(order.outcome, 'Failed — motion died for lack of second');
+  });
+
+  it('warns when the recorded tally disagrees with the listed votes', () => {
+    const text = fs.readFileSync(path.join(FIXTURES, '2026-01-22.txt'), 'utf-8').replace('Motion carried 4-0.', 'Motion carried 5-0.');
+    const result = parseCourtMinutes(text, { people });
+    assert.ok(result.warnings.some(w => /2026-021: recorded tally 5-0 does not match/.test(w)));
+  });
+});
+
+describe('addMeetings', () => {
+  const meetings = parseCourtMinutesDir(FIXTURES, { people }).map(r => r.meeting);
+  const store = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/roll-calls.json'), 'utf-8'));
+
+  it('adds new meetings newest first and keeps the store valid', () => {
+    const merged = addMeetings(store, meetings);
+    assert.deepEqual(merged.added, ['comal-commissioners-court-2026-01-08', 'comal-commissioners-court-2026-01-22']);
+    const dates = merged.store.meetings.map(m => m.date);
+    assert.deepEqual(dates, dates.slice().sort().reverse());
+    assert.deepEqual(validate(merged.store, 'roll-calls').errors, []);
+  });
+
+  it('never replaces a meeting already in the store', () => {
+    const once = addMeetings(store, meetings).store;
+    const twice = addMeetings(once, meetings);
+    assert.deepEqual(twice.added, []);
+    assert.equal(twice.skipped.length, 2);
+  });
+
+  it('gives commissioners a voting record through getMemberVotes', () => {
+    const merged = addMeetings(store, meetings).store;
+    const haag = getMemberVotes(merged, 'scott-haag');
+    assert.equal(haag.length, 5, 'no entry for the motion that died');
+    assert.equal(haag[0].body, 'comal-commissioners-court');
+    assert.equal(getMemberVotes(merged, 'doug-leecock').filter(v => v.vote === 'Absent').length, 2);
+  });
+});
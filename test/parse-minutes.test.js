@@ -0,0 +1,215 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseMinutes,
+  parseMinutesDir,
+  parseMeetingDate,
+  cleanLines,
+  buildRoster,
+  resolveMember,
+  diffAgainstStore,
+  applyAttendance,
+  formatReview
+} = require('../scripts/parse-minutes.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures', 'minutes');
+const people = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/people.json'), 'utf-8'));
+const store = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/roll-calls.json'), 'utf-8'));
+
+function fixture(name) {
+  return parseMinutes(fs.readFileSync(path.join(FIXTURES, name), 'utf-8'), { people });
+}
+
+function votesBy(rollCall, vote) {
+  return rollCall.votes.filter(v => v.vote === vote).map(v => v.member).sort();
+}
+
+describe('parseMeetingDate / cleanLines', () => {
+  it('reads the date from the minutes header', () => {
+    assert.equal(parseMeetingDate('Minutes - Final\nCity Council\nMonday, January 12, 2026\n'), '2026-01-12');
+    assert.equal(parseMeetingDate('no header'), null);
+  });
+
+  it('drops the running page header and footer', () => {
+    const lines = cleanLines('Nay: 1 - Councilmember Carter\n\fCity of New Braunfels\n\nPage 2\n\nPrinted on 1/20/2026\n\nCity Council\n\nMinutes - Final\n\nJanuary 12, 2026\n\nC)');
+    assert.deepEqual(lines.filter(Boolean), ['Nay: 1 - Councilmember Carter', 'C)']);
+  });
+});
+
+describe('resolveMember', () => {
+  const roster = buildRoster(people);
+
+  it('resolves titled surnames and full names to profile slugs', () => {
+    assert.equal(resolveMember('Mayor Pro Tem Spradley', roster), 'lawrence-spradley');
+    assert.equal(resolveMember('Councilmember Edwards', roster), 'd-lee-edwards');
+    assert.equal(resolveMember('Councilmember D. Lee Edwards', roster), 'd-lee-edwards');
+    assert.equal(resolveMember('Mayor Neal Linnartz', roster), 'neal-linnartz');
+    assert.equal(resolveMember('Councilmember Mary Ann Labowski', roster), 'mary-ann-labowski');
+  });
+
+  it('returns null for names not in the registry', () => {
+    assert.equal(resolveMember('Councilmember Nobody', roster), null);
+  });
+});
+
+describe('parseMinutes (2026-01-12 fixture)', () => {
+  const meeting = fixture('2026-01-12.txt');
+
+  it('parses the meeting date and attendance', () => {
+    assert.equal(meeting.date, '2026-01-12');
+    assert.equal(meeting.attendance.present.length, 7);
+    assert.ok(meeting.attendance.present.includes('toni-carter'));
+    assert.deepEqual(meeting.attendance.absent, []);
+  });
+
+  it('extracts one roll call per motion, consent and individual items', () => {
+    assert.deepEqual(meeting.rollCalls.map(rc => `${rc.item} ${rc.fileNumber}`),
+      ['A 26-001', 'A 26-014', 'B 26-015', 'C 26-016', 'D 26-017']);
+    assert.equal(meeting.rollCalls[0].section, 'CONSENT AGENDA');
+    assert.equal(meeting.rollCalls[1].section, 'INDIVIDUAL ITEMS FOR CONSIDERATION');
+  });
+
+  it('reads mover, seconder, action and per-member votes', () => {
+    const faust = meeting.rollCalls[1];
+    assert.match(faust.title, /385 W\. Faust Street$/);
+    assert.match(faust.notes, /^Jean Drew/);
+    assert.equal(faust.reading, 1);
+    assert.equal(faust.mover, 'michael-capizzi');
+    assert.equal(faust.seconder, 'mary-ann-labowski');
+    assert.equal(faust.action, 'that this Ordinance be approved on first reading');
+    assert.equal(faust.result, 'carried');
+    assert.deepEqual(votesBy(faust, 'Nay'), ['april-ryan', 'toni-carter']);
+    assert.deepEqual(faust.tally, { Yea: 5, Nay: 2, Abstain: 0, Absent: 0, Recused: 0 });
+  });
+
+  it('follows names wrapped over lines and page breaks', () => {
+    const consent = meeting.rollCalls[0];
+    assert.equal(consent.votes.length, 7);
+    assert.ok(consent.votes.every(v => v.member), 'every voter resolved');
+    assert.ok(votesBy(consent, 'Yea').includes('april-ryan'));
+  });
+
+  it('flags supermajority items and failed motions', () => {
+    const sh46 = meeting.rollCalls[3];
+    assert.equal(sh46.supermajority, true);
+    assert.equal(sh46.result, 'failed');
+    assert.match(sh46.title, /1092 SH 46 S$/);
+    assert.equal(sh46.tally.Yea, 5);
+  });
+
+  it('has no parse warnings', () => {
+    assert.deepEqual(meeting.warnings, []);
+  });
+});
+
+describe('parseMinutes (2026-01-26 fixture)', () => {
+  const meeting = fixture('2026-01-26.txt');
+
+  it('parses a motion that died for lack of a second', () => {
+    const died = meeting.rollCalls.find(rc => rc.fileNumber === '26-047');
+    assert.equal(died.result, 'died');
+    assert.equal(died.mover, 'toni-carter');
+    assert.equal(died.seconder, null);
+    assert.equal(died.action, 'to table the item until February 9, 2026');
+    assert.deepEqual(died.votes, []);
+  });
+
+  it('reads second readings', () => {
+    const gruene = meeting.rollCalls.find(rc => rc.fileNumber === '26-045');
+    assert.equal(gruene.reading, 2);
+    assert.deepEqual(votesBy(gruene, 'Nay'), ['toni-carter']);
+  });
+
+  it('has no parse warnings', () => {
+    assert.deepEqual(meeting.warnings, []);
+  });
+});
+
+describe('diffAgainstStore', () => {
+  const meetings = parseMinutesDir(FIXTURES, { people });
+
+  it('agrees with every vote already in roll-calls.json', () => {
+    const diff = diffAgainstStore(meetings, store);
+    assert.deepEqual(diff.mismatches, []);
+    assert.deepEqual(diff.unmatchedRecords, []);
+    assert.equal(diff.matched, 10);
+  });
+
+  it('reports votes the data file is missing', () => {
+    const diff = diffAgainstStore(meetings, store);
+    assert.ok(diff.missing.some(m =>
+      m.date === '2026-01-26' && m.member === 'd-lee-edwards' && /TIRZ No\. 5/.test(m.itemTitle) && m.vote === 'Yea'));
+  });
+
+  it('reports roll calls with no matching record as new items', () => {
+    const diff = diffAgainstStore(meetings, store);
+    assert.deepEqual(diff.newItems.map(n => n.rollCall.fileNumber).sort(), ['26-001', '26-047']);
+  });
+
+  it('reports mismatched votes and records missing from the minutes', () => {
+    const edited = {
+      bodies: store.bodies,
+      meetings: [{
+        id: 'nb-city-council-2026-01-12',
+        body: 'nb-city-council',
+        date: '2026-01-12',
+        items: [
+          { id: 'faust', title: 'Rezone 385 W. Faust Street — Short-Term Rental SUP (1st Reading)', outcome: '', votes: { 'toni-carter': 'Yea' } },
+          { id: 'golf', title: 'Landa Park Golf Course Lease', outcome: '', votes: { 'toni-carter': 'Nay' } }
+        ]
+      }]
+    };
+    const diff = diffAgainstStore(meetings, edited);
+    assert.equal(diff.mismatches.length, 1);
+    assert.equal(diff.mismatches[0].recorded, 'Yea');
+    assert.equal(diff.mismatches[0].minutes, 'Nay');
+    assert.deepEqual(diff.unmatchedRecords.map(r => r.itemTitle), ['Landa Park Golf Course Lease']);
+
+    const review = formatReview(diff);
+    assert.match(review, /^! 2026-01-12 toni-carter: minutes say Nay, roll-calls\.json says Yea/m);
+    assert.match(review, /^\? 2026-01-12 "Landa Park Golf Course Lease"/m);
+  });
+});
+
+describe('attendance', () => {
+  const meetings = parseMinutesDir(FIXTURES, { people });
+
+  it('reports meetings whose attendance the store lacks or records differently', () => {
+    assert.deepEqual(diffAgainstStore(meetings, store).attendance.map(a => a.date), ['2026-01-12', '2026-01-26']);
+    const recorded = applyAttendance(store, meetings).store;
+    assert.deepEqual(diffAgainstStore(meetings, recorded).attendance, []);
+
+    const jan12 = recorded.meetings.find(m => m.id === 'nb-city-council-2026-01-12');
+    jan12.attendance = { present: jan12.attendance.present.slice(1), absent: ['lawrence-spradley'] };
+    const diff = diffAgainstStore(meetings, recorded);
+    assert.equal(diff.attendance.length, 1);
+    assert.match(formatReview(diff), /^! 2026-01-12 attendance: minutes say 7 present, roll-calls\.json differs/m);
+  });
+
+  it('writes attendance onto existing meetings without touching their items', () => {
+    const result = applyAttendance(store, meetings);
+    assert.deepEqual(result.updated, ['nb-city-council-2026-01-12', 'nb-city-council-2026-01-26']);
+    assert.deepEqual(result.added, []);
+    const jan26 = result.store.meetings.find(m => m.id === 'nb-city-council-2026-01-26');
+    assert.equal(jan26.attendance.present.length, 7);
+    assert.deepEqual(jan26.items, store.meetings.find(m => m.id === 'nb-city-council-2026-01-26').items);
+    assert.equal(store.meetings.find(m => m.id === 'nb-city-council-2026-01-26').attendance, undefined, 'input is not modified');
+    assert.deepEqual(applyAttendance(result.store, meetings).updated, [], 'unchanged attendance is not rewritten');
+  });
+
+  it('adds meetings the store does not have yet, newest first, and drops unresolved names', () => {
+    const extra = [{ date: '2026-02-09', attendance: { present: ['toni-carter', 'Councilmember Smith'], absent: ['april-ryan'] } }];
+    const result = applyAttendance(store, extra);
+    assert.deepEqual(result.added, ['nb-city-council-2026-02-09']);
+    assert.deepEqual(result.store.meetings[0], {
+      id: 'nb-city-council-2026-02-09',
+      body: 'nb-city-council',
+      date: '2026-02-09',
+      attendance: { present: ['toni-carter'], absent: ['april-ryan'] },
+      items: []
+    });
+  });
+});
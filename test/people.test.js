@@ -0,0 +1,168 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    normalizePersonName,
+    getPersonNames,
+    findPerson,
+    findProfileSlug,
+    buildNameIndex
+} = require('../js/people.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const people = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/people.json'), 'utf-8'));
+
+const mockPeople = [
+    { slug: 'toni-carter', name: 'Toni Carter', aliases: ['Toni L. Carter'], party: 'R', photo: null, profile: true, offices: [] },
+    { slug: 'd-lee-edwards', name: 'D. Lee Edwards', aliases: ['Lee Edwards'], party: 'R', photo: null, profile: true, offices: [] },
+    { slug: 'mark-long', name: 'Mark Long', aliases: [], party: 'R', photo: null, profile: false, offices: [] }
+];
+
+describe('normalizePersonName', () => {
+    it('ignores case, extra whitespace and parenthetical notes', () => {
+        assert.equal(normalizePersonName('  Mark   Long (interim) '), 'mark long');
+        assert.equal(normalizePersonName('TONI L. CARTER'), 'toni l. carter');
+    });
+
+    it('returns empty string for missing names', () => {
+        assert.equal(normalizePersonName(null), '');
+    });
+});
+
+describe('getPersonNames', () => {
+    it('lists the display name before aliases', () => {
+        assert.deepEqual(getPersonNames(mockPeople[0]), ['Toni Carter', 'Toni L. Carter']);
+    });
+});
+
+describe('findPerson / findProfileSlug', () => {
+    it('finds people by alias', () => {
+        assert.equal(findPerson(mockPeople, 'Toni L. Carter').slug, 'toni-carter');
+        assert.equal(findProfileSlug(mockPeople, 'Lee Edwards'), 'd-lee-edwards');
+    });
+
+    it('matches names carrying a parenthetical note', () => {
+        assert.equal(findPerson(mockPeople, 'Mark Long (interim)').slug, 'mark-long');
+    });
+
+    it('returns null slug for people without a profile page', () => {
+        assert.equal(findProfileSlug(mockPeople, 'Mark Long'), null);
+    });
+
+    it('returns null for unknown names', () => {
+        assert.equal(findPerson(mockPeople, 'Nobody Here'), null);
+        assert.equal(findProfileSlug(mockPeople, ''), null);
+    });
+});
+
+describe('buildNameIndex', () => {
+    it('includes aliases, skips people without profiles, longest first', () => {
+        const index = buildNameIndex(mockPeople);
+        assert.deepEqual(index.map(e => e.name), ['Toni L. Carter', 'D. Lee Edwards', 'Toni Carter', 'Lee Edwards']);
+        assert.ok(index.every(e => e.slug !== 'mark-long'));
+    });
+
+    it('returns an empty index for no data', () => {
+        assert.deepEqual(buildNameIndex(null), []);
+    });
+});
+
+describe('people.json registry', () => {
+    it('has unique slugs', () => {
+        const slugs = people.map(p => p.slug);
+        assert.equal(new Set(slugs).size, slugs.length);
+    });
+
+    it('has each name or alias pointing at exactly one person', () => {
+        const seen = {};
+        people.forEach(p => {
+            getPersonNames(p).forEach(name => {
+                const key = normalizePersonName(name);
+                assert.ok(!seen[key], `"${name}" is used by both ${seen[key]} and ${p.slug}`);
+                seen[key] = p.slug;
+            });
+        });
+    });
+
+    it('has a registry entry for every profile page, and a page for every profile entry', () => {
+        const pages = fs.readdirSync(path.join(ROOT, 'profiles'))
+            .filter(f => f.endsWith('.html'))
+            .map(f => f.replace(/\.html$/, ''))
+            .sort();
+        const registered = people.filter(p => p.profile).map(p => p.slug).sort();
+        assert.deepEqual(registered, pages);
+    });
+
+    it('has photos that exist on disk', () => {
+        people.filter(p => p.photo).forEach(p => {
+            assert.ok(fs.existsSync(path.join(ROOT, p.photo)), `${p.slug}: missing ${p.photo}`);
+        });
+    });
+
+    it('resolves every officials.json name to its profileSlug', () => {
+        const officials = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/officials.json'), 'utf-8'));
+        Object.keys(officials).filter(k => k !== 'updated').forEach(group => {
+            Object.keys(officials[group]).forEach(seat => {
+                const official = officials[group][seat];
+                if (official.vacant) return;
+                assert.ok(findPerson(people, official.name), `${group} ${seat}: ${official.name} is not in people.json`);
+                assert.equal(findProfileSlug(people, official.name), official.profileSlug || null,
+                    `${group} ${seat}: ${official.name}`);
+            });
+        });
+    });
+
+    it('has a profiled officeholder for every city council map district', () => {
+        const geo = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/geo/nb-city-council.geojson'), 'utf-8'));
+        const officials = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/officials.json'), 'utf-8'));
+        geo.features.forEach(f => {
+            const seat = officials.cityCouncil[f.properties.District];
+            assert.ok(seat, `District ${f.properties.District}`);
+            assert.ok(findProfileSlug(people, seat.name), seat.name);
+        });
+    });
+
+    it('agrees with races.json candidate slugs', () => {
+        const races = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/races.json'), 'utf-8'));
+        races.forEach(race => {
+            race.candidates.filter(c => c.slug).forEach(c => {
+                assert.equal(findProfileSlug(people, c.name), c.slug, `${race.id}: ${c.name}`);
+            });
+        });
+    });
+});
+
+describe('name linkers load the registry', () => {
+    it('no hard-coded name map remains in layout.js, candidate-mapping.js or the map page', () => {
+        ['js/layout.js', 'js/candidate-mapping.js', 'find-my-officials.html'].forEach(file => {
+            const src = fs.readFileSync(path.join(ROOT, file), 'utf-8');
+            assert.ok(!src.includes("'Toni Carter'") && !src.includes("'Toni L. Carter'"), file);
+        });
+    });
+
+    it('initAutoLinking reads people.json instead of officials.json', () => {
+        const src = fs.readFileSync(path.join(ROOT, 'js/utils.js'), 'utf-8');
+        assert.ok(src.includes('data/people.json'));
+        assert.ok(!src.includes('current_officials'));
+    });
+
+    it('every page that loads layout.js loads people.js first', () => {
+        const pages = [];
+        (function walk(dir) {
+            fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+                if (entry.name === 'node_modules' || entry.name.startsWith('.')) return;
+                const full = path.join(dir, entry.name);
+                if (entry.isDirectory()) walk(full);
+                else if (entry.name.endsWith('.html')) pages.push(full);
+            });
+        })(ROOT);
+        pages.forEach(page => {
+            const html = fs.readFileSync(page, 'utf-8');
+            const layoutAt = html.indexOf('js/layout.js');
+            if (layoutAt === -1) return;
+            const peopleAt = html.indexOf('js/people.js');
+            assert.ok(peopleAt !== -1 && peopleAt < layoutAt, path.relative(ROOT, page));
+        });
+    });
+});
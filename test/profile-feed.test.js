@@ -3,7 +3,13 @@ const assert = require('node:assert/strict');
 const fs = require('fs');
 const path = require('path');
 
-const { getCandidateSlug, filterByCandidate, renderProfileFeed } = require('../js/profile-feed.js');
+const {
+    getCandidateSlug,
+    getRelatedCandidates,
+    filterByCandidate,
+    mergeProfileFeeds,
+    renderFeedBadge
+} = require('../js/profile-feed.js');
 
 // Sample feed data
 const sampleEntries = [
@@ -77,39 +83,44 @@ describe('filterByCandidate', () => {
     });
 });
 
-describe('renderProfileFeed', () => {
-    it('renders no-activity message for empty entries', () => {
-        const container = {};
-        const html = renderProfileFeed([], container);
-        assert.ok(html.includes('No recent activity'));
-        assert.equal(container.innerHTML, html);
+describe('relatedCandidates', () => {
+    const policyEntries = [
+        { id: 'pf-001', date: '2026-02-12T12:00:00', title: 'Council Approves TIRZ Boards', tags: ['tirz'], relatedCandidates: ['toni-carter', 'neal-linnartz'] },
+        { id: 'pf-002', date: '2026-02-14T12:00:00', title: 'TCEQ Hearing', tags: ['neal-linnartz'] },
+        { id: 'cn-002', date: '2026-02-08T12:00:00', title: 'Five Candidates File (policy copy)', tags: [], relatedCandidate: 'neal-linnartz' },
+    ];
+
+    it('combines relatedCandidates with the older relatedCandidate', () => {
+        assert.deepEqual(getRelatedCandidates({ relatedCandidates: ['a', 'b'], relatedCandidate: 'b' }), ['a', 'b']);
+        assert.deepEqual(getRelatedCandidates({ relatedCandidate: 'c' }), ['c']);
+        assert.deepEqual(getRelatedCandidates({}), []);
     });
 
-    it('renders no-activity message for null entries', () => {
-        const html = renderProfileFeed(null, {});
-        assert.ok(html.includes('No recent activity'));
+    it('matches any slug in relatedCandidates', () => {
+        assert.deepEqual(filterByCandidate(policyEntries, 'toni-carter').map(e => e.id), ['pf-001']);
     });
 
-    it('renders feed cards for entries (fallback renderer)', () => {
-        const entries = filterByCandidate(sampleEntries, 'neal-linnartz');
-        const container = {};
-        const html = renderProfileFeed(entries, container);
-        assert.ok(html.includes('feed-card'));
-        assert.ok(html.includes('Five Candidates File'));
-        assert.ok(html.includes('Linnartz Budget'));
-        assert.equal(container.innerHTML, html);
+    it('matches the tag slug only when asked', () => {
+        assert.deepEqual(filterByCandidate(policyEntries, 'neal-linnartz').map(e => e.id), ['pf-001', 'cn-002']);
+        assert.deepEqual(filterByCandidate(policyEntries, 'neal-linnartz', { matchTags: true }).map(e => e.id), ['pf-002', 'pf-001', 'cn-002']);
     });
 
-    it('includes source links in rendered cards', () => {
-        const entries = filterByCandidate(sampleEntries, 'neal-linnartz');
-        const html = renderProfileFeed(entries, {});
-        assert.ok(html.includes('feed-card-source'));
-        assert.ok(html.includes('https://example.com'));
+    it('merges feeds newest-first, keeping a shared story once', () => {
+        const merged = mergeProfileFeeds([
+            { feed: 'candidate-news', entries: sampleEntries },
+            { feed: 'policy-feed', entries: policyEntries }
+        ]);
+        assert.equal(merged.length, 6);
+        assert.equal(merged[0].id, 'pf-002');
+        assert.equal(merged[0].sourceFeed, 'policy-feed');
+        assert.equal(merged.find(e => e.id === 'cn-002').sourceFeed, 'candidate-news');
+        assert.equal(policyEntries[0].sourceFeed, undefined, 'does not modify the feed entries');
     });
 
-    it('works without container', () => {
-        const html = renderProfileFeed([], null);
-        assert.ok(html.includes('No recent activity'));
+    it('badges an entry by its feed', () => {
+        assert.equal(renderFeedBadge('policy-feed'), '<span class="feed-badge feed-badge-policy-feed">Policy</span>');
+        assert.equal(renderFeedBadge('candidate-news'), '<span class="feed-badge feed-badge-candidate-news">Candidate News</span>');
+        assert.equal(renderFeedBadge('nope'), '');
     });
 });
 
@@ -136,9 +147,9 @@ describe('Profile HTML structure', () => {
                 assert.ok(content.includes('js/layout.js'), `${file} missing layout.js`);
             });
 
-            it('has Recent Activity section', () => {
-                assert.ok(content.includes('Recent Activity'), `${file} missing Recent Activity section`);
-                assert.ok(content.includes('id="candidate-activity"'), `${file} missing candidate-activity container`);
+            it('shows activity once, in the Timeline', () => {
+                assert.ok(content.includes('id="profile-timeline"'), `${file} missing profile-timeline container`);
+                assert.ok(!content.includes('id="candidate-activity"'), `${file} still has the Recent Activity feed`);
             });
 
             it('has data-candidate-slug attribute', () => {
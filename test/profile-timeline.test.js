@@ -0,0 +1,168 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    buildProfileTimeline,
+    filterTimeline,
+    groupTimeline,
+    renderProfileTimeline,
+    renderTimelineControls
+} = require('../js/profile-timeline.js');
+const { mergeProfileFeeds } = require('../js/profile-feed.js');
+
+const entries = [
+    { id: 'pf-1', date: '2026-02-12T12:00:00', title: 'Council Approves <TIRZ> Boards', summary: 'Boards named.', source: 'Herald', sourceUrl: 'https://example.com/tirz', tags: [], relatedCandidates: ['alice-ames', 'ben-brook'] },
+    { id: 'cn-1', date: '2026-01-20T09:00:00', title: 'Ames Files for Re-election', summary: '', tags: ['alice-ames'] },
+    { id: 'cn-2', date: '2026-01-21T09:00:00', title: 'Unrelated', summary: '', tags: [] }
+];
+
+const rollCalls = {
+    meetings: [{ id: 'm1', body: 'nb-city-council', date: '2025-12-08', items: [
+        { id: 'budget', title: 'FY 2026 Budget', outcome: 'Passed 6-1', votes: { 'alice-ames': 'Nay', 'ben-brook': 'Yea' }, summaries: { 'alice-ames': 'Opposed the tax rate.' } }
+    ] }]
+};
+
+const races = [{ id: 'nb-council-1', office: 'City Council District 1', electionDate: '2026-05-02', candidates: [
+    { name: 'Alice Ames', slug: 'alice-ames', incumbent: true, filedDate: '2026-01-16' },
+    { name: 'Ben Brook', slug: 'ben-brook', incumbent: false, withdrawn: true, withdrawnDate: '2026-02-20', note: 'Withdrew Feb. 20' }
+] }];
+
+const endorsements = [
+    { id: 'en-1', endorser: { type: 'organization', slug: 'nb-chamber', name: 'NB Chamber' }, candidate: 'alice-ames', race: 'nb-council-1', date: '2026-02-01', sourceEntry: 'cn-1' },
+    { id: 'en-2', endorser: { type: 'person', slug: 'alice-ames', name: 'Alice Ames' }, candidate: 'ben-brook', race: 'nb-council-1', date: '2026-02-03', sourceEntry: 'cn-1' }
+];
+
+const sources = { entries, rollCalls, races, endorsements };
+
+describe('buildProfileTimeline', () => {
+    it('merges news, votes, filings and endorsements newest first', () => {
+        const events = buildProfileTimeline('alice-ames', sources);
+        assert.deepEqual(events.map(e => `${e.date} ${e.type}`), [
+            '2026-02-12 news',
+            '2026-02-03 endorsement',
+            '2026-02-01 endorsement',
+            '2026-01-20 news',
+            '2026-01-16 filing',
+            '2025-12-08 vote'
+        ]);
+        assert.equal(events[1].title, 'Endorsed Ben Brook');
+        assert.equal(events[2].title, 'Endorsed by NB Chamber');
+        assert.equal(events[2].href, 'organizations/nb-chamber.html');
+        assert.equal(events[5].vote, 'Nay');
+        assert.deepEqual(events[5].topics, ['budget']);
+    });
+
+    it('keeps the feed each news entry came from', () => {
+        const merged = mergeProfileFeeds([
+            { feed: 'candidate-news', entries: entries.slice(1) },
+            { feed: 'policy-feed', entries: entries.slice(0, 1) }
+        ]);
+        const news = buildProfileTimeline('alice-ames', { entries: merged });
+        assert.deepEqual(news.map(e => e.feed), ['policy-feed', 'candidate-news']);
+    });
+
+    it('records withdrawals as filings', () => {
+        const filing = buildProfileTimeline('ben-brook', sources).find(e => e.type === 'filing');
+        assert.equal(filing.title, 'Withdrew from City Council District 1');
+        assert.equal(filing.date, '2026-02-20');
+    });
+
+    it('leaves out sources that are not given', () => {
+        assert.deepEqual(buildProfileTimeline('alice-ames', { entries }).map(e => e.type), ['news', 'news']);
+        assert.deepEqual(buildProfileTimeline(null, sources), []);
+    });
+});
+
+describe('filterTimeline and groupTimeline', () => {
+    const events = buildProfileTimeline('alice-ames', sources);
+
+    it('filters by type, showing everything when nothing is selected', () => {
+        assert.equal(filterTimeline(events).length, events.length);
+        assert.equal(filterTimeline(events, { query: '', types: [], votes: [], topics: [] }).length, events.length);
+        assert.deepEqual(filterTimeline(events, { types: ['vote', 'filing'] }).map(e => e.type), ['filing', 'vote']);
+    });
+
+    it('searches title, summary and meta for every word', () => {
+        assert.deepEqual(filterTimeline(events, { query: 'tax rate' }).map(e => e.type), ['vote']);
+        assert.deepEqual(filterTimeline(events, { query: 'HERALD' }).map(e => e.date), ['2026-02-12']);
+        assert.equal(filterTimeline(events, { query: 'tirz budget' }).length, 0);
+    });
+
+    it('keeps only matching votes when a vote or topic is selected', () => {
+        assert.deepEqual(filterTimeline(events, { votes: ['Nay'] }).map(e => e.type), ['vote']);
+        assert.equal(filterTimeline(events, { votes: ['Yea'] }).length, 0);
+        assert.deepEqual(filterTimeline(events, { topics: ['budget'] }).map(e => e.type), ['vote']);
+        assert.equal(filterTimeline(events, { topics: ['zoning'] }).length, 0);
+    });
+
+    it('filters by an inclusive date range', () => {
+        assert.deepEqual(filterTimeline(events, { from: '2026-01-16', to: '2026-02-01' }).map(e => e.date), ['2026-02-01', '2026-01-20', '2026-01-16']);
+        assert.equal(filterTimeline(events, { to: '2025-12-31' }).length, 1);
+    });
+
+    it('groups by year and month', () => {
+        const years = groupTimeline(events);
+        assert.deepEqual(years.map(y => y.year), ['2026', '2025']);
+        assert.deepEqual(years[0].months.map(m => `${m.label}:${m.events.length}`), ['February:3', 'January:2']);
+        assert.equal(years[1].months[0].label, 'December');
+    });
+});
+
+describe('renderProfileTimeline', () => {
+    it('renders escaped, linked events under year and month headings', () => {
+        const container = { innerHTML: '' };
+        const html = renderProfileTimeline(buildProfileTimeline('alice-ames', sources), container);
+        assert.equal(container.innerHTML, html);
+        assert.ok(html.includes('<h3>2026</h3>'));
+        assert.ok(html.includes('<h4>February</h4>'));
+        assert.ok(html.includes('Council Approves &lt;TIRZ&gt; Boards'));
+        assert.ok(html.includes('href="https://example.com/tirz" target="_blank"'));
+        assert.ok(html.includes('href="../profiles/ben-brook.html"'));
+        assert.ok(html.includes('vr-badge-nay'));
+        assert.ok(html.includes('<span class="vr-topic">Budget, Taxes &amp; Fees</span>'));
+    });
+
+    it('badges news by its feed', () => {
+        const merged = mergeProfileFeeds([{ feed: 'policy-feed', entries }]);
+        const html = renderProfileTimeline(buildProfileTimeline('alice-ames', { entries: merged }), null);
+        assert.ok(html.includes('data-feed="policy-feed"'));
+        assert.ok(html.includes('<span class="feed-badge feed-badge-policy-feed">Policy</span>'));
+        assert.ok(!html.includes('<span class="tl-type">News</span>'));
+    });
+
+    it('shows an empty state', () => {
+        assert.match(renderProfileTimeline([], null), /Nothing on the timeline matches/);
+    });
+
+    it('offers search, a date range and filters only for types, votes and topics that occur', () => {
+        const html = renderTimelineControls(buildProfileTimeline('alice-ames', { entries, rollCalls }));
+        assert.ok(html.includes('data-filter="query"'));
+        assert.ok(html.includes('value="news"> News (2)'));
+        assert.ok(html.includes('value="vote"> Votes (1)'));
+        assert.ok(!html.includes('value="filing"'));
+        assert.ok(html.includes('value="Nay"> Nay (1)'));
+        assert.ok(!html.includes('value="Yea"'));
+        assert.ok(html.includes('data-topic="budget" aria-pressed="false">Budget, Taxes &amp; Fees (1)'));
+        assert.ok(html.includes('min="2025-12-08" max="2026-02-12"'));
+    });
+
+    it('leaves out vote filters when there are no votes', () => {
+        const html = renderTimelineControls(buildProfileTimeline('alice-ames', { entries }));
+        assert.ok(!html.includes('data-filter="vote"'));
+        assert.ok(!html.includes('data-filter="topic"'));
+    });
+});
+
+describe('profile pages', () => {
+    it('every profile has a timeline and loads its scripts once', () => {
+        const dir = path.join(__dirname, '..', 'profiles');
+        fs.readdirSync(dir).filter(f => f.endsWith('.html')).forEach(file => {
+            const html = fs.readFileSync(path.join(dir, file), 'utf8');
+            assert.ok(html.includes('id="profile-timeline"'), `${file} missing profile-timeline`);
+            ['profile-timeline.js', 'profile-feed.js', 'roll-calls.js', 'endorsements.js'].forEach(script => {
+                assert.equal(html.split(`js/${script}`).length - 1, 1, `${file} should load ${script} once`);
+            });
+        });
+    });
+});
@@ -0,0 +1,184 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    getElectionIcon,
+    renderCandidateChip,
+    renderRaceCard,
+    renderEarlyVotingNotice,
+    renderRacesByElection
+} = require('../js/races.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const mockEvents = [
+    { id: 'p-ev', election: 'primary-2026', type: 'early-voting', event: 'Early Voting', date: 'February 17–27, 2026', iso: '2026-02-17', end_iso: '2026-02-27' },
+    { id: 'p', election: 'primary-2026', type: 'election', event: 'Primary Election Day', date: 'March 3, 2026', iso: '2026-03-03' },
+    { id: 'm', election: 'municipal-2026', type: 'election', event: 'Municipal Election Day', date: 'May 2, 2026', iso: '2026-05-02' }
+];
+
+const mockRaces = [
+    {
+        id: 'mayor', office: 'Mayor — New Braunfels', election: 'municipal-2026', electionDate: '2026-05-02', partyPrimary: null,
+        candidates: [
+            { name: 'Neal Linnartz', slug: 'neal-linnartz', photo: 'images/neal-linnartz.jpg', incumbent: true },
+            { name: 'Michael French', slug: 'michael-french', photo: 'images/michael-french.jpg', incumbent: false }
+        ]
+    },
+    {
+        id: 'judge', office: 'Comal County Judge', note: 'Vacant', election: 'primary-2026', electionDate: '2026-03-03', partyPrimary: 'R',
+        candidates: [
+            { name: 'Deb Hindman', incumbent: false, withdrawn: true, note: 'Withdrew Feb. 14' },
+            { name: 'Kristen Hoyt', slug: 'kristen-hoyt', photo: 'images/kristen-hoyt.webp', incumbent: false }
+        ]
+    }
+];
+
+function at(iso) {
+    return new Date(iso + 'T09:30:00');
+}
+
+describe('getElectionIcon', () => {
+    it('picks an icon by election kind', () => {
+        assert.equal(getElectionIcon('municipal-2026'), '🏛️');
+        assert.equal(getElectionIcon('general-2026'), '🇺🇸');
+        assert.equal(getElectionIcon('primary-2026'), '🗳️');
+    });
+});
+
+describe('renderCandidateChip', () => {
+    it('links candidates with a profile slug', () => {
+        const html = renderCandidateChip(mockRaces[0].candidates[1], mockRaces[0]);
+        assert.ok(html.startsWith('<a href="profiles/michael-french.html" class="candidate-chip"'));
+        assert.ok(html.endsWith('</a>'));
+    });
+
+    it('builds alt text from the race office', () => {
+        const html = renderCandidateChip(mockRaces[0].candidates[1], mockRaces[0]);
+        assert.ok(html.includes('alt="Michael French - Mayor — New Braunfels candidate"'));
+    });
+
+    it('marks incumbents with class and star', () => {
+        const html = renderCandidateChip(mockRaces[0].candidates[0], mockRaces[0]);
+        assert.ok(html.includes('class="candidate-chip incumbent"'));
+        assert.ok(html.includes('incumbent-star'));
+    });
+
+    it('renders withdrawn candidates without a link', () => {
+        const html = renderCandidateChip(mockRaces[1].candidates[0], mockRaces[1]);
+        assert.ok(html.startsWith('<div class="candidate-chip withdrawn"'));
+        assert.ok(html.includes('(Withdrew)'));
+        assert.ok(html.includes('title="Withdrew Feb. 14"'));
+    });
+
+    it('shows party only outside party primaries', () => {
+        const general = { office: 'State Senator District 25', partyPrimary: null };
+        const primary = { office: 'US House District 21', partyPrimary: 'R' };
+        const candidate = { name: 'Donna Campbell', slug: 'donna-campbell', party: 'R' };
+        assert.ok(renderCandidateChip(candidate, general).includes('Donna Campbell (R)'));
+        assert.ok(!renderCandidateChip(candidate, primary).includes('(R)'));
+    });
+
+    it('escapes names', () => {
+        const html = renderCandidateChip({ name: '<script>' }, mockRaces[0]);
+        assert.ok(html.includes('&lt;script&gt;'));
+    });
+});
+
+describe('renderRaceCard', () => {
+    it('renders office, note and primary label', () => {
+        const html = renderRaceCard(mockRaces[1]);
+        assert.ok(html.includes('<h4>Comal County Judge <span class="race-note">(Vacant)</span></h4>'));
+        assert.ok(html.includes('Republican Primary'));
+    });
+
+    it('lists withdrawn candidates last', () => {
+        const html = renderRaceCard(mockRaces[1]);
+        assert.ok(html.indexOf('Kristen Hoyt') < html.indexOf('Deb Hindman'));
+    });
+
+    it('has balanced anchor tags', () => {
+        const html = renderRaceCard(mockRaces[0]);
+        assert.equal((html.match(/<a /g) || []).length, (html.match(/<\/a>/g) || []).length);
+    });
+});
+
+describe('renderEarlyVotingNotice', () => {
+    const primaryEvents = mockEvents.filter(e => e.election === 'primary-2026');
+
+    it('announces the start date before early voting', () => {
+        assert.ok(renderEarlyVotingNotice(primaryEvents, at('2026-02-01')).includes('Early Voting Starts February 17!'));
+    });
+
+    it('says open during early voting', () => {
+        assert.ok(renderEarlyVotingNotice(primaryEvents, at('2026-02-20')).includes('Open Now'));
+    });
+
+    it('renders nothing after early voting or without an early voting event', () => {
+        assert.equal(renderEarlyVotingNotice(primaryEvents, at('2026-03-01')), '');
+        assert.equal(renderEarlyVotingNotice([mockEvents[2]], at('2026-03-01')), '');
+    });
+});
+
+describe('renderRacesByElection', () => {
+    it('groups races into sections in election-date order', () => {
+        const container = { innerHTML: '' };
+        const html = renderRacesByElection(mockRaces, mockEvents, container, at('2026-02-01'));
+        assert.ok(html.indexOf('id="races-primary-2026"') < html.indexOf('id="races-municipal-2026"'));
+        assert.ok(html.includes('Primary Election — March 3, 2026'));
+        assert.equal(container.innerHTML, html);
+    });
+
+    it('still renders races whose election is missing from the calendar', () => {
+        const html = renderRacesByElection(mockRaces, [], null, at('2026-02-01'));
+        assert.ok(html.includes('Comal County Judge'));
+        assert.ok(html.includes('Michael French'));
+    });
+});
+
+describe('races.json data', () => {
+    const races = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/races.json'), 'utf-8'));
+    const events = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/elections.json'), 'utf-8'));
+
+    it('has unique race ids and required fields', () => {
+        const ids = races.map(r => r.id);
+        assert.equal(new Set(ids).size, ids.length);
+        for (const race of races) {
+            assert.ok(race.office, `${race.id} should have office`);
+            assert.ok(race.election, `${race.id} should have election`);
+            assert.match(race.electionDate, /^\d{4}-\d{2}-\d{2}$/);
+            assert.ok(Array.isArray(race.candidates) && race.candidates.length > 0, `${race.id} should have candidates`);
+        }
+    });
+
+    it('every race election is on the election calendar with a matching date', () => {
+        for (const race of races) {
+            const day = events.find(e => e.election === race.election && (e.type === 'election' || e.type === 'runoff'));
+            assert.ok(day, `${race.id}: election ${race.election} not in elections.json`);
+            assert.equal(race.electionDate, day.iso, `${race.id}: electionDate does not match elections.json`);
+        }
+    });
+
+    it('candidate slugs and photos point to existing files', () => {
+        const missing = [];
+        for (const race of races) {
+            for (const c of race.candidates) {
+                if (c.slug && !fs.existsSync(path.join(ROOT, 'profiles', c.slug + '.html'))) missing.push(c.slug);
+                if (c.photo && !fs.existsSync(path.join(ROOT, c.photo))) missing.push(c.photo);
+            }
+        }
+        assert.deepEqual(missing, []);
+    });
+});
+
+describe('Homepage races section', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf-8');
+
+    it('renders races from data instead of hard-coded chips', () => {
+        assert.ok(html.includes('id="races-by-date"'));
+        assert.ok(html.includes('data/races.json'));
+        assert.ok(html.includes('js/races.js'));
+        assert.ok(!html.includes('class="candidate-chip'), 'candidate chips should come from races.json');
+    });
+});
@@ -0,0 +1,203 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { listRollCalls, getMemberVotes, getMemberAttendance, tagTopics, listTopics, getTopicLabel } = require('../js/roll-calls.js');
+const { migrateVotingRecords, similarTitles } = require('../scripts/migrate-voting-records.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const store = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/roll-calls.json'), 'utf-8'));
+
+const mockStore = {
+    bodies: { 'nb-city-council': { name: 'New Braunfels City Council', source: null } },
+    meetings: [
+        {
+            id: 'nb-city-council-2026-01-12', body: 'nb-city-council', date: '2026-01-12',
+            items: [{ id: 'faust', title: 'Faust STR', outcome: 'Passed 5-2', votes: { 'toni-carter': 'Nay', 'april-ryan': 'Nay' }, summaries: { 'toni-carter': 'Opposed.' } }],
+        },
+        {
+            id: 'nb-city-council-2026-01-26', body: 'nb-city-council', date: '2026-01-26',
+            items: [
+                { id: 'tirz', title: 'TIRZ 5', outcome: 'Passed 6-1', votes: { 'toni-carter': 'Nay' } },
+                { id: 'gruene', title: 'Gruene Road', outcome: 'Passed 6-1', votes: { 'april-ryan': 'Yea' } },
+            ],
+        },
+    ],
+};
+
+describe('listRollCalls', () => {
+    it('flattens meetings newest first and copies the meeting date and body', () => {
+        const rollCalls = listRollCalls(mockStore);
+        assert.deepEqual(rollCalls.map(rc => rc.id), ['tirz', 'gruene', 'faust']);
+        assert.equal(rollCalls[0].date, '2026-01-26');
+        assert.equal(rollCalls[0].meetingId, 'nb-city-council-2026-01-26');
+        assert.equal(rollCalls[0].body, 'nb-city-council');
+    });
+
+    it('handles a missing store', () => {
+        assert.deepEqual(listRollCalls(null), []);
+    });
+});
+
+describe('getMemberVotes', () => {
+    it('derives one member\'s record in the profile shape', () => {
+        const votes = getMemberVotes(mockStore, 'toni-carter');
+        assert.equal(votes.length, 2);
+        assert.deepEqual(votes[1], {
+            date: '2026-01-12', body: 'nb-city-council', meetingId: 'nb-city-council-2026-01-12', itemId: 'faust',
+            itemTitle: 'Faust STR', summary: 'Opposed.', vote: 'Nay', outcome: 'Passed 5-2',
+        });
+        assert.equal(votes[0].summary, '');
+    });
+
+    it('returns an empty list for members with no votes', () => {
+        assert.deepEqual(getMemberVotes(mockStore, 'scott-haag'), []);
+    });
+
+    it('gives every council member in data/roll-calls.json a record', () => {
+        ['neal-linnartz', 'lawrence-spradley', 'toni-carter', 'michael-capizzi', 'd-lee-edwards', 'mary-ann-labowski', 'april-ryan']
+            .forEach(slug => assert.ok(getMemberVotes(store, slug).length > 20, slug));
+    });
+});
+
+describe('getMemberAttendance', () => {
+    const attendanceStore = {
+        meetings: [
+            {
+                id: 'nb-city-council-2026-02-09', body: 'nb-city-council', date: '2026-02-09',
+                attendance: { present: ['april-ryan'], absent: ['toni-carter'] },
+                items: [{ id: 'budget', title: 'Budget', outcome: 'Passed', votes: { 'toni-carter': 'Absent', 'april-ryan': 'Recused' } }],
+            },
+            {
+                id: 'nb-city-council-2026-02-23', body: 'nb-city-council', date: '2026-02-23',
+                attendance: { present: ['toni-carter', 'april-ryan'], absent: [] },
+                items: [],
+            },
+        ].concat(mockStore.meetings.concat([{
+            id: 'nb-city-council-2026-01-05', body: 'nb-city-council', date: '2026-01-05',
+            items: [{ id: 'lease', title: 'Lease', outcome: 'Passed', votes: { 'toni-carter': 'Absent', 'april-ryan': 'Abstain' } }],
+        }])),
+    };
+
+    it('uses recorded attendance, newest meeting first', () => {
+        const carter = getMemberAttendance(attendanceStore, 'toni-carter');
+        assert.equal(carter.meetings, 5);
+        assert.equal(carter.present, 3);
+        assert.equal(carter.rate, 0.6);
+        assert.deepEqual(carter.absences.map(a => a.date), ['2026-02-09', '2026-01-05']);
+    });
+
+    it('infers attendance from votes when the meeting has none', () => {
+        const ryan = getMemberAttendance(attendanceStore, 'april-ryan');
+        assert.equal(ryan.meetings, 5, 'the 2026-01-26 meeting counts from her Gruene Road vote');
+        assert.equal(ryan.absent, 0);
+        assert.equal(ryan.abstentions, 1);
+        assert.deepEqual(ryan.recusals, [{ date: '2026-02-09', body: 'nb-city-council', meetingId: 'nb-city-council-2026-02-09', itemId: 'budget', itemTitle: 'Budget' }]);
+    });
+
+    it('returns a null rate with no meetings', () => {
+        const none = getMemberAttendance(attendanceStore, 'nobody');
+        assert.equal(none.meetings, 0);
+        assert.equal(none.rate, null);
+    });
+
+    it('gives every council member in data/roll-calls.json an attendance record', () => {
+        ['neal-linnartz', 'lawrence-spradley', 'toni-carter', 'michael-capizzi', 'd-lee-edwards', 'mary-ann-labowski', 'april-ryan'].forEach(slug => {
+            assert.ok(getMemberAttendance(store, slug).meetings > 0, slug);
+        });
+    });
+});
+
+describe('tagTopics', () => {
+    it('tags titles by keyword rules', () => {
+        assert.deepEqual(tagTopics('Rezone 385 W. Faust Street — Short-Term Rental SUP'), ['zoning']);
+        assert.deepEqual(tagTopics('TIRZ No. 5 Project and Financing Plan'), ['development']);
+        assert.deepEqual(tagTopics('Thoroughfare Plan Amendment'), ['infrastructure']);
+    });
+
+    it('can tag more than one topic, and falls back to other', () => {
+        assert.deepEqual(tagTopics('Tax Abatement and FY2026 Budget Amendment'), ['development', 'budget']);
+        assert.deepEqual(tagTopics('Proclamation for Wurstfest'), ['other']);
+    });
+
+    it('does not read a denial as land use', () => {
+        assert.deepEqual(tagTopics('Denial — Telecom Tower at 514 S. Castell Avenue'), ['other']);
+        assert.deepEqual(tagTopics('Denial — Rezone 215 Dittlinger Street (STR)'), ['zoning']);
+    });
+
+    it('lists one label per topic, ending with other', () => {
+        assert.deepEqual(listTopics().map(t => t.id), ['zoning', 'development', 'budget', 'infrastructure', 'governance', 'other']);
+        assert.equal(getTopicLabel('zoning'), 'Zoning & Land Use');
+        assert.equal(getTopicLabel('nope'), 'Other');
+    });
+});
+
+describe('migrateVotingRecords', () => {
+    const records = {
+        'toni-carter': [
+            { date: '2026-01-26', itemTitle: 'TIRZ No. 5', summary: 'Opposed.', vote: 'Nay', outcome: 'Passed 6-1 (Carter opposed)' },
+            { date: '2025-07-28', itemTitle: 'Parking Restriction — Arroyo Verde', summary: '', vote: 'Yea', outcome: 'Passed 6-1' },
+        ],
+        'april-ryan': [
+            { date: '2026-01-26', itemTitle: 'TIRZ No. 5', summary: 'Moved it.', vote: 'Yea', outcome: 'Passed 6-1' },
+            { date: '2025-07-28', itemTitle: 'Parking Restriction — Both Sides of Arroyo Verde', summary: '', vote: 'Yea', outcome: 'Passed 6-1' },
+        ],
+    };
+
+    it('stores each item once with every member\'s vote and summary', () => {
+        const { store: migrated } = migrateVotingRecords(records);
+        assert.deepEqual(migrated.meetings.map(m => m.id), ['nb-city-council-2026-01-26', 'nb-city-council-2025-07-28']);
+        const tirz = migrated.meetings[0].items[0];
+        assert.equal(tirz.id, 'tirz-no-5');
+        assert.deepEqual(tirz.votes, { 'toni-carter': 'Nay', 'april-ryan': 'Yea' });
+        assert.deepEqual(tirz.summaries, { 'toni-carter': 'Opposed.', 'april-ryan': 'Moved it.' });
+        assert.equal(tirz.outcome, 'Passed 6-1 (Carter opposed)');
+    });
+
+    it('round-trips: derived member views match the original records', () => {
+        const { store: migrated } = migrateVotingRecords(records);
+        const ryan = getMemberVotes(migrated, 'april-ryan');
+        assert.deepEqual(ryan.map(v => [v.date, v.itemTitle, v.vote, v.summary]),
+            records['april-ryan'].map(v => [v.date, v.itemTitle, v.vote, v.summary]));
+    });
+
+    it('flags outcomes that differ between copies', () => {
+        const { issues } = migrateVotingRecords(records);
+        assert.ok(issues.some(i => /2026-01-26 "TIRZ No\. 5": outcome differs between copies/.test(i)));
+    });
+
+    it('flags one item filed under two titles', () => {
+        const { issues } = migrateVotingRecords(records);
+        assert.ok(issues.some(i => /"Parking Restriction — Arroyo Verde" and "Parking Restriction — Both Sides of Arroyo Verde" may be the same item/.test(i)));
+    });
+
+    it('flags a member with two different votes on one item', () => {
+        const { issues } = migrateVotingRecords({
+            'toni-carter': [
+                { date: '2026-01-26', itemTitle: 'X', summary: '', vote: 'Nay', outcome: 'Passed' },
+                { date: '2026-01-26', itemTitle: 'X', summary: '', vote: 'Yea', outcome: 'Passed' },
+            ],
+        });
+        assert.deepEqual(issues, ['2026-01-26 "X": toni-carter is listed as both Nay and Yea']);
+    });
+
+    it('matches titles by their words', () => {
+        assert.equal(similarTitles('Tax Abatement Agreement — Aumovio (Continental Autonomous Mobility)', 'Tax Abatement Agreement — Continental Autonomous Mobility (Aumovio)'), true);
+        assert.equal(similarTitles('TIRZ No. 2 — River Mill', 'TIRZ No. 4 — Zipp Park'), false);
+    });
+});
+
+describe('profile voting records', () => {
+    it('every officeholder profile with roll calls gets its votes from roll-calls.json', () => {
+        const dir = path.join(ROOT, 'profiles');
+        const pages = fs.readdirSync(dir).filter(f => f.endsWith('.html'))
+            .map(f => fs.readFileSync(path.join(dir, f), 'utf-8'))
+            .filter(html => html.includes('Votes from '));
+        assert.ok(pages.length >= 9);
+        pages.forEach(html => {
+            assert.ok(html.includes('js/roll-calls.js'));
+            assert.ok(html.includes('initProfileTimeline();'));
+            assert.ok(!html.includes('voting-records.json'));
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { geometryBounds, createSpatialIndex, searchSpatialIndex, decodeTopology } = require('../js/spatial-index.js');
+const { findFeature } = require('../js/districts.js');
+
+function square(west, south, east, north) {
+    return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+}
+
+describe('geometryBounds', () => {
+    it('covers every part of a MultiPolygon', () => {
+        const geometry = { type: 'MultiPolygon', coordinates: [[square(0, 0, 1, 1)], [square(5, -2, 6, 3)]] };
+        assert.deepEqual(geometryBounds(geometry), [0, -2, 6, 3]);
+    });
+});
+
+describe('createSpatialIndex / searchSpatialIndex', () => {
+    // A 10 x 10 grid of unit cells, numbered row by row
+    const items = [];
+    for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 10; x++) items.push({ id: y * 10 + x, bbox: [x, y, x + 1, y + 1] });
+    }
+    const index = createSpatialIndex(items, 4);
+
+    it('returns only the boxes holding the point', () => {
+        assert.deepEqual(searchSpatialIndex(index, 3.5, 7.5), [73]);
+        assert.deepEqual(searchSpatialIndex(index, 3, 7.5).sort((a, b) => a - b), [72, 73], 'a shared edge belongs to both boxes');
+        assert.deepEqual(searchSpatialIndex(index, 11, 5), []);
+    });
+
+    it('agrees with a linear scan', () => {
+        for (const [lon, lat] of [[0.1, 0.1], [9.9, 9.9], [4, 4], [6.25, 1.75]]) {
+            const expected = items.filter(({ bbox }) => lon >= bbox[0] && lon <= bbox[2] && lat >= bbox[1] && lat <= bbox[3]).map(i => i.id);
+            assert.deepEqual(searchSpatialIndex(index, lon, lat).sort((a, b) => a - b), expected);
+        }
+    });
+
+    it('handles empty layers', () => {
+        assert.equal(createSpatialIndex([]), null);
+        assert.deepEqual(searchSpatialIndex(null, 0, 0), []);
+    });
+
+    it('narrows findFeature to the indexed candidates', () => {
+        const layer = {
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: { District: '1' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10)] } },
+                { type: 'Feature', properties: { District: '2' }, geometry: { type: 'Polygon', coordinates: [square(20, 0, 30, 10)] } }
+            ]
+        };
+        const layerIndex = createSpatialIndex(layer.features.map((f, id) => ({ id, bbox: geometryBounds(f.geometry) })));
+        assert.equal(findFeature(layer, 25, 5, layerIndex), layer.features[1]);
+        assert.equal(findFeature(layer, 15, 5, layerIndex), null);
+    });
+});
+
+describe('decodeTopology', () => {
+    // Two unit squares sharing the edge x = 1, stored once as arc 0
+    const topology = {
+        type: 'Topology',
+        transform: { scale: [0.5, 0.5], translate: [10, 20] },
+        objects: {
+            cells: {
+                type: 'GeometryCollection',
+                geometries: [
+                    { type: 'Polygon', arcs: [[0, 1]], properties: { District: '1' } },
+                    { type: 'MultiPolygon', arcs: [[[~0, 2]]], properties: { District: '2' } }
+                ]
+            }
+        },
+        arcs: [
+            [[2, 0], [0, 2]],
+            [[2, 2], [-2, 0], [0, -2], [2, 0]],
+            [[2, 0], [2, 0], [0, 2], [-2, 0]]
+        ]
+    };
+
+    it('undoes the delta encoding, quantization and shared arcs', () => {
+        const collection = decodeTopology(topology, 'cells');
+        assert.deepEqual(collection.features[0], {
+            type: 'Feature',
+            properties: { District: '1' },
+            geometry: { type: 'Polygon', coordinates: [[[11, 20], [11, 21], [10, 21], [10, 20], [11, 20]]] }
+        });
+        assert.deepEqual(collection.features[1].geometry.coordinates, [[[[11, 21], [11, 20], [12, 20], [12, 21], [11, 21]]]]);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { getTrusteeSeats, getBoardPolicyEntries } = require('../js/trustees.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function seat(name) {
+    return { name, party: null, termStart: '2024-11', termEnd: '2028-11', election: null, electionDate: null };
+}
+
+const board = {
+    name: 'Example ISD',
+    fullName: 'Example Independent School District',
+    url: 'https://example.org',
+    tag: 'example-isd',
+    seats: { '10': seat('Jo Ten'), '2': seat('Al Two'), '1': seat('Bea One') }
+};
+
+describe('getTrusteeSeats', () => {
+    it('returns the one trustee for a single-member district', () => {
+        assert.deepEqual(getTrusteeSeats(board, '2'), [{ key: '2', label: 'District 2', seat: board.seats['2'] }]);
+        assert.deepEqual(getTrusteeSeats(board, '7'), []);
+    });
+
+    it('returns every place on an at-large board, in seat order', () => {
+        assert.deepEqual(getTrusteeSeats(board, null).map(s => s.label), ['Place 1', 'Place 2', 'Place 10']);
+        assert.deepEqual(getTrusteeSeats({ seats: {} }, null), []);
+    });
+});
+
+describe('getBoardPolicyEntries', () => {
+    const entries = [
+        { id: 'a', date: '2026-01-05T10:00:00', category: 'education', tags: ['example-isd'] },
+        { id: 'b', date: '2026-02-05T10:00:00', category: 'education', tags: ['example-isd', 'school-board'] },
+        { id: 'c', date: '2026-03-05T10:00:00', category: 'city-council', tags: ['example-isd'] },
+        { id: 'd', date: '2026-04-05T10:00:00', category: 'education', tags: ['other-isd'] },
+        { id: 'e', date: '2025-12-05T10:00:00', category: 'education', tags: ['example-isd'] },
+        { id: 'f', date: '2025-11-05T10:00:00', category: 'education', tags: ['example-isd'] }
+    ];
+
+    it('keeps education entries tagged with the board, newest first', () => {
+        assert.deepEqual(getBoardPolicyEntries(entries, board).map(e => e.id), ['b', 'a', 'e']);
+        assert.deepEqual(getBoardPolicyEntries(entries, board, 10).map(e => e.id), ['b', 'a', 'e', 'f']);
+        assert.deepEqual(getBoardPolicyEntries(entries, { tag: null }), []);
+    });
+});
+
+describe('trustees.json data', () => {
+    const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/trustees.json'), 'utf-8'));
+    const events = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/elections.json'), 'utf-8'));
+    const policy = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/policy-feed.json'), 'utf-8'));
+
+    it('every trustee election is on the election calendar with a matching date', () => {
+        for (const [isd, b] of Object.entries(data.boards)) {
+            for (const [key, s] of Object.entries(b.seats)) {
+                if (!s.election) continue;
+                const day = events.find(e => e.election === s.election && (e.type === 'election' || e.type === 'runoff'));
+                assert.ok(day, `${isd}.${key}: election ${s.election} not in elections.json`);
+                assert.equal(s.electionDate, day.iso, `${isd}.${key}: electionDate does not match elections.json`);
+            }
+        }
+    });
+
+    it('links NBISD to its education policy entries', () => {
+        assert.ok(getBoardPolicyEntries(policy, data.boards.nbisd).length > 0);
+    });
+});
+
+describe('Find My Officials page', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'find-my-officials.html'), 'utf-8');
+
+    it('looks up school and trustee districts', () => {
+        assert.ok(html.includes('js/trustees.js'));
+        assert.ok(html.includes('data/geo/school-districts.geojson'));
+        assert.ok(html.includes('data/geo/trustee-districts.geojson'));
+        assert.ok(html.includes('data/trustees.json'));
+    });
+
+    it('lists the school boards while the school district layer is missing', () => {
+        assert.ok(html.includes('districts.isdPossible'));
+        assert.ok(html.includes('createSchoolBoardsCard('));
+    });
+});
@@ -1,108 +1,810 @@
 /**
  * JSON Schema Validator for Hill Country Sentinel data files.
  *
- * Usage: node test/validate-json.js <json-file> [schema-name]
+ * Usage: node test/validate-json.js [json-file] [schema-name]
  *
- * Schema names: feed-entry (default)
+ * With no arguments every known data file is validated against its schema.
+ * With a file, the schema is picked from the file name (see FILE_SCHEMAS)
+ * unless one is given.
+ *
+ * Schema names: feed-entry, candidate-news, policy-feed, business-watch,
+ * election-event, officials, roll-calls, finance-index, finance-filer,
+ * organizations, endorsements, profile, commissioner-precincts, voting-precincts,
+ * nb-city-council
+ *
+ * Errors are reported with the JSON pointer of the offending value,
+ * e.g. `/3/category: must be one of ...`.
  *
  * Exit code 0 = valid, 1 = invalid
  */
 
 const fs = require('node:fs');
 const path = require('node:path');
+const { FEED_CONFIG, VALID_CATEGORIES } = require('../scripts/add-entry.js');
+
+const ISO_DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+// Date with optional time, seconds, fraction and offset — the feeds mix all of these
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const SLUG_PATTERN = '^[a-z0-9]+(-[a-z0-9]+)*$';
+
+const FORMATS = {
+    'date': value => ISO_DATE_ONLY.test(value) && !isNaN(new Date(value + 'T00:00:00').getTime()),
+    'iso-datetime': value => ISO_DATE_TIME.test(value) && !isNaN(new Date(value).getTime()),
+};
+
+// --- Schemas (JSON Schema draft-07 subset, see validateSchema) ---
+
+const FEED_ENTRY = {
+    type: 'object',
+    required: ['id', 'date', 'title', 'summary', 'source', 'sourceUrl', 'category'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        date: { type: 'string', format: 'iso-datetime' },
+        title: { type: 'string', minLength: 1 },
+        summary: { type: 'string' },
+        source: { type: 'string' },
+        sourceUrl: { type: ['string', 'null'] }, // null for Sentinel pieces carried in `content`
+        category: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string', pattern: SLUG_PATTERN } },
+        relatedCandidate: { type: 'string', pattern: SLUG_PATTERN },
+        relatedCandidates: { type: 'array', minItems: 1, items: { type: 'string', pattern: SLUG_PATTERN } },
+        relatedOrganizations: { type: 'array', minItems: 1, items: { type: 'string', pattern: SLUG_PATTERN } },
+        image: { type: ['string', 'null'] },
+        archiveUrl: { type: 'string', pattern: '^articles/archive/[^/]+\\.html$' },
+        content: { type: 'string' },
+    },
+    additionalProperties: false,
+};
+
+/**
+ * Schema for one feed file: the shared entry shape plus that feed's ID prefix
+ * and category list from scripts/add-entry.js.
+ * @param {string} feedName - Key in FEED_CONFIG (candidate, policy, business)
+ * @returns {object} JSON Schema
+ */
+function feedSchema(feedName) {
+    const config = FEED_CONFIG[feedName];
+    return {
+        type: 'array',
+        items: Object.assign({}, FEED_ENTRY, {
+            required: FEED_ENTRY.required.concat('tags'),
+            properties: Object.assign({}, FEED_ENTRY.properties, {
+                id: { type: 'string', pattern: `^${config.prefix}-` },
+                category: { type: 'string', enum: VALID_CATEGORIES[feedName] },
+                tags: Object.assign({}, FEED_ENTRY.properties.tags, { minItems: 1 }),
+            }),
+        }),
+    };
+}
+
+// Term dates may be known only to the year or month: "2028", "2028-05", "2028-05-06"
+const PARTIAL_DATE = { type: ['string', 'null'], pattern: '^\\d{4}(-\\d{2}(-\\d{2})?)?$' };
+
+// One seat and its current holder; a vacant seat has `vacant: true` and a null name
+const OFFICIAL = {
+    type: 'object',
+    required: ['name', 'party', 'termStart', 'termEnd', 'election', 'electionDate'],
+    properties: {
+        name: { type: ['string', 'null'], minLength: 1 },
+        party: { enum: ['R', 'D', 'L', 'G', null] },
+        profileSlug: { type: 'string', pattern: SLUG_PATTERN },
+        vacant: { type: 'boolean' },
+        interim: { type: 'boolean' },
+        appointed: { type: 'boolean' },
+        termStart: PARTIAL_DATE,
+        termEnd: PARTIAL_DATE,
+        election: { type: ['string', 'null'], minLength: 1 },
+        electionDate: { type: ['string', 'null'], format: 'date' },
+    },
+    additionalProperties: false,
+};
+
+const SEATS = {
+    type: 'object',
+    patternProperties: { '^(\\d+|mayor|judge)$': { $ref: '#/definitions/official' } },
+    additionalProperties: false,
+};
+
+const VOTE_VALUE = { enum: ['Yea', 'Nay', 'Abstain', 'Absent', 'Recused'] };
+const SLUG_LIST = { type: 'array', items: { type: 'string', pattern: SLUG_PATTERN } };
+
+const ROLL_CALL = {
+    type: 'object',
+    required: ['id', 'title', 'outcome', 'votes'],
+    properties: {
+        id: { type: 'string', pattern: SLUG_PATTERN },
+        title: { type: 'string', minLength: 1 },
+        courtOrder: { type: 'string', pattern: '^\\d{4}-\\d+$' },
+        outcome: { type: 'string' },
+        mover: { type: ['string', 'null'] },
+        seconder: { type: ['string', 'null'] },
+        votes: { type: 'object', patternProperties: { [SLUG_PATTERN]: VOTE_VALUE }, additionalProperties: false },
+        summaries: { type: 'object', patternProperties: { [SLUG_PATTERN]: { type: 'string' } }, additionalProperties: false },
+    },
+    additionalProperties: false,
+};
+
+const MEETING = {
+    type: 'object',
+    required: ['id', 'body', 'date', 'items'],
+    properties: {
+        id: { type: 'string', pattern: SLUG_PATTERN },
+        body: { type: 'string', pattern: SLUG_PATTERN },
+        date: { type: 'string', format: 'date' },
+        attendance: {
+            type: 'object',
+            required: ['present', 'absent'],
+            properties: { present: SLUG_LIST, absent: SLUG_LIST },
+            additionalProperties: false,
+        },
+        items: { type: 'array', items: ROLL_CALL },
+    },
+    additionalProperties: false,
+};
+
+const CONTRIBUTION = {
+    type: 'object',
+    required: ['id', 'date', 'amount', 'donor', 'donorType'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        date: { type: 'string', format: 'date' },
+        amount: { type: 'number' },
+        donor: { type: 'string', minLength: 1 },
+        donorType: { enum: ['individual', 'entity'] },
+        city: { type: ['string', 'null'] },
+        state: { type: ['string', 'null'] },
+        employer: { type: ['string', 'null'] },
+        occupation: { type: ['string', 'null'] },
+        description: { type: ['string', 'null'] },
+        report: { type: ['string', 'null'] },
+    },
+    additionalProperties: false,
+};
+
+const EXPENDITURE = {
+    type: 'object',
+    required: ['id', 'date', 'amount', 'payee'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        date: { type: 'string', format: 'date' },
+        amount: { type: 'number' },
+        payee: { type: 'string', minLength: 1 },
+        category: { type: ['string', 'null'] },
+        description: { type: ['string', 'null'] },
+        report: { type: ['string', 'null'] },
+    },
+    additionalProperties: false,
+};
+
+// Body of a profile page section: HTML paragraphs, then an optional "coming soon" note
+const PROFILE_SECTION = {
+    type: 'object',
+    properties: {
+        heading: { type: 'string', minLength: 1 },
+        note: { type: 'string', minLength: 1 },
+        paragraphs: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        placeholder: { type: 'string', minLength: 1 },
+    },
+    additionalProperties: false,
+};
+
+/**
+ * Schema for a GeoJSON FeatureCollection whose features carry the given properties.
+ * @param {object} properties - JSON Schema for each feature's `properties`
+ * @returns {object} JSON Schema
+ */
+function featureCollectionSchema(properties) {
+    return {
+        type: 'object',
+        required: ['type', 'features'],
+        properties: {
+            type: { const: 'FeatureCollection' },
+            name: { type: 'string' },
+            crs: { type: 'object' },
+            features: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['type', 'properties', 'geometry'],
+                    properties: {
+                        type: { const: 'Feature' },
+                        properties,
+                        geometry: {
+                            type: 'object',
+                            required: ['type', 'coordinates'],
+                            properties: {
+                                type: { enum: ['Polygon', 'MultiPolygon'] },
+                                coordinates: { type: 'array', minItems: 1 },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    };
+}
 
 const SCHEMAS = {
-    'feed-entry': {
-        required: ['id', 'date', 'title', 'summary', 'source', 'sourceUrl', 'category'],
-        optional: ['tags', 'relatedCandidate', 'imageUrl'],
-        types: {
-            id: 'string',
-            date: 'string',
-            title: 'string',
-            summary: 'string',
-            source: 'string',
-            sourceUrl: 'string',
-            category: 'string',
-            tags: 'object', // array
-            relatedCandidate: 'string',
-            imageUrl: 'string',
+    'feed-entry': { type: 'array', items: FEED_ENTRY },
+    'candidate-news': feedSchema('candidate'),
+    'policy-feed': feedSchema('policy'),
+    'business-watch': feedSchema('business'),
+    'election-event': {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['id', 'election', 'type', 'event', 'date', 'iso'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                election: { type: 'string', minLength: 1 },
+                type: { type: 'string', enum: ['registration-deadline', 'early-voting', 'election', 'runoff'] },
+                event: { type: 'string', minLength: 1 },
+                date: { type: 'string' }, // display label, e.g. "February 17–27, 2026"
+                iso: { type: 'string', format: 'date' },
+                end_iso: { type: 'string', format: 'date' },
+                tentative: { type: 'boolean' },
+            },
+            additionalProperties: false,
         },
     },
+    'officials': {
+        type: 'object',
+        definitions: { official: OFFICIAL },
+        required: ['updated', 'commissioner', 'jp', 'cityCouncil', 'stateHouse', 'stateSenate', 'congressional'],
+        properties: {
+            updated: { type: 'string', format: 'iso-datetime' },
+            commissioner: SEATS,
+            jp: SEATS,
+            cityCouncil: SEATS,
+            stateHouse: SEATS,
+            stateSenate: SEATS,
+            congressional: SEATS,
+        },
+        additionalProperties: false,
+    },
+    'trustees': {
+        type: 'object',
+        definitions: { official: OFFICIAL },
+        required: ['updated', 'boards'],
+        properties: {
+            updated: { type: 'string', format: 'iso-datetime' },
+            boards: {
+                type: 'object',
+                patternProperties: {
+                    [SLUG_PATTERN]: {
+                        type: 'object',
+                        required: ['name', 'fullName', 'url', 'tag', 'seats'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            fullName: { type: 'string', minLength: 1 },
+                            url: { type: 'string', pattern: '^https?://' },
+                            tag: { type: 'string', pattern: SLUG_PATTERN },
+                            seats: {
+                                type: 'object',
+                                patternProperties: { '^\\d+$': { $ref: '#/definitions/official' } },
+                                additionalProperties: false,
+                            },
+                        },
+                        additionalProperties: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+        },
+        additionalProperties: false,
+    },
+    'roll-calls': {
+        type: 'object',
+        required: ['bodies', 'meetings'],
+        properties: {
+            bodies: {
+                type: 'object',
+                patternProperties: {
+                    [SLUG_PATTERN]: {
+                        type: 'object',
+                        required: ['name'],
+                        properties: { name: { type: 'string', minLength: 1 }, source: { type: ['string', 'null'] } },
+                        additionalProperties: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+            meetings: { type: 'array', items: MEETING },
+        },
+        additionalProperties: false,
+    },
+    'finance-index': {
+        type: 'object',
+        required: ['updated', 'filers'],
+        properties: {
+            updated: { type: ['string', 'null'], format: 'iso-datetime' },
+            filers: {
+                type: 'object',
+                patternProperties: {
+                    [SLUG_PATTERN]: {
+                        type: 'object',
+                        required: ['file', 'raised', 'spent', 'through'],
+                        properties: {
+                            file: { type: 'string', pattern: '^[a-z0-9-]+\\.json$' },
+                            raised: { type: 'number' },
+                            spent: { type: 'number' },
+                            through: { type: ['string', 'null'], format: 'date' },
+                        },
+                        additionalProperties: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+        },
+        additionalProperties: false,
+    },
+    'finance-filer': {
+        type: 'object',
+        required: ['slug', 'name', 'sources', 'contributions', 'expenditures'],
+        properties: {
+            slug: { type: 'string', pattern: SLUG_PATTERN },
+            name: { type: 'string', minLength: 1 },
+            sources: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['source', 'ident', 'name'],
+                    properties: {
+                        source: { enum: ['tec', 'local'] },
+                        ident: { type: ['string', 'null'] },
+                        name: { type: 'string' },
+                    },
+                    additionalProperties: false,
+                },
+            },
+            contributions: { type: 'array', items: CONTRIBUTION },
+            expenditures: { type: 'array', items: EXPENDITURE },
+        },
+        additionalProperties: false,
+    },
+    'organizations': {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['slug', 'name', 'aliases', 'type'],
+            properties: {
+                slug: { type: 'string', pattern: SLUG_PATTERN },
+                name: { type: 'string', minLength: 1 },
+                aliases: { type: 'array', items: { type: 'string', minLength: 1 } },
+                type: { enum: ['business', 'pac', 'chamber', 'club'] },
+                website: { type: ['string', 'null'], pattern: '^https?://' },
+            },
+            additionalProperties: false,
+        },
+    },
+    'endorsements': {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['id', 'endorser', 'candidate', 'race', 'date', 'sourceEntry'],
+            properties: {
+                id: { type: 'string', pattern: '^en-' },
+                endorser: {
+                    type: 'object',
+                    required: ['type', 'slug', 'name'],
+                    properties: {
+                        type: { enum: ['person', 'organization'] },
+                        slug: { type: ['string', 'null'], pattern: SLUG_PATTERN },
+                        name: { type: 'string', minLength: 1 },
+                    },
+                    additionalProperties: false,
+                },
+                candidate: { type: 'string', pattern: SLUG_PATTERN },
+                race: { type: 'string', pattern: SLUG_PATTERN },
+                date: { type: 'string', format: 'date' },
+                sourceEntry: { type: 'string', minLength: 1 },
+            },
+            additionalProperties: false,
+        },
+    },
+    'profile': {
+        type: 'object',
+        required: ['slug', 'title', 'details', 'sections'],
+        properties: {
+            slug: { type: 'string', pattern: SLUG_PATTERN },
+            displayName: { type: 'string', minLength: 1 },
+            title: { type: 'string', minLength: 1 },
+            details: { type: 'array', items: { type: 'string', minLength: 1 } },
+            description: { type: 'string', minLength: 1 },
+            sections: { type: 'array', items: Object.assign({}, PROFILE_SECTION, { required: ['heading'] }) },
+            links: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['label', 'url'],
+                    properties: {
+                        label: { type: 'string', minLength: 1 },
+                        url: { type: 'string', pattern: '^https?://' },
+                    },
+                    additionalProperties: false,
+                },
+            },
+            contactNote: { type: 'string', minLength: 1 },
+            positions: PROFILE_SECTION,
+        },
+        additionalProperties: false,
+    },
+    'commissioner-precincts': featureCollectionSchema({
+        type: 'object',
+        required: ['Precinct'],
+        properties: {
+            FID: { type: 'integer' },
+            Precinct: { type: 'string', pattern: '^[1-4]$' },
+        },
+    }),
+    'voting-precincts': featureCollectionSchema({
+        type: 'object',
+        required: ['Precinct'],
+        properties: {
+            OBJECTID_1: { type: 'integer' },
+            Precinct: { type: 'string', pattern: '^\\d{3}$' },
+            ShapeSTArea: { type: 'number' },
+            ShapeSTLength: { type: 'number' },
+        },
+    }),
+    'nb-city-council': featureCollectionSchema({
+        type: 'object',
+        required: ['District'],
+        properties: {
+            District: { type: 'string', pattern: '^\\d+$' },
+            CouncilPhone: { type: 'string' },
+            CouncilEmail: { type: 'string' },
+            BoundaryType: { type: ['string', 'null'] },
+        },
+        // Officeholders live in officials.json only
+        additionalProperties: false,
+    }),
+    // Comal County address points for the offline geocoder (js/geocoder.js)
+    'address-points': {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['address', 'city', 'zip', 'lat', 'lon'],
+            properties: {
+                address: { type: 'string', minLength: 1 },
+                city: { type: 'string', minLength: 1 },
+                zip: { type: 'string', pattern: '^\\d{5}$' },
+                lat: { type: 'number' },
+                lon: { type: 'number' },
+            },
+            additionalProperties: false,
+        },
+    },
+    'jp-precincts': featureCollectionSchema({
+        type: 'object',
+        required: ['Precinct'],
+        properties: {
+            Precinct: { type: 'string', pattern: '^[1-4]$' },
+        },
+    }),
+    'school-districts': featureCollectionSchema({
+        type: 'object',
+        required: ['ISD'],
+        properties: {
+            ISD: { type: 'string', pattern: SLUG_PATTERN },
+        },
+    }),
+    'trustee-districts': featureCollectionSchema({
+        type: 'object',
+        required: ['ISD', 'District'],
+        properties: {
+            ISD: { type: 'string', pattern: SLUG_PATTERN },
+            District: { type: 'string', pattern: '^[1-9]\\d*$' },
+        },
+    }),
+    // Built by scripts/import-districts.js from TX Legislative Council exports
+    'legislative-districts': featureCollectionSchema({
+        type: 'object',
+        required: ['District'],
+        properties: {
+            District: { type: 'string', pattern: '^[1-9]\\d*$' },
+        },
+        additionalProperties: false,
+    }),
+};
+
+// Rules JSON Schema cannot express, run on each item of an array dataset
+const CHECKS = {
+    'election-event'(entry) {
+        if (entry.end_iso && entry.iso && entry.end_iso < entry.iso) {
+            return [`end_iso "${entry.end_iso}" is before iso "${entry.iso}"`];
+        }
+        return [];
+    },
+    'address-points'(point) {
+        // Swapped or mistyped coordinates land outside the county
+        if (point.lat < 29.5 || point.lat > 30.3 || point.lon < -98.9 || point.lon > -97.9) {
+            return [`${point.address}: ${point.lat}, ${point.lon} is outside Comal County`];
+        }
+        return [];
+    },
+};
+
+// Which schema each data file is checked against (paths relative to the repo root)
+const FILE_SCHEMAS = {
+    'data/candidate-news.json': 'candidate-news',
+    'data/policy-feed.json': 'policy-feed',
+    'data/business-watch.json': 'business-watch',
+    'data/elections.json': 'election-event',
+    'data/officials.json': 'officials',
+    'data/trustees.json': 'trustees',
+    'data/roll-calls.json': 'roll-calls',
+    'data/finance/index.json': 'finance-index',
+    'data/organizations.json': 'organizations',
+    'data/endorsements.json': 'endorsements',
+    'data/geo/commissioner-precincts.geojson': 'commissioner-precincts',
+    'data/geo/voting-precincts.geojson': 'voting-precincts',
+    'data/geo/nb-city-council.geojson': 'nb-city-council',
+};
+
+// Checked like FILE_SCHEMAS, but only once they exist (boundary layers added from outside sources)
+const OPTIONAL_FILE_SCHEMAS = {
+    'data/geo/jp-precincts.geojson': 'jp-precincts',
+    'data/geo/address-points.json': 'address-points',
+    'data/geo/school-districts.geojson': 'school-districts',
+    'data/geo/trustee-districts.geojson': 'trustee-districts',
+    'data/geo/state-house-districts.geojson': 'legislative-districts',
+    'data/geo/state-senate-districts.geojson': 'legislative-districts',
+    'data/geo/congressional-districts.geojson': 'legislative-districts',
 };
 
+// --- Validator ---
+
 /**
- * Validate an array of entries against a schema shape.
- * @param {Array} entries - Array of objects to validate
- * @param {string} schemaName - Name of the schema to use
- * @returns {{ valid: boolean, errors: string[] }}
+ * Escape one JSON pointer reference token (RFC 6901).
+ * @param {string|number} token - Property name or array index
+ * @returns {string}
  */
-function validateEntries(entries, schemaName = 'feed-entry') {
-    const schema = SCHEMAS[schemaName];
-    if (!schema) {
-        return { valid: false, errors: [`Unknown schema: ${schemaName}`] };
+function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * JSON type name of a value, distinguishing arrays, null and integers.
+ * @param {*} value
+ * @returns {string}
+ */
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Whether a value matches a JSON Schema `type`.
+ * @param {*} value
+ * @param {string} type - e.g. "string", "integer", "array"
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    return jsonType(value) === type;
+}
+
+/**
+ * Validate a value against a schema. Supports type, enum, const, required,
+ * properties, patternProperties, additionalProperties, items, minItems,
+ * minLength, pattern, format and local $ref (#/definitions/...).
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema for this value
+ * @param {object} [root] - Root schema, for resolving $ref
+ * @param {string} [pointer=''] - JSON pointer of value
+ * @returns {string[]} Errors, each prefixed with its JSON pointer
+ */
+function validateSchema(value, schema, root, pointer) {
+    root = root || schema;
+    pointer = pointer || '';
+    const at = pointer || '(root)';
+    const errors = [];
+
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/')
+            .reduce((node, key) => (node ? node[key] : undefined), root);
+        if (!target) return [`${at}: unresolved $ref "${schema.$ref}"`];
+        return validateSchema(value, target, root, pointer);
     }
 
-    if (!Array.isArray(entries)) {
-        return { valid: false, errors: ['Data must be an array'] };
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            return [`${at}: should be ${types.join(' or ')}, got ${jsonType(value)}`];
+        }
+    }
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${at}: must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        const allowed = schema.enum.map(v => (v === null ? 'null' : v)).join(', ');
+        errors.push(`${at}: must be one of ${allowed}, got ${JSON.stringify(value)}`);
     }
 
-    const errors = [];
+    if (typeof value === 'string') {
+        if (schema.minLength && value.length < schema.minLength) {
+            errors.push(`${at}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${at}: "${value}" does not match ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            errors.push(`${at}: invalid date "${value}" (expected ${schema.format})`);
+        }
+    }
 
-    entries.forEach((entry, i) => {
-        // Check required fields
-        for (const field of schema.required) {
-            if (!(field in entry)) {
-                errors.push(`Entry ${i}: missing required field "${field}"`);
-            } else if (typeof entry[field] !== schema.types[field]) {
-                errors.push(`Entry ${i}: "${field}" should be ${schema.types[field]}, got ${typeof entry[field]}`);
-            }
+    if (Array.isArray(value)) {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${at}: should have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...validateSchema(item, schema.items, root, `${pointer}/${i}`));
+            });
         }
+    }
 
-        // Check types of optional fields if present
-        for (const field of schema.optional) {
-            if (field in entry && entry[field] !== null && typeof entry[field] !== schema.types[field]) {
-                errors.push(`Entry ${i}: "${field}" should be ${schema.types[field]}, got ${typeof entry[field]}`);
+    if (jsonType(value) === 'object') {
+        for (const field of schema.required || []) {
+            if (!(field in value)) {
+                errors.push(`${at}: missing required field "${field}"`);
             }
         }
-
-        // Validate date format (YYYY-MM-DD or ISO)
-        if (entry.date && isNaN(new Date(entry.date).getTime())) {
-            errors.push(`Entry ${i}: invalid date "${entry.date}"`);
+        const properties = schema.properties || {};
+        const patterns = Object.entries(schema.patternProperties || {});
+        for (const [key, child] of Object.entries(value)) {
+            const childPointer = `${pointer}/${escapePointer(key)}`;
+            let matched = false;
+            if (properties[key]) {
+                matched = true;
+                errors.push(...validateSchema(child, properties[key], root, childPointer));
+            }
+            for (const [pattern, childSchema] of patterns) {
+                if (new RegExp(pattern).test(key)) {
+                    matched = true;
+                    errors.push(...validateSchema(child, childSchema, root, childPointer));
+                }
+            }
+            if (!matched && schema.additionalProperties === false) {
+                errors.push(`${at}: unexpected field "${key}"`);
+            } else if (!matched && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(child, schema.additionalProperties, root, childPointer));
+            }
         }
-    });
+    }
 
-    return { valid: errors.length === 0, errors };
+    return errors;
 }
 
-// CLI mode
-if (require.main === module) {
-    const args = process.argv.slice(2);
-    if (args.length === 0) {
-        console.error('Usage: node test/validate-json.js <json-file> [schema-name]');
-        process.exit(1);
+/**
+ * Validate parsed data against a named schema.
+ * @param {*} data - Parsed JSON
+ * @param {string} [schemaName='feed-entry'] - Key in SCHEMAS
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validate(data, schemaName = 'feed-entry') {
+    const schema = SCHEMAS[schemaName];
+    if (!schema) {
+        return { valid: false, errors: [`Unknown schema: ${schemaName}`] };
+    }
+    const errors = validateSchema(data, schema);
+    if (CHECKS[schemaName] && Array.isArray(data)) {
+        data.forEach((item, i) => {
+            CHECKS[schemaName](item).forEach(msg => errors.push(`/${i}: ${msg}`));
+        });
     }
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate an array of entries (a feed or the election calendar).
+ * @param {Array} entries - Array of objects to validate
+ * @param {string} [schemaName='feed-entry'] - Key in SCHEMAS
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateEntries(entries, schemaName = 'feed-entry') {
+    return validate(entries, schemaName);
+}
+
+/**
+ * Schema name for a data file, from FILE_SCHEMAS. Any other .json file in a
+ * finance/ directory is a per-filer campaign finance file, and any in a
+ * profiles/ directory is a profile page's content.
+ * @param {string} filePath - Path to the file
+ * @returns {string|null}
+ */
+function schemaForFile(filePath) {
+    const name = path.basename(filePath);
+    const known = { ...FILE_SCHEMAS, ...OPTIONAL_FILE_SCHEMAS };
+    const match = Object.keys(known).find(file => path.basename(file) === name);
+    if (match) return known[match];
+    const dir = path.basename(path.dirname(path.resolve(filePath)));
+    if (dir === 'finance' && name.endsWith('.json')) return 'finance-filer';
+    if (dir === 'profiles' && name.endsWith('.json')) return 'profile';
+    return null;
+}
+
+/**
+ * Per-filer campaign finance files under data/finance/.
+ * @param {string} rootDir - Repository root
+ * @returns {string[]} Paths relative to rootDir
+ */
+function financeFilerFiles(rootDir) {
+    const dir = path.join(rootDir, 'data/finance');
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(f => f.endsWith('.json') && f !== 'index.json')
+        .sort()
+        .map(f => `data/finance/${f}`);
+}
 
-    const filePath = path.resolve(args[0]);
-    const schemaName = args[1] || 'feed-entry';
+/**
+ * Profile page content files under data/profiles/.
+ * @param {string} rootDir - Repository root
+ * @returns {string[]} Paths relative to rootDir
+ */
+function profileDataFiles(rootDir) {
+    const dir = path.join(rootDir, 'data/profiles');
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(f => f.endsWith('.json'))
+        .sort()
+        .map(f => `data/profiles/${f}`);
+}
 
+/**
+ * Read, parse and validate one file, printing the result.
+ * @param {string} filePath - Absolute path
+ * @param {string} schemaName - Key in SCHEMAS
+ * @returns {boolean} Whether the file is valid
+ */
+function validateFile(filePath, schemaName) {
     let data;
     try {
-        const raw = fs.readFileSync(filePath, 'utf-8');
-        data = JSON.parse(raw);
+        data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
     } catch (err) {
         console.error(`Error reading ${filePath}: ${err.message}`);
-        process.exit(1);
+        return false;
     }
-
-    const result = validateEntries(data, schemaName);
+    const result = validate(data, schemaName);
     if (result.valid) {
-        console.log(`✓ ${filePath} is valid (${data.length} entries)`);
-        process.exit(0);
+        const count = Array.isArray(data) ? `${data.length} entries` : schemaName;
+        console.log(`✓ ${filePath} is valid (${count})`);
     } else {
         console.error(`✗ ${filePath} has ${result.errors.length} error(s):`);
         result.errors.forEach(e => console.error(`  - ${e}`));
-        process.exit(1);
     }
+    return result.valid;
+}
+
+// CLI mode
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    let ok = true;
+
+    if (args.length === 0) {
+        const rootDir = path.join(__dirname, '..');
+        for (const [file, schemaName] of Object.entries(FILE_SCHEMAS)) {
+            ok = validateFile(path.join(rootDir, file), schemaName) && ok;
+        }
+        for (const [file, schemaName] of Object.entries(OPTIONAL_FILE_SCHEMAS)) {
+            if (fs.existsSync(path.join(rootDir, file))) ok = validateFile(path.join(rootDir, file), schemaName) && ok;
+        }
+        for (const file of financeFilerFiles(rootDir)) {
+            ok = validateFile(path.join(rootDir, file), 'finance-filer') && ok;
+        }
+        for (const file of profileDataFiles(rootDir)) {
+            ok = validateFile(path.join(rootDir, file), 'profile') && ok;
+        }
+    } else {
+        const filePath = path.resolve(args[0]);
+        ok = validateFile(filePath, args[1] || schemaForFile(filePath) || 'feed-entry');
+    }
+
+    process.exit(ok ? 0 : 1);
 }
 
-module.exports = { validateEntries, SCHEMAS };
+module.exports = { validate, validateEntries, validateSchema, schemaForFile, financeFilerFiles, profileDataFiles, SCHEMAS, FILE_SCHEMAS, OPTIONAL_FILE_SCHEMAS };
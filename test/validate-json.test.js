@@ -2,7 +2,7 @@ const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 const fs = require('node:fs');
 const path = require('node:path');
-const { validateEntries } = require('./validate-json.js');
+const { validate, validateEntries, schemaForFile, FILE_SCHEMAS } = require('./validate-json.js');
 
 const dataDir = path.join(__dirname, '..', 'data');
 
@@ -16,7 +16,7 @@ describe('feed data files validation', () => {
             const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
             assert.ok(Array.isArray(data), `${file} should be an array`);
             assert.ok(data.length >= 3, `${file} should have at least 3 entries`);
-            const result = validateEntries(data);
+            const result = validateEntries(data, schemaForFile(file));
             assert.equal(result.valid, true, `${file} validation errors: ${result.errors.join(', ')}`);
         });
 
@@ -35,29 +35,52 @@ describe('officials.json validation', () => {
         const filePath = path.join(dataDir, 'officials.json');
         assert.ok(fs.existsSync(filePath), 'officials.json should exist');
         const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-        assert.ok(Array.isArray(data.mayoral_candidates), 'should have mayoral_candidates array');
-        assert.ok(Array.isArray(data.current_officials), 'should have current_officials array');
-        assert.ok(data.mayoral_candidates.length >= 5, 'should have all mayoral candidates');
-        assert.ok(data.current_officials.length >= 14, 'should have all current officials');
+        const result = validate(data, 'officials');
+        assert.equal(result.valid, true, `officials.json validation errors: ${result.errors.join(', ')}`);
     });
 
     it('officials have required fields', () => {
         const data = JSON.parse(fs.readFileSync(path.join(dataDir, 'officials.json'), 'utf-8'));
-        for (const official of data.current_officials) {
-            assert.ok(official.title, `Official should have title`);
-            assert.ok(official.name, `Official should have name`);
-            assert.ok(official.slug, `Official ${official.name} should have slug`);
-            assert.ok(official.group, `Official ${official.name} should have group`);
-        }
+        const broken = JSON.parse(JSON.stringify(data));
+        delete broken.commissioner['1'].name;
+        broken.jp['2'].party = 'Whig';
+        const result = validate(broken, 'officials');
+        assert.ok(result.errors.includes('/commissioner/1: missing required field "name"'), result.errors.join('\n'));
+        assert.ok(result.errors.some(e => e.startsWith('/jp/2/party: must be one of')));
     });
+});
 
-    it('candidates have required fields', () => {
-        const data = JSON.parse(fs.readFileSync(path.join(dataDir, 'officials.json'), 'utf-8'));
-        for (const candidate of data.mayoral_candidates) {
-            assert.ok(candidate.name, 'Candidate should have name');
-            assert.ok(candidate.slug, `Candidate ${candidate.name} should have slug`);
-            assert.ok(candidate.status, `Candidate ${candidate.name} should have status`);
-            assert.equal(typeof candidate.incumbent, 'boolean', `Candidate ${candidate.name} should have boolean incumbent`);
+describe('every known data file matches its schema', () => {
+    for (const [file, schemaName] of Object.entries(FILE_SCHEMAS)) {
+        it(`${file} is valid against ${schemaName}`, () => {
+            const data = JSON.parse(fs.readFileSync(path.join(dataDir, '..', file), 'utf-8'));
+            const result = validate(data, schemaName);
+            assert.equal(result.valid, true, `${file}:\n${result.errors.join('\n')}`);
+        });
+    }
+});
+
+describe('elections.json validation', () => {
+    const data = JSON.parse(fs.readFileSync(path.join(dataDir, 'elections.json'), 'utf-8'));
+
+    it('has valid election events', () => {
+        assert.ok(Array.isArray(data), 'elections.json should be an array');
+        const result = validateEntries(data, 'election-event');
+        assert.equal(result.valid, true, `elections.json validation errors: ${result.errors.join(', ')}`);
+    });
+
+    it('has unique event ids', () => {
+        const ids = data.map(e => e.id);
+        assert.equal(new Set(ids).size, ids.length, 'event ids should be unique');
+    });
+
+    it('every election has an election-day or runoff event', () => {
+        const elections = new Set(data.map(e => e.election));
+        for (const election of elections) {
+            assert.ok(
+                data.some(e => e.election === election && (e.type === 'election' || e.type === 'runoff')),
+                `${election} should have an election-day or runoff event`
+            );
         }
     });
 });
@@ -108,6 +131,99 @@ describe('validateEntries', () => {
         assert.ok(result.errors.some(e => e.includes('string')));
     });
 
+    it('validates election events against the election-event schema', () => {
+        const events = [{
+            id: 'ev-1', election: 'primary-2026', type: 'early-voting',
+            event: 'Early Voting', date: 'February 17–27, 2026',
+            iso: '2026-02-17', end_iso: '2026-02-27',
+        }];
+        assert.equal(validateEntries(events, 'election-event').valid, true);
+    });
+
+    it('rejects election events with unknown type or reversed range', () => {
+        const events = [{
+            id: 'ev-1', election: 'primary-2026', type: 'parade',
+            event: 'Early Voting', date: 'February 17–27, 2026',
+            iso: '2026-02-27', end_iso: '2026-02-17',
+        }];
+        const result = validateEntries(events, 'election-event');
+        assert.equal(result.valid, false);
+        assert.ok(result.errors.some(e => e.startsWith('/0/type: must be one of')));
+        assert.ok(result.errors.some(e => e.includes('is before iso')));
+    });
+
+    it('rejects election events whose iso is not a YYYY-MM-DD date', () => {
+        const events = [{
+            id: 'ev-1', election: 'primary-2026', type: 'election',
+            event: 'Primary', date: 'March 3, 2026', iso: 'March 3, 2026',
+        }];
+        const result = validateEntries(events, 'election-event');
+        assert.equal(result.valid, false);
+        assert.ok(result.errors.some(e => e.includes('invalid date')));
+    });
+
+    it('reports JSON pointers for nested errors', () => {
+        const entries = [{}, {
+            id: 'pf-1-x', date: '2026-02-01', title: 'T', summary: 'S', source: 'Src',
+            sourceUrl: null, category: 'weather', tags: ['ok'], imageUrl: 'x.jpg',
+        }];
+        const result = validateEntries(entries, 'policy-feed');
+        assert.ok(result.errors.includes('/0: missing required field "id"'));
+        assert.ok(result.errors.some(e => e.startsWith('/1/category: must be one of') && e.includes('"weather"')));
+        assert.ok(result.errors.includes('/1: unexpected field "imageUrl"'));
+    });
+
+    it('enforces per-feed ID prefixes', () => {
+        const entry = {
+            id: 'cn-1-wrong-feed', date: '2026-02-01T12:00:00', title: 'T', summary: 'S', source: 'Src',
+            sourceUrl: 'https://example.com', category: 'education', tags: ['schools'],
+        };
+        const result = validateEntries([entry], 'policy-feed');
+        assert.deepEqual(result.errors, ['/0/id: "cn-1-wrong-feed" does not match ^pf-']);
+    });
+
+    it('takes feed categories from add-entry.js', () => {
+        const { VALID_CATEGORIES } = require('../scripts/add-entry.js');
+        for (const category of VALID_CATEGORIES.business) {
+            const entry = {
+                id: 'bw-1-x', date: '2026-02-01', title: 'T', summary: 'S', source: 'Src',
+                sourceUrl: 'https://example.com', category, tags: ['x'],
+            };
+            assert.equal(validateEntries([entry], 'business-watch').valid, true, category);
+        }
+    });
+
+    it('validates roll calls and GeoJSON properties', () => {
+        const store = {
+            bodies: { 'nb-city-council': { name: 'New Braunfels City Council' } },
+            meetings: [{ id: 'm', body: 'nb-city-council', date: '2026-1-5', items: [{ id: 'x', title: 'X', outcome: 'Passed', votes: { 'april-ryan': 'Maybe' } }] }],
+        };
+        const voteErrors = validate(store, 'roll-calls').errors;
+        assert.ok(voteErrors.some(e => e.startsWith('/meetings/0/date: invalid date')));
+        assert.ok(voteErrors.some(e => e.startsWith('/meetings/0/items/0/votes/april-ryan: must be one of')));
+
+        store.meetings[0].date = '2026-01-05';
+        store.meetings[0].items[0].votes['april-ryan'] = 'Recused';
+        store.meetings[0].attendance = { present: ['toni-carter'], absent: ['April Ryan'] };
+        assert.deepEqual(validate(store, 'roll-calls').errors.map(e => e.split(':')[0]), ['/meetings/0/attendance/absent/0']);
+
+        const geo = { type: 'FeatureCollection', features: [{ type: 'Feature', properties: { Precinct: 5 }, geometry: { type: 'Polygon', coordinates: [[]] } }] };
+        assert.deepEqual(validate(geo, 'commissioner-precincts').errors, ['/features/0/properties/Precinct: should be string, got number']);
+
+        geo.features[0].properties = { District: '073' };
+        assert.equal(validate(geo, 'legislative-districts').errors.length, 1);
+    });
+
+    it('picks the schema from the file name', () => {
+        assert.equal(schemaForFile('data/policy-feed.json'), 'policy-feed');
+        assert.equal(schemaForFile('/tmp/nb-city-council.geojson'), 'nb-city-council');
+        assert.equal(schemaForFile('data/profiles/toni-carter.json'), 'profile');
+        assert.equal(schemaForFile('data/geo/state-house-districts.geojson'), 'legislative-districts');
+        assert.equal(schemaForFile('data/geo/jp-precincts.geojson'), 'jp-precincts');
+        assert.equal(schemaForFile('data/geo/trustee-districts.geojson'), 'trustee-districts');
+        assert.equal(schemaForFile('other.json'), null);
+    });
+
     it('rejects unknown schema', () => {
         const result = validateEntries([], 'nonexistent');
         assert.equal(result.valid, false);